@@ -0,0 +1,323 @@
+import * as ts from 'typescript';
+import { isApiReference } from './apiReferences';
+import { findApiMethod, SypnexApiEndpoint, SypnexApiMethod, sypnexApiEndpoints, SypnexApiUrlSlot } from './sypnexApi';
+
+/**
+ * A fetch('/api/...') call that a sypnexAPI method already makes
+ */
+export interface FetchMigration {
+	fetchCall: ts.CallExpression;
+	/** What the method call replaces: the fetch call, or the fetch and its .json() */
+	replaced: ts.Expression;
+	endpoint: SypnexApiEndpoint;
+	method: SypnexApiMethod;
+	/** Arguments of the method call, as source text */
+	args: string[];
+	/** Whether the replaced code read the JSON body, and the method resolves to that same JSON */
+	readsJson: boolean;
+}
+
+// Literal URL text, or an expression spliced into it
+type UrlPiece = string | ts.Expression;
+
+// '/api/files/' + name, `/api/files/${name}` -> ['/api/files/', name]
+function flattenUrl(expression: ts.Expression): UrlPiece[] {
+	if (ts.isParenthesizedExpression(expression)) {
+		return flattenUrl(expression.expression);
+	}
+	if (ts.isStringLiteralLike(expression)) {
+		return [expression.text];
+	}
+	if (ts.isTemplateExpression(expression)) {
+		return [
+			expression.head.text,
+			...expression.templateSpans.flatMap(span => [span.expression, span.literal.text])
+		];
+	}
+	if (ts.isBinaryExpression(expression) && expression.operatorToken.kind === ts.SyntaxKind.PlusToken) {
+		return [...flattenUrl(expression.left), ...flattenUrl(expression.right)];
+	}
+	return [expression];
+}
+
+function mergePieces(pieces: UrlPiece[]): UrlPiece[] {
+	const merged: UrlPiece[] = [];
+	for (const piece of pieces) {
+		const last = merged[merged.length - 1];
+		if (typeof piece === 'string' && typeof last === 'string') {
+			merged[merged.length - 1] = last + piece;
+		} else if (piece !== '') {
+			merged.push(piece);
+		}
+	}
+	return merged;
+}
+
+function escapeRegExp(text: string): string {
+	return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Expressions stand in the URL text as \0<index>\0, so a slot can capture text, expressions or both
+function toPieces(text: string, expressions: ts.Expression[]): UrlPiece[] {
+	return text.split(/\0/).map((part, index) => index % 2 === 1 ? expressions[Number(part)] : part);
+}
+
+function endpointPattern(endpoint: SypnexApiEndpoint): RegExp {
+	const parts = endpoint.url.map((part, index) => {
+		if (typeof part === 'string') {
+			return escapeRegExp(part);
+		}
+		// A trailing path parameter takes the rest of the URL, slashes and all
+		return 'param' in part && /^path$|Path$/.test(part.param) && index === endpoint.url.length - 1 ? '(.+)' : '([^/?]+)';
+	});
+	return new RegExp(`^${parts.join('')}$`);
+}
+
+function decode(text: string): string {
+	try {
+		return decodeURIComponent(text);
+	} catch {
+		return text;
+	}
+}
+
+// encodeURIComponent(x) -> x, and for paths encodeURIComponent(x.substring(1)) -> x with its slash
+function unwrapEncoding(expression: ts.Expression, encoding: 'uri' | 'uri-path'): { expression: ts.Expression; hasSlash: boolean } {
+	if (ts.isCallExpression(expression) && ts.isIdentifier(expression.expression) &&
+		expression.expression.text === 'encodeURIComponent' && expression.arguments.length === 1) {
+		const inner = expression.arguments[0];
+		if (encoding === 'uri-path' && ts.isCallExpression(inner) && ts.isPropertyAccessExpression(inner.expression) &&
+			['substring', 'slice'].includes(inner.expression.name.text) &&
+			inner.arguments.length === 1 && inner.arguments[0].getText() === '1') {
+			return { expression: inner.expression.expression, hasSlash: true };
+		}
+		return { expression: inner, hasSlash: false };
+	}
+	return { expression, hasSlash: false };
+}
+
+// The value a method argument must have for the method to build this part of the URL
+function slotValue(pieces: UrlPiece[], slot: SypnexApiUrlSlot): UrlPiece[] {
+	const encoding = 'param' in slot ? slot.encoding : undefined;
+	if (!encoding) {
+		return pieces;
+	}
+
+	let hasSlash = false;
+	const values = pieces.map((piece, index) => {
+		if (typeof piece === 'string') {
+			return decode(piece);
+		}
+		const unwrapped = unwrapEncoding(piece, encoding);
+		hasSlash = hasSlash || (index === 0 && unwrapped.hasSlash);
+		return unwrapped.expression;
+	});
+	// Paths travel without their leading slash
+	return encoding === 'uri-path' && !hasSlash ? mergePieces(['/', ...values]) : values;
+}
+
+function quote(text: string): string {
+	return `'${text.replace(/\\/g, '\\\\').replace(/'/g, '\\\'').replace(/\n/g, '\\n')}'`;
+}
+
+// 'docs/a.txt', name, or `docs/${name}`
+function piecesToSource(pieces: UrlPiece[]): string {
+	if (pieces.length === 1) {
+		return typeof pieces[0] === 'string' ? quote(pieces[0]) : pieces[0].getText();
+	}
+	const parts = pieces.map(piece => typeof piece === 'string'
+		? piece.replace(/[`\\]/g, '\\$&').replace(/\$\{/g, '\\${')
+		: `\${${piece.getText()}}`);
+	return `\`${parts.join('')}\``;
+}
+
+// sypnexAPI fills in its own app id: the URL must name this app, as sypnexAPI.appId or as the id in its manifest
+function isOwnAppId(pieces: UrlPiece[], appId: string | undefined): boolean {
+	if (pieces.length !== 1) {
+		return false;
+	}
+	const [piece] = pieces;
+	if (typeof piece === 'string') {
+		return !!appId && decode(piece) === appId;
+	}
+	return ts.isPropertyAccessExpression(piece) && piece.name.text === 'appId' && isApiReference(piece.expression);
+}
+
+// Method arguments named by the URL, or undefined when the URL is not this endpoint's
+function matchUrl(pieces: UrlPiece[], endpoint: SypnexApiEndpoint, appId: string | undefined): Map<string, string> | undefined {
+	const expressions: ts.Expression[] = [];
+	const text = pieces.map(piece => typeof piece === 'string' ? piece : `\0${expressions.push(piece) - 1}\0`).join('');
+	const match = endpointPattern(endpoint).exec(text);
+	if (!match) {
+		return undefined;
+	}
+
+	const args = new Map<string, string>();
+	let group = 1;
+	for (const part of endpoint.url) {
+		if (typeof part === 'string') {
+			continue;
+		}
+		const captured = mergePieces(toPieces(match[group++], expressions));
+		if ('param' in part) {
+			args.set(part.param, piecesToSource(slotValue(captured, part)));
+		} else if (!isOwnAppId(captured, appId)) {
+			// Another app's data, which the method cannot reach
+			return undefined;
+		}
+	}
+	return args;
+}
+
+function getPropertyName(property: ts.ObjectLiteralElementLike): string | undefined {
+	const name = property.name;
+	return name && (ts.isIdentifier(name) || ts.isStringLiteralLike(name)) ? name.text : undefined;
+}
+
+// Method arguments from the fetch options: method has to agree, body: JSON.stringify(...) fills body parameters
+function matchOptions(options: ts.Expression | undefined, endpoint: SypnexApiEndpoint, args: Map<string, string>): boolean {
+	if (options && !ts.isObjectLiteralExpression(options)) {
+		return false;
+	}
+	const properties = options ? options.properties : [];
+	const httpMethod = properties.find(property => getPropertyName(property) === 'method');
+	const body = properties.find(property => getPropertyName(property) === 'body');
+
+	if (httpMethod) {
+		if (!ts.isPropertyAssignment(httpMethod) || !ts.isStringLiteralLike(httpMethod.initializer) ||
+			httpMethod.initializer.text.toUpperCase() !== endpoint.httpMethod) {
+			return false;
+		}
+	} else if (endpoint.httpMethod !== 'GET') {
+		return false;
+	}
+
+	if (!body) {
+		return true;
+	}
+	if (!endpoint.body || !ts.isPropertyAssignment(body) || !ts.isCallExpression(body.initializer) ||
+		body.initializer.expression.getText() !== 'JSON.stringify' || body.initializer.arguments.length !== 1) {
+		return false;
+	}
+	const value = body.initializer.arguments[0];
+	if (typeof endpoint.body === 'string') {
+		args.set(endpoint.body, value.getText());
+		return true;
+	}
+	if (!ts.isObjectLiteralExpression(value)) {
+		return false;
+	}
+	for (const property of value.properties) {
+		const key = getPropertyName(property);
+		const param = Object.entries(endpoint.body).find(([bodyKey]) => bodyKey === key)?.[1];
+		if (!param) {
+			return false;
+		}
+		if (ts.isShorthandPropertyAssignment(property)) {
+			args.set(param, property.name.text);
+		} else if (ts.isPropertyAssignment(property)) {
+			args.set(param, property.initializer.getText());
+		} else {
+			return false;
+		}
+	}
+	return true;
+}
+
+// Arguments in parameter order; undefined fills skipped optional ones
+function orderArguments(method: SypnexApiMethod, args: Map<string, string>): string[] | undefined {
+	if (method.params.some(param => !param.optional && !args.has(param.name))) {
+		return undefined;
+	}
+	const ordered = method.params.map(param => args.get(param.name) ?? 'undefined');
+	while (ordered.length > 0 && ordered[ordered.length - 1] === 'undefined' &&
+		!args.has(method.params[ordered.length - 1].name)) {
+		ordered.pop();
+	}
+	return ordered;
+}
+
+// response => response.json()
+function isJsonCallback(node: ts.Expression): boolean {
+	if (!ts.isArrowFunction(node) || node.parameters.length !== 1 || !ts.isIdentifier(node.parameters[0].name)) {
+		return false;
+	}
+	const body = node.body;
+	return ts.isCallExpression(body) && ts.isPropertyAccessExpression(body.expression) &&
+		body.expression.name.text === 'json' && body.arguments.length === 0 &&
+		ts.isIdentifier(body.expression.expression) && body.expression.expression.text === node.parameters[0].name.text;
+}
+
+function skipParentheses(node: ts.Node): ts.Node {
+	while (ts.isParenthesizedExpression(node.parent)) {
+		node = node.parent;
+	}
+	return node;
+}
+
+// (await fetch(url)).json() and fetch(url).then(response => response.json()) read the body as the method does
+function findJsonRead(fetchCall: ts.CallExpression): ts.CallExpression | undefined {
+	let node = skipParentheses(fetchCall);
+	if (ts.isPropertyAccessExpression(node.parent) && node.parent.name.text === 'then' &&
+		ts.isCallExpression(node.parent.parent) && node.parent.parent.arguments.length === 1 &&
+		isJsonCallback(node.parent.parent.arguments[0])) {
+		return node.parent.parent;
+	}
+	if (ts.isAwaitExpression(node.parent) && ts.isParenthesizedExpression(node.parent.parent)) {
+		node = skipParentheses(node.parent);
+		if (ts.isPropertyAccessExpression(node.parent) && node.parent.name.text === 'json' &&
+			ts.isCallExpression(node.parent.parent) && node.parent.parent.arguments.length === 0) {
+			return node.parent.parent;
+		}
+	}
+	return undefined;
+}
+
+/**
+ * The sypnexAPI method that sends the same request as a fetch() call, with the arguments to pass it.
+ * appId is the id of the app the code belongs to, so URLs naming it can map to methods that use their own.
+ */
+export function matchFetchCall(call: ts.CallExpression, appId?: string): FetchMigration | undefined {
+	if (!ts.isIdentifier(call.expression) || call.expression.text !== 'fetch' || call.arguments.length === 0) {
+		return undefined;
+	}
+	const pieces = mergePieces(flattenUrl(call.arguments[0]));
+	if (typeof pieces[0] !== 'string' || !pieces[0].startsWith('/api/')) {
+		return undefined;
+	}
+
+	for (const endpoint of sypnexApiEndpoints) {
+		const method = findApiMethod(endpoint.method);
+		const args = matchUrl(pieces, endpoint, appId);
+		if (!method || !args || !matchOptions(call.arguments[1], endpoint, args)) {
+			continue;
+		}
+		const ordered = orderArguments(method, args);
+		if (ordered) {
+			// A method that returns one field of the JSON, or a flag, does not stand in for the .json() read
+			const jsonRead = endpoint.returns === 'json' ? findJsonRead(call) : undefined;
+			return { fetchCall: call, replaced: jsonRead ?? call, endpoint, method, args: ordered, readsJson: !!jsonRead };
+		}
+	}
+	return undefined;
+}
+
+/**
+ * fetch('/api/...') calls in a file that a sypnexAPI method could make instead
+ */
+export function findFetchMigrations(sourceFile: ts.SourceFile, appId?: string): FetchMigration[] {
+	const migrations: FetchMigration[] = [];
+
+	function visit(node: ts.Node): void {
+		if (ts.isCallExpression(node)) {
+			const migration = matchFetchCall(node, appId);
+			if (migration) {
+				migrations.push(migration);
+			}
+		}
+		ts.forEachChild(node, visit);
+	}
+	visit(sourceFile);
+
+	return migrations;
+}
@@ -0,0 +1,168 @@
+import * as ts from 'typescript';
+import { findApiNamespace, SypnexApiNamespace } from './sypnexApi';
+
+/**
+ * Lightweight data flow over a single file: which identifiers and `this.` properties hold the
+ * SypnexAPI object, and which identifiers were destructured from it. Not scope-aware.
+ */
+
+const DEFAULT_API_GLOBAL = 'sypnexAPI';
+const API_CLASS = 'SypnexAPI';
+
+// window.sypnexAPI, globalThis.sypnexAPI, ...
+const GLOBAL_OBJECTS = ['window', 'globalThis', 'self'];
+
+interface ApiBindings {
+	/** Identifiers holding the API object: const api = sypnexAPI */
+	objects: Set<string>;
+	/** Properties of `this` holding the API object: this.api = sypnexAPI */
+	thisProperties: Set<string>;
+	/** Identifiers bound to an API method, local name -> method: const { getSetting: get } = sypnexAPI */
+	methods: Map<string, string>;
+}
+
+let apiGlobals = [DEFAULT_API_GLOBAL];
+let bindingsCache = new WeakMap<ts.SourceFile, ApiBindings>();
+
+/**
+ * Extra global names that hold a SypnexAPI instance, besides sypnexAPI itself
+ */
+export function setApiGlobals(names: string[]): void {
+	apiGlobals = [DEFAULT_API_GLOBAL, ...names];
+	bindingsCache = new WeakMap();
+}
+
+function skipParentheses(expression: ts.Expression): ts.Expression {
+	while (ts.isParenthesizedExpression(expression)) {
+		expression = expression.expression;
+	}
+	return expression;
+}
+
+function isApiObject(expression: ts.Expression, bindings: ApiBindings): boolean {
+	expression = skipParentheses(expression);
+
+	if (ts.isIdentifier(expression)) {
+		return apiGlobals.includes(expression.text) || bindings.objects.has(expression.text);
+	}
+	if (ts.isPropertyAccessExpression(expression)) {
+		const receiver = skipParentheses(expression.expression);
+		if (receiver.kind === ts.SyntaxKind.ThisKeyword) {
+			return bindings.thisProperties.has(expression.name.text);
+		}
+		return ts.isIdentifier(receiver) &&
+			GLOBAL_OBJECTS.includes(receiver.text) &&
+			apiGlobals.includes(expression.name.text);
+	}
+	// new SypnexAPI(appId)
+	return ts.isNewExpression(expression) &&
+		ts.isIdentifier(expression.expression) &&
+		expression.expression.text === API_CLASS;
+}
+
+function getPropertyName(name: ts.PropertyName): string | undefined {
+	return ts.isIdentifier(name) || ts.isStringLiteral(name) ? name.text : undefined;
+}
+
+function addDestructuredMethods(pattern: ts.ObjectBindingPattern, bindings: ApiBindings): void {
+	for (const element of pattern.elements) {
+		if (element.dotDotDotToken || !ts.isIdentifier(element.name)) {
+			continue;
+		}
+		const method = element.propertyName ? getPropertyName(element.propertyName) : element.name.text;
+		if (method) {
+			bindings.methods.set(element.name.text, method);
+		}
+	}
+}
+
+function collectBindings(sourceFile: ts.SourceFile): ApiBindings {
+	const bindings: ApiBindings = { objects: new Set(), thisProperties: new Set(), methods: new Map() };
+
+	function visit(node: ts.Node): void {
+		if (ts.isVariableDeclaration(node) && node.initializer && isApiObject(node.initializer, bindings)) {
+			if (ts.isIdentifier(node.name)) {
+				bindings.objects.add(node.name.text);
+			} else if (ts.isObjectBindingPattern(node.name)) {
+				addDestructuredMethods(node.name, bindings);
+			}
+		} else if (ts.isBinaryExpression(node) &&
+			node.operatorToken.kind === ts.SyntaxKind.EqualsToken &&
+			isApiObject(node.right, bindings)) {
+			if (ts.isIdentifier(node.left)) {
+				bindings.objects.add(node.left.text);
+			} else if (ts.isPropertyAccessExpression(node.left) && node.left.expression.kind === ts.SyntaxKind.ThisKeyword) {
+				bindings.thisProperties.add(node.left.name.text);
+			}
+		} else if (ts.isPropertyDeclaration(node) &&
+			node.initializer &&
+			ts.isIdentifier(node.name) &&
+			isApiObject(node.initializer, bindings)) {
+			// Class field: api = sypnexAPI;
+			bindings.thisProperties.add(node.name.text);
+		}
+		ts.forEachChild(node, visit);
+	}
+
+	// Repeat until nothing new is found, so aliases of aliases resolve in any order
+	const size = () => bindings.objects.size + bindings.thisProperties.size + bindings.methods.size;
+	let previous: number;
+	do {
+		previous = size();
+		visit(sourceFile);
+	} while (size() !== previous);
+
+	return bindings;
+}
+
+function getBindings(sourceFile: ts.SourceFile): ApiBindings {
+	let bindings = bindingsCache.get(sourceFile);
+	if (!bindings) {
+		bindings = collectBindings(sourceFile);
+		bindingsCache.set(sourceFile, bindings);
+	}
+	return bindings;
+}
+
+/**
+ * Whether an expression evaluates to the API object: sypnexAPI, window.sypnexAPI, this.api, an alias, ...
+ */
+export function isApiReference(expression: ts.Expression): boolean {
+	return isApiObject(expression, getBindings(expression.getSourceFile()));
+}
+
+/**
+ * Method an identifier was destructured from: `get` in const { getSetting: get } = sypnexAPI -> "getSetting"
+ */
+export function getBoundMethod(identifier: ts.Identifier): string | undefined {
+	return getBindings(identifier.getSourceFile()).methods.get(identifier.text);
+}
+
+/**
+ * Whether a binding pattern destructures the API object: const { ... } = sypnexAPI
+ */
+export function isApiDestructuring(pattern: ts.ObjectBindingPattern): boolean {
+	const declaration = pattern.parent;
+	return ts.isVariableDeclaration(declaration) &&
+		declaration.initializer !== undefined &&
+		isApiReference(declaration.initializer);
+}
+
+/**
+ * Namespace an expression refers to: sypnexAPI.scaling, window.sypnexKeyboardManager, sypnexKeyboardManager
+ */
+export function getApiNamespace(expression: ts.Expression): SypnexApiNamespace | undefined {
+	expression = skipParentheses(expression);
+
+	if (ts.isIdentifier(expression)) {
+		return findApiNamespace('window', expression.text);
+	}
+	if (!ts.isPropertyAccessExpression(expression)) {
+		return undefined;
+	}
+	const receiver = skipParentheses(expression.expression);
+	if (ts.isIdentifier(receiver) && GLOBAL_OBJECTS.includes(receiver.text)) {
+		return findApiNamespace('window', expression.name.text);
+	}
+	return isApiReference(receiver) ? findApiNamespace('sypnexAPI', expression.name.text) : undefined;
+}
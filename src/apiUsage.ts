@@ -0,0 +1,140 @@
+import * as path from 'path';
+import * as vscode from 'vscode';
+import { SypnexApiMethod, SypnexApiNamespace } from './sypnexApi';
+import { collectApiReferences, parseScript } from './sourceAnalysis';
+
+/**
+ * One reference to a sypnexAPI method somewhere in the workspace
+ */
+export interface ApiUsage {
+	method: SypnexApiMethod;
+	/** Set for namespace methods such as sypnexAPI.scaling.detectAppScale */
+	namespace?: SypnexApiNamespace;
+	location: vscode.Location;
+	/** Trimmed text of the line, for display */
+	lineText: string;
+}
+
+export const SCRIPT_FILES = '**/*.{js,mjs,cjs,jsx,ts,mts,cts,tsx,html,htm}';
+const EXCLUDED_FILES = '{**/node_modules/**,**/dist/**,**/out/**}';
+
+// Workspace files the indexes read, at most; past that a scan takes too long
+export const MAX_SCANNED_FILES = 1000;
+
+const LANGUAGE_BY_EXTENSION: Record<string, string> = {
+	'.ts': 'typescript',
+	'.mts': 'typescript',
+	'.cts': 'typescript',
+	'.tsx': 'typescriptreact',
+	'.jsx': 'javascriptreact',
+	'.html': 'html',
+	'.htm': 'html'
+};
+
+/**
+ * Script and HTML files of the workspace, outside node_modules and build output, at most MAX_SCANNED_FILES
+ */
+export function findWorkspaceScripts(token?: vscode.CancellationToken): Thenable<vscode.Uri[]> {
+	return vscode.workspace.findFiles(SCRIPT_FILES, EXCLUDED_FILES, MAX_SCANNED_FILES, token);
+}
+
+/**
+ * Text of a script file; the editor buffer of an open file is preferred so unsaved edits are included
+ */
+export async function readScript(uri: vscode.Uri, fromDisk = false): Promise<{ text: string; languageId: string }> {
+	const open = vscode.workspace.textDocuments.find(document => document.uri.toString() === uri.toString());
+	if (open && !fromDisk) {
+		return { text: open.getText(), languageId: open.languageId };
+	}
+	const bytes = await vscode.workspace.fs.readFile(uri);
+	const languageId = LANGUAGE_BY_EXTENSION[path.extname(uri.fsPath).toLowerCase()] ?? 'javascript';
+	return { text: new TextDecoder().decode(bytes), languageId };
+}
+
+// The sypnexAPI method references of one file, or none when it cannot be read
+async function readApiUsages(uri: vscode.Uri): Promise<ApiUsage[]> {
+	let script: { text: string; languageId: string };
+	try {
+		script = await readScript(uri);
+	} catch {
+		// Deleted or unreadable since the search
+		return [];
+	}
+	const { text, languageId } = script;
+	const sourceFile = parseScript(uri.fsPath, text, languageId);
+	const lines = text.split(/\r?\n/);
+	return collectApiReferences(sourceFile).map(reference => {
+		const start = sourceFile.getLineAndCharacterOfPosition(reference.name.getStart(sourceFile));
+		const end = sourceFile.getLineAndCharacterOfPosition(reference.name.getEnd());
+		return {
+			method: reference.method,
+			namespace: reference.namespace,
+			location: new vscode.Location(uri, new vscode.Range(start.line, start.character, end.line, end.character)),
+			lineText: lines[start.line].trim()
+		};
+	});
+}
+
+/**
+ * Every sypnexAPI method reference in the workspace's script and HTML files, scanned on first use.
+ * Files that change afterwards, on disk or in an editor, are read again when usages are next asked for.
+ */
+export class ApiUsageIndex implements vscode.Disposable {
+	private readonly files = new Map<string, ApiUsage[]>();
+	// Files changed since they were read
+	private readonly stale = new Map<string, vscode.Uri>();
+	private readonly disposables: vscode.Disposable[];
+	private scan: Promise<void> | undefined;
+
+	constructor() {
+		const watcher = vscode.workspace.createFileSystemWatcher(SCRIPT_FILES);
+		const markStale = (uri: vscode.Uri) => {
+			this.stale.set(uri.toString(), uri);
+		};
+		// Edits and closing without saving only matter for files the scan read
+		const markStaleIfIndexed = (document: vscode.TextDocument) => {
+			if (this.files.has(document.uri.toString())) {
+				markStale(document.uri);
+			}
+		};
+		this.disposables = [
+			watcher,
+			watcher.onDidCreate(markStale),
+			watcher.onDidChange(markStale),
+			watcher.onDidDelete(uri => {
+				this.files.delete(uri.toString());
+				this.stale.delete(uri.toString());
+			}),
+			vscode.workspace.onDidChangeTextDocument(event => markStaleIfIndexed(event.document)),
+			vscode.workspace.onDidCloseTextDocument(markStaleIfIndexed)
+		];
+	}
+
+	async usages(token?: vscode.CancellationToken): Promise<ApiUsage[]> {
+		this.scan ??= this.scanWorkspace().catch(error => {
+			// Tried again on the next request
+			this.scan = undefined;
+			throw error;
+		});
+		await this.scan;
+
+		for (const [key, uri] of this.stale) {
+			if (token?.isCancellationRequested) {
+				break;
+			}
+			this.stale.delete(key);
+			this.files.set(key, await readApiUsages(uri));
+		}
+		return [...this.files.values()].flat();
+	}
+
+	dispose(): void {
+		this.disposables.forEach(disposable => disposable.dispose());
+	}
+
+	private async scanWorkspace(): Promise<void> {
+		for (const uri of await findWorkspaceScripts()) {
+			this.files.set(uri.toString(), await readApiUsages(uri));
+		}
+	}
+}
@@ -0,0 +1,120 @@
+import * as vscode from 'vscode';
+import { ApiUsage, ApiUsageIndex } from './apiUsage';
+import { getApiModuleName } from './sypnexApi';
+
+// Must match the view and command contributed in package.json
+const VIEW_ID = 'sypnexApiUsage';
+const SHOW_USAGE_COMMAND = 'sypnex-os-api-support.showApiUsage';
+// Context key that makes the view visible once a scan has run
+const HAS_USAGE_CONTEXT = 'sypnex.hasApiUsage';
+
+type UsageNode =
+	| { kind: 'module'; module: string; usages: ApiUsage[] }
+	| { kind: 'method'; method: string; usages: ApiUsage[] }
+	| { kind: 'usage'; usage: ApiUsage };
+
+function groupBy<K extends string>(usages: ApiUsage[], key: (usage: ApiUsage) => K): Map<K, ApiUsage[]> {
+	const groups = new Map<K, ApiUsage[]>();
+	for (const usage of usages) {
+		const group = groups.get(key(usage)) ?? [];
+		group.push(usage);
+		groups.set(key(usage), group);
+	}
+	return groups;
+}
+
+// Namespace methods are listed with their namespace: scaling.detectAppScale, sypnexWindowManager.cleanupAppWindow
+function methodLabel(usage: ApiUsage): string {
+	return usage.namespace ? `${usage.namespace.name}.${usage.method.name}` : usage.method.name;
+}
+
+function countLabel(count: number, noun: string): string {
+	return `${count} ${noun}${count === 1 ? '' : 's'}`;
+}
+
+/**
+ * Tree of sypnexAPI usage: module (vfs, ui, ...) -> method -> reference locations
+ */
+class ApiUsageTreeProvider implements vscode.TreeDataProvider<UsageNode> {
+	private readonly changeEmitter = new vscode.EventEmitter<UsageNode | undefined>();
+	readonly onDidChangeTreeData = this.changeEmitter.event;
+	private usages: ApiUsage[] = [];
+
+	setUsages(usages: ApiUsage[]): void {
+		this.usages = usages;
+		this.changeEmitter.fire(undefined);
+	}
+
+	getChildren(node?: UsageNode): UsageNode[] {
+		if (!node) {
+			return [...groupBy(this.usages, usage => usage.method.module)]
+				.sort(([a], [b]) => a.localeCompare(b))
+				.map(([module, usages]) => ({ kind: 'module', module, usages }));
+		}
+		if (node.kind === 'module') {
+			// Most used methods first
+			return [...groupBy(node.usages, methodLabel)]
+				.sort(([a, x], [b, y]) => y.length - x.length || a.localeCompare(b))
+				.map(([method, usages]) => ({ kind: 'method', method, usages }));
+		}
+		if (node.kind === 'method') {
+			return node.usages.map(usage => ({ kind: 'usage', usage }));
+		}
+		return [];
+	}
+
+	getTreeItem(node: UsageNode): vscode.TreeItem {
+		if (node.kind === 'module') {
+			const item = new vscode.TreeItem(getApiModuleName(node.module), vscode.TreeItemCollapsibleState.Collapsed);
+			const methods = new Set(node.usages.map(methodLabel)).size;
+			item.description = `${countLabel(node.usages.length, 'reference')} · ${countLabel(methods, 'method')}`;
+			item.tooltip = `sypnex-api-${node.module}.js`;
+			item.iconPath = new vscode.ThemeIcon('package');
+			return item;
+		}
+		if (node.kind === 'method') {
+			const item = new vscode.TreeItem(node.method, vscode.TreeItemCollapsibleState.Collapsed);
+			item.description = countLabel(node.usages.length, 'reference');
+			item.tooltip = node.usages[0].method.signature;
+			item.iconPath = new vscode.ThemeIcon('symbol-method');
+			return item;
+		}
+
+		const { location, lineText } = node.usage;
+		const item = new vscode.TreeItem(
+			`${vscode.workspace.asRelativePath(location.uri)}:${location.range.start.line + 1}`,
+			vscode.TreeItemCollapsibleState.None
+		);
+		item.description = lineText;
+		item.resourceUri = location.uri;
+		item.command = {
+			command: 'vscode.open',
+			title: 'Open Reference',
+			arguments: [location.uri, { selection: location.range }]
+		};
+		return item;
+	}
+}
+
+export function registerApiUsageView(context: vscode.ExtensionContext, usageIndex: ApiUsageIndex): void {
+	const treeProvider = new ApiUsageTreeProvider();
+	const treeView = vscode.window.createTreeView(VIEW_ID, { treeDataProvider: treeProvider });
+
+	const command = vscode.commands.registerCommand(SHOW_USAGE_COMMAND, async () => {
+		const usages = await vscode.window.withProgress(
+			{ location: vscode.ProgressLocation.Notification, title: 'Scanning workspace for sypnexAPI usage', cancellable: true },
+			(_progress, token) => usageIndex.usages(token)
+		);
+
+		treeProvider.setUsages(usages);
+		const files = new Set(usages.map(usage => usage.location.uri.toString())).size;
+		treeView.message = usages.length > 0
+			? `${countLabel(usages.length, 'reference')} in ${countLabel(files, 'file')}`
+			: 'No sypnexAPI usage found in this workspace';
+
+		await vscode.commands.executeCommand('setContext', HAS_USAGE_CONTEXT, true);
+		await vscode.commands.executeCommand(`${VIEW_ID}.focus`);
+	});
+
+	context.subscriptions.push(treeView, command);
+}
@@ -0,0 +1,76 @@
+import * as path from 'path';
+import * as vscode from 'vscode';
+
+/**
+ * Id of the app each folder holds, from the .app manifest in it ({ "id": ... }, or the manifest's name).
+ * Manifests are read in the background the first time a folder is asked for, and again when they change.
+ */
+export class AppIdIndex implements vscode.Disposable {
+	// Folder -> app id, or undefined for a folder without a (readable) manifest
+	private readonly ids = new Map<string, string | undefined>();
+	private readonly reading = new Set<string>();
+	private readonly changeEmitter = new vscode.EventEmitter<void>();
+	private readonly disposables: vscode.Disposable[];
+
+	/** Fires when the id of a folder has been read, or its manifest changed */
+	readonly onDidChange = this.changeEmitter.event;
+
+	constructor() {
+		const watcher = vscode.workspace.createFileSystemWatcher('**/*.app');
+		const forget = (uri: vscode.Uri) => {
+			this.ids.delete(path.dirname(uri.fsPath));
+			this.changeEmitter.fire();
+		};
+		this.disposables = [
+			watcher,
+			this.changeEmitter,
+			watcher.onDidCreate(forget),
+			watcher.onDidChange(forget),
+			watcher.onDidDelete(forget)
+		];
+	}
+
+	/**
+	 * The id of the app a file belongs to, or undefined when its folder has no manifest or it is still being read
+	 */
+	appIdOf(uri: vscode.Uri): string | undefined {
+		if (uri.scheme !== 'file') {
+			return undefined;
+		}
+		const directory = path.dirname(uri.fsPath);
+		if (!this.ids.has(directory)) {
+			this.read(directory);
+		}
+		return this.ids.get(directory);
+	}
+
+	dispose(): void {
+		this.disposables.forEach(disposable => disposable.dispose());
+	}
+
+	private async read(directory: string): Promise<void> {
+		if (this.reading.has(directory)) {
+			return;
+		}
+		this.reading.add(directory);
+
+		let id: string | undefined;
+		try {
+			const entries = await vscode.workspace.fs.readDirectory(vscode.Uri.file(directory));
+			const manifest = entries.find(([name, type]) => type === vscode.FileType.File && name.endsWith('.app'))?.[0];
+			if (manifest) {
+				const bytes = await vscode.workspace.fs.readFile(vscode.Uri.file(path.join(directory, manifest)));
+				const parsed = JSON.parse(new TextDecoder().decode(bytes));
+				id = typeof parsed?.id === 'string' && parsed.id ? parsed.id : path.basename(manifest, '.app');
+			}
+		} catch {
+			// An unreadable folder or manifest names no app
+		}
+
+		this.reading.delete(directory);
+		this.ids.set(directory, id);
+		if (id) {
+			this.changeEmitter.fire();
+		}
+	}
+}
@@ -0,0 +1,150 @@
+import * as crypto from 'crypto';
+import * as path from 'path';
+import * as vscode from 'vscode';
+import { APP_SCALES, escapeHtml, MockApp } from './mockOs/appPage';
+import { MockOsRunner } from './mockOsCommands';
+
+// Must match the command contributed in package.json
+const PREVIEW_COMMAND = 'sypnex-os-api-support.previewApp';
+
+/**
+ * The webview around the preview: a toolbar with the window scale, reload and open-in-browser, and the app
+ * page of the mock OS in an iframe
+ */
+function renderPreview(webview: vscode.Webview, app: MockApp, pageUrl: string): string {
+	const nonce = crypto.randomBytes(16).toString('base64');
+	const origin = new URL(pageUrl).origin;
+	const options = APP_SCALES.map(scale => `<option value="${scale}"${scale === 100 ? ' selected' : ''}>${scale}%</option>`).join('');
+	return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<meta http-equiv="Content-Security-Policy" content="default-src 'none'; frame-src ${origin}; style-src ${webview.cspSource} 'unsafe-inline'; script-src 'nonce-${nonce}';">
+<title>${escapeHtml(app.name)}</title>
+<style>
+	html, body { margin: 0; padding: 0; height: 100%; display: flex; flex-direction: column; }
+	.toolbar { display: flex; gap: 8px; align-items: center; padding: 4px 8px; border-bottom: 1px solid var(--vscode-panel-border); }
+	.toolbar .name { flex: 1; }
+	iframe { flex: 1; border: none; background: #1a1a1f; }
+</style>
+</head>
+<body>
+<div class="toolbar">
+	<span class="name">${escapeHtml(app.name)}</span>
+	<label>Scale <select id="scale">${options}</select></label>
+	<button id="reload">Reload</button>
+	<button id="browser">Open in Browser</button>
+</div>
+<iframe id="app" src="${escapeHtml(pageUrl)}"></iframe>
+<script nonce="${nonce}">
+const vscode = acquireVsCodeApi();
+const frame = document.getElementById('app');
+const scale = document.getElementById('scale');
+let pageUrl = ${JSON.stringify(pageUrl).replace(/</g, '\\u003c')};
+const load = () => {
+	const url = new URL(pageUrl);
+	url.searchParams.set('scale', scale.value);
+	// Setting the same src again reloads it
+	frame.src = url.toString();
+};
+scale.addEventListener('change', load);
+document.getElementById('reload').addEventListener('click', load);
+document.getElementById('browser').addEventListener('click', () => vscode.postMessage({ type: 'openInBrowser', scale: scale.value }));
+window.addEventListener('message', event => {
+	if (event.data && event.data.type === 'reload') {
+		pageUrl = event.data.pageUrl || pageUrl;
+		load();
+	}
+});
+</script>
+</body>
+</html>
+`;
+}
+
+interface Preview {
+	app: MockApp;
+	panel: vscode.WebviewPanel;
+	pageUrl: string;
+}
+
+function appPagePath(app: MockApp): string {
+	return `/app/${encodeURIComponent(app.id)}/`;
+}
+
+// The app page as the webview reaches it, in remote workspaces as well
+async function externalPageUrl(mockOs: MockOsRunner, serverUrl: string, app: MockApp): Promise<string> {
+	const pageUrl = (await vscode.env.asExternalUri(vscode.Uri.parse(serverUrl + appPagePath(app)))).toString(true);
+	mockOs.trustOrigin(pageUrl);
+	return pageUrl;
+}
+
+/**
+ * "Sypnex: Preview App": runs the current app in a webview beside the editor, inside the OS app window
+ * shell and against the mock OS, reloading whenever a file of the app is saved
+ */
+export function registerAppPreview(context: vscode.ExtensionContext, mockOs: MockOsRunner): void {
+	// One panel per app, reused when the command runs again
+	const panels = new Map<string, Preview>();
+
+	// The server may have been restarted on another port since the panel last loaded
+	async function reload(preview: Preview, serverUrl: string): Promise<void> {
+		const pageUrl = await externalPageUrl(mockOs, serverUrl, preview.app);
+		if (new URL(pageUrl).origin !== new URL(preview.pageUrl).origin) {
+			// The content security policy only lets the frame load the origin it was rendered with
+			preview.panel.webview.html = renderPreview(preview.panel.webview, preview.app, pageUrl);
+		} else {
+			preview.panel.webview.postMessage({ type: 'reload', pageUrl });
+		}
+		preview.pageUrl = pageUrl;
+	}
+
+	const command = vscode.commands.registerCommand(PREVIEW_COMMAND, async () => {
+		const app = await mockOs.pickApp();
+		if (!app) {
+			vscode.window.showInformationMessage('No Sypnex app to preview: open an app HTML file or add a .app manifest');
+			return;
+		}
+		// Started again if it was stopped
+		const url = await mockOs.start();
+		if (!url) {
+			return;
+		}
+		const existing = panels.get(app.id);
+		if (existing) {
+			existing.app = app;
+			existing.panel.reveal(vscode.ViewColumn.Beside, true);
+			await reload(existing, url);
+			return;
+		}
+
+		const pageUrl = await externalPageUrl(mockOs, url, app);
+		const panel = vscode.window.createWebviewPanel('sypnexAppPreview', `Preview: ${app.name}`,
+			{ viewColumn: vscode.ViewColumn.Beside, preserveFocus: true },
+			{ enableScripts: true, retainContextWhenHidden: true });
+		panel.webview.html = renderPreview(panel.webview, app, pageUrl);
+		panel.webview.onDidReceiveMessage(message => {
+			if (message?.type === 'openInBrowser' && mockOs.url) {
+				vscode.env.openExternal(vscode.Uri.parse(`${mockOs.url}${appPagePath(app)}?scale=${Number(message.scale) || 100}`));
+			}
+		});
+		panel.onDidDispose(() => panels.delete(app.id));
+		panels.set(app.id, { app, panel, pageUrl });
+	});
+
+	const reloadOnSave = vscode.workspace.onDidSaveTextDocument(async document => {
+		const saved = document.uri.fsPath;
+		const affected = [...panels.values()].filter(({ app }) => saved.startsWith(app.directory + path.sep));
+		const url = mockOs.url;
+		if (!affected.length || !url) {
+			return;
+		}
+		// A changed manifest can change the scripts the page loads
+		await mockOs.refreshApps();
+		await Promise.all(affected.map(preview => reload(preview, url)));
+	});
+
+	context.subscriptions.push(command, reloadOnSave, {
+		dispose: () => panels.forEach(({ panel }) => panel.dispose())
+	});
+}
@@ -0,0 +1,146 @@
+import * as ts from 'typescript';
+import { getCalledApiMethod, getLiteral, Literal } from './sourceAnalysis';
+import { SypnexApiMethod, SypnexApiParameter } from './sypnexApi';
+
+/**
+ * A sypnexAPI call with too many or too few arguments ('count'), or a literal argument or option
+ * of the wrong type ('type')
+ */
+export interface ArgumentProblem {
+	kind: 'count' | 'type';
+	node: ts.Node;
+	message: string;
+}
+
+// Split "string|Record<string, any>" into its members, ignoring "|" nested in brackets
+function splitUnion(type: string): string[] {
+	const parts: string[] = [];
+	let depth = 0;
+	let current = '';
+	for (const char of type) {
+		if ('<([{'.includes(char)) {
+			depth++;
+		} else if ('>)]}'.includes(char) && !(char === '>' && current.endsWith('='))) {
+			depth--;
+		}
+		if (char === '|' && depth === 0) {
+			parts.push(current.trim());
+			current = '';
+		} else {
+			current += char;
+		}
+	}
+	parts.push(current.trim());
+	return parts;
+}
+
+function acceptsLiteral(type: string, literal: Literal): boolean {
+	return splitUnion(type).some(part => {
+		if (part === 'any' || part === 'unknown') {
+			return true;
+		}
+		if (/^'.*'$/.test(part)) {
+			return literal.kind === 'string' && (literal.value === undefined || part.slice(1, -1) === literal.value);
+		}
+		if (part === 'string' || part === 'number' || part === 'boolean') {
+			return literal.kind === part;
+		}
+		if (part.endsWith('[]') || part.startsWith('Array<')) {
+			return literal.kind === 'array';
+		}
+		if (part.includes('=>')) {
+			return literal.kind === 'function';
+		}
+		if (part === 'null' || part === 'undefined' || part === 'void') {
+			return false;
+		}
+		// Records, option interfaces and DOM types: anything but a primitive
+		return literal.kind === 'object' || literal.kind === 'array' || literal.kind === 'function';
+	});
+}
+
+function describeLiteral(literal: Literal): string {
+	return literal.kind === 'string' && literal.value !== undefined ? `'${literal.value}'` : `a ${literal.kind}`;
+}
+
+function checkArgumentCount(call: ts.CallExpression, method: SypnexApiMethod): ArgumentProblem | undefined {
+	// A spread argument can stand for any number of arguments
+	if (call.arguments.some(ts.isSpreadElement)) {
+		return undefined;
+	}
+
+	const required = method.params.map(param => !param.optional).lastIndexOf(true) + 1;
+	const count = call.arguments.length;
+	const names = method.params.map(param => param.name).join(', ');
+
+	if (count > method.params.length) {
+		const expected = method.params.length === 0 ? 'no arguments' : `at most ${method.params.length} (${names})`;
+		return {
+			kind: 'count',
+			node: call.arguments[method.params.length],
+			message: `'${method.name}' expects ${expected}, but got ${count}.`
+		};
+	}
+	if (count < required) {
+		const expected = required === method.params.length ? `${required}` : `at least ${required}`;
+		return {
+			kind: 'count',
+			node: call,
+			message: `'${method.name}' expects ${expected} argument${required === 1 ? '' : 's'} (${names}), but got ${count}.`
+		};
+	}
+	return undefined;
+}
+
+function checkLiteralType(node: ts.Expression, param: SypnexApiParameter, description: string): ArgumentProblem[] {
+	const literal = getLiteral(node);
+	if (!literal) {
+		return [];
+	}
+	if (!acceptsLiteral(param.type, literal)) {
+		return [{ kind: 'type', node, message: `${description} expects ${param.type}, but ${describeLiteral(literal)} was passed.` }];
+	}
+
+	// Documented option keys: sypnexAPI.showModal({ size: 'huge' })
+	if (ts.isObjectLiteralExpression(node) && param.properties) {
+		return node.properties.flatMap(property => {
+			const option = ts.isPropertyAssignment(property)
+				? param.properties!.find(candidate => candidate.name === property.name.getText())
+				: undefined;
+			return option && ts.isPropertyAssignment(property)
+				? checkLiteralType(property.initializer, option, `Option '${option.name}'`)
+				: [];
+		});
+	}
+	return [];
+}
+
+/**
+ * sypnexAPI and namespace method calls (sypnexAPI.scaling.*, sypnexWindowManager.*, ...) with too many
+ * or too few arguments, and literal arguments of the wrong type
+ */
+export function findArgumentProblems(sourceFile: ts.SourceFile): ArgumentProblem[] {
+	const problems: ArgumentProblem[] = [];
+
+	function visit(node: ts.Node): void {
+		if (ts.isCallExpression(node)) {
+			const method = getCalledApiMethod(node);
+			if (method) {
+				const countProblem = checkArgumentCount(node, method);
+				if (countProblem) {
+					problems.push(countProblem);
+				}
+				node.arguments.forEach((argument, index) => {
+					const param = method.params[index];
+					if (param) {
+						problems.push(...checkLiteralType(argument, param, `Argument '${param.name}' of '${method.name}'`));
+					}
+				});
+			}
+		}
+		ts.forEachChild(node, visit);
+	}
+	visit(sourceFile);
+
+	return problems;
+}
@@ -0,0 +1,20 @@
+import * as ts from 'typescript';
+import * as vscode from 'vscode';
+import { createDiagnostic } from './sypnexCheck';
+import { findArgumentProblems } from '../callArguments';
+
+export const ARGUMENT_COUNT_CODE = 'argument-count';
+export const ARGUMENT_TYPE_CODE = 'argument-type';
+
+/**
+ * Flag sypnexAPI calls with too many or too few arguments, and literal arguments of the wrong type,
+ * without turning on checkJs for the whole project
+ */
+export function checkCallArguments(document: vscode.TextDocument, sourceFile: ts.SourceFile): vscode.Diagnostic[] {
+	return findArgumentProblems(sourceFile).map(problem => createDiagnostic(
+		document,
+		problem.node,
+		problem.message,
+		problem.kind === 'count' ? ARGUMENT_COUNT_CODE : ARGUMENT_TYPE_CODE
+	));
+}
@@ -0,0 +1,29 @@
+import * as ts from 'typescript';
+import * as vscode from 'vscode';
+import { createDiagnostic } from './sypnexCheck';
+import { findFailureProblems } from '../failureContracts';
+
+export const UNCHECKED_NULL_RESULT_CODE = 'unchecked-null-result';
+export const UNCAUGHT_ERROR_CODE = 'uncaught-api-error';
+
+/**
+ * Hint where code ignores how a sypnexAPI method fails: using the result of decrypt() or
+ * getAppMetadata() without a null check, or awaiting readVirtualFileJSON() outside try/catch
+ */
+export function checkFailureContracts(document: vscode.TextDocument, sourceFile: ts.SourceFile): vscode.Diagnostic[] {
+	return findFailureProblems(sourceFile).map(problem => problem.kind === 'unchecked-null'
+		? createDiagnostic(
+			document,
+			problem.node,
+			`'${problem.method.name}' returns null when it fails; check the result before using it.`,
+			UNCHECKED_NULL_RESULT_CODE,
+			vscode.DiagnosticSeverity.Hint
+		)
+		: createDiagnostic(
+			document,
+			problem.node,
+			`'${problem.method.name}' throws when it fails; wrap it in try/catch or add .catch().`,
+			UNCAUGHT_ERROR_CODE,
+			vscode.DiagnosticSeverity.Hint
+		));
+}
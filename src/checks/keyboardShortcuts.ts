@@ -0,0 +1,72 @@
+import * as ts from 'typescript';
+import * as vscode from 'vscode';
+import { createDiagnostic, DIAGNOSTIC_SOURCE } from './sypnexCheck';
+import { checkShortcut } from '../keyboardShortcuts';
+import { getApiMethodName } from '../sourceAnalysis';
+
+export const SHORTCUT_NEVER_FIRES_CODE = 'shortcut-never-fires';
+
+// Shortcut text of a map key, without its quotes
+function getShortcutText(text: string): string {
+	return /^(['"`]).*\1$/s.test(text) ? text.slice(1, -1) : text;
+}
+
+/**
+ * Flag keys of registerKeyboardShortcuts maps that eventToKeyString never produces,
+ * e.g. 'shift+ctrl+s', 'Ctrl+S' or ArrowLeft, which silently never fire
+ */
+export function checkKeyboardShortcuts(document: vscode.TextDocument, sourceFile: ts.SourceFile): vscode.Diagnostic[] {
+	const diagnostics: vscode.Diagnostic[] = [];
+
+	function visit(node: ts.Node): void {
+		if (ts.isCallExpression(node) &&
+			getApiMethodName(node.expression) === 'registerKeyboardShortcuts' &&
+			node.arguments.length > 0 &&
+			ts.isObjectLiteralExpression(node.arguments[0])) {
+			for (const property of node.arguments[0].properties) {
+				const name = property.name;
+				if (!name || !(ts.isIdentifier(name) || ts.isStringLiteralLike(name))) {
+					continue;
+				}
+				const problem = checkShortcut(name.text);
+				if (problem) {
+					diagnostics.push(createDiagnostic(document, name, problem.message, SHORTCUT_NEVER_FIRES_CODE));
+				}
+			}
+		}
+		ts.forEachChild(node, visit);
+	}
+	visit(sourceFile);
+
+	return diagnostics;
+}
+
+// Quick fix: rewrite the key in the form eventToKeyString produces
+export class KeyboardShortcutCodeActionProvider implements vscode.CodeActionProvider {
+	static readonly providedCodeActionKinds = [vscode.CodeActionKind.QuickFix];
+
+	provideCodeActions(
+		document: vscode.TextDocument,
+		_range: vscode.Range,
+		context: vscode.CodeActionContext
+	): vscode.CodeAction[] {
+		return context.diagnostics
+			.filter(diagnostic => diagnostic.source === DIAGNOSTIC_SOURCE && diagnostic.code === SHORTCUT_NEVER_FIRES_CODE)
+			.flatMap(diagnostic => {
+				const text = document.getText(diagnostic.range);
+				const canonical = checkShortcut(getShortcutText(text))?.canonical;
+				if (!canonical) {
+					return [];
+				}
+
+				// Keep the quote style; an identifier key stays unquoted when it can
+				const quote = /^['"`]/.test(text) ? text[0] : (/^[A-Za-z_$][\w$]*$/.test(canonical) ? '' : '\'');
+				const action = new vscode.CodeAction(`Change to '${canonical}'`, vscode.CodeActionKind.QuickFix);
+				action.edit = new vscode.WorkspaceEdit();
+				action.edit.replace(document.uri, diagnostic.range, `${quote}${canonical}${quote}`);
+				action.diagnostics = [diagnostic];
+				action.isPreferred = true;
+				return [action];
+			});
+	}
+}
@@ -0,0 +1,74 @@
+import * as ts from 'typescript';
+import * as vscode from 'vscode';
+import { createDiagnostic, DIAGNOSTIC_SOURCE, SypnexCheck } from './sypnexCheck';
+import { FetchMigration, findFetchMigrations } from '../apiEndpoints';
+import { AppIdIndex } from '../appIdIndex';
+import { getSourceFile } from '../sourceAnalysis';
+
+export const RAW_FETCH_CODE = 'raw-api-fetch';
+
+function methodCallText(migration: FetchMigration): string {
+	return `sypnexAPI.${migration.method.name}(${migration.args.join(', ')})`;
+}
+
+/**
+ * Point out fetch('/api/...') calls that send the same request as a sypnexAPI method,
+ * e.g. fetch(`/api/virtual-files/read/${path}`) for sypnexAPI.readVirtualFile(path).
+ * App id URL segments only map when they are the id in the app's manifest.
+ */
+export function createRawFetchCallsCheck(appIds: AppIdIndex): SypnexCheck {
+	return (document: vscode.TextDocument, sourceFile: ts.SourceFile) =>
+		findFetchMigrations(sourceFile, appIds.appIdOf(document.uri)).map(migration => createDiagnostic(
+			document,
+			migration.fetchCall,
+			`sypnexAPI.${migration.method.name}() sends this request, and also checks the response and reports errors.`,
+			RAW_FETCH_CODE,
+			vscode.DiagnosticSeverity.Information
+		));
+}
+
+// Quick fix: replace the fetch call, and the .json() that reads its body when the method returns that same JSON,
+// with the sypnexAPI call
+export class RawFetchCodeActionProvider implements vscode.CodeActionProvider {
+	static readonly providedCodeActionKinds = [vscode.CodeActionKind.QuickFix];
+
+	constructor(private readonly appIds: AppIdIndex) {}
+
+	provideCodeActions(
+		document: vscode.TextDocument,
+		_range: vscode.Range,
+		context: vscode.CodeActionContext
+	): vscode.CodeAction[] {
+		const diagnostics = context.diagnostics
+			.filter(diagnostic => diagnostic.source === DIAGNOSTIC_SOURCE && diagnostic.code === RAW_FETCH_CODE);
+		if (diagnostics.length === 0) {
+			return [];
+		}
+
+		const sourceFile = getSourceFile(document);
+		const migrations = findFetchMigrations(sourceFile, this.appIds.appIdOf(document.uri));
+		return diagnostics.flatMap(diagnostic => {
+			const start = document.offsetAt(diagnostic.range.start);
+			const migration = migrations.find(candidate => candidate.fetchCall.getStart(sourceFile) === start);
+			if (!migration) {
+				return [];
+			}
+
+			// Without a .json() to fold in, code that reads the Response still has to be updated
+			const { returns, field } = migration.endpoint;
+			const result = returns === 'json' ? 'data' : returns === 'field' ? `data.${field}` : 'a success flag or value';
+			const title = migration.readsJson
+				? `Replace with ${methodCallText(migration)}`
+				: `Replace with ${methodCallText(migration)} (returns ${result}, not a Response)`;
+			const action = new vscode.CodeAction(title, vscode.CodeActionKind.QuickFix);
+			action.edit = new vscode.WorkspaceEdit();
+			action.edit.replace(document.uri, new vscode.Range(
+				document.positionAt(migration.replaced.getStart(sourceFile)),
+				document.positionAt(migration.replaced.getEnd())
+			), methodCallText(migration));
+			action.diagnostics = [diagnostic];
+			action.isPreferred = migration.readsJson;
+			return [action];
+		});
+	}
+}
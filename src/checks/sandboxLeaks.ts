@@ -0,0 +1,53 @@
+import * as ts from 'typescript';
+import * as vscode from 'vscode';
+import { createDiagnostic, DIAGNOSTIC_SOURCE } from './sypnexCheck';
+import { findSandboxLeaks, planCleanup } from '../sandboxLeaks';
+import { getSourceFile } from '../sourceAnalysis';
+
+export const SANDBOX_LEAK_CODE = 'sandbox-leak';
+
+/**
+ * Flag global writes, intervals, animation loops, sockets and window/document listeners
+ * that outlive the app because no onBeforeClose hook undoes them
+ */
+export function checkSandboxLeaks(document: vscode.TextDocument, sourceFile: ts.SourceFile): vscode.Diagnostic[] {
+	return findSandboxLeaks(sourceFile).map(leak => createDiagnostic(document, leak.node, leak.message, SANDBOX_LEAK_CODE));
+}
+
+// Quick fix: undo the leak in an onBeforeClose hook, adding to an existing one when it can
+export class SandboxLeakCodeActionProvider implements vscode.CodeActionProvider {
+	static readonly providedCodeActionKinds = [vscode.CodeActionKind.QuickFix];
+
+	provideCodeActions(
+		document: vscode.TextDocument,
+		_range: vscode.Range,
+		context: vscode.CodeActionContext
+	): vscode.CodeAction[] {
+		const diagnostics = context.diagnostics
+			.filter(diagnostic => diagnostic.source === DIAGNOSTIC_SOURCE && diagnostic.code === SANDBOX_LEAK_CODE);
+		if (diagnostics.length === 0) {
+			return [];
+		}
+
+		const sourceFile = getSourceFile(document);
+		const leaks = findSandboxLeaks(sourceFile);
+		return diagnostics.flatMap(diagnostic => {
+			const start = document.offsetAt(diagnostic.range.start);
+			const leak = leaks.find(candidate => candidate.node.getStart(sourceFile) === start);
+			const cleanup = leak && planCleanup(leak);
+			if (!leak || !cleanup) {
+				return [];
+			}
+
+			const title = cleanup.text.includes('onBeforeClose(')
+				? `Add onBeforeClose hook: ${leak.teardown}`
+				: `Add to onBeforeClose hook: ${leak.teardown}`;
+			const action = new vscode.CodeAction(title, vscode.CodeActionKind.QuickFix);
+			action.edit = new vscode.WorkspaceEdit();
+			action.edit.insert(document.uri, document.positionAt(cleanup.offset), cleanup.text);
+			action.diagnostics = [diagnostic];
+			action.isPreferred = true;
+			return [action];
+		});
+	}
+}
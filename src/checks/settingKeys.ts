@@ -0,0 +1,76 @@
+import * as ts from 'typescript';
+import * as vscode from 'vscode';
+import { createDiagnostic, SypnexCheck } from './sypnexCheck';
+import { IndexedSettingUse, indexSettingUses, SettingKeyIndex } from '../settingKeyIndex';
+import { collectSettingKeyUses, describeSetting, isSameSetting } from '../settingKeys';
+
+export const SETTING_NEVER_WRITTEN_CODE = 'setting-never-written';
+export const SETTING_NEVER_READ_CODE = 'setting-never-read';
+export const SETTING_DEFAULT_TYPE_CODE = 'setting-default-type';
+
+/**
+ * Flag setting keys and preferences that are read but never written, written but never read,
+ * or read with defaults of different types anywhere in the workspace. Preferences are shared
+ * with Sypnex OS and other apps, so missing writes of those are only information.
+ */
+export function createSettingKeysCheck(index: SettingKeyIndex): SypnexCheck {
+	return (document: vscode.TextDocument, sourceFile: ts.SourceFile) => {
+		if (!index.isReady) {
+			return [];
+		}
+
+		// This document as it is now, the rest of the workspace from the index
+		const uses = collectSettingKeyUses(sourceFile);
+		const workspaceUses: IndexedSettingUse[] = [
+			...indexSettingUses(document.uri, sourceFile),
+			...index.uses().filter(use => use.location.uri.toString() !== document.uri.toString())
+		];
+		const diagnostics: vscode.Diagnostic[] = [];
+
+		for (const use of uses) {
+			if (use.key === undefined) {
+				continue;
+			}
+			const same = workspaceUses.filter(other => isSameSetting(use, other));
+			const severity = use.store === 'setting' ? vscode.DiagnosticSeverity.Warning : vscode.DiagnosticSeverity.Information;
+
+			if (use.access === 'read' && !same.some(other => other.access === 'write')) {
+				diagnostics.push(createDiagnostic(
+					document,
+					use.node,
+					`${describeSetting(use)} is read but never written in this workspace.`,
+					SETTING_NEVER_WRITTEN_CODE,
+					severity
+				));
+			}
+			if (use.access === 'write' && !same.some(other => other.access === 'read')) {
+				diagnostics.push(createDiagnostic(
+					document,
+					use.node,
+					`${describeSetting(use)} is written but never read in this workspace.`,
+					SETTING_NEVER_READ_CODE,
+					severity
+				));
+			}
+
+			// Only exact keys: a computed key may be any setting
+			const conflicting = use.defaultValue && use.defaultType && same.find(other =>
+				other.access === 'read' && other.key === use.key && other.category === use.category &&
+				other.defaultType !== undefined && other.defaultType !== use.defaultType);
+			if (use.defaultValue && conflicting) {
+				const diagnostic = createDiagnostic(
+					document,
+					use.defaultValue,
+					`${describeSetting(use)} is read with a ${use.defaultType} default here and a ${conflicting.defaultType} default elsewhere.`,
+					SETTING_DEFAULT_TYPE_CODE
+				);
+				diagnostic.relatedInformation = [
+					new vscode.DiagnosticRelatedInformation(conflicting.location, `Read with a ${conflicting.defaultType} default`)
+				];
+				diagnostics.push(diagnostic);
+			}
+		}
+
+		return diagnostics;
+	};
+}
@@ -0,0 +1,26 @@
+import * as ts from 'typescript';
+import * as vscode from 'vscode';
+
+export const DIAGNOSTIC_SOURCE = 'sypnex';
+
+/**
+ * A diagnostic pass over one document
+ */
+export type SypnexCheck = (document: vscode.TextDocument, sourceFile: ts.SourceFile) => vscode.Diagnostic[];
+
+export function createDiagnostic(
+	document: vscode.TextDocument,
+	node: ts.Node,
+	message: string,
+	code: string,
+	severity: vscode.DiagnosticSeverity = vscode.DiagnosticSeverity.Warning
+): vscode.Diagnostic {
+	const range = new vscode.Range(
+		document.positionAt(node.getStart(node.getSourceFile())),
+		document.positionAt(node.getEnd())
+	);
+	const diagnostic = new vscode.Diagnostic(range, message, severity);
+	diagnostic.source = DIAGNOSTIC_SOURCE;
+	diagnostic.code = code;
+	return diagnostic;
+}
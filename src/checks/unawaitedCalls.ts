@@ -0,0 +1,72 @@
+import * as ts from 'typescript';
+import * as vscode from 'vscode';
+import { createDiagnostic, DIAGNOSTIC_SOURCE } from './sypnexCheck';
+import { getSourceFile } from '../sourceAnalysis';
+import { findUnawaitedCalls, Insertion, planAwait, planCatch } from '../unawaitedCalls';
+
+export const UNAWAITED_CALL_CODE = 'unawaited-async-call';
+
+/**
+ * Flag async sypnexAPI calls whose promise is dropped, e.g. a bare sypnexAPI.writeVirtualFile(...)
+ */
+export function checkUnawaitedCalls(document: vscode.TextDocument, sourceFile: ts.SourceFile): vscode.Diagnostic[] {
+	return findUnawaitedCalls(sourceFile).map(({ call, method }) => createDiagnostic(
+		document,
+		call,
+		`'${method.name}' is async but its promise is not awaited or handled, so errors and ordering are lost.`,
+		UNAWAITED_CALL_CODE
+	));
+}
+
+function createAction(
+	document: vscode.TextDocument,
+	title: string,
+	insertions: Insertion[],
+	diagnostic: vscode.Diagnostic
+): vscode.CodeAction {
+	const action = new vscode.CodeAction(title, vscode.CodeActionKind.QuickFix);
+	action.edit = new vscode.WorkspaceEdit();
+	for (const insertion of insertions) {
+		action.edit.insert(document.uri, document.positionAt(insertion.offset), insertion.text);
+	}
+	action.diagnostics = [diagnostic];
+	return action;
+}
+
+// Quick fixes: insert "await" (making the enclosing function async when needed) or attach a .catch handler
+export class UnawaitedCallCodeActionProvider implements vscode.CodeActionProvider {
+	static readonly providedCodeActionKinds = [vscode.CodeActionKind.QuickFix];
+
+	provideCodeActions(
+		document: vscode.TextDocument,
+		_range: vscode.Range,
+		context: vscode.CodeActionContext
+	): vscode.CodeAction[] {
+		const diagnostics = context.diagnostics
+			.filter(diagnostic => diagnostic.source === DIAGNOSTIC_SOURCE && diagnostic.code === UNAWAITED_CALL_CODE);
+		if (diagnostics.length === 0) {
+			return [];
+		}
+
+		const sourceFile = getSourceFile(document);
+		const calls = findUnawaitedCalls(sourceFile);
+		return diagnostics.flatMap(diagnostic => {
+			const start = document.offsetAt(diagnostic.range.start);
+			const unawaited = calls.find(candidate => candidate.call.getStart(sourceFile) === start);
+			if (!unawaited) {
+				return [];
+			}
+
+			const actions: vscode.CodeAction[] = [];
+			const awaitPlan = planAwait(unawaited.call);
+			if (awaitPlan) {
+				const title = awaitPlan.makesAsync ? 'Add \'await\' and make the function async' : 'Add \'await\'';
+				const awaitAction = createAction(document, title, awaitPlan.insertions, diagnostic);
+				awaitAction.isPreferred = true;
+				actions.push(awaitAction);
+			}
+			actions.push(createAction(document, 'Handle rejection with .catch()', [planCatch(unawaited.call)], diagnostic));
+			return actions;
+		});
+	}
+}
@@ -0,0 +1,58 @@
+import * as ts from 'typescript';
+import * as vscode from 'vscode';
+import { createDiagnostic, DIAGNOSTIC_SOURCE } from './sypnexCheck';
+import { getApiMethodName } from '../sourceAnalysis';
+import { isKnownApiMember, suggestApiMethod } from '../sypnexApi';
+
+export const UNKNOWN_METHOD_CODE = 'unknown-method';
+
+/**
+ * Flag sypnexAPI.<name> references to names the API does not define,
+ * e.g. sypnexAPI.readVirtualFileTxt(...) which only fails at runtime inside Sypnex OS
+ */
+export function checkUnknownMethods(document: vscode.TextDocument, sourceFile: ts.SourceFile): vscode.Diagnostic[] {
+	const diagnostics: vscode.Diagnostic[] = [];
+
+	function visit(node: ts.Node): void {
+		if (ts.isPropertyAccessExpression(node)) {
+			const name = getApiMethodName(node);
+			// An empty name is the "sypnexAPI." being typed
+			if (name && !isKnownApiMember(name)) {
+				const suggestion = suggestApiMethod(name);
+				diagnostics.push(createDiagnostic(
+					document,
+					node.name,
+					`'${name}' is not a SypnexAPI method. Did you mean '${suggestion}'?`,
+					UNKNOWN_METHOD_CODE
+				));
+			}
+		}
+		ts.forEachChild(node, visit);
+	}
+	visit(sourceFile);
+
+	return diagnostics;
+}
+
+// Quick fix: replace the unknown name with the closest real method
+export class UnknownMethodCodeActionProvider implements vscode.CodeActionProvider {
+	static readonly providedCodeActionKinds = [vscode.CodeActionKind.QuickFix];
+
+	provideCodeActions(
+		document: vscode.TextDocument,
+		_range: vscode.Range,
+		context: vscode.CodeActionContext
+	): vscode.CodeAction[] {
+		return context.diagnostics
+			.filter(diagnostic => diagnostic.source === DIAGNOSTIC_SOURCE && diagnostic.code === UNKNOWN_METHOD_CODE)
+			.map(diagnostic => {
+				const suggestion = suggestApiMethod(document.getText(diagnostic.range));
+				const action = new vscode.CodeAction(`Change to '${suggestion}'`, vscode.CodeActionKind.QuickFix);
+				action.edit = new vscode.WorkspaceEdit();
+				action.edit.replace(document.uri, diagnostic.range, suggestion);
+				action.diagnostics = [diagnostic];
+				action.isPreferred = true;
+				return action;
+			});
+	}
+}
@@ -0,0 +1,246 @@
+import * as ts from 'typescript';
+import * as vscode from 'vscode';
+import { checkShortcut, suggestShortcuts } from './keyboardShortcuts';
+import { isScriptPosition } from './languages';
+import {
+	commonApiMethods,
+	findApiMethod,
+	getApiModuleName,
+	SypnexApiMethod,
+	sypnexApiMethods,
+	sypnexApiNamespaces,
+	SypnexApiParameter
+} from './sypnexApi';
+import {
+	ApiMemberPosition,
+	findApiMemberPositionAt,
+	findOptionsObjectAt,
+	getSourceFile,
+	needsAwait,
+	OptionsObjectContext
+} from './sourceAnalysis';
+
+function escapeSnippet(text: string): string {
+	return text.replace(/[\\$}]/g, match => `\\${match}`);
+}
+
+function optionDocumentation(option: SypnexApiParameter): vscode.MarkdownString {
+	const markdown = new vscode.MarkdownString(option.description);
+	if (option.defaultValue !== undefined) {
+		markdown.appendMarkdown(`\n\nDefault: \`${option.defaultValue}\``);
+	}
+	if (option.values) {
+		markdown.appendMarkdown(`\n\nValues: ${option.values.map(value => `\`'${value}'\``).join(' | ')}`);
+	}
+	return markdown;
+}
+
+// Common methods first in order of use, then the rest by name, internal methods last
+function methodSortText(method: SypnexApiMethod): string {
+	const rank = commonApiMethods.indexOf(method.name);
+	if (rank >= 0) {
+		return `0${String(rank).padStart(3, '0')}`;
+	}
+	return `${method.internal ? 2 : 1}${method.name}`;
+}
+
+export class SypnexCompletionProvider implements vscode.CompletionItemProvider {
+	provideCompletionItems(
+		document: vscode.TextDocument,
+		position: vscode.Position
+	): vscode.ProviderResult<vscode.CompletionItem[]> {
+		
+		if (!isScriptPosition(document, position)) {
+			return undefined;
+		}
+
+		// Only provide method completions after 'sypnexAPI.' (or an alias), 'sypnexAPI.scaling.' and in 'const { } = sypnexAPI'
+		const memberPosition = findApiMemberPositionAt(getSourceFile(document), document.offsetAt(position));
+		if (!memberPosition) {
+			return this.provideOptionCompletions(document, position);
+		}
+		const showInternal = vscode.workspace.getConfiguration('sypnex', document.uri).get<boolean>('completions.showInternalMethods', false);
+		const methods = (memberPosition.namespace ? memberPosition.namespace.methods : sypnexApiMethods)
+			.filter(method => showInternal || !method.internal);
+
+		const completionItems = methods.flatMap(method => this.methodItems(document, position, method, memberPosition));
+
+		// Namespaces on the API object itself: sypnexAPI.scaling
+		if (!memberPosition.namespace) {
+			for (const namespace of sypnexApiNamespaces.filter(other => other.parent === 'sypnexAPI')) {
+				const item = new vscode.CompletionItem(
+					{ label: namespace.name, description: getApiModuleName(namespace.module) },
+					vscode.CompletionItemKind.Module
+				);
+				item.detail = `${namespace.methods.length} methods`;
+				item.sortText = `1${namespace.name}`;
+				item.documentation = new vscode.MarkdownString(namespace.description);
+				completionItems.push(item);
+			}
+		}
+
+		return completionItems;
+	}
+
+	// A method, inserted with placeholders for its required arguments; a second item fills in every argument
+	private methodItems(
+		document: vscode.TextDocument,
+		position: vscode.Position,
+		method: SypnexApiMethod,
+		memberPosition: ApiMemberPosition
+	): vscode.CompletionItem[] {
+		const access = memberPosition.access;
+		// Destructuring takes the bare name, and so does a call whose parentheses are already written.
+		// A name after the cursor is the next line's code, parsed onto the unfinished "sypnexAPI."
+		const isCalled = !!access && document.offsetAt(position) >= access.name.getStart() &&
+			ts.isCallExpression(access.parent) && access.parent.expression === access;
+		if (!access) {
+			return [this.methodItem(method)];
+		}
+
+		const required = method.params.filter(param => !param.optional);
+		const items = [this.methodItem(method, isCalled ? undefined : required)];
+		if (!isCalled && required.length < method.params.length) {
+			const all = this.methodItem(method, method.params);
+			all.sortText = `${methodSortText(method)} all`;
+			items.push(all);
+		}
+
+		// Inside an async function, async calls are awaited right away
+		if (method.isAsync && needsAwait(access)) {
+			const awaitEdit = vscode.TextEdit.insert(document.positionAt(access.getStart()), 'await ');
+			items.forEach(item => item.additionalTextEdits = [awaitEdit]);
+		}
+		return items;
+	}
+
+	private methodItem(method: SypnexApiMethod, args?: SypnexApiParameter[]): vscode.CompletionItem {
+		const label: vscode.CompletionItemLabel = { label: method.name, description: getApiModuleName(method.module) };
+		const item = new vscode.CompletionItem(label, vscode.CompletionItemKind.Method);
+		item.sortText = methodSortText(method);
+		
+		// Set method signature as detail, prefixed with the module it belongs to
+		item.detail = `(${label.description}) ${method.signature}`;
+		if (method.internal) {
+			item.tags = [vscode.CompletionItemTag.Deprecated];
+		}
+		item.documentation = new vscode.MarkdownString(method.description);
+		if (method.isAsync) {
+			item.documentation.appendMarkdown('\n\n**Returns:** Promise');
+		}
+		if (method.internal) {
+			item.documentation.appendMarkdown('\n\n*Called by Sypnex OS itself; apps normally do not need it.*');
+		}
+
+		// Named tab stops for the arguments: readVirtualFileText(${1:filePath})
+		if (args) {
+			label.detail = `(${args.map(arg => arg.name).join(', ')})`;
+			const placeholders = args.map((arg, index) => `\${${index + 1}:${escapeSnippet(arg.name)}}`);
+			item.insertText = new vscode.SnippetString(`${method.name}(${placeholders.join(', ')})$0`);
+		}
+		
+		return item;
+	}
+
+	// Keys and enum values inside an options object, e.g. sypnexAPI.showModal({ size: 'large' })
+	private provideOptionCompletions(
+		document: vscode.TextDocument,
+		position: vscode.Position
+	): vscode.CompletionItem[] | undefined {
+		const context = findOptionsObjectAt(getSourceFile(document), document.offsetAt(position));
+		if (!context) {
+			return undefined;
+		}
+		if (context.method === 'registerKeyboardShortcuts' && context.argumentIndex === 0) {
+			return context.valueKey === undefined ? this.shortcutItems(document, position, context) : undefined;
+		}
+
+		const param = findApiMethod(context.method)?.params[context.argumentIndex];
+		if (!param || !param.properties) {
+			return undefined;
+		}
+
+		if (context.valueKey !== undefined) {
+			const option = param.properties.find(property => property.name === context.valueKey);
+			return option && option.values ? this.optionValueItems(document, option, context) : undefined;
+		}
+
+		return param.properties
+			.filter(option => !context.existingKeys.includes(option.name))
+			.map((option, index) => {
+				const item = new vscode.CompletionItem(option.name, vscode.CompletionItemKind.Property);
+				item.detail = `${option.name}${option.optional ? '?' : ''}: ${option.type}`;
+				item.documentation = optionDocumentation(option);
+				const placeholder = option.defaultValue !== undefined ? `\${1:${escapeSnippet(option.defaultValue)}}` : '$1';
+				item.insertText = new vscode.SnippetString(`${option.name}: ${placeholder}`);
+				// Required keys first, then in documented order
+				item.sortText = `${option.optional ? 1 : 0}${String(index).padStart(3, '0')}`;
+				return item;
+			});
+	}
+
+	// Keys of a registerKeyboardShortcuts map, in the form eventToKeyString produces: 'ctrl+shift+s'
+	private shortcutItems(
+		document: vscode.TextDocument,
+		position: vscode.Position,
+		context: OptionsObjectContext
+	): vscode.CompletionItem[] {
+		const key = context.keyNode;
+		const isString = !!key && ts.isStringLiteralLike(key);
+		const start = key ? document.positionAt(key.getStart() + (isString ? 1 : 0)) : position;
+		const typed = document.getText(new vscode.Range(start, position));
+		const existing = context.existingKeys.map(text => {
+			const shortcut = text.replace(/^(['"`])(.*)\1$/s, '$2');
+			return checkShortcut(shortcut)?.canonical ?? shortcut;
+		});
+
+		return suggestShortcuts(typed)
+			.filter(suggestion => !existing.includes(suggestion.shortcut))
+			.map(suggestion => {
+				const item = new vscode.CompletionItem(
+					suggestion.shortcut,
+					suggestion.isModifier ? vscode.CompletionItemKind.Keyword : vscode.CompletionItemKind.EnumMember
+				);
+				item.filterText = suggestion.filterText;
+				item.range = new vscode.Range(start, position);
+				item.sortText = `${suggestion.isModifier ? 0 : 1}${suggestion.shortcut}`;
+
+				// Outside quotes, anything but a plain identifier gets them; a modifier leaves the cursor inside
+				if (!isString && !/^[A-Za-z_$][\w$]*$/.test(suggestion.shortcut)) {
+					item.insertText = suggestion.isModifier
+						? new vscode.SnippetString(`'${suggestion.shortcut}$1'`)
+						: `'${suggestion.shortcut}'`;
+				}
+				if (suggestion.isModifier) {
+					item.command = { title: 'Suggest', command: 'editor.action.triggerSuggest' };
+				}
+				return item;
+			});
+	}
+
+	private optionValueItems(
+		document: vscode.TextDocument,
+		option: SypnexApiParameter,
+		context: OptionsObjectContext
+	): vscode.CompletionItem[] {
+		const literal = context.stringLiteral;
+
+		return option.values!.map(value => {
+			const item = new vscode.CompletionItem(`'${value}'`, vscode.CompletionItemKind.EnumMember);
+			item.detail = option.defaultValue === `'${value}'` ? `${option.name} (default)` : option.name;
+			item.documentation = new vscode.MarkdownString(option.description);
+
+			if (literal) {
+				// Replace the text between the quotes (the closing one may not be typed yet)
+				const start = document.positionAt(literal.getStart() + 1);
+				const end = document.positionAt(literal.isUnterminated ? literal.getEnd() : literal.getEnd() - 1);
+				item.range = new vscode.Range(start, end);
+				item.insertText = value;
+				item.filterText = value;
+			} else {
+				item.insertText = `'${value}'`;
+			}
+			return item;
+		});
+	}
+}
@@ -0,0 +1,42 @@
+import * as vscode from 'vscode';
+import { isScriptPosition } from './languages';
+import { findApiMethodReferenceAt, findApiNamespaceReferenceAt, getSourceFile } from './sourceAnalysis';
+
+// Go to definition of sypnexAPI methods and namespaces inside the bundled sypnex-api.js
+export class SypnexDefinitionProvider implements vscode.DefinitionProvider {
+	/**
+	 * @param sourcePath Absolute path of the bundled sypnex-api.js the metadata was generated from
+	 */
+	constructor(private readonly sourcePath: string) {}
+
+	async provideDefinition(
+		document: vscode.TextDocument,
+		position: vscode.Position
+	): Promise<vscode.LocationLink[] | undefined> {
+		const wordRange = document.getWordRangeAtPosition(position);
+		if (!wordRange || !isScriptPosition(document, position)) {
+			return undefined;
+		}
+
+		const sourceFile = getSourceFile(document);
+		const offset = document.offsetAt(position);
+		const target = findApiMethodReferenceAt(sourceFile, offset) ?? findApiNamespaceReferenceAt(sourceFile, offset);
+		if (!target) {
+			return undefined;
+		}
+
+		// Metadata only records the line, so select the name on it
+		const uri = vscode.Uri.file(this.sourcePath);
+		const source = await vscode.workspace.openTextDocument(uri);
+		const line = source.lineAt(target.line - 1);
+		const column = Math.max(line.text.indexOf(target.name), line.firstNonWhitespaceCharacterIndex);
+		const nameRange = new vscode.Range(line.lineNumber, column, line.lineNumber, column + target.name.length);
+
+		return [{
+			originSelectionRange: wordRange,
+			targetUri: uri,
+			targetRange: line.range,
+			targetSelectionRange: nameRange
+		}];
+	}
+}
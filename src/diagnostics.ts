@@ -0,0 +1,96 @@
+import * as vscode from 'vscode';
+import { AppIdIndex } from './appIdIndex';
+import { checkCallArguments } from './checks/callArguments';
+import { checkFailureContracts } from './checks/failureContracts';
+import { checkKeyboardShortcuts, KeyboardShortcutCodeActionProvider } from './checks/keyboardShortcuts';
+import { createRawFetchCallsCheck, RawFetchCodeActionProvider } from './checks/rawFetchCalls';
+import { checkSandboxLeaks, SandboxLeakCodeActionProvider } from './checks/sandboxLeaks';
+import { createSettingKeysCheck } from './checks/settingKeys';
+import { DIAGNOSTIC_SOURCE, SypnexCheck } from './checks/sypnexCheck';
+import { checkUnawaitedCalls, UnawaitedCallCodeActionProvider } from './checks/unawaitedCalls';
+import { checkUnknownMethods, UnknownMethodCodeActionProvider } from './checks/unknownMethods';
+import { SYPNEX_DOCUMENT_SELECTOR } from './languages';
+import { SettingKeyIndex } from './settingKeyIndex';
+import { getSourceFile } from './sourceAnalysis';
+
+const checks: SypnexCheck[] = [
+	checkUnknownMethods,
+	checkUnawaitedCalls,
+	checkCallArguments,
+	checkKeyboardShortcuts,
+	checkFailureContracts,
+	checkSandboxLeaks
+];
+
+// Re-check at most this often while typing
+const REFRESH_DELAY_MS = 300;
+
+function refreshDiagnostics(
+	document: vscode.TextDocument,
+	collection: vscode.DiagnosticCollection,
+	allChecks: SypnexCheck[]
+): void {
+	if (!vscode.languages.match(SYPNEX_DOCUMENT_SELECTOR, document)) {
+		return;
+	}
+
+	const sourceFile = getSourceFile(document);
+	const diagnostics: vscode.Diagnostic[] = [];
+	for (const check of allChecks) {
+		diagnostics.push(...check(document, sourceFile));
+	}
+	collection.set(document.uri, diagnostics);
+}
+
+export function registerDiagnostics(context: vscode.ExtensionContext, settingKeys: SettingKeyIndex): void {
+	const collection = vscode.languages.createDiagnosticCollection(DIAGNOSTIC_SOURCE);
+	const appIds = new AppIdIndex();
+	// Setting keys are checked against the whole workspace, raw fetch calls against the app's manifest
+	const allChecks = [...checks, createSettingKeysCheck(settingKeys), createRawFetchCallsCheck(appIds)];
+	const pending = new Map<string, NodeJS.Timeout>();
+
+	function scheduleRefresh(document: vscode.TextDocument): void {
+		const key = document.uri.toString();
+		clearTimeout(pending.get(key));
+		pending.set(key, setTimeout(() => {
+			pending.delete(key);
+			refreshDiagnostics(document, collection, allChecks);
+		}, REFRESH_DELAY_MS));
+	}
+
+	vscode.workspace.textDocuments.forEach(document => refreshDiagnostics(document, collection, allChecks));
+
+	context.subscriptions.push(
+		collection,
+		appIds,
+		vscode.workspace.onDidOpenTextDocument(document => refreshDiagnostics(document, collection, allChecks)),
+		vscode.workspace.onDidChangeTextDocument(event => scheduleRefresh(event.document)),
+		settingKeys.onDidChange(() => vscode.workspace.textDocuments.forEach(scheduleRefresh)),
+		appIds.onDidChange(() => vscode.workspace.textDocuments.forEach(scheduleRefresh)),
+		// Extra API globals change which calls are recognized
+		vscode.workspace.onDidChangeConfiguration(event => {
+			if (event.affectsConfiguration('sypnex.apiGlobals')) {
+				vscode.workspace.textDocuments.forEach(document => refreshDiagnostics(document, collection, allChecks));
+			}
+		}),
+		vscode.workspace.onDidCloseTextDocument(document => {
+			clearTimeout(pending.get(document.uri.toString()));
+			collection.delete(document.uri);
+		}),
+		vscode.languages.registerCodeActionsProvider(SYPNEX_DOCUMENT_SELECTOR, new UnknownMethodCodeActionProvider(), {
+			providedCodeActionKinds: UnknownMethodCodeActionProvider.providedCodeActionKinds
+		}),
+		vscode.languages.registerCodeActionsProvider(SYPNEX_DOCUMENT_SELECTOR, new UnawaitedCallCodeActionProvider(), {
+			providedCodeActionKinds: UnawaitedCallCodeActionProvider.providedCodeActionKinds
+		}),
+		vscode.languages.registerCodeActionsProvider(SYPNEX_DOCUMENT_SELECTOR, new KeyboardShortcutCodeActionProvider(), {
+			providedCodeActionKinds: KeyboardShortcutCodeActionProvider.providedCodeActionKinds
+		}),
+		vscode.languages.registerCodeActionsProvider(SYPNEX_DOCUMENT_SELECTOR, new RawFetchCodeActionProvider(appIds), {
+			providedCodeActionKinds: RawFetchCodeActionProvider.providedCodeActionKinds
+		}),
+		vscode.languages.registerCodeActionsProvider(SYPNEX_DOCUMENT_SELECTOR, new SandboxLeakCodeActionProvider(), {
+			providedCodeActionKinds: SandboxLeakCodeActionProvider.providedCodeActionKinds
+		})
+	);
+}
@@ -0,0 +1,60 @@
+/**
+ * Embedded-language support for HTML documents: Sypnex apps ship as HTML files with inline <script> blocks
+ */
+
+export interface ScriptRegion {
+	start: number;
+	end: number;
+}
+
+const SCRIPT_PATTERN = /<script\b([^>]*)>([\s\S]*?)<\/script\s*>/gi;
+const COMMENT_PATTERN = /<!--[\s\S]*?-->/g;
+
+// <script> blocks without a type, or with a JavaScript type, hold code; templates and JSON do not
+function isJavaScriptBlock(attributes: string): boolean {
+	if (/\bsrc\s*=/i.test(attributes)) {
+		return false;
+	}
+	const type = attributes.match(/\btype\s*=\s*["']?([^"'\s>]+)/i);
+	return !type || /^(module|text\/javascript|application\/javascript|text\/babel)$/i.test(type[1]);
+}
+
+/**
+ * Offsets of the contents of every inline JavaScript <script> block
+ */
+export function findScriptRegions(html: string): ScriptRegion[] {
+	// Blank out comments first so commented-out scripts are ignored, keeping offsets intact
+	const text = html.replace(COMMENT_PATTERN, comment => ' '.repeat(comment.length));
+	const regions: ScriptRegion[] = [];
+
+	let match: RegExpExecArray | null;
+	while ((match = SCRIPT_PATTERN.exec(text)) !== null) {
+		if (isJavaScriptBlock(match[1])) {
+			const start = match.index + match[0].indexOf('>') + 1;
+			regions.push({ start, end: start + match[2].length });
+		}
+	}
+	SCRIPT_PATTERN.lastIndex = 0;
+
+	return regions;
+}
+
+/**
+ * The HTML text with everything outside script blocks replaced by whitespace,
+ * so it parses as JavaScript while every offset still matches the HTML document
+ */
+export function getEmbeddedScriptText(html: string): string {
+	let result = '';
+	let last = 0;
+
+	for (const region of findScriptRegions(html)) {
+		result += html.slice(last, region.start).replace(/[^\r\n]/g, ' ');
+		result += html.slice(region.start, region.end);
+		last = region.end;
+	}
+	return result + html.slice(last).replace(/[^\r\n]/g, ' ');
+}
+
+export function isInScriptRegion(html: string, offset: number): boolean {
+	return findScriptRegions(html).some(region => offset >= region.start && offset <= region.end);
+}
@@ -0,0 +1,161 @@
+import * as ts from 'typescript';
+import { getApiMethodName } from './sourceAnalysis';
+import { findApiMethod, SypnexApiMethod } from './sypnexApi';
+
+/**
+ * A sypnexAPI call whose failure the code does not handle:
+ * - 'unchecked-null': the result of a null-returning call is used as an object without a null check
+ * - 'uncaught': a throwing call is awaited outside try/catch and without .catch
+ */
+export interface FailureProblem {
+	kind: 'unchecked-null' | 'uncaught';
+	method: SypnexApiMethod;
+	/** The result where it is used unchecked, or the uncaught call */
+	node: ts.Node;
+}
+
+const NULL_CHECK_OPERATORS = new Set([
+	ts.SyntaxKind.AmpersandAmpersandToken,
+	ts.SyntaxKind.BarBarToken,
+	ts.SyntaxKind.QuestionQuestionToken,
+	ts.SyntaxKind.EqualsEqualsToken,
+	ts.SyntaxKind.EqualsEqualsEqualsToken,
+	ts.SyntaxKind.ExclamationEqualsToken,
+	ts.SyntaxKind.ExclamationEqualsEqualsToken
+]);
+
+// The outermost of (((node))), which is what its parent sees
+function skipParentheses(node: ts.Node): ts.Node {
+	while (ts.isParenthesizedExpression(node.parent)) {
+		node = node.parent;
+	}
+	return node;
+}
+
+// if (x), !x, x && ..., x ?? ..., x === null, x ? a : b, x?.y
+function isNullCheck(reference: ts.Node): boolean {
+	const parent = reference.parent;
+	if ((ts.isIfStatement(parent) || ts.isWhileStatement(parent)) && parent.expression === reference) {
+		return true;
+	}
+	if (ts.isConditionalExpression(parent) && parent.condition === reference) {
+		return true;
+	}
+	if (ts.isPrefixUnaryExpression(parent) && parent.operator === ts.SyntaxKind.ExclamationToken) {
+		return true;
+	}
+	if (ts.isBinaryExpression(parent) && NULL_CHECK_OPERATORS.has(parent.operatorToken.kind)) {
+		return true;
+	}
+	return (ts.isPropertyAccessExpression(parent) || ts.isElementAccessExpression(parent) || ts.isCallExpression(parent)) &&
+		parent.expression === reference && !!parent.questionDotToken;
+}
+
+// x.y, x[0], x() and const { y } = x all throw a TypeError when x is null
+function isObjectUse(reference: ts.Node): boolean {
+	const parent = reference.parent;
+	if (ts.isPropertyAccessExpression(parent) || ts.isElementAccessExpression(parent) || ts.isCallExpression(parent)) {
+		return parent.expression === reference && !parent.questionDotToken;
+	}
+	return ts.isVariableDeclaration(parent) && parent.initializer === reference &&
+		(ts.isObjectBindingPattern(parent.name) || ts.isArrayBindingPattern(parent.name));
+}
+
+// First use of a variable holding a null-returning result, unless the code checks it for null anywhere.
+// Like the rest of the analysis this goes by name, not by scope.
+function findUncheckedUse(declaration: ts.VariableDeclaration & { name: ts.Identifier }): ts.Node | undefined {
+	const scope = ts.findAncestor(declaration, node => ts.isFunctionLike(node) || ts.isSourceFile(node))!;
+	const name = declaration.name.text;
+	const references: ts.Node[] = [];
+
+	function visit(node: ts.Node): void {
+		if (ts.isIdentifier(node) && node.text === name && node !== declaration.name &&
+			node.pos >= declaration.end &&
+			!(ts.isPropertyAccessExpression(node.parent) && node.parent.name === node)) {
+			references.push(skipParentheses(node));
+		}
+		ts.forEachChild(node, visit);
+	}
+	visit(scope);
+
+	return references.some(isNullCheck) ? undefined : references.find(isObjectUse);
+}
+
+function findUncheckedNull(call: ts.CallExpression, method: SypnexApiMethod): FailureProblem | undefined {
+	// await sypnexAPI.decrypt(x), or the call itself for a method that is not async
+	let result = skipParentheses(call);
+	if (ts.isAwaitExpression(result.parent)) {
+		result = skipParentheses(result.parent);
+	} else if (method.isAsync) {
+		return undefined;
+	}
+
+	// (await sypnexAPI.getAppMetadata()).name
+	if (isObjectUse(result)) {
+		return { kind: 'unchecked-null', method, node: result };
+	}
+	const parent = result.parent;
+	if (ts.isVariableDeclaration(parent) && parent.initializer === result && ts.isIdentifier(parent.name)) {
+		const use = findUncheckedUse(parent as ts.VariableDeclaration & { name: ts.Identifier });
+		return use ? { kind: 'unchecked-null', method, node: use } : undefined;
+	}
+	return undefined;
+}
+
+// Inside the try block of a try/catch, up to the enclosing function
+function isInTryBlock(node: ts.Node): boolean {
+	for (let current = node; current.parent && !ts.isFunctionLike(current); current = current.parent) {
+		const parent = current.parent;
+		if (ts.isTryStatement(parent) && parent.tryBlock === current && parent.catchClause) {
+			return true;
+		}
+	}
+	return false;
+}
+
+// sypnexAPI.x().catch(...) or sypnexAPI.x().then(onFulfilled, onRejected)
+function hasRejectionHandler(call: ts.CallExpression): boolean {
+	const access = skipParentheses(call).parent;
+	if (!ts.isPropertyAccessExpression(access) || !ts.isCallExpression(access.parent)) {
+		return false;
+	}
+	const name = access.name.text;
+	return name === 'catch' || (name === 'then' && access.parent.arguments.length > 1);
+}
+
+// Log writes reject when the log endpoint fails, but a try/catch around every logging call is noise
+const LOGGING_METHODS = new Set(['writeLog', 'logDebug', 'logInfo', 'logWarn', 'logError', 'logCritical']);
+
+function findUncaught(call: ts.CallExpression, method: SypnexApiMethod): FailureProblem | undefined {
+	if (LOGGING_METHODS.has(method.name) || isInTryBlock(call) || hasRejectionHandler(call)) {
+		return undefined;
+	}
+	// A dropped promise is the unawaited-call check's business, and a returned one is the caller's
+	const awaited = ts.isAwaitExpression(skipParentheses(call).parent);
+	return awaited || !method.isAsync ? { kind: 'uncaught', method, node: call } : undefined;
+}
+
+/**
+ * sypnexAPI calls whose failure contract the code ignores: results of methods that return null on
+ * failure used without a check, and methods that throw (other than the logging methods) called outside try/catch
+ */
+export function findFailureProblems(sourceFile: ts.SourceFile): FailureProblem[] {
+	const problems: FailureProblem[] = [];
+
+	function visit(node: ts.Node): void {
+		if (ts.isCallExpression(node)) {
+			const name = getApiMethodName(node.expression);
+			const method = name ? findApiMethod(name) : undefined;
+			const problem = method?.failure === 'null' ? findUncheckedNull(node, method)
+				: method?.failure === 'throws' ? findUncaught(node, method)
+					: undefined;
+			if (problem) {
+				problems.push(problem);
+			}
+		}
+		ts.forEachChild(node, visit);
+	}
+	visit(sourceFile);
+
+	return problems;
+}
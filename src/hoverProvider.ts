@@ -0,0 +1,90 @@
+import * as vscode from 'vscode';
+import { isScriptPosition } from './languages';
+import { SypnexApiMethod, SypnexApiParameter } from './sypnexApi';
+import { findApiMethodReferenceAt, getSourceFile } from './sourceAnalysis';
+
+// Table cells cannot contain raw pipes or line breaks
+function tableCell(text: string): string {
+	return text.replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+}
+
+function parameterRows(params: SypnexApiParameter[], prefix = ''): string[] {
+	return params.flatMap(param => {
+		const name = `\`${prefix}${param.name}${param.optional ? '?' : ''}\``;
+		const defaultValue = param.defaultValue !== undefined ? `\`${tableCell(param.defaultValue)}\`` : '';
+		const row = `| ${name} | \`${tableCell(param.type)}\` | ${defaultValue} | ${tableCell(param.description)} |`;
+		// Documented keys of options objects follow their parameter: options.size
+		return [row, ...parameterRows(param.properties ?? [], `${prefix}${param.name}.`)];
+	});
+}
+
+// How each failure contract reads in a hover; methods that cannot fail get no line
+const FAILURE_NOTES: Record<SypnexApiMethod['failure'], string | undefined> = {
+	throws: 'throws, so call it inside try/catch',
+	null: 'returns `null`',
+	false: 'returns `false`',
+	fallback: 'returns a fallback value such as the default',
+	none: undefined
+};
+
+/**
+ * Hover card for a method: signature, full description, parameters, returns, throws, failure contract, examples and a source link
+ */
+export function methodHover(method: SypnexApiMethod, sourcePath: string): vscode.MarkdownString {
+	const markdown = new vscode.MarkdownString();
+	markdown.appendCodeblock(method.signature, 'typescript');
+	markdown.appendMarkdown(`\n\n${method.documentation}`);
+
+	if (method.params.length > 0) {
+		markdown.appendMarkdown('\n\n**Parameters**\n\n| Name | Type | Default | Description |\n| --- | --- | --- | --- |\n');
+		markdown.appendMarkdown(parameterRows(method.params).join('\n'));
+	}
+
+	if (method.returns.type !== 'void') {
+		const description = method.returns.description ? ` — ${method.returns.description}` : '';
+		markdown.appendMarkdown(`\n\n**Returns** \`${method.returns.type}\`${description}`);
+	}
+
+	if (method.throws.length > 0) {
+		markdown.appendMarkdown('\n\n**Throws**\n');
+		for (const thrown of method.throws) {
+			markdown.appendMarkdown(`\n- \`${thrown.type}\`${thrown.description ? ` — ${thrown.description}` : ''}`);
+		}
+	}
+
+	const failure = FAILURE_NOTES[method.failure];
+	if (failure) {
+		markdown.appendMarkdown(`\n\n**On failure** ${failure}`);
+	}
+
+	for (const example of method.examples) {
+		markdown.appendMarkdown('\n\n**Example**\n');
+		markdown.appendCodeblock(example, 'javascript');
+	}
+
+	// file: links with an #L fragment open at that line
+	const source = vscode.Uri.file(sourcePath).with({ fragment: `L${method.line}` });
+	markdown.appendMarkdown(`\n\n[View source](${source.toString()}) · \`sypnex-api-${method.module}.js\``);
+
+	return markdown;
+}
+
+export class SypnexHoverProvider implements vscode.HoverProvider {
+	/**
+	 * @param sourcePath Absolute path of the bundled sypnex-api.js the metadata was generated from
+	 */
+	constructor(private readonly sourcePath: string) {}
+
+	provideHover(document: vscode.TextDocument, position: vscode.Position): vscode.ProviderResult<vscode.Hover> {
+		const wordRange = document.getWordRangeAtPosition(position);
+
+		if (!wordRange || !isScriptPosition(document, position)) {
+			return undefined;
+		}
+
+		// sypnexAPI.methodName, an alias of sypnexAPI, a method destructured from it, or a namespace method
+		const method = findApiMethodReferenceAt(getSourceFile(document), document.offsetAt(position));
+
+		return method ? new vscode.Hover(methodHover(method, this.sourcePath), wordRange) : undefined;
+	}
+}
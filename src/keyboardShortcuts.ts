@@ -0,0 +1,148 @@
+/**
+ * Key strings of registerKeyboardShortcuts maps, as eventToKeyString in sypnex-api-keyboard.js builds
+ * them from a keydown event: modifiers in a fixed order, then event.key lowercased, e.g. "ctrl+shift+s".
+ * A map key in any other form is never looked up.
+ */
+
+// Modifier order of eventToKeyString
+export const SHORTCUT_MODIFIERS = ['ctrl', 'alt', 'shift', 'meta'];
+
+const MODIFIER_ALIASES: Record<string, string> = {
+	control: 'ctrl',
+	ctl: 'ctrl',
+	option: 'alt',
+	opt: 'alt',
+	cmd: 'meta',
+	command: 'meta',
+	win: 'meta',
+	windows: 'meta',
+	super: 'meta'
+};
+
+// Common spellings of event.key values
+const KEY_ALIASES: Record<string, string> = {
+	' ': 'space',
+	spacebar: 'space',
+	esc: 'escape',
+	del: 'delete',
+	ins: 'insert',
+	return: 'enter',
+	up: 'arrowup',
+	down: 'arrowdown',
+	left: 'arrowleft',
+	right: 'arrowright',
+	pgup: 'pageup',
+	pgdn: 'pagedown'
+};
+
+/**
+ * Named keys offered in completions, as event.key lowercased
+ */
+export const NAMED_KEYS = [
+	'escape', 'enter', 'space', 'tab', 'backspace', 'delete', 'insert', 'home', 'end', 'pageup', 'pagedown',
+	'arrowup', 'arrowdown', 'arrowleft', 'arrowright',
+	...Array.from({ length: 12 }, (_, index) => `f${index + 1}`)
+];
+
+const CHARACTER_KEYS = [...'abcdefghijklmnopqrstuvwxyz0123456789'];
+
+// With Shift held event.key is the shifted character, so "shift+1" never fires: "shift+!" does (US layout)
+const SHIFTED_KEYS: Record<string, string> = {
+	'1': '!', '2': '@', '3': '#', '4': '$', '5': '%', '6': '^', '7': '&', '8': '*', '9': '(', '0': ')',
+	'-': '_', '=': '+', '[': '{', ']': '}', '\\': '|', ';': ':', "'": '"', ',': '<', '.': '>', '/': '?', '`': '~'
+};
+
+/**
+ * Why a shortcut string never fires, and its canonical form when there is one
+ */
+export interface ShortcutProblem {
+	message: string;
+	canonical?: string;
+}
+
+function normalizeModifier(token: string): string | undefined {
+	const lower = token.trim().toLowerCase();
+	return SHORTCUT_MODIFIERS.includes(lower) ? lower : MODIFIER_ALIASES[lower];
+}
+
+function normalizeKey(token: string): string {
+	const lower = token === ' ' ? token : token.trim().toLowerCase();
+	return KEY_ALIASES[lower] ?? lower;
+}
+
+// "ctrl++" binds the plus key itself
+function splitShortcut(shortcut: string): string[] {
+	if (shortcut === '+') {
+		return ['+'];
+	}
+	return shortcut.endsWith('++') ? [...shortcut.slice(0, -2).split('+'), '+'] : shortcut.split('+');
+}
+
+function joinShortcut(modifiers: string[], key: string): string {
+	return [...SHORTCUT_MODIFIERS.filter(modifier => modifiers.includes(modifier)), key].join('+');
+}
+
+/**
+ * Problem with a shortcut string, or undefined when it is already in canonical form
+ */
+export function checkShortcut(shortcut: string): ShortcutProblem | undefined {
+	const tokens = splitShortcut(shortcut);
+	const key = normalizeKey(tokens.pop()!);
+	const modifiers: string[] = [];
+
+	for (const token of tokens) {
+		const modifier = normalizeModifier(token);
+		if (!modifier) {
+			return { message: `Shortcut '${shortcut}' never fires: '${token}' is not one of the modifiers ${SHORTCUT_MODIFIERS.join(', ')}.` };
+		}
+		modifiers.push(modifier);
+	}
+	if (!key) {
+		return { message: `Shortcut '${shortcut}' never fires: it has no key.` };
+	}
+	// Pressing Ctrl alone produces "ctrl+control"
+	if (normalizeModifier(key)) {
+		return { message: `Shortcut '${shortcut}' never fires: a modifier on its own is not a shortcut.` };
+	}
+
+	if (modifiers.includes('shift') && SHIFTED_KEYS[key]) {
+		const canonical = joinShortcut(modifiers, SHIFTED_KEYS[key]);
+		return {
+			message: `Shortcut '${shortcut}' never fires: with Shift held event.key is the shifted character, so Sypnex OS matches '${canonical}' (on a US layout).`,
+			canonical
+		};
+	}
+
+	const canonical = joinShortcut(modifiers, key);
+	return canonical === shortcut
+		? undefined
+		: { message: `Shortcut '${shortcut}' never fires: Sypnex OS matches '${canonical}'.`, canonical };
+}
+
+/**
+ * Shortcuts continuing what has been typed: "shift+" -> ctrl+shift+, shift+alt+ ... and shift+a, shift+escape ...
+ * filterText keeps the typed modifiers as written, so a different order still matches.
+ */
+export function suggestShortcuts(typed: string): { shortcut: string; filterText: string; isModifier: boolean }[] {
+	const typedPrefix = typed.slice(0, typed.lastIndexOf('+') + 1);
+	const modifiers = typedPrefix ? typedPrefix.slice(0, -1).split('+').map(normalizeModifier) : [];
+	if (modifiers.some(modifier => !modifier)) {
+		return [];
+	}
+	const chosen = modifiers as string[];
+
+	return [
+		...SHORTCUT_MODIFIERS
+			.filter(modifier => !chosen.includes(modifier))
+			.map(modifier => ({
+				shortcut: joinShortcut([...chosen, modifier], ''),
+				filterText: `${typedPrefix}${modifier}+`,
+				isModifier: true
+			})),
+		...[...CHARACTER_KEYS, ...NAMED_KEYS].filter(key => !chosen.includes('shift') || !SHIFTED_KEYS[key]).map(key => ({
+			shortcut: joinShortcut(chosen, key),
+			filterText: `${typedPrefix}${key}`,
+			isModifier: false
+		}))
+	];
+}
@@ -0,0 +1,23 @@
+import * as vscode from 'vscode';
+import { isInScriptRegion } from './embeddedScripts';
+
+/**
+ * Documents the Sypnex providers and diagnostics work in; HTML only inside <script> blocks
+ */
+export const SYPNEX_DOCUMENT_SELECTOR: vscode.DocumentSelector = [
+	'javascript',
+	'javascriptreact',
+	'typescript',
+	'typescriptreact',
+	'html'
+];
+
+/**
+ * Whether a position holds script code: always for JS/TS documents, inside <script> blocks for HTML
+ */
+export function isScriptPosition(document: vscode.TextDocument, position: vscode.Position): boolean {
+	if (document.languageId !== 'html') {
+		return true;
+	}
+	return isInScriptRegion(document.getText(), document.offsetAt(position));
+}
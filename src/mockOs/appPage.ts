@@ -0,0 +1,180 @@
+import * as fs from 'fs';
+import * as path from 'path';
+
+/**
+ * A Sypnex app the mock OS can serve: its .app manifest, or just an HTML file
+ */
+export interface MockApp {
+	id: string;
+	name: string;
+	/** Folder the app's own files are served from */
+	directory: string;
+	htmlFile: string;
+	/** Scripts the manifest lists, relative to the app folder */
+	scripts: string[];
+	manifest: Record<string, unknown>;
+}
+
+function findHtmlFile(directory: string, baseName: string): string | undefined {
+	const sibling = path.join(directory, `${baseName}.html`);
+	if (fs.existsSync(sibling)) {
+		return sibling;
+	}
+	const html = fs.readdirSync(directory).find(name => name.toLowerCase().endsWith('.html'));
+	return html ? path.join(directory, html) : undefined;
+}
+
+/**
+ * The app described by a .app manifest ({ "id", "name", "scripts": [...] }), served with the HTML
+ * file next to it, or undefined when the manifest is unreadable or there is no HTML
+ */
+export function readAppManifest(manifestFile: string): MockApp | undefined {
+	try {
+		const manifest = JSON.parse(fs.readFileSync(manifestFile, 'utf8'));
+		const directory = path.dirname(manifestFile);
+		const baseName = path.basename(manifestFile, path.extname(manifestFile));
+		const htmlFile = findHtmlFile(directory, baseName);
+		if (!manifest || typeof manifest !== 'object' || !htmlFile) {
+			return undefined;
+		}
+		const id = typeof manifest.id === 'string' && manifest.id ? manifest.id : baseName;
+		return {
+			id,
+			name: typeof manifest.name === 'string' ? manifest.name : id,
+			directory,
+			htmlFile,
+			scripts: Array.isArray(manifest.scripts) ? manifest.scripts.filter((script: unknown) => typeof script === 'string') : [],
+			manifest
+		};
+	} catch {
+		return undefined;
+	}
+}
+
+/**
+ * An app made of a lone HTML file, named after it
+ */
+export function appFromHtmlFile(htmlFile: string): MockApp {
+	const id = path.basename(htmlFile, path.extname(htmlFile));
+	return { id, name: id, directory: path.dirname(htmlFile), htmlFile, scripts: [], manifest: { id, name: id } };
+}
+
+export function escapeHtml(text: string): string {
+	return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// Notifications show as toasts instead of going to the console only
+const NOTIFICATION_HELPER = `function (message, type = 'info') {
+	const toast = document.createElement('div');
+	toast.className = 'mock-os-notification mock-os-notification-' + type;
+	toast.textContent = message;
+	document.body.appendChild(toast);
+	setTimeout(() => toast.remove(), 4000);
+}`;
+
+/**
+ * Scales the OS applies to app windows as scale-<percent> classes, which scaling.detectAppScale() reads
+ */
+export const APP_SCALES = [75, 80, 85, 90, 95, 100, 105, 110, 115, 120, 125, 130, 135, 140, 145, 150];
+
+// A scaled window keeps filling the page: scale-125 is 80% as wide and high, magnified
+const SCALE_STYLE = APP_SCALES.map(scale =>
+	`.app-window.scale-${scale} { transform: scale(${scale / 100}); width: ${+(10000 / scale).toFixed(4)}%; height: ${+(10000 / scale).toFixed(4)}%; }`
+).join('\n\t');
+
+// The OS theme variables the built-in dialogs and menus style themselves with
+const SHELL_STYLE = `
+	:root { --glass-bg: rgba(30, 30, 35, 0.95); --glass-border: rgba(255, 255, 255, 0.15); --glass-hover: rgba(255, 255, 255, 0.08);
+		--text-primary: #f0f0f0; --text-secondary: #a8a8b0; --accent-color: #00d4ff; --accent-hover: #33ddff; --error-color: #ff4757; }
+	html, body { margin: 0; height: 100%; overflow: hidden; background: #1a1a1f; color: var(--text-primary); }
+	.app-window { position: relative; height: 100%; overflow: auto; transform-origin: 0 0; }
+	${SCALE_STYLE}
+	.mock-os-notification { position: fixed; right: 16px; bottom: 16px; z-index: 100000; max-width: 360px; padding: 10px 14px;
+		border-radius: 6px; background: #2d2d30; color: #fff; font: 13px sans-serif; box-shadow: 0 2px 8px rgba(0, 0, 0, 0.4); }
+	.mock-os-notification-error { background: #a1260d; }
+	.mock-os-notification-warning, .mock-os-notification-warn { background: #8a6d00; }
+	.mock-os-notification-success { background: #2d7d46; }
+`;
+
+// What the OS sets up around an app before sypnex-api.js loads: the window.sypnexOS registry the keyboard
+// manager routes shortcuts with, the sandbox whose cleanup hooks the window manager (and so getAppWindow's
+// proxy) joins, and the shortcut tracking registerKeyboardShortcuts fills. The window registers once the
+// page is parsed.
+function osShellScript(appId: string): string {
+	return `<script>
+window.sypnexOS = {
+	apps: new Map(),
+	activeWindow: ${appId},
+	refreshLatestVersionsCache: () => fetch('/api/updates/latest').then(response => response.ok)
+};
+window.sypnexAppSandbox = {
+	cleanupHooks: new Map(),
+	addCleanupHook(name, hook) {
+		this.cleanupHooks.set(name, hook);
+	}
+};
+window.appKeyboardShortcuts = new Map();
+// Leaving the page, on reload too, closes the app
+window.addEventListener('pagehide', () => window.sypnexAppSandbox.cleanupHooks.forEach(hook => hook(${appId})));
+document.addEventListener('DOMContentLoaded', () => {
+	const appWindow = document.querySelector('.app-window');
+	if (appWindow) {
+		window.sypnexOS.apps.set(${appId}, appWindow);
+	}
+});
+</script>
+`;
+}
+
+/**
+ * The page that runs an app against the mock OS: the app's HTML inside an .app-window with the given
+ * scale class, an OS shell (window.sypnexOS, the app sandbox, theme variables), the Socket.IO client
+ * and the bundled sypnex-api.js, a global sypnexAPI for the app, then the manifest's scripts.
+ * The page is served from /app/<id>/, so relative URLs in the HTML resolve against the app folder.
+ */
+export function renderAppPage(app: MockApp, html: string, scale = 100): string {
+	const appId = JSON.stringify(app.id).replace(/</g, '\\u003c');
+	const style = fs.existsSync(path.join(app.directory, 'style.css')) ? '<link rel="stylesheet" href="style.css">\n' : '';
+	const api = `${osShellScript(appId)}<script src="/mock-os/socket.io.js"></script>
+<script src="/sypnex-api.js"></script>
+<script>
+window.sypnexAPI = new SypnexAPI(${appId}, { showNotification: ${NOTIFICATION_HELPER} });
+</script>
+`;
+	const scripts = app.scripts.map(script => `<script src="${escapeHtml(script)}"></script>\n`).join('');
+
+	const windowOpen = `<div class="app-window scale-${APP_SCALES.includes(scale) ? scale : 100}" data-app-id="${escapeHtml(app.id)}">`;
+
+	// A full document keeps its own head, which gets the shell and the API before anything in it,
+	// and its body contents go inside the app window
+	if (/<html[\s>]/i.test(html)) {
+		const head = /<head[^>]*>/i.exec(html);
+		const headAt = head ? head.index + head[0].length : 0;
+		const shell = `\n<style>${SHELL_STYLE}</style>\n${api}`;
+		const withApi = html.slice(0, headAt) + shell + html.slice(headAt);
+
+		const body = /<body[^>]*>/i.exec(withApi);
+		const headEnd = /<\/head>/i.exec(withApi);
+		const bodyAt = body ? body.index + body[0].length
+			: headEnd ? headEnd.index + headEnd[0].length
+				: headAt + shell.length;
+		const closing = /<\/body>|<\/html>/i.exec(withApi.slice(bodyAt));
+		const bodyEnd = closing ? bodyAt + closing.index : withApi.length;
+		return `${withApi.slice(0, bodyAt)}\n${windowOpen}\n${withApi.slice(bodyAt, bodyEnd)}\n</div>\n${scripts}${withApi.slice(bodyEnd)}`;
+	}
+
+	return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(app.name)} - Mock Sypnex OS</title>
+<style>${SHELL_STYLE}</style>
+${style}</head>
+<body>
+${api}${windowOpen}
+${html}
+</div>
+${scripts}</body>
+</html>
+`;
+}
@@ -0,0 +1,8 @@
+/**
+ * A failed mock OS request, answered with this status and { error: message }
+ */
+export class HttpError extends Error {
+	constructor(readonly status: number, message: string) {
+		super(message);
+	}
+}
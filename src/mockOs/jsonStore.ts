@@ -0,0 +1,27 @@
+import * as fs from 'fs';
+import * as path from 'path';
+
+/**
+ * A JSON document kept in a file of the mock OS data directory. The file is read on every access,
+ * so it can be edited by hand while the server runs.
+ */
+export class JsonStore<T> {
+	constructor(private readonly file: string, private readonly initial: () => T) {}
+
+	read(): T {
+		try {
+			return JSON.parse(fs.readFileSync(this.file, 'utf8'));
+		} catch {
+			return this.initial();
+		}
+	}
+
+	/** Change the document and write it back, returning what the change returns */
+	update<R>(change: (data: T) => R): R {
+		const data = this.read();
+		const result = change(data);
+		fs.mkdirSync(path.dirname(this.file), { recursive: true });
+		fs.writeFileSync(this.file, JSON.stringify(data, null, 2));
+		return result;
+	}
+}
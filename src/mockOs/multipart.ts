@@ -0,0 +1,54 @@
+/**
+ * A field of a multipart/form-data body
+ */
+export interface MultipartPart {
+	name: string;
+	/** Set for file fields */
+	filename?: string;
+	contentType?: string;
+	data: Buffer;
+}
+
+/**
+ * Split a multipart/form-data body, as FormData uploads send it, into its fields
+ */
+export function parseMultipart(body: Buffer, contentType: string): MultipartPart[] {
+	const boundary = /boundary=(?:"([^"]+)"|([^;\s]+))/i.exec(contentType);
+	if (!boundary) {
+		return [];
+	}
+	const delimiter = Buffer.from(`--${boundary[1] ?? boundary[2]}`);
+	const parts: MultipartPart[] = [];
+
+	let start = body.indexOf(delimiter);
+	while (start !== -1) {
+		start += delimiter.length;
+		// The closing delimiter ends in --
+		if (body.subarray(start, start + 2).toString() === '--') {
+			break;
+		}
+		const end = body.indexOf(delimiter, start);
+		if (end === -1) {
+			break;
+		}
+
+		// \r\n<headers>\r\n\r\n<data>\r\n
+		const part = body.subarray(start + 2, end - 2);
+		const headerEnd = part.indexOf('\r\n\r\n');
+		if (headerEnd !== -1) {
+			const headers = part.subarray(0, headerEnd).toString('utf8');
+			const name = /;\s*name="([^"]*)"/i.exec(headers);
+			if (name) {
+				parts.push({
+					name: name[1],
+					filename: /;\s*filename="([^"]*)"/i.exec(headers)?.[1],
+					contentType: /^content-type:\s*(.+)$/im.exec(headers)?.[1].trim(),
+					data: part.subarray(headerEnd + 4)
+				});
+			}
+		}
+		start = end;
+	}
+
+	return parts;
+}
@@ -0,0 +1,632 @@
+import * as crypto from 'crypto';
+import * as fs from 'fs';
+import * as http from 'http';
+import { AddressInfo } from 'net';
+import * as path from 'path';
+import { escapeHtml, MockApp, renderAppPage } from './appPage';
+import { HttpError } from './httpError';
+import { JsonStore } from './jsonStore';
+import { parseMultipart } from './multipart';
+import { MockSocketHub } from './sockets';
+import { renderSocketPanel } from './socketPanel';
+import { getMimeType, VirtualFileSystem } from './virtualFiles';
+
+export interface MockOsOptions {
+	/** Folder of the JSON files the mock OS keeps its state in */
+	dataDirectory: string;
+	/** Local folder that stands for the virtual file system root */
+	vfsRoot: string;
+	/** The sypnex-api.js injected into app pages */
+	apiSourcePath: string;
+	/** The Socket.IO browser client, loaded before sypnex-api.js since connectSocket calls the global io() */
+	socketClientPath: string;
+	apps: MockApp[];
+	/** Called once per answered request */
+	onRequest?: (method: string, url: string, status: number) => void;
+	/** Called for connections, room changes, messages and control panel actions */
+	onSocketEvent?: (line: string) => void;
+}
+
+interface MockRequest {
+	method: string;
+	url: URL;
+	/** Captures of the route pattern, URI-decoded */
+	params: string[];
+	headers: http.IncomingHttpHeaders;
+	body: Buffer;
+}
+
+interface MockResponse {
+	status: number;
+	contentType: string;
+	body: string | Buffer;
+	headers?: Record<string, string>;
+}
+
+type RouteHandler = (request: MockRequest) => MockResponse | Promise<MockResponse>;
+
+interface Route {
+	method: string;
+	pattern: RegExp;
+	handle: RouteHandler;
+}
+
+interface LogEntry {
+	timestamp: string;
+	level: string;
+	message: string;
+	component: string;
+	source: string;
+	details?: unknown;
+}
+
+interface AppRegistry {
+	/** What /api/apps lists */
+	installed: Record<string, unknown>[];
+	/** What /api/updates/latest reports, by app id */
+	latest: Record<string, { version?: string; download_url?: string; [key: string]: unknown }>;
+}
+
+interface MockService {
+	id: string;
+	name: string;
+	running: boolean;
+	[key: string]: unknown;
+}
+
+const BINARY_CONTENT = /^(audio|video|image)\/|application\/(octet-stream|pdf)/;
+
+// Requests that only read, which other sites cannot see the answers to
+const SAFE_METHODS = new Set(['GET', 'HEAD', 'OPTIONS']);
+
+// The webviews of VS Code, such as the app preview
+const WEBVIEW_ORIGIN = /^vscode-webview:\/\//;
+
+function json(data: unknown, status = 200): MockResponse {
+	return { status, contentType: 'application/json', body: JSON.stringify(data) };
+}
+
+function parseJson(request: MockRequest): Record<string, unknown> {
+	if (request.body.length === 0) {
+		return {};
+	}
+	try {
+		const data = JSON.parse(request.body.toString('utf8'));
+		return data && typeof data === 'object' ? data : { value: data };
+	} catch {
+		throw new HttpError(400, 'Request body is not valid JSON');
+	}
+}
+
+function decodeParam(text: string): string {
+	try {
+		return decodeURIComponent(text);
+	} catch {
+		throw new HttpError(400, `Malformed URL: ${text}`);
+	}
+}
+
+function today(): string {
+	return new Date().toISOString().slice(0, 10);
+}
+
+/**
+ * A local stand-in for a Sypnex OS backend: the REST endpoints sypnex-api.js calls, backed by JSON files
+ * in a data folder and a local directory for the virtual file system, plus pages that run workspace apps
+ * with the bundled API injected at /app/<id>/
+ */
+export class MockOsServer {
+	private readonly server = http.createServer((request, response) => this.serve(request, response));
+	private readonly routes: Route[] = [];
+	private readonly sockets: MockSocketHub;
+	private readonly vfs: VirtualFileSystem;
+	private readonly settings: JsonStore<Record<string, Record<string, unknown>>>;
+	private readonly preferences: JsonStore<Record<string, Record<string, unknown>>>;
+	private readonly windowStates: JsonStore<Record<string, unknown>>;
+	private readonly logs: JsonStore<LogEntry[]>;
+	private readonly registry: JsonStore<AppRegistry>;
+	private readonly services: JsonStore<MockService[]>;
+	private apps: MockApp[];
+	// Origins besides the server's own that pages may reach it through, such as a forwarded port
+	private readonly trustedOrigins = new Set<string>();
+
+	constructor(private readonly options: MockOsOptions) {
+		const data = (file: string) => path.join(options.dataDirectory, file);
+		this.vfs = new VirtualFileSystem(options.vfsRoot);
+		this.settings = new JsonStore(data('app-settings.json'), () => ({}));
+		this.preferences = new JsonStore(data('preferences.json'), () => ({}));
+		this.windowStates = new JsonStore(data('window-states.json'), () => ({}));
+		this.logs = new JsonStore(data('logs.json'), () => []);
+		this.registry = new JsonStore(data('apps.json'), () => ({ installed: [], latest: {} }));
+		this.services = new JsonStore(data('services.json'), () => []);
+		this.apps = options.apps;
+		this.sockets = new MockSocketHub(this.server, options.onSocketEvent, request => this.rejectReason(request, 'GET', true));
+
+		this.addAppSettingRoutes();
+		this.addVirtualFileRoutes();
+		this.addLogRoutes();
+		this.addAppManagementRoutes();
+		this.addServiceRoutes();
+		this.addSocketRoutes();
+		this.addMiscRoutes();
+	}
+
+	/** Base URL of the running server */
+	get url(): string | undefined {
+		const address = this.server.address() as AddressInfo | null;
+		return address ? `http://127.0.0.1:${address.port}` : undefined;
+	}
+
+	setApps(apps: MockApp[]): void {
+		this.apps = apps;
+	}
+
+	/** Also accept requests made through another origin, such as the address a forwarded port is reachable at */
+	trustOrigin(origin: string): void {
+		this.trustedOrigins.add(new URL(origin).origin);
+	}
+
+	/** Listen on a port of the loopback interface, 0 for any free one */
+	start(port: number): Promise<string> {
+		fs.mkdirSync(this.options.vfsRoot, { recursive: true });
+		return new Promise((resolve, reject) => {
+			this.server.once('error', reject);
+			this.server.listen(port, '127.0.0.1', () => {
+				this.server.off('error', reject);
+				resolve(this.url!);
+			});
+		});
+	}
+
+	/** Disconnect every socket and close the server */
+	stop(): Promise<void> {
+		const closed = this.sockets.close();
+		this.server.closeAllConnections();
+		return closed;
+	}
+
+	private route(method: string, pattern: RegExp, handle: RouteHandler): void {
+		this.routes.push({ method, pattern, handle });
+	}
+
+	/**
+	 * Why a request is turned away, if it is: a Host other than the server's own (DNS rebinding), or a
+	 * page of another site changing state, which browsers let through as a simple cross-site request.
+	 * Socket connections count as changing state, since they send messages to apps.
+	 */
+	private rejectReason(request: http.IncomingMessage, method: string, changesState = !SAFE_METHODS.has(method)): string | undefined {
+		const port = (this.server.address() as AddressInfo | null)?.port;
+		const trusted = [`http://127.0.0.1:${port}`, `http://localhost:${port}`, ...this.trustedOrigins];
+		const host = request.headers.host?.toLowerCase();
+		if (!host || !trusted.some(origin => new URL(origin).host === host)) {
+			return `Host not allowed: ${host ?? '(none)'}`;
+		}
+		const origin = request.headers.origin;
+		if (origin && changesState && !trusted.includes(origin) && !WEBVIEW_ORIGIN.test(origin)) {
+			return `Origin not allowed: ${origin}`;
+		}
+		return undefined;
+	}
+
+	private async serve(request: http.IncomingMessage, response: http.ServerResponse): Promise<void> {
+		const method = request.method ?? 'GET';
+		const url = new URL(request.url ?? '/', 'http://127.0.0.1');
+		let reply: MockResponse;
+		try {
+			const rejected = this.rejectReason(request, method);
+			if (rejected) {
+				throw new HttpError(403, rejected);
+			}
+			const chunks: Buffer[] = [];
+			for await (const chunk of request) {
+				chunks.push(chunk);
+			}
+			reply = await this.dispatch({ method, url, params: [], headers: request.headers, body: Buffer.concat(chunks) });
+		} catch (error) {
+			reply = error instanceof HttpError
+				? json({ success: false, error: error.message }, error.status)
+				: json({ success: false, error: error instanceof Error ? error.message : String(error) }, 500);
+		}
+		response.writeHead(reply.status, { 'Content-Type': reply.contentType, 'Cache-Control': 'no-store', ...reply.headers });
+		response.end(reply.body);
+		this.options.onRequest?.(method, url.pathname + url.search, reply.status);
+	}
+
+	private dispatch(request: MockRequest): MockResponse | Promise<MockResponse> {
+		let pathMatched = false;
+		for (const route of this.routes) {
+			const match = route.pattern.exec(request.url.pathname);
+			if (!match) {
+				continue;
+			}
+			pathMatched = true;
+			if (route.method === request.method) {
+				return route.handle({ ...request, params: match.slice(1).map(param => decodeParam(param ?? '')) });
+			}
+		}
+		throw pathMatched
+			? new HttpError(405, `Method ${request.method} not allowed`)
+			: new HttpError(404, `Not found: ${request.url.pathname}`);
+	}
+
+	private findApp(id: string): MockApp {
+		const app = this.apps.find(candidate => candidate.id === id);
+		if (!app) {
+			throw new HttpError(404, `Unknown app: ${id}`);
+		}
+		return app;
+	}
+
+	// /api/app-settings, /api/preferences, /api/window-state and /api/app-metadata
+	private addAppSettingRoutes(): void {
+		this.route('GET', /^\/api\/app-settings\/([^/]+)$/, ({ params: [appId] }) =>
+			json({ settings: this.settings.read()[appId] ?? {} }));
+		this.route('GET', /^\/api\/app-settings\/([^/]+)\/(.+)$/, ({ params: [appId, key] }) => {
+			// A missing key has no value, so sypnexAPI falls back to the default
+			const settings = this.settings.read()[appId] ?? {};
+			return json({ key, value: Object.prototype.hasOwnProperty.call(settings, key) ? settings[key] : undefined });
+		});
+		this.route('POST', /^\/api\/app-settings\/([^/]+)\/(.+)$/, request => {
+			const [appId, key] = request.params;
+			const { value } = parseJson(request);
+			this.settings.update(settings => {
+				settings[appId] = { ...settings[appId], [key]: value };
+			});
+			return json({ success: true, key, value });
+		});
+		this.route('DELETE', /^\/api\/app-settings\/([^/]+)\/(.+)$/, ({ params: [appId, key] }) => {
+			const deleted = this.settings.update(settings => settings[appId] && delete settings[appId][key]);
+			return json({ success: !!deleted, key });
+		});
+
+		this.route('GET', /^\/api\/preferences\/([^/]+)\/(.+)$/, ({ params: [category, key] }) => {
+			const preferences = this.preferences.read()[category] ?? {};
+			return json({ category, key, value: Object.prototype.hasOwnProperty.call(preferences, key) ? preferences[key] : undefined });
+		});
+		this.route('POST', /^\/api\/preferences\/([^/]+)\/(.+)$/, request => {
+			const [category, key] = request.params;
+			const { value } = parseJson(request);
+			this.preferences.update(preferences => {
+				preferences[category] = { ...preferences[category], [key]: value };
+			});
+			return json({ success: true, category, key, value });
+		});
+
+		this.route('GET', /^\/api\/window-state\/([^/]+)$/, ({ params: [appId] }) => {
+			const state = this.windowStates.read()[appId];
+			return state === undefined ? json({ error: 'No saved window state' }, 404) : json({ state });
+		});
+		this.route('POST', /^\/api\/window-state\/([^/]+)$/, request => {
+			const state = parseJson(request);
+			this.windowStates.update(states => {
+				states[request.params[0]] = state;
+			});
+			return json({ success: true });
+		});
+
+		this.route('GET', /^\/api\/app-metadata\/([^/]+)$/, ({ params: [appId] }) =>
+			json({ metadata: this.findApp(appId).manifest }));
+	}
+
+	// /api/virtual-files/*; paths after read/, serve/, delete/ and info/ come without their leading slash
+	private addVirtualFileRoutes(): void {
+		const base = '^\\/api\\/virtual-files';
+		this.route('GET', new RegExp(`${base}\\/stats$`), () => json(this.vfs.stats()));
+		this.route('GET', new RegExp(`${base}\\/list$`), ({ url }) => json(this.vfs.list(url.searchParams.get('path') || '/')));
+		this.route('GET', new RegExp(`${base}\\/read\\/(.*)$`), ({ params: [itemPath] }) => json(this.vfs.read(`/${itemPath}`)));
+		this.route('GET', new RegExp(`${base}\\/serve\\/(.*)$`), ({ params: [itemPath] }) =>
+			({ status: 200, contentType: getMimeType(itemPath), body: this.vfs.readBytes(`/${itemPath}`) }));
+		this.route('GET', new RegExp(`${base}\\/info\\/(.*)$`), ({ params: [itemPath] }) => json(this.vfs.info(`/${itemPath}`)));
+		this.route('DELETE', new RegExp(`${base}\\/delete\\/(.*)$`), ({ params: [itemPath] }) => {
+			this.vfs.delete(`/${itemPath}`);
+			return json({ success: true, message: `Deleted /${itemPath}` });
+		});
+
+		this.route('POST', new RegExp(`${base}\\/create-folder$`), request => {
+			const { name, parent_path: parentPath } = parseJson(request);
+			return json({ success: true, ...this.vfs.createFolder(name, parentPath) });
+		});
+		this.route('POST', new RegExp(`${base}\\/create-file$`), request => {
+			const { name, content, parent_path: parentPath } = parseJson(request);
+			return json({ success: true, ...this.vfs.createFile(name, typeof content === 'string' ? content : '', parentPath) });
+		});
+		this.route('PUT', new RegExp(`${base}\\/write(\\/.*)$`), request => {
+			const { content } = parseJson(request);
+			return json({ success: true, ...this.vfs.write(request.params[0], typeof content === 'string' ? content : '') });
+		});
+
+		const upload: RouteHandler = request => {
+			const parts = parseMultipart(request.body, request.headers['content-type'] ?? '');
+			const file = parts.find(part => part.name === 'file' && part.filename !== undefined);
+			if (!file) {
+				throw new HttpError(400, 'No file in upload');
+			}
+			const parentPath = parts.find(part => part.name === 'parent_path')?.data.toString('utf8');
+			return json({ success: true, ...this.vfs.createFile(file.filename, file.data, parentPath) });
+		};
+		this.route('POST', new RegExp(`${base}\\/upload-file$`), upload);
+		this.route('POST', new RegExp(`${base}\\/upload-file-streaming$`), upload);
+	}
+
+	// /api/logs/*, kept newest last in logs.json
+	private addLogRoutes(): void {
+		const matches = (filter: string | null, value: string) => !filter || filter === 'all' || filter === value;
+
+		this.route('POST', /^\/api\/logs\/write$/, request => {
+			const { level, message, component, source, details } = parseJson(request);
+			if (typeof level !== 'string' || typeof message !== 'string' || typeof component !== 'string') {
+				throw new HttpError(400, 'Missing required fields: level, message, component');
+			}
+			const entry: LogEntry = {
+				timestamp: new Date().toISOString(),
+				level,
+				message,
+				component,
+				source: typeof source === 'string' ? source : 'unknown',
+				...(details !== undefined ? { details } : {})
+			};
+			this.logs.update(logs => logs.push(entry));
+			return json({ success: true, entry });
+		});
+		this.route('GET', /^\/api\/logs\/read$/, ({ url: { searchParams } }) => {
+			const date = searchParams.get('date') || today();
+			const limit = Number(searchParams.get('limit')) || 100;
+			const logs = this.logs.read().filter(entry =>
+				entry.timestamp.startsWith(date) &&
+				matches(searchParams.get('component'), entry.component) &&
+				matches(searchParams.get('level'), entry.level) &&
+				matches(searchParams.get('source'), entry.source));
+			return json({ success: true, date, total: logs.length, logs: logs.slice(-limit).reverse() });
+		});
+		this.route('GET', /^\/api\/logs\/dates$/, () => {
+			const dates = [...new Set(this.logs.read().map(entry => entry.timestamp.slice(0, 10)))].sort().reverse();
+			return json({ success: true, dates });
+		});
+		this.route('DELETE', /^\/api\/logs\/clear$/, ({ url: { searchParams } }) => {
+			const date = searchParams.get('date');
+			const cleared = this.logs.update(logs => {
+				const kept = logs.filter(entry =>
+					!(matches(date, entry.timestamp.slice(0, 10)) && matches(searchParams.get('component'), entry.component)));
+				const count = logs.length - kept.length;
+				logs.splice(0, logs.length, ...kept);
+				return count;
+			});
+			return json({ success: true, cleared });
+		});
+		this.route('GET', /^\/api\/logs\/stats$/, () => {
+			const logs = this.logs.read();
+			const count = (key: 'level' | 'component') => logs.reduce<Record<string, number>>((counts, entry) => {
+				counts[entry[key]] = (counts[entry[key]] ?? 0) + 1;
+				return counts;
+			}, {});
+			return json({ success: true, total: logs.length, by_level: count('level'), by_component: count('component') });
+		});
+	}
+
+	// /api/apps, /api/updates/latest and /api/user-apps/*, kept in apps.json
+	private addAppManagementRoutes(): void {
+		const installedApps = () => {
+			const { installed } = this.registry.read();
+			const workspaceApps = this.apps
+				.filter(app => !installed.some(entry => entry.id === app.id))
+				.map(app => ({ ...app.manifest, id: app.id, name: app.name }));
+			return [...installed, ...workspaceApps];
+		};
+
+		this.route('GET', /^\/api\/apps$/, () => json(installedApps()));
+		this.route('GET', /^\/api\/updates\/latest$/, () => json({ success: true, apps: this.registry.read().latest }));
+		this.route('POST', /^\/api\/user-apps\/refresh$/, () => json({ success: true, message: 'Refreshed apps', count: installedApps().length }));
+		this.route('POST', /^\/api\/user-apps\/install$/, request => {
+			const { app_id: appId, version } = parseJson(request);
+			if (typeof appId !== 'string') {
+				throw new HttpError(400, 'app_id is required');
+			}
+			const available = this.registry.read().latest[appId];
+			if (!available) {
+				throw new HttpError(404, `App not in the registry: ${appId}`);
+			}
+			const installedVersion = typeof version === 'string' ? version : available.version;
+			this.registry.update(registry => {
+				registry.installed = registry.installed.filter(entry => entry.id !== appId);
+				registry.installed.push({ id: appId, name: appId, ...available, version: installedVersion });
+			});
+			return json({ success: true, app_id: appId, version: installedVersion });
+		});
+		this.route('POST', /^\/api\/user-apps\/update\/([^/]+)$/, request => {
+			const appId = request.params[0];
+			const { download_url: downloadUrl } = parseJson(request);
+			if (typeof downloadUrl !== 'string' || !downloadUrl) {
+				throw new HttpError(400, 'download_url is required');
+			}
+			const version = this.registry.read().latest[appId]?.version;
+			const updated = this.registry.update(registry => {
+				const entry = registry.installed.find(candidate => candidate.id === appId);
+				if (entry && version) {
+					entry.version = version;
+				}
+				return !!entry;
+			});
+			if (!updated && !this.apps.some(app => app.id === appId)) {
+				throw new HttpError(404, `App not installed: ${appId}`);
+			}
+			return json({ success: true, app_id: appId, version });
+		});
+		this.route('DELETE', /^\/api\/user-apps\/uninstall\/([^/]+)$/, ({ params: [appId] }) => {
+			const removed = this.registry.update(registry => {
+				const before = registry.installed.length;
+				registry.installed = registry.installed.filter(entry => entry.id !== appId);
+				return before !== registry.installed.length;
+			});
+			if (!removed) {
+				throw new HttpError(404, `App not installed: ${appId}`);
+			}
+			return json({ success: true, app_id: appId });
+		});
+	}
+
+	// /api/services/*, kept in services.json
+	private addServiceRoutes(): void {
+		this.route('GET', /^\/api\/services$/, () => json({ services: this.services.read() }));
+		this.route('POST', /^\/api\/services\/([^/]+)\/(start|stop)$/, ({ params: [serviceId, action] }) => {
+			const service = this.services.update(services => {
+				const found = services.find(candidate => candidate.id === serviceId);
+				if (found) {
+					found.running = action === 'start';
+				}
+				return found;
+			});
+			if (!service) {
+				throw new HttpError(404, `Unknown service: ${serviceId}`);
+			}
+			return json({ success: true, service });
+		});
+	}
+
+	// The Socket.IO client and the control panel at /mock-os/sockets
+	private addSocketRoutes(): void {
+		this.route('GET', /^\/mock-os\/socket\.io\.js$/, () =>
+			({ status: 200, contentType: 'text/javascript', body: fs.readFileSync(this.options.socketClientPath) }));
+		this.route('GET', /^\/mock-os\/sockets$/, () => ({ status: 200, contentType: 'text/html', body: renderSocketPanel() }));
+
+		this.route('GET', /^\/mock-os\/api\/sockets$/, () => json(this.sockets.getState()));
+		this.route('POST', /^\/mock-os\/api\/sockets\/config$/, request => {
+			this.sockets.configure(parseJson(request));
+			return json(this.sockets.getState());
+		});
+		this.route('POST', /^\/mock-os\/api\/sockets\/disconnect$/, request => {
+			const { mode, id } = parseJson(request);
+			if (mode !== 'server' && mode !== 'transport') {
+				throw new HttpError(400, 'mode must be "server" or "transport"');
+			}
+			return json({ success: true, disconnected: this.sockets.disconnect(mode, typeof id === 'string' ? id : undefined) });
+		});
+		this.route('POST', /^\/mock-os\/api\/sockets\/outage$/, request => {
+			const { seconds } = parseJson(request);
+			if (typeof seconds !== 'number' || seconds <= 0) {
+				throw new HttpError(400, 'seconds must be a positive number');
+			}
+			this.sockets.startOutage(seconds);
+			return json({ success: true });
+		});
+		this.route('POST', /^\/mock-os\/api\/sockets\/send$/, request => {
+			const { room, event_type: eventType, message } = parseJson(request);
+			this.sockets.send(typeof room === 'string' && room ? room : 'global', typeof eventType === 'string' && eventType ? eventType : 'message', message);
+			return json({ success: true });
+		});
+	}
+
+	// Crypto, the HTTP proxy, sypnex-api.js and the app pages
+	private addMiscRoutes(): void {
+		this.route('POST', /^\/api\/crypto\/encrypt$/, request => {
+			const { value } = parseJson(request);
+			return json({ success: true, encrypted: this.encrypt(JSON.stringify(value ?? null)) });
+		});
+		this.route('POST', /^\/api\/crypto\/decrypt$/, request => {
+			const { encrypted } = parseJson(request);
+			try {
+				return json({ success: true, value: JSON.parse(this.decrypt(String(encrypted))) });
+			} catch {
+				return json({ success: false, error: 'Could not decrypt value' });
+			}
+		});
+
+		this.route('POST', /^\/api\/proxy\/http$/, request => this.proxy(parseJson(request)));
+
+		this.route('GET', /^\/sypnex-api\.js$/, () =>
+			({ status: 200, contentType: 'text/javascript', body: fs.readFileSync(this.options.apiSourcePath) }));
+
+		this.route('GET', /^\/$/, () => {
+			const links = this.apps.map(app => `<li><a href="/app/${encodeURIComponent(app.id)}/">${escapeHtml(app.name)}</a> (${escapeHtml(app.id)})</li>`);
+			return {
+				status: 200,
+				contentType: 'text/html',
+				body: `<!DOCTYPE html><html><head><meta charset="utf-8"><title>Mock Sypnex OS</title></head>` +
+					`<body><h1>Mock Sypnex OS</h1><ul>${links.join('')}</ul><p><a href="/mock-os/sockets">Sockets</a></p></body></html>`
+			};
+		});
+		this.route('GET', /^\/app\/([^/]+)$/, ({ params: [appId] }) =>
+			({ status: 302, contentType: 'text/plain', body: '', headers: { Location: `/app/${encodeURIComponent(appId)}/` } }));
+		this.route('GET', /^\/app\/([^/]+)\/$/, ({ params: [appId], url }) => {
+			const app = this.findApp(appId);
+			const scale = Number(url.searchParams.get('scale')) || 100;
+			return { status: 200, contentType: 'text/html', body: renderAppPage(app, fs.readFileSync(app.htmlFile, 'utf8'), scale) };
+		});
+		this.route('GET', /^\/app\/([^/]+)\/(.+)$/, ({ params: [appId, file] }) => {
+			const app = this.findApp(appId);
+			const local = path.join(app.directory, ...path.posix.normalize(`/${file.replace(/\\/g, '/')}`).split('/').filter(Boolean));
+			if (!fs.existsSync(local) || !fs.statSync(local).isFile()) {
+				throw new HttpError(404, `Not found: ${file}`);
+			}
+			return { status: 200, contentType: getMimeType(local), body: fs.readFileSync(local) };
+		});
+	}
+
+	// AES-256-GCM under a key kept in the data folder: iv, tag and ciphertext, base64
+	private cryptoKey(): Buffer {
+		const file = path.join(this.options.dataDirectory, 'crypto.key');
+		if (!fs.existsSync(file)) {
+			fs.mkdirSync(this.options.dataDirectory, { recursive: true });
+			fs.writeFileSync(file, crypto.randomBytes(32).toString('hex'));
+		}
+		return Buffer.from(fs.readFileSync(file, 'utf8').trim(), 'hex');
+	}
+
+	private encrypt(text: string): string {
+		const iv = crypto.randomBytes(12);
+		const cipher = crypto.createCipheriv('aes-256-gcm', this.cryptoKey(), iv);
+		const encrypted = Buffer.concat([cipher.update(text, 'utf8'), cipher.final()]);
+		return Buffer.concat([iv, cipher.getAuthTag(), encrypted]).toString('base64');
+	}
+
+	private decrypt(encrypted: string): string {
+		const data = Buffer.from(encrypted, 'base64');
+		const decipher = crypto.createDecipheriv('aes-256-gcm', this.cryptoKey(), data.subarray(0, 12));
+		decipher.setAuthTag(data.subarray(12, 28));
+		return Buffer.concat([decipher.update(data.subarray(28)), decipher.final()]).toString('utf8');
+	}
+
+	// /api/proxy/http: the request made from here, answered as { status, content, is_binary, headers }
+	private async proxy(options: Record<string, unknown>): Promise<MockResponse> {
+		const { url, method = 'GET', headers = {}, body, timeout = 30, followRedirects = true } = options;
+		if (typeof url !== 'string' || !url) {
+			throw new HttpError(400, 'url is required');
+		}
+		const requestHeaders = { ...(headers as Record<string, string>) };
+		let requestBody: string | undefined;
+		if (body !== undefined && body !== null) {
+			requestBody = typeof body === 'string' ? body : JSON.stringify(body);
+			if (typeof body !== 'string' && !Object.keys(requestHeaders).some(name => name.toLowerCase() === 'content-type')) {
+				requestHeaders['Content-Type'] = 'application/json';
+			}
+		}
+
+		try {
+			// Relative URLs such as /api/services are this server's own endpoints
+			const response = await fetch(new URL(url, this.url), {
+				method: String(method).toUpperCase(),
+				headers: requestHeaders,
+				body: requestBody,
+				redirect: followRedirects ? 'follow' : 'manual',
+				signal: AbortSignal.timeout(Number(timeout) * 1000)
+			});
+			const contentType = response.headers.get('content-type') ?? '';
+			const isBinary = BINARY_CONTENT.test(contentType);
+			let content: unknown;
+			if (isBinary) {
+				content = Buffer.from(await response.arrayBuffer()).toString('base64');
+			} else {
+				content = await response.text();
+				if (contentType.includes('application/json')) {
+					try {
+						content = JSON.parse(content as string);
+					} catch {
+						// Keep the text
+					}
+				}
+			}
+			return json({ status: response.status, content, is_binary: isBinary, headers: Object.fromEntries(response.headers.entries()) });
+		} catch (error) {
+			throw new HttpError(502, `Proxy request failed: ${error instanceof Error ? error.message : String(error)}`);
+		}
+	}
+}
@@ -0,0 +1,117 @@
+/**
+ * The page at /mock-os/sockets that shows connected app sockets and drives latency, disconnects
+ * and outages through the /mock-os/api/sockets endpoints
+ */
+export function renderSocketPanel(): string {
+	return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>Sockets - Mock Sypnex OS</title>
+<style>
+	body { font: 13px sans-serif; margin: 16px; color: #222; }
+	fieldset { margin-bottom: 12px; border: 1px solid #ccc; }
+	table { border-collapse: collapse; width: 100%; }
+	th, td { text-align: left; padding: 4px 8px; border-bottom: 1px solid #eee; }
+	input[type=number] { width: 80px; }
+	#status { color: #a1260d; }
+</style>
+</head>
+<body>
+<h1>Mock Sypnex OS sockets</h1>
+<fieldset>
+	<legend>Network</legend>
+	<label>Latency <input id="latency" type="number" min="0" step="50"> ms</label>
+	<button id="apply-latency">Apply</button>
+	<label><input id="refusing" type="checkbox"> Refuse connections</label>
+	<span id="status"></span>
+</fieldset>
+<fieldset>
+	<legend>Disconnects</legend>
+	<button data-disconnect="transport">Drop all connections</button>
+	<button data-disconnect="server">Disconnect all from server</button>
+	<label>Outage for <input id="outage" type="number" min="1" value="10"> s</label>
+	<button id="start-outage">Start outage</button>
+</fieldset>
+<fieldset>
+	<legend>Send message</legend>
+	<label>Room <input id="room" value="global"></label>
+	<label>Event type <input id="event-type" value="message"></label>
+	<label>Message (JSON) <input id="message" value='"hello"' size="40"></label>
+	<button id="send">Send</button>
+</fieldset>
+<table>
+	<thead><tr><th>Socket</th><th>App</th><th>Rooms</th><th>Connected</th><th></th></tr></thead>
+	<tbody id="clients"></tbody>
+</table>
+<script>
+const post = (path, body) => fetch('/mock-os/api/sockets' + path, {
+	method: 'POST',
+	headers: { 'Content-Type': 'application/json' },
+	body: JSON.stringify(body)
+}).then(refresh);
+
+function cell(text) {
+	const td = document.createElement('td');
+	td.textContent = text;
+	return td;
+}
+
+function button(label, onClick) {
+	const element = document.createElement('button');
+	element.textContent = label;
+	element.addEventListener('click', onClick);
+	return element;
+}
+
+async function refresh() {
+	try {
+		const state = await (await fetch('/mock-os/api/sockets')).json();
+		const latency = document.getElementById('latency');
+		if (document.activeElement !== latency) {
+			latency.value = state.latency;
+		}
+		document.getElementById('refusing').checked = state.refusingConnections;
+		document.getElementById('status').textContent = state.refusingConnections ? 'Connections are being refused' : '';
+		const rows = state.clients.map(client => {
+			const row = document.createElement('tr');
+			row.append(cell(client.id), cell(client.appId || '-'), cell(client.rooms.join(', ') || '-'),
+				cell(new Date(client.connectedAt).toLocaleTimeString()));
+			const actions = document.createElement('td');
+			actions.append(
+				button('Drop', () => post('/disconnect', { mode: 'transport', id: client.id })),
+				button('Disconnect', () => post('/disconnect', { mode: 'server', id: client.id })));
+			row.append(actions);
+			return row;
+		});
+		document.getElementById('clients').replaceChildren(...rows);
+	} catch {
+		document.getElementById('status').textContent = 'Mock OS is not responding';
+	}
+}
+
+document.getElementById('apply-latency').addEventListener('click', () =>
+	post('/config', { latency: Number(document.getElementById('latency').value) || 0 }));
+document.getElementById('refusing').addEventListener('change', event =>
+	post('/config', { refusingConnections: event.target.checked }));
+document.querySelectorAll('[data-disconnect]').forEach(element => element.addEventListener('click', () =>
+	post('/disconnect', { mode: element.dataset.disconnect })));
+document.getElementById('start-outage').addEventListener('click', () =>
+	post('/outage', { seconds: Number(document.getElementById('outage').value) || 10 }));
+document.getElementById('send').addEventListener('click', () => {
+	let message = document.getElementById('message').value;
+	try {
+		message = JSON.parse(message);
+	} catch {
+		// Send it as text
+	}
+	post('/send', { room: document.getElementById('room').value, event_type: document.getElementById('event-type').value, message });
+});
+
+refresh();
+setInterval(refresh, 1000);
+</script>
+</body>
+</html>
+`;
+}
@@ -0,0 +1,193 @@
+import * as http from 'http';
+import { Server, Socket } from 'socket.io';
+
+/**
+ * A connected app socket, as the control panel lists it
+ */
+export interface MockSocketClient {
+	id: string;
+	/** From the app_connect event sypnexAPI sends once connected */
+	appId?: string;
+	rooms: string[];
+	connectedAt: string;
+}
+
+export interface MockSocketState {
+	/** Delay before every incoming event is handled, in milliseconds */
+	latency: number;
+	/** Whether new connections and reconnection attempts are turned away */
+	refusingConnections: boolean;
+	clients: MockSocketClient[];
+}
+
+/**
+ * How the mock OS ends a connection:
+ * - 'server': the server disconnects the socket, which Socket.IO never reconnects on its own
+ *   ('io server disconnect'), so only sypnexAPI's own auto-reconnect brings it back
+ * - 'transport': the connection just drops ('transport close'), which Socket.IO's reconnection handles
+ */
+export type DisconnectMode = 'server' | 'transport';
+
+// 'global' is the room sendMessage uses when none is given: every connected app
+const GLOBAL_ROOM = 'global';
+
+// Event names Socket.IO keeps for itself and refuses to emit
+const RESERVED_EVENTS = new Set(['connect', 'connect_error', 'disconnect', 'disconnecting', 'newListener', 'removeListener']);
+
+function getRoom(data: unknown): string | undefined {
+	const room = data && typeof data === 'object' ? (data as { room?: unknown }).room : undefined;
+	return typeof room === 'string' && room ? room : undefined;
+}
+
+function getAppId(data: unknown): string | undefined {
+	const appId = data && typeof data === 'object' ? (data as { appId?: unknown }).appId : undefined;
+	return typeof appId === 'string' && appId ? appId : undefined;
+}
+
+/**
+ * The Socket.IO side of the mock OS: the app_connect, join_room, leave_room, message and ping events
+ * sypnexAPI's socket methods speak, with room broadcast, plus the latency, disconnects and outages
+ * the control panel drives
+ */
+export class MockSocketHub {
+	private readonly io: Server;
+	private readonly connectedAt = new Map<string, string>();
+	private latency = 0;
+	private refusing = false;
+	private outageTimer: NodeJS.Timeout | undefined;
+
+	/**
+	 * @param rejectReason why a connection request is turned away for its Host or Origin, if it is
+	 */
+	constructor(
+		httpServer: http.Server,
+		private readonly log: (line: string) => void = () => {},
+		rejectReason: (request: http.IncomingMessage) => string | undefined = () => undefined
+	) {
+		this.io = new Server(httpServer, {
+			serveClient: false,
+			// Refused at the transport level, so Socket.IO's reconnection keeps retrying
+			allowRequest: (request, callback) => {
+				const reason = rejectReason(request) ?? (this.refusing ? 'Mock OS is refusing connections' : undefined);
+				callback(reason ?? null, !reason);
+			}
+		});
+		this.io.on('connection', socket => this.accept(socket));
+	}
+
+	getState(): MockSocketState {
+		const clients = [...this.io.sockets.sockets.values()].map(socket => ({
+			id: socket.id,
+			appId: socket.data.appId,
+			rooms: [...socket.rooms].filter(room => room !== socket.id),
+			connectedAt: this.connectedAt.get(socket.id) ?? ''
+		}));
+		return { latency: this.latency, refusingConnections: this.refusing, clients };
+	}
+
+	configure(config: { latency?: unknown; refusingConnections?: unknown }): void {
+		if (typeof config.latency === 'number' && config.latency >= 0) {
+			this.latency = config.latency;
+			this.log(`Socket latency set to ${this.latency} ms`);
+		}
+		if (typeof config.refusingConnections === 'boolean') {
+			this.refusing = config.refusingConnections;
+			this.log(this.refusing ? 'Refusing socket connections' : 'Accepting socket connections');
+		}
+	}
+
+	/** End one connection, or all of them when no id is given */
+	disconnect(mode: DisconnectMode, id?: string): number {
+		const sockets = [...this.io.sockets.sockets.values()].filter(socket => !id || socket.id === id);
+		for (const socket of sockets) {
+			if (mode === 'server') {
+				socket.disconnect(true);
+			} else {
+				socket.conn.close();
+			}
+		}
+		this.log(`Disconnected ${sockets.length} socket(s) (${mode})`);
+		return sockets.length;
+	}
+
+	/** Drop every connection and turn reconnection attempts away for a while */
+	startOutage(seconds: number): void {
+		clearTimeout(this.outageTimer);
+		this.configure({ refusingConnections: true });
+		this.disconnect('transport');
+		this.outageTimer = setTimeout(() => this.configure({ refusingConnections: false }), seconds * 1000);
+	}
+
+	/** Send a message to a room as if another app had sent it */
+	send(room: string, eventType: string, message: unknown): void {
+		this.deliver({ message, room, event_type: eventType, appId: 'mock-os' });
+	}
+
+	close(): Promise<void> {
+		clearTimeout(this.outageTimer);
+		return new Promise(resolve => this.io.close(() => resolve()));
+	}
+
+	private accept(socket: Socket): void {
+		this.connectedAt.set(socket.id, new Date().toISOString());
+		this.log(`Socket ${socket.id} connected`);
+		socket.on('disconnect', reason => {
+			this.connectedAt.delete(socket.id);
+			this.log(`Socket ${socket.id} disconnected (${reason})`);
+		});
+
+		// Every event waits out the configured latency, acknowledgements included
+		const handle = (event: string, handler: (data: unknown, ack?: (...args: unknown[]) => void) => void) => {
+			socket.on(event, (data, ack) => {
+				const callback = typeof data === 'function' ? data : ack;
+				setTimeout(() => {
+					if (socket.connected) {
+						handler(typeof data === 'function' ? undefined : data, typeof callback === 'function' ? callback : undefined);
+					}
+				}, this.latency);
+			});
+		};
+
+		handle('app_connect', data => {
+			socket.data.appId = getAppId(data);
+			this.log(`Socket ${socket.id} identified as ${socket.data.appId}`);
+		});
+		handle('join_room', data => {
+			const room = getRoom(data);
+			if (room) {
+				socket.join(room);
+				socket.emit('room_joined', { room, appId: getAppId(data) });
+				this.log(`${socket.data.appId ?? socket.id} joined ${room}`);
+			}
+		});
+		handle('leave_room', data => {
+			const room = getRoom(data);
+			if (room) {
+				socket.leave(room);
+				socket.emit('room_left', { room, appId: getAppId(data) });
+				this.log(`${socket.data.appId ?? socket.id} left ${room}`);
+			}
+		});
+		handle('message', data => {
+			if (data && typeof data === 'object') {
+				this.deliver({ ...(data as Record<string, unknown>), room: getRoom(data) ?? GLOBAL_ROOM, sender: socket.id });
+			}
+		});
+		handle('ping', (_data, ack) => {
+			const pong = { timestamp: Date.now() };
+			ack?.(pong);
+			socket.emit('pong', pong);
+		});
+	}
+
+	// To everyone in the room, sender included, as 'message' and under its event type
+	private deliver(data: { room: string; event_type?: unknown; [key: string]: unknown }): void {
+		const payload = { ...data, timestamp: Date.now() };
+		const target = data.room === GLOBAL_ROOM ? this.io : this.io.to(data.room);
+		target.emit('message', payload);
+		if (typeof data.event_type === 'string' && data.event_type && data.event_type !== 'message' && !RESERVED_EVENTS.has(data.event_type)) {
+			target.emit(data.event_type, payload);
+		}
+		this.log(`Message ${String(data.event_type)} to ${data.room}`);
+	}
+}
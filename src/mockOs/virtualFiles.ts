@@ -0,0 +1,181 @@
+import * as fs from 'fs';
+import * as path from 'path';
+import { HttpError } from './httpError';
+
+/**
+ * A file or folder as /api/virtual-files/info and /list describe it
+ */
+export interface VirtualItem {
+	name: string;
+	path: string;
+	type: 'file' | 'directory';
+	is_directory: boolean;
+	size: number;
+	mime_type?: string;
+	created_at: string;
+	updated_at: string;
+}
+
+const MIME_TYPES: Record<string, string> = {
+	'.txt': 'text/plain',
+	'.md': 'text/markdown',
+	'.html': 'text/html',
+	'.css': 'text/css',
+	'.js': 'text/javascript',
+	'.json': 'application/json',
+	'.csv': 'text/csv',
+	'.svg': 'image/svg+xml',
+	'.png': 'image/png',
+	'.jpg': 'image/jpeg',
+	'.jpeg': 'image/jpeg',
+	'.gif': 'image/gif',
+	'.webp': 'image/webp',
+	'.mp3': 'audio/mpeg',
+	'.wav': 'audio/wav',
+	'.ogg': 'audio/ogg',
+	'.mp4': 'video/mp4',
+	'.webm': 'video/webm',
+	'.pdf': 'application/pdf'
+};
+
+export function getMimeType(file: string): string {
+	return MIME_TYPES[path.extname(file).toLowerCase()] ?? 'application/octet-stream';
+}
+
+// Names of new items: no separators, no . or ..
+function checkName(name: unknown): string {
+	if (typeof name !== 'string' || !name || name === '.' || name === '..' || /[\\/]/.test(name)) {
+		throw new HttpError(400, 'Invalid name');
+	}
+	return name;
+}
+
+/**
+ * The Sypnex OS virtual file system, backed by a local directory that stands for its root
+ */
+export class VirtualFileSystem {
+	constructor(readonly root: string) {}
+
+	/** Local path of a virtual path, which can never leave the root */
+	resolve(virtualPath: string): string {
+		const normalized = path.posix.normalize(`/${virtualPath.replace(/\\/g, '/')}`);
+		return path.join(this.root, ...normalized.split('/').filter(Boolean));
+	}
+
+	private stat(virtualPath: string): fs.Stats {
+		try {
+			return fs.statSync(this.resolve(virtualPath));
+		} catch {
+			throw new HttpError(404, `Item not found: ${virtualPath}`);
+		}
+	}
+
+	private describe(virtualPath: string, stats: fs.Stats): VirtualItem {
+		const normalized = path.posix.normalize(`/${virtualPath}`).replace(/(.)\/$/, '$1');
+		const isDirectory = stats.isDirectory();
+		return {
+			name: path.posix.basename(normalized) || '/',
+			path: normalized,
+			type: isDirectory ? 'directory' : 'file',
+			is_directory: isDirectory,
+			size: isDirectory ? 0 : stats.size,
+			...(isDirectory ? {} : { mime_type: getMimeType(normalized) }),
+			created_at: stats.birthtime.toISOString(),
+			updated_at: stats.mtime.toISOString()
+		};
+	}
+
+	// New items go into an existing folder and never replace anything
+	private prepareNewItem(name: unknown, parentPath: unknown): string {
+		const parent = typeof parentPath === 'string' && parentPath ? parentPath : '/';
+		if (!this.stat(parent).isDirectory()) {
+			throw new HttpError(400, `Not a directory: ${parent}`);
+		}
+		const itemPath = path.posix.join(parent, checkName(name));
+		if (fs.existsSync(this.resolve(itemPath))) {
+			throw new HttpError(409, `Item already exists: ${itemPath}`);
+		}
+		return itemPath;
+	}
+
+	info(virtualPath: string): VirtualItem {
+		return this.describe(virtualPath, this.stat(virtualPath));
+	}
+
+	list(virtualPath: string): { path: string; items: VirtualItem[] } {
+		const directory = this.info(virtualPath);
+		if (!directory.is_directory) {
+			throw new HttpError(400, `Not a directory: ${virtualPath}`);
+		}
+		const items = fs.readdirSync(this.resolve(virtualPath))
+			.map(name => this.info(path.posix.join(directory.path, name)))
+			.sort((a, b) => Number(b.is_directory) - Number(a.is_directory) || a.name.localeCompare(b.name));
+		return { path: directory.path, items };
+	}
+
+	read(virtualPath: string): VirtualItem & { content: string } {
+		const item = this.info(virtualPath);
+		if (item.is_directory) {
+			throw new HttpError(400, `Not a file: ${virtualPath}`);
+		}
+		return { ...item, content: fs.readFileSync(this.resolve(virtualPath), 'utf8') };
+	}
+
+	readBytes(virtualPath: string): Buffer {
+		if (this.info(virtualPath).is_directory) {
+			throw new HttpError(400, `Not a file: ${virtualPath}`);
+		}
+		return fs.readFileSync(this.resolve(virtualPath));
+	}
+
+	createFolder(name: unknown, parentPath: unknown): VirtualItem {
+		const itemPath = this.prepareNewItem(name, parentPath);
+		fs.mkdirSync(this.resolve(itemPath));
+		return this.info(itemPath);
+	}
+
+	createFile(name: unknown, content: string | Buffer, parentPath: unknown): VirtualItem {
+		const itemPath = this.prepareNewItem(name, parentPath);
+		fs.writeFileSync(this.resolve(itemPath), content);
+		return this.info(itemPath);
+	}
+
+	/** Create or overwrite a file in an existing folder */
+	write(virtualPath: string, content: string): VirtualItem {
+		const parent = path.posix.dirname(path.posix.normalize(`/${virtualPath}`));
+		if (!this.stat(parent).isDirectory()) {
+			throw new HttpError(400, `Not a directory: ${parent}`);
+		}
+		if (fs.existsSync(this.resolve(virtualPath)) && this.info(virtualPath).is_directory) {
+			throw new HttpError(400, `Not a file: ${virtualPath}`);
+		}
+		fs.writeFileSync(this.resolve(virtualPath), content);
+		return this.info(virtualPath);
+	}
+
+	delete(virtualPath: string): void {
+		const item = this.info(virtualPath);
+		if (item.path === '/') {
+			throw new HttpError(400, 'Cannot delete the root directory');
+		}
+		fs.rmSync(this.resolve(virtualPath), { recursive: true });
+	}
+
+	stats(): { total_files: number; total_directories: number; total_size: number } {
+		const stats = { total_files: 0, total_directories: 0, total_size: 0 };
+		const walk = (directory: string) => {
+			for (const entry of fs.readdirSync(directory, { withFileTypes: true })) {
+				const local = path.join(directory, entry.name);
+				if (entry.isDirectory()) {
+					stats.total_directories++;
+					walk(local);
+				} else {
+					stats.total_files++;
+					stats.total_size += fs.statSync(local).size;
+				}
+			}
+		};
+		walk(this.root);
+		return stats;
+	}
+}
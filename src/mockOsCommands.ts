@@ -0,0 +1,200 @@
+import * as fs from 'fs';
+import * as path from 'path';
+import * as vscode from 'vscode';
+import { appFromHtmlFile, MockApp, readAppManifest } from './mockOs/appPage';
+import { MockOsServer } from './mockOs/server';
+
+// Must match the commands contributed in package.json
+const START_COMMAND = 'sypnex-os-api-support.startMockOs';
+const STOP_COMMAND = 'sypnex-os-api-support.stopMockOs';
+const SOCKET_PANEL_COMMAND = 'sypnex-os-api-support.openMockOsSocketPanel';
+// The Socket.IO browser client, shipped in the package for app pages to load
+const SOCKET_CLIENT_PATH = 'node_modules/socket.io-client/dist/socket.io.min.js';
+
+/**
+ * Apps in the workspace: folders with a .app manifest, and the HTML file in the active editor
+ */
+async function findWorkspaceApps(): Promise<MockApp[]> {
+	const manifests = await vscode.workspace.findFiles('**/*.app', '**/node_modules/**');
+	const apps = manifests
+		.map(uri => readAppManifest(uri.fsPath))
+		.filter((app): app is MockApp => !!app);
+
+	const active = vscode.window.activeTextEditor?.document;
+	if (active?.languageId === 'html' && active.uri.scheme === 'file' &&
+		!apps.some(app => app.htmlFile === active.uri.fsPath)) {
+		apps.push(appFromHtmlFile(active.uri.fsPath));
+	}
+	return apps;
+}
+
+// Settings paths are relative to the first workspace folder
+function resolveSettingPath(setting: string, fallback: string): string {
+	const folder = vscode.workspace.workspaceFolders?.[0];
+	if (!setting) {
+		return fallback;
+	}
+	return path.isAbsolute(setting) || !folder ? setting : path.join(folder.uri.fsPath, setting);
+}
+
+/**
+ * The mock Sypnex OS of this window: started on demand, logging its requests and socket traffic
+ * to an output channel
+ */
+export class MockOsRunner implements vscode.Disposable {
+	private readonly output = vscode.window.createOutputChannel('Sypnex Mock OS');
+	private server: MockOsServer | undefined;
+	// A start in progress, shared by callers that ask while it runs
+	private starting: Promise<string | undefined> | undefined;
+	private apps: MockApp[] = [];
+	private readonly trustedOrigins = new Set<string>();
+
+	constructor(private readonly context: vscode.ExtensionContext, private readonly apiSourcePath: string) {}
+
+	/** Base URL of the running server */
+	get url(): string | undefined {
+		return this.server?.url;
+	}
+
+	/** Start the server unless it runs already, returning its URL, or undefined when it could not start */
+	async start(): Promise<string | undefined> {
+		if (this.server?.url) {
+			return this.server.url;
+		}
+		this.starting ??= this.startServer().finally(() => {
+			this.starting = undefined;
+		});
+		return this.starting;
+	}
+
+	private async startServer(): Promise<string | undefined> {
+		const config = vscode.workspace.getConfiguration('sypnex');
+		const fallbackData = vscode.workspace.workspaceFolders?.[0]
+			? '.sypnex-mock'
+			: path.join(this.context.globalStorageUri.fsPath, 'mock-os');
+		const dataDirectory = resolveSettingPath(config.get<string>('mockOs.dataDirectory', '') || fallbackData, fallbackData);
+		const vfsRoot = resolveSettingPath(config.get<string>('vfs.mirrorDirectory', ''), path.join(dataDirectory, 'vfs'));
+
+		const apps = await this.refreshApps();
+		const server = new MockOsServer({
+			dataDirectory,
+			vfsRoot,
+			apiSourcePath: this.apiSourcePath,
+			socketClientPath: this.context.asAbsolutePath(SOCKET_CLIENT_PATH),
+			apps,
+			onRequest: (method, url, status) => this.output.appendLine(`${new Date().toISOString()} ${method} ${url} ${status}`),
+			onSocketEvent: line => this.output.appendLine(`${new Date().toISOString()} [socket] ${line}`)
+		});
+		try {
+			const url = await server.start(config.get<number>('mockOs.port', 5050));
+			this.trustedOrigins.forEach(origin => server.trustOrigin(origin));
+			this.server = server;
+			this.output.appendLine(`Mock Sypnex OS listening at ${url}, data in ${dataDirectory}, virtual files in ${vfsRoot}`);
+			return url;
+		} catch (error) {
+			vscode.window.showErrorMessage(`Could not start the mock Sypnex OS: ${error instanceof Error ? error.message : String(error)}`);
+			return undefined;
+		}
+	}
+
+	async stop(): Promise<boolean> {
+		if (!this.server) {
+			return false;
+		}
+		await this.server.stop();
+		this.server = undefined;
+		this.output.appendLine('Mock Sypnex OS stopped');
+		return true;
+	}
+
+	/** Let pages reach the server through another origin too, such as a forwarded port */
+	trustOrigin(origin: string): void {
+		this.trustedOrigins.add(origin);
+		this.server?.trustOrigin(origin);
+	}
+
+	/** Scan the workspace for apps again, so new manifests are served */
+	async refreshApps(): Promise<MockApp[]> {
+		const apps = await findWorkspaceApps();
+		// A lone HTML file stays served after its editor loses focus
+		for (const app of this.apps) {
+			if (!apps.some(candidate => candidate.id === app.id) && fs.existsSync(app.htmlFile)) {
+				apps.push(app);
+			}
+		}
+		this.apps = apps;
+		this.server?.setApps(apps);
+		return apps;
+	}
+
+	/** The app of the active editor, the only app, or the one the user picks */
+	async pickApp(): Promise<MockApp | undefined> {
+		const apps = await this.refreshApps();
+		const activeFile = vscode.window.activeTextEditor?.document.uri.fsPath;
+		const active = activeFile && apps.find(app => activeFile.startsWith(app.directory + path.sep));
+		if (active || apps.length <= 1) {
+			return active || apps[0];
+		}
+		const picked = await vscode.window.showQuickPick(
+			apps.map(app => ({ label: app.name, description: app.id, detail: vscode.workspace.asRelativePath(app.htmlFile), app })),
+			{ placeHolder: 'App to open in the mock Sypnex OS' }
+		);
+		return picked?.app;
+	}
+
+	dispose(): void {
+		this.server?.stop();
+		this.output.dispose();
+	}
+}
+
+/**
+ * "Sypnex: Start Mock OS" and "Sypnex: Stop Mock OS": a local stand-in for the Sypnex OS backend that
+ * runs workspace apps in the browser. "Sypnex: Open Mock OS Socket Panel" opens the page that drives
+ * its socket latency and disconnects.
+ */
+export function registerMockOs(context: vscode.ExtensionContext, apiSourcePath: string): MockOsRunner {
+	const runner = new MockOsRunner(context, apiSourcePath);
+
+	const openApp = async (url: string) => {
+		const app = await runner.pickApp();
+		const page = app ? `/app/${encodeURIComponent(app.id)}/` : '/';
+		await vscode.env.openExternal(vscode.Uri.parse(url + page));
+	};
+
+	const start = vscode.commands.registerCommand(START_COMMAND, async () => {
+		const running = runner.url;
+		const url = await runner.start();
+		if (!url) {
+			return;
+		}
+		const message = running ? `Mock Sypnex OS is already running at ${url}` : `Mock Sypnex OS is running at ${url}`;
+		const action = await vscode.window.showInformationMessage(message, 'Open App', 'Stop');
+		if (action === 'Open App') {
+			await openApp(url);
+		} else if (action === 'Stop') {
+			await runner.stop();
+		}
+	});
+
+	const stop = vscode.commands.registerCommand(STOP_COMMAND, async () => {
+		if (!await runner.stop()) {
+			vscode.window.showInformationMessage('Mock Sypnex OS is not running');
+		}
+	});
+
+	const socketPanel = vscode.commands.registerCommand(SOCKET_PANEL_COMMAND, async () => {
+		if (!runner.url) {
+			vscode.window.showInformationMessage('Start the mock Sypnex OS first', 'Start Mock OS').then(action => {
+				if (action) {
+					vscode.commands.executeCommand(START_COMMAND);
+				}
+			});
+			return;
+		}
+		await vscode.env.openExternal(vscode.Uri.parse(`${runner.url}/mock-os/sockets`));
+	});
+
+	context.subscriptions.push(runner, start, stop, socketPanel);
+	return runner;
+}
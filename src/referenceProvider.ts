@@ -0,0 +1,31 @@
+import * as vscode from 'vscode';
+import { ApiUsageIndex } from './apiUsage';
+import { isScriptPosition } from './languages';
+import { findApiMethodReferenceAt, getSourceFile } from './sourceAnalysis';
+
+// Find All References for sypnexAPI methods, across every script and HTML file in the workspace
+export class SypnexReferenceProvider implements vscode.ReferenceProvider {
+	constructor(private readonly usageIndex: ApiUsageIndex) {}
+
+	async provideReferences(
+		document: vscode.TextDocument,
+		position: vscode.Position,
+		_context: vscode.ReferenceContext,
+		token: vscode.CancellationToken
+	): Promise<vscode.Location[] | undefined> {
+		if (!isScriptPosition(document, position)) {
+			return undefined;
+		}
+
+		const method = findApiMethodReferenceAt(getSourceFile(document), document.offsetAt(position));
+		if (!method) {
+			return undefined;
+		}
+
+		// By method object: sypnexAPI.scaling.x is not sypnexAPI.x
+		const usages = await this.usageIndex.usages(token);
+		return usages
+			.filter(usage => usage.method === method)
+			.map(usage => usage.location);
+	}
+}
@@ -0,0 +1,502 @@
+import * as ts from 'typescript';
+import { getApiMethodName } from './sourceAnalysis';
+
+/**
+ * Something an app leaves behind in the page when it closes, unless an onBeforeClose hook undoes it.
+ * Sypnex OS only cleans up what was set through sypnexAPI.getAppWindow().
+ */
+export interface SandboxLeak {
+	kind: 'global' | 'interval' | 'animation-frame' | 'listener' | 'socket';
+	/** The write or call */
+	node: ts.Node;
+	message: string;
+	/** Statement that undoes it, when one can be written: clearInterval(timer); */
+	teardown?: string;
+	/** Variables the teardown refers to, which the hook has to see ("this" for this.x) */
+	names: string[];
+}
+
+// Objects that are the real, shared window
+const GLOBAL_OBJECTS = new Set(['window', 'globalThis', 'self']);
+const LISTENER_TARGETS = new Set([...GLOBAL_OBJECTS, 'document', 'document.body', 'document.documentElement']);
+
+// window.location = url navigates rather than adding a property
+const IGNORED_GLOBALS = new Set(['location']);
+
+// What onBeforeClose hooks in the file undo
+interface Teardown {
+	keys: Set<string>;
+	/** Variables set to false, which stop loops that check them */
+	stopped: Set<string>;
+	/** Hook functions and the functions they call, which are cleanup code themselves */
+	functions: Set<ts.Node>;
+}
+
+function skipParentheses(node: ts.Node): ts.Node {
+	while (ts.isParenthesizedExpression(node.parent)) {
+		node = node.parent;
+	}
+	return node;
+}
+
+// setInterval, window.setInterval, globalThis.setInterval
+function getGlobalFunctionName(expression: ts.Expression): string | undefined {
+	if (ts.isIdentifier(expression)) {
+		return expression.text;
+	}
+	if (ts.isPropertyAccessExpression(expression) && ts.isIdentifier(expression.expression) &&
+		GLOBAL_OBJECTS.has(expression.expression.text)) {
+		return expression.name.text;
+	}
+	return undefined;
+}
+
+// window.foo or window['foo'] -> foo
+function getGlobalProperty(node: ts.Expression): string | undefined {
+	if (!(ts.isPropertyAccessExpression(node) || ts.isElementAccessExpression(node)) ||
+		!ts.isIdentifier(node.expression) || !GLOBAL_OBJECTS.has(node.expression.text)) {
+		return undefined;
+	}
+	if (ts.isPropertyAccessExpression(node)) {
+		return node.name.text;
+	}
+	return ts.isStringLiteralLike(node.argumentExpression) ? node.argumentExpression.text : undefined;
+}
+
+function isNullish(node: ts.Expression): boolean {
+	return node.kind === ts.SyntaxKind.NullKeyword || (ts.isIdentifier(node) && node.text === 'undefined');
+}
+
+// Text without whitespace, so `document . body` and document.body are the same key
+function keyText(node: ts.Node): string {
+	if (ts.isStringLiteralLike(node)) {
+		return `'${node.text}'`;
+	}
+	return node.getText().replace(/\s+/g, '');
+}
+
+// const timer = setInterval(...) or this.timer = setInterval(...) -> the variable holding the id
+function getHandle(call: ts.Expression): ts.Expression | undefined {
+	const node = skipParentheses(call);
+	const parent = node.parent;
+	if (ts.isVariableDeclaration(parent) && parent.initializer === node && ts.isIdentifier(parent.name)) {
+		return parent.name;
+	}
+	if (ts.isBinaryExpression(parent) && parent.operatorToken.kind === ts.SyntaxKind.EqualsToken && parent.right === node &&
+		(ts.isIdentifier(parent.left) || ts.isPropertyAccessExpression(parent.left))) {
+		return parent.left;
+	}
+	return undefined;
+}
+
+// Names a teardown statement needs in scope: timer, or "this" for this.timer
+function namesOf(...expressions: (ts.Expression | undefined)[]): string[] {
+	return expressions.flatMap(expression => {
+		if (!expression) {
+			return [];
+		}
+		let root = expression;
+		while (ts.isPropertyAccessExpression(root) || ts.isElementAccessExpression(root)) {
+			root = root.expression;
+		}
+		if (root.kind === ts.SyntaxKind.ThisKeyword) {
+			return ['this'];
+		}
+		return ts.isIdentifier(root) && !LISTENER_TARGETS.has(root.text) ? [root.text] : [];
+	});
+}
+
+function getFunctionName(node: ts.Node): string | undefined {
+	if ((ts.isFunctionDeclaration(node) || ts.isMethodDeclaration(node) || ts.isFunctionExpression(node)) &&
+		node.name && ts.isIdentifier(node.name)) {
+		return node.name.text;
+	}
+	if ((ts.isArrowFunction(node) || ts.isFunctionExpression(node)) && ts.isVariableDeclaration(node.parent) &&
+		ts.isIdentifier(node.parent.name)) {
+		return node.parent.name.text;
+	}
+	return undefined;
+}
+
+// requestAnimationFrame(loop) or requestAnimationFrame(() => this.loop()) inside loop itself
+function findLoopFunction(call: ts.CallExpression): ts.Node | undefined {
+	const callback = call.arguments[0];
+	let target: string | undefined;
+	if (callback && ts.isIdentifier(callback)) {
+		target = callback.text;
+	} else if (callback && ts.isArrowFunction(callback) && ts.isCallExpression(callback.body)) {
+		const callee = callback.body.expression;
+		target = ts.isIdentifier(callee) ? callee.text : ts.isPropertyAccessExpression(callee) ? callee.name.text : undefined;
+	}
+	return target === undefined ? undefined : ts.findAncestor(call.parent, node => getFunctionName(node) === target);
+}
+
+// Functions declared in the file by name, to follow onBeforeClose(cleanup) and calls made from hooks
+function collectFunctions(sourceFile: ts.SourceFile): Map<string, ts.Node[]> {
+	const functions = new Map<string, ts.Node[]>();
+	function visit(node: ts.Node): void {
+		const name = ts.isFunctionLike(node) ? getFunctionName(node) : undefined;
+		if (name) {
+			functions.set(name, [...functions.get(name) ?? [], node]);
+		}
+		ts.forEachChild(node, visit);
+	}
+	visit(sourceFile);
+	return functions;
+}
+
+function collectTeardown(sourceFile: ts.SourceFile): Teardown {
+	const functionsByName = collectFunctions(sourceFile);
+	const teardown: Teardown = { keys: new Set(), stopped: new Set(), functions: new Set() };
+	const pending: ts.Node[] = [];
+
+	function addFunction(node: ts.Node | undefined): void {
+		if (node && !teardown.functions.has(node)) {
+			teardown.functions.add(node);
+			pending.push(node);
+		}
+	}
+	function addFunctionsNamed(name: string): void {
+		(functionsByName.get(name) ?? []).forEach(addFunction);
+	}
+
+	function findHooks(node: ts.Node): void {
+		if (ts.isCallExpression(node) && getApiMethodName(node.expression) === 'onBeforeClose' && node.arguments.length > 0) {
+			const hook = node.arguments[0];
+			if (ts.isArrowFunction(hook) || ts.isFunctionExpression(hook)) {
+				addFunction(hook);
+			} else if (ts.isIdentifier(hook) || ts.isPropertyAccessExpression(hook)) {
+				addFunctionsNamed(ts.isIdentifier(hook) ? hook.text : hook.name.text);
+			}
+		}
+		ts.forEachChild(node, findHooks);
+	}
+	findHooks(sourceFile);
+
+	function visit(node: ts.Node): void {
+		if (ts.isCallExpression(node)) {
+			const callee = node.expression;
+			const name = getGlobalFunctionName(callee);
+			const [first, second] = node.arguments;
+			if ((name === 'clearInterval' || name === 'clearTimeout') && first) {
+				teardown.keys.add(`clear:${keyText(first)}`);
+			} else if (name === 'cancelAnimationFrame' && first) {
+				teardown.keys.add(`cancel:${keyText(first)}`);
+			} else if (getApiMethodName(callee) === 'disconnectSocket') {
+				teardown.keys.add('disconnectSocket');
+			} else if (ts.isPropertyAccessExpression(callee)) {
+				const method = callee.name.text;
+				if (method === 'removeEventListener' && first && second) {
+					teardown.keys.add(`remove:${keyText(callee.expression)}:${keyText(first)}:${keyText(second)}`);
+				} else if (method === 'close' || method === 'disconnect') {
+					teardown.keys.add(`close:${keyText(callee.expression)}`);
+				}
+				// this.stopGame() and helpers called from the hook clean up too
+				if (callee.expression.kind === ts.SyntaxKind.ThisKeyword) {
+					addFunctionsNamed(method);
+				}
+			} else if (ts.isIdentifier(callee)) {
+				addFunctionsNamed(callee.text);
+			}
+		}
+		if (ts.isDeleteExpression(node)) {
+			const property = getGlobalProperty(node.expression);
+			if (property) {
+				teardown.keys.add(`delete:${property}`);
+			}
+		}
+		if (ts.isBinaryExpression(node) && node.operatorToken.kind === ts.SyntaxKind.EqualsToken) {
+			const property = getGlobalProperty(node.left);
+			if (property && isNullish(node.right)) {
+				teardown.keys.add(`delete:${property}`);
+			}
+			if (node.right.kind === ts.SyntaxKind.FalseKeyword) {
+				teardown.stopped.add(keyText(node.left));
+			}
+		}
+		ts.forEachChild(node, visit);
+	}
+	while (pending.length > 0) {
+		visit(pending.pop()!);
+	}
+
+	return teardown;
+}
+
+// A loop stops when the hook sets a flag the loop function reads: gameRunning = false
+function readsStoppedFlag(loop: ts.Node, teardown: Teardown): boolean {
+	let found = false;
+	function visit(node: ts.Node): void {
+		if ((ts.isIdentifier(node) || ts.isPropertyAccessExpression(node)) && teardown.stopped.has(keyText(node))) {
+			found = true;
+		}
+		if (!found) {
+			ts.forEachChild(node, visit);
+		}
+	}
+	visit(loop);
+	return found;
+}
+
+function findGlobalWrite(node: ts.BinaryExpression, teardown: Teardown): SandboxLeak | undefined {
+	const property = getGlobalProperty(node.left);
+	if (!property || IGNORED_GLOBALS.has(property) || isNullish(node.right) || teardown.keys.has(`delete:${property}`)) {
+		return undefined;
+	}
+	const target = node.left.getText();
+	return {
+		kind: 'global',
+		node: node.left,
+		message: `'${target}' is set on the real window and outlives the app. Set it on sypnexAPI.getAppWindow(), which is cleaned up, or delete it in onBeforeClose.`,
+		// Event handler properties are reset, other properties deleted
+		teardown: /^on[a-z]+$/.test(property) ? `${target} = null;` : `delete ${target};`,
+		names: []
+	};
+}
+
+function findCallLeak(node: ts.CallExpression | ts.NewExpression, teardown: Teardown): SandboxLeak | undefined {
+	const callee = node.expression;
+	const name = getGlobalFunctionName(callee);
+	const args = node.arguments ?? [];
+
+	if (ts.isNewExpression(node)) {
+		if (name !== 'WebSocket') {
+			return undefined;
+		}
+		const handle = getHandle(node);
+		if (handle && teardown.keys.has(`close:${keyText(handle)}`)) {
+			return undefined;
+		}
+		return {
+			kind: 'socket',
+			node,
+			message: 'This WebSocket stays open after the app closes; close it in onBeforeClose.',
+			teardown: handle && `${handle.getText()}.close();`,
+			names: namesOf(handle)
+		};
+	}
+
+	if (name === 'setInterval') {
+		const handle = getHandle(node);
+		if (handle && teardown.keys.has(`clear:${keyText(handle)}`)) {
+			return undefined;
+		}
+		return {
+			kind: 'interval',
+			node,
+			message: handle
+				? `This interval keeps running after the app closes; clear '${handle.getText()}' in onBeforeClose.`
+				: 'This interval keeps running after the app closes; store its id and clear it in onBeforeClose.',
+			teardown: handle && `clearInterval(${handle.getText()});`,
+			names: namesOf(handle)
+		};
+	}
+
+	if (name === 'requestAnimationFrame') {
+		const loop = findLoopFunction(node as ts.CallExpression);
+		const handle = getHandle(node);
+		if (!loop || readsStoppedFlag(loop, teardown) || (handle && teardown.keys.has(`cancel:${keyText(handle)}`))) {
+			return undefined;
+		}
+		return {
+			kind: 'animation-frame',
+			node,
+			message: handle
+				? `This animation loop keeps running after the app closes; cancel '${handle.getText()}' in onBeforeClose.`
+				: 'This animation loop keeps running after the app closes; store the frame id and cancel it in onBeforeClose.',
+			teardown: handle && `cancelAnimationFrame(${handle.getText()});`,
+			names: namesOf(handle)
+		};
+	}
+
+	if (name === 'io') {
+		const handle = getHandle(node);
+		if (handle && teardown.keys.has(`close:${keyText(handle)}`)) {
+			return undefined;
+		}
+		return {
+			kind: 'socket',
+			node,
+			message: 'This socket stays connected after the app closes; disconnect it in onBeforeClose.',
+			teardown: handle && `${handle.getText()}.disconnect();`,
+			names: namesOf(handle)
+		};
+	}
+
+	if (getApiMethodName(callee) === 'connectSocket') {
+		if (teardown.keys.has('disconnectSocket')) {
+			return undefined;
+		}
+		const api = ts.isPropertyAccessExpression(callee) ? callee.expression : undefined;
+		return {
+			kind: 'socket',
+			node,
+			message: 'This socket stays connected after the app closes; call disconnectSocket() in onBeforeClose.',
+			teardown: `${api ? api.getText() : 'sypnexAPI'}.disconnectSocket();`,
+			names: namesOf(api)
+		};
+	}
+
+	if (ts.isPropertyAccessExpression(callee) && callee.name.text === 'addEventListener' &&
+		LISTENER_TARGETS.has(keyText(callee.expression)) && args.length >= 2) {
+		const [type, handler, options] = args;
+		// An inline handler cannot be removed again
+		const named = ts.isIdentifier(handler) || ts.isPropertyAccessExpression(handler);
+		if (named && teardown.keys.has(`remove:${keyText(callee.expression)}:${keyText(type)}:${keyText(handler)}`)) {
+			return undefined;
+		}
+		const target = callee.expression.getText();
+		const event = ts.isStringLiteralLike(type) ? `'${type.text}' listener` : 'listener';
+		return {
+			kind: 'listener',
+			node,
+			message: named
+				? `This ${event} on ${target} stays after the app closes; remove it in onBeforeClose.`
+				: `This ${event} on ${target} stays after the app closes; keep the handler in a variable so onBeforeClose can remove it.`,
+			teardown: named
+				? `${target}.removeEventListener(${[type, handler, options].filter(Boolean).map(arg => arg.getText()).join(', ')});`
+				: undefined,
+			names: named ? namesOf(handler) : []
+		};
+	}
+	return undefined;
+}
+
+/**
+ * Global writes, intervals, animation loops, sockets and window/document listeners
+ * that no onBeforeClose hook in the file undoes
+ */
+export function findSandboxLeaks(sourceFile: ts.SourceFile): SandboxLeak[] {
+	const teardown = collectTeardown(sourceFile);
+	const leaks: SandboxLeak[] = [];
+
+	function visit(node: ts.Node): void {
+		// Cleanup code is not a leak
+		if (teardown.functions.has(node)) {
+			return;
+		}
+		let leak: SandboxLeak | undefined;
+		if (ts.isBinaryExpression(node) && node.operatorToken.kind === ts.SyntaxKind.EqualsToken) {
+			leak = findGlobalWrite(node, teardown);
+		} else if (ts.isCallExpression(node) || ts.isNewExpression(node)) {
+			leak = findCallLeak(node, teardown);
+		}
+		if (leak) {
+			leaks.push(leak);
+		}
+		ts.forEachChild(node, visit);
+	}
+	visit(sourceFile);
+
+	return leaks;
+}
+
+type Container = ts.SourceFile | ts.Block | ts.ModuleBlock | ts.CaseOrDefaultClause;
+
+function isContainer(node: ts.Node): node is Container {
+	return ts.isSourceFile(node) || ts.isBlock(node) || ts.isModuleBlock(node) || ts.isCaseOrDefaultClause(node);
+}
+
+function declares(container: Container, name: string): boolean {
+	const declaresName = (binding: ts.BindingName): boolean => ts.isIdentifier(binding)
+		? binding.text === name
+		: binding.elements.some(element => !ts.isOmittedExpression(element) && declaresName(element.name));
+
+	if (ts.isBlock(container) && ts.isFunctionLike(container.parent) &&
+		container.parent.parameters.some(parameter => declaresName(parameter.name))) {
+		return true;
+	}
+	return container.statements.some(statement => {
+		if (ts.isVariableStatement(statement)) {
+			return statement.declarationList.declarations.some(declaration => declaresName(declaration.name));
+		}
+		return (ts.isFunctionDeclaration(statement) || ts.isClassDeclaration(statement)) && statement.name?.text === name;
+	});
+}
+
+// The innermost block that can see every name: where a name is declared, or the body of the
+// function "this" belongs to. Names declared nowhere are globals.
+function findCleanupScope(leak: SandboxLeak): Container {
+	for (let node = leak.node.parent; node; node = node.parent) {
+		if (!isContainer(node)) {
+			continue;
+		}
+		const ownsThis = ts.isBlock(node) && ts.isFunctionLike(node.parent) && !ts.isArrowFunction(node.parent);
+		if (leak.names.some(name => name === 'this' ? ownsThis : declares(node as Container, name))) {
+			return node;
+		}
+	}
+	return leak.node.getSourceFile();
+}
+
+function lineIndent(sourceFile: ts.SourceFile, position: number): string {
+	const { line } = sourceFile.getLineAndCharacterOfPosition(position);
+	return /^[ \t]*/.exec(sourceFile.text.slice(sourceFile.getLineStarts()[line]))![0];
+}
+
+// Tabs when the file indents with tabs, else the smallest indent used
+function indentUnit(sourceFile: ts.SourceFile): string {
+	const indents = sourceFile.text.match(/^[ \t]+(?=\S)/gm) ?? [];
+	if (indents.some(indent => indent.startsWith('\t'))) {
+		return '\t';
+	}
+	const width = Math.min(...indents.map(indent => indent.length));
+	return ' '.repeat(Number.isFinite(width) ? width : 4);
+}
+
+// Inline hooks in the scope that the teardown can be added to
+function findExistingHook(scope: Container, leak: SandboxLeak): ts.Block | undefined {
+	let found: ts.Block | undefined;
+	function visit(node: ts.Node): void {
+		if (found) {
+			return;
+		}
+		if (ts.isCallExpression(node) && getApiMethodName(node.expression) === 'onBeforeClose') {
+			const hook = node.arguments[0];
+			// A function expression has its own "this"
+			if (hook && (ts.isArrowFunction(hook) || (ts.isFunctionExpression(hook) && !leak.names.includes('this'))) &&
+				ts.isBlock(hook.body)) {
+				found = hook.body;
+				return;
+			}
+		}
+		// Nested functions are a different scope for "this" and for variables declared in them
+		if (node !== scope && ts.isFunctionLike(node) && !ts.isArrowFunction(node)) {
+			return;
+		}
+		ts.forEachChild(node, visit);
+	}
+	ts.forEachChild(scope, visit);
+	return found;
+}
+
+/**
+ * Where and what to insert so an onBeforeClose hook undoes a leak: a line at the end of an existing
+ * inline hook that can see the leak's variables, or a new hook after the statement that leaks
+ */
+export function planCleanup(leak: SandboxLeak): { offset: number; text: string } | undefined {
+	if (!leak.teardown) {
+		return undefined;
+	}
+	const sourceFile = leak.node.getSourceFile();
+	const scope = findCleanupScope(leak);
+	const unit = indentUnit(sourceFile);
+
+	const hook = findExistingHook(scope, leak);
+	if (hook) {
+		const closeBrace = hook.getEnd() - 1;
+		const indent = lineIndent(sourceFile, closeBrace);
+		const lineStart = sourceFile.getLineStarts()[sourceFile.getLineAndCharacterOfPosition(closeBrace).line];
+		// The closing brace on its own line, or a hook written on one line
+		return /^[ \t]*$/.test(sourceFile.text.slice(lineStart, closeBrace))
+			? { offset: lineStart, text: `${indent}${unit}${leak.teardown}\n` }
+			: { offset: closeBrace, text: `\n${indent}${unit}${leak.teardown}\n${indent}` };
+	}
+
+	const statement = ts.findAncestor(leak.node, node => node.parent === scope)!;
+	const indent = lineIndent(sourceFile, statement.getStart(sourceFile));
+	return {
+		offset: statement.getEnd(),
+		text: `\n\n${indent}sypnexAPI.onBeforeClose(() => {\n${indent}${unit}${leak.teardown}\n${indent}});`
+	};
+}
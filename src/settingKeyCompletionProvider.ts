@@ -0,0 +1,78 @@
+import * as ts from 'typescript';
+import * as vscode from 'vscode';
+import { isScriptPosition } from './languages';
+import { IndexedSettingUse, SettingKeyIndex } from './settingKeyIndex';
+import { getSettingArgument } from './settingKeys';
+import { findStringArgumentAt, getSourceFile } from './sourceAnalysis';
+
+function countLabel(uses: IndexedSettingUse[], access: IndexedSettingUse['access'], verb: string): string | undefined {
+	const count = uses.filter(use => use.access === access).length;
+	return count > 0 ? `${verb} ${count}×` : undefined;
+}
+
+/**
+ * Setting keys and preference categories already used in the workspace, completed in the
+ * key and category arguments of getSetting, setSetting, deleteSetting, getPreference and setPreference
+ */
+export class SypnexSettingKeyCompletionProvider implements vscode.CompletionItemProvider {
+	constructor(private readonly index: SettingKeyIndex) {}
+
+	provideCompletionItems(
+		document: vscode.TextDocument,
+		position: vscode.Position
+	): vscode.CompletionItem[] | undefined {
+		if (!isScriptPosition(document, position)) {
+			return undefined;
+		}
+
+		const sourceFile = getSourceFile(document);
+		const argument = findStringArgumentAt(sourceFile, document.offsetAt(position));
+		const target = argument && getSettingArgument(argument.method, argument.argumentIndex);
+		if (!argument || !target) {
+			return undefined;
+		}
+
+		// The string being typed is not a known key yet
+		const literal = argument.literal;
+		const start = document.positionAt(literal.getStart(sourceFile));
+		const uses = this.index.uses().filter(use => use.store === target.store &&
+			!(use.location.uri.toString() === document.uri.toString() && use.location.range.start.isEqual(start)));
+
+		// getPreference('ui', '|') only offers keys of the 'ui' category
+		const call = literal.parent as ts.CallExpression;
+		const category = target.store === 'preference' && target.part === 'key' && ts.isStringLiteralLike(call.arguments[0])
+			? call.arguments[0].text
+			: undefined;
+
+		const byName = new Map<string, IndexedSettingUse[]>();
+		for (const use of uses) {
+			const name = target.part === 'category' ? use.category : use.key;
+			if (name !== undefined && (category === undefined || use.category === category)) {
+				byName.set(name, [...byName.get(name) ?? [], use]);
+			}
+		}
+
+		// Replace the text between the quotes (the closing one may not be typed yet)
+		const range = new vscode.Range(
+			document.positionAt(literal.getStart(sourceFile) + 1),
+			document.positionAt(literal.isUnterminated ? literal.getEnd() : literal.getEnd() - 1)
+		);
+		return [...byName].map(([name, named]) => {
+			const item = new vscode.CompletionItem(
+				name,
+				target.part === 'category' ? vscode.CompletionItemKind.Module : vscode.CompletionItemKind.Constant
+			);
+			item.detail = [
+				countLabel(named, 'read', 'read'),
+				countLabel(named, 'write', 'written'),
+				countLabel(named, 'delete', 'deleted')
+			].filter(Boolean).join(' · ');
+			const defaultTypes = [...new Set(named.map(use => use.defaultType).filter(Boolean))];
+			if (defaultTypes.length > 0) {
+				item.documentation = new vscode.MarkdownString(`Read with ${defaultTypes.map(type => `a ${type}`).join(' or ')} default`);
+			}
+			item.range = range;
+			return item;
+		});
+	}
+}
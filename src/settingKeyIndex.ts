@@ -0,0 +1,145 @@
+import * as ts from 'typescript';
+import * as vscode from 'vscode';
+import { findWorkspaceScripts, MAX_SCANNED_FILES, readScript, SCRIPT_FILES } from './apiUsage';
+import { SYPNEX_DOCUMENT_SELECTOR } from './languages';
+import { collectSettingKeyUses, SettingKeyUse, SettingName } from './settingKeys';
+import { getSourceFile, parseScript } from './sourceAnalysis';
+
+/**
+ * A setting or preference use somewhere in the workspace, kept without its syntax tree
+ */
+export interface IndexedSettingUse extends SettingName {
+	access: SettingKeyUse['access'];
+	defaultType?: SettingKeyUse['defaultType'];
+	location: vscode.Location;
+}
+
+/**
+ * Setting and preference uses of a parsed file, located by their key (or call)
+ */
+export function indexSettingUses(uri: vscode.Uri, sourceFile: ts.SourceFile): IndexedSettingUse[] {
+	return collectSettingKeyUses(sourceFile).map(use => {
+		const start = sourceFile.getLineAndCharacterOfPosition(use.node.getStart(sourceFile));
+		const end = sourceFile.getLineAndCharacterOfPosition(use.node.getEnd());
+		return {
+			store: use.store,
+			category: use.category,
+			key: use.key,
+			access: use.access,
+			defaultType: use.defaultType,
+			location: new vscode.Location(uri, new vscode.Range(start.line, start.character, end.line, end.character))
+		};
+	});
+}
+
+// What the checks care about; locations move on every edit above a use
+function fingerprint(uses: IndexedSettingUse[]): string {
+	return uses.map(use => `${use.store} ${use.category} ${use.key} ${use.access} ${use.defaultType}`).sort().join('\n');
+}
+
+/**
+ * Every setting key and preference category used in the workspace: saved files as on disk,
+ * open files as currently edited
+ */
+export class SettingKeyIndex implements vscode.Disposable {
+	private readonly files = new Map<string, IndexedSettingUse[]>();
+	private readonly changeEmitter = new vscode.EventEmitter<void>();
+	private readonly disposables: vscode.Disposable[];
+	private scanned = false;
+	// Whether the scan read every script, rather than stopping at MAX_SCANNED_FILES
+	private complete = false;
+
+	/** Fires when a use is added or removed, or changes its access or default type */
+	readonly onDidChange = this.changeEmitter.event;
+
+	constructor() {
+		const watcher = vscode.workspace.createFileSystemWatcher(SCRIPT_FILES);
+		this.disposables = [
+			watcher,
+			this.changeEmitter,
+			watcher.onDidCreate(uri => this.updateFromDisk(uri)),
+			watcher.onDidChange(uri => this.updateFromDisk(uri)),
+			watcher.onDidDelete(uri => this.setUses(uri, [])),
+			vscode.workspace.onDidOpenTextDocument(document => this.updateDocument(document)),
+			vscode.workspace.onDidChangeTextDocument(event => this.updateDocument(event.document)),
+			// Closed without saving: back to what is on disk
+			vscode.workspace.onDidCloseTextDocument(document => {
+				if (!vscode.languages.match(SYPNEX_DOCUMENT_SELECTOR, document)) {
+					return;
+				}
+				if (vscode.workspace.getWorkspaceFolder(document.uri)) {
+					this.readFromDisk(document.uri);
+				} else {
+					this.setUses(document.uri, []);
+				}
+			})
+		];
+		this.scan().catch(error => {
+			console.error('Sypnex OS API Support: failed to index setting keys:', error);
+		});
+	}
+
+	/**
+	 * Whether the whole workspace has been read; until then, or in a workspace too large to read whole,
+	 * a missing read or write proves nothing
+	 */
+	get isReady(): boolean {
+		return this.scanned && this.complete;
+	}
+
+	uses(): IndexedSettingUse[] {
+		return [...this.files.values()].flat();
+	}
+
+	dispose(): void {
+		this.disposables.forEach(disposable => disposable.dispose());
+	}
+
+	private async scan(): Promise<void> {
+		const files = await findWorkspaceScripts();
+		for (const uri of files) {
+			await this.readFromDisk(uri);
+		}
+		this.complete = files.length < MAX_SCANNED_FILES;
+		vscode.workspace.textDocuments.forEach(document => this.updateDocument(document));
+		this.scanned = true;
+		this.changeEmitter.fire();
+	}
+
+	private updateDocument(document: vscode.TextDocument): void {
+		// Diff views and other virtual documents repeat a file that is already indexed
+		const isFile = document.uri.scheme === 'file' || document.uri.scheme === 'untitled';
+		if (isFile && vscode.languages.match(SYPNEX_DOCUMENT_SELECTOR, document)) {
+			this.setUses(document.uri, indexSettingUses(document.uri, getSourceFile(document)));
+		}
+	}
+
+	private updateFromDisk(uri: vscode.Uri): void {
+		// The editor buffer of an open file is newer than the disk
+		if (!vscode.workspace.textDocuments.some(document => document.uri.toString() === uri.toString())) {
+			this.readFromDisk(uri);
+		}
+	}
+
+	private async readFromDisk(uri: vscode.Uri): Promise<void> {
+		try {
+			const { text, languageId } = await readScript(uri, true);
+			this.setUses(uri, indexSettingUses(uri, parseScript(uri.fsPath, text, languageId)));
+		} catch {
+			this.setUses(uri, []);
+		}
+	}
+
+	private setUses(uri: vscode.Uri, uses: IndexedSettingUse[]): void {
+		const key = uri.toString();
+		const changed = fingerprint(this.files.get(key) ?? []) !== fingerprint(uses);
+		if (uses.length > 0) {
+			this.files.set(key, uses);
+		} else {
+			this.files.delete(key);
+		}
+		if (changed && this.scanned) {
+			this.changeEmitter.fire();
+		}
+	}
+}
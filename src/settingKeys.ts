@@ -0,0 +1,119 @@
+import * as ts from 'typescript';
+import { getApiMethodName, getLiteral, LiteralKind } from './sourceAnalysis';
+
+export type SettingStore = 'setting' | 'preference';
+export type SettingAccess = 'read' | 'write' | 'delete';
+
+/**
+ * One use of an app setting or an OS preference: sypnexAPI.getSetting('theme', 'dark')
+ */
+export interface SettingKeyUse {
+	store: SettingStore;
+	/** Preference category; settings have none, and a category that is not a literal is undefined too */
+	category?: string;
+	/** Undefined when the key is computed, or for getAllSettings() which reads every key */
+	key?: string;
+	access: SettingAccess;
+	/** Type of a literal default value; a null default fits any type and is left out */
+	defaultType?: LiteralKind;
+	/** The key string, or the whole call when the key is not a literal */
+	node: ts.Node;
+	/** The default value argument of a read */
+	defaultValue?: ts.Expression;
+}
+
+/**
+ * What identifies a setting or preference
+ */
+export type SettingName = Pick<SettingKeyUse, 'store' | 'category' | 'key'>;
+
+interface SettingMethod {
+	store: SettingStore;
+	access: SettingAccess;
+	/** Argument index of the preference category */
+	category?: number;
+	/** Argument index of the key; none for methods that touch every key */
+	key?: number;
+	/** Argument index of the default value */
+	defaultValue?: number;
+}
+
+const SETTING_METHODS: Record<string, SettingMethod> = {
+	getSetting: { store: 'setting', access: 'read', key: 0, defaultValue: 1 },
+	getAppSetting: { store: 'setting', access: 'read', key: 0, defaultValue: 1 },
+	getAllSettings: { store: 'setting', access: 'read' },
+	getAllAppSettings: { store: 'setting', access: 'read' },
+	setSetting: { store: 'setting', access: 'write', key: 0 },
+	deleteSetting: { store: 'setting', access: 'delete', key: 0 },
+	getPreference: { store: 'preference', access: 'read', category: 0, key: 1, defaultValue: 2 },
+	setPreference: { store: 'preference', access: 'write', category: 0, key: 1 }
+};
+
+/**
+ * The setting or preference argument a method takes at an argument index, if any
+ */
+export function getSettingArgument(method: string, argumentIndex: number): { store: SettingStore; part: 'category' | 'key' } | undefined {
+	const settingMethod = SETTING_METHODS[method];
+	if (!settingMethod) {
+		return undefined;
+	}
+	if (argumentIndex === settingMethod.category) {
+		return { store: settingMethod.store, part: 'category' };
+	}
+	return argumentIndex === settingMethod.key ? { store: settingMethod.store, part: 'key' } : undefined;
+}
+
+function getStaticText(node: ts.Expression | undefined): string | undefined {
+	return node && ts.isStringLiteralLike(node) ? node.text : undefined;
+}
+
+/**
+ * Every setting and preference read, write and delete in a file
+ */
+export function collectSettingKeyUses(sourceFile: ts.SourceFile): SettingKeyUse[] {
+	const uses: SettingKeyUse[] = [];
+
+	function visit(node: ts.Node): void {
+		if (ts.isCallExpression(node)) {
+			const name = getApiMethodName(node.expression);
+			const method = name ? SETTING_METHODS[name] : undefined;
+			if (method) {
+				const keyNode = method.key !== undefined ? node.arguments[method.key] : undefined;
+				const defaultValue = method.defaultValue !== undefined ? node.arguments[method.defaultValue] : undefined;
+				// getSetting() while typing has no key at all yet
+				if (method.key === undefined || keyNode) {
+					uses.push({
+						store: method.store,
+						category: method.category !== undefined ? getStaticText(node.arguments[method.category]) : undefined,
+						key: getStaticText(keyNode),
+						access: method.access,
+						defaultType: defaultValue ? getLiteral(defaultValue)?.kind : undefined,
+						node: keyNode && ts.isStringLiteralLike(keyNode) ? keyNode : node,
+						defaultValue
+					});
+				}
+			}
+		}
+		ts.forEachChild(node, visit);
+	}
+	visit(sourceFile);
+
+	return uses;
+}
+
+/**
+ * Whether two uses may refer to the same value; computed keys and categories match anything in their store
+ */
+export function isSameSetting(a: SettingName, b: SettingName): boolean {
+	return a.store === b.store &&
+		(a.key === undefined || b.key === undefined || a.key === b.key) &&
+		(a.store === 'setting' || a.category === undefined || b.category === undefined || a.category === b.category);
+}
+
+/**
+ * How a setting or preference is named in messages: 'theme', or 'ui.theme' for a preference
+ */
+export function describeSetting(use: SettingName): string {
+	const name = use.store === 'preference' && use.category !== undefined ? `${use.category}.${use.key}` : use.key;
+	return `${use.store === 'setting' ? 'Setting' : 'Preference'} '${name}'`;
+}
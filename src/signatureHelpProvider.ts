@@ -0,0 +1,59 @@
+import * as vscode from 'vscode';
+import { SypnexApiMethod, SypnexApiParameter } from './sypnexApi';
+import { findApiCallAt, getArgumentIndex, getSourceFile } from './sourceAnalysis';
+
+function parameterLabel(param: SypnexApiParameter): string {
+	return `${param.name}${param.optional ? '?' : ''}: ${param.type}`;
+}
+
+function parameterDocumentation(param: SypnexApiParameter): vscode.MarkdownString {
+	const markdown = new vscode.MarkdownString(param.description);
+
+	if (param.defaultValue !== undefined) {
+		markdown.appendMarkdown(`\n\nDefault: \`${param.defaultValue}\``);
+	}
+
+	// Options objects: list the documented keys, e.g. confirmText='Yes'
+	if (param.properties && param.properties.length > 0) {
+		markdown.appendMarkdown('\n');
+		for (const property of param.properties) {
+			const defaultValue = property.defaultValue !== undefined ? `=${property.defaultValue}` : '';
+			const optional = property.optional ? '' : ' *(required)*';
+			markdown.appendMarkdown(`\n- \`${property.name}${defaultValue}\`${optional} — ${property.description}`);
+		}
+	}
+
+	return markdown;
+}
+
+function signatureInformation(method: SypnexApiMethod): vscode.SignatureInformation {
+	const signature = new vscode.SignatureInformation(method.signature, new vscode.MarkdownString(method.description));
+
+	// Highlight ranges are offsets into the signature label, which lists the parameters in order
+	let searchFrom = method.name.length + 1;
+	signature.parameters = method.params.map(param => {
+		const label = parameterLabel(param);
+		const start = method.signature.indexOf(label, searchFrom);
+		searchFrom = start + label.length;
+		return new vscode.ParameterInformation([start, start + label.length], parameterDocumentation(param));
+	});
+
+	return signature;
+}
+
+// Parameter hints for sypnexAPI.method( ... ) and namespace method calls such as sypnexAPI.scaling.method( ... )
+export class SypnexSignatureHelpProvider implements vscode.SignatureHelpProvider {
+	provideSignatureHelp(document: vscode.TextDocument, position: vscode.Position): vscode.ProviderResult<vscode.SignatureHelp> {
+		const offset = document.offsetAt(position);
+		const apiCall = findApiCallAt(getSourceFile(document), offset);
+		if (!apiCall) {
+			return undefined;
+		}
+
+		const help = new vscode.SignatureHelp();
+		help.signatures = [signatureInformation(apiCall.method)];
+		help.activeSignature = 0;
+		help.activeParameter = getArgumentIndex(apiCall.call, offset);
+		return help;
+	}
+}
@@ -0,0 +1,45 @@
+import * as vscode from 'vscode';
+import { isScriptPosition } from './languages';
+import { SypnexApiSnippet } from './sypnexApi';
+import { sypnexApiSnippets } from './sypnexApiSnippets';
+import { findApiMemberPositionAt, findOptionsObjectAt, getSourceFile, isInCommentOrString } from './sourceAnalysis';
+
+// Snippet text as it reads once inserted: placeholders replaced by their defaults
+function previewSnippet(body: string): string {
+	return body
+		.replace(/\$\{\d+:([^}]*)\}/g, '$1')
+		.replace(/\$\d+/g, '');
+}
+
+function snippetItem(snippet: SypnexApiSnippet): vscode.CompletionItem {
+	const item = new vscode.CompletionItem(snippet.prefix, vscode.CompletionItemKind.Snippet);
+	item.detail = snippet.name;
+	item.documentation = new vscode.MarkdownString(snippet.description)
+		.appendCodeblock(previewSnippet(snippet.body), 'javascript')
+		.appendMarkdown(`Uses ${snippet.methods.map(method => `\`${method}\``).join(', ')}`);
+	item.insertText = new vscode.SnippetString(snippet.body);
+	return item;
+}
+
+// Multi-line templates for common app patterns, offered where a statement can start
+export class SypnexSnippetCompletionProvider implements vscode.CompletionItemProvider {
+	provideCompletionItems(
+		document: vscode.TextDocument,
+		position: vscode.Position
+	): vscode.CompletionItem[] | undefined {
+		if (!isScriptPosition(document, position)) {
+			return undefined;
+		}
+
+		// Not in comments or strings, nor after "sypnexAPI." or inside an options object where the other completions apply
+		const sourceFile = getSourceFile(document);
+		const offset = document.offsetAt(position);
+		if (isInCommentOrString(sourceFile, offset) ||
+			findApiMemberPositionAt(sourceFile, offset) ||
+			findOptionsObjectAt(sourceFile, offset)) {
+			return undefined;
+		}
+
+		return sypnexApiSnippets.map(snippetItem);
+	}
+}
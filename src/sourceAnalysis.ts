@@ -0,0 +1,538 @@
+import * as ts from 'typescript';
+import * as vscode from 'vscode';
+import { getApiNamespace, getBoundMethod, isApiDestructuring, isApiReference } from './apiReferences';
+import { getEmbeddedScriptText } from './embeddedScripts';
+import { findApiMethod, SypnexApiMethod, SypnexApiNamespace } from './sypnexApi';
+
+/**
+ * A sypnexAPI method call found in a document, e.g. sypnexAPI.readVirtualFileText(path) or
+ * sypnexAPI.scaling.screenToAppCoords(x, y)
+ */
+export interface ApiCall {
+	call: ts.CallExpression;
+	method: SypnexApiMethod;
+}
+
+const sourceFileCache = new Map<string, { version: number; sourceFile: ts.SourceFile }>();
+
+function getScriptKind(languageId: string): ts.ScriptKind {
+	switch (languageId) {
+		case 'typescript':
+			return ts.ScriptKind.TS;
+		case 'typescriptreact':
+			return ts.ScriptKind.TSX;
+		case 'javascriptreact':
+			return ts.ScriptKind.JSX;
+		default:
+			return ts.ScriptKind.JS;
+	}
+}
+
+/**
+ * Parse script text into a TypeScript syntax tree.
+ * HTML is parsed from its <script> blocks, with all offsets kept as in the HTML.
+ */
+export function parseScript(fileName: string, text: string, languageId: string): ts.SourceFile {
+	return ts.createSourceFile(
+		fileName,
+		languageId === 'html' ? getEmbeddedScriptText(text) : text,
+		ts.ScriptTarget.Latest,
+		true,
+		getScriptKind(languageId)
+	);
+}
+
+/**
+ * Parse a document into a TypeScript syntax tree, cached per document version
+ */
+export function getSourceFile(document: vscode.TextDocument): ts.SourceFile {
+	const key = document.uri.toString();
+	const cached = sourceFileCache.get(key);
+	if (cached && cached.version === document.version) {
+		return cached.sourceFile;
+	}
+
+	const sourceFile = parseScript(document.fileName, document.getText(), document.languageId);
+	sourceFileCache.set(key, { version: document.version, sourceFile });
+	return sourceFile;
+}
+
+export function forgetSourceFile(document: vscode.TextDocument): void {
+	sourceFileCache.delete(document.uri.toString());
+}
+
+/**
+ * Name of the API method an expression refers to: "sypnexAPI.getSetting" -> "getSetting".
+ * Also follows aliases ("api.getSetting", "this.api.getSetting") and destructured methods ("getSetting").
+ */
+export function getApiMethodName(expression: ts.Expression): string | undefined {
+	if (ts.isPropertyAccessExpression(expression) && isApiReference(expression.expression)) {
+		return expression.name.text;
+	}
+	if (ts.isIdentifier(expression)) {
+		return getBoundMethod(expression);
+	}
+	return undefined;
+}
+
+/**
+ * The API method a call invokes: sypnexAPI.getSetting(...), through an alias or a destructured method,
+ * or a namespace method such as sypnexAPI.scaling.detectAppScale(...) or sypnexWindowManager.cleanupAppWindow(...)
+ */
+export function getCalledApiMethod(call: ts.CallExpression): SypnexApiMethod | undefined {
+	const callee = call.expression;
+	if (ts.isPropertyAccessExpression(callee)) {
+		const namespace = getApiNamespace(callee.expression);
+		if (namespace) {
+			return namespace.methods.find(method => method.name === callee.name.text);
+		}
+	}
+	const name = getApiMethodName(callee);
+	return name ? findApiMethod(name) : undefined;
+}
+
+export function findEnclosingFunction(node: ts.Node): ts.SignatureDeclaration | undefined {
+	let current = node.parent;
+	while (current && !ts.isFunctionLike(current)) {
+		current = current.parent;
+	}
+	return current;
+}
+
+export function isAsyncFunction(node: ts.Node): boolean {
+	return ts.canHaveModifiers(node) && !!ts.getModifiers(node)?.some(modifier => modifier.kind === ts.SyntaxKind.AsyncKeyword);
+}
+
+function isInsideArguments(call: ts.CallExpression, offset: number): boolean {
+	const sourceFile = call.getSourceFile();
+	const openParen = call.getChildren(sourceFile).find(child => child.kind === ts.SyntaxKind.OpenParenToken);
+	const closeParen = call.getChildren(sourceFile).find(child => child.kind === ts.SyntaxKind.CloseParenToken);
+	if (!openParen || offset < openParen.end) {
+		return false;
+	}
+	// While typing, the closing parenthesis is usually missing (zero-width token)
+	if (!closeParen || closeParen.end === closeParen.pos) {
+		return true;
+	}
+	return offset <= closeParen.getStart(sourceFile);
+}
+
+// An unfinished expression ends at its last token, so step back over whitespace typed after it
+function skipWhitespaceBackward(sourceFile: ts.SourceFile, offset: number): number {
+	while (offset > 0 && /\s/.test(sourceFile.text[offset - 1])) {
+		offset--;
+	}
+	return offset;
+}
+
+/**
+ * Chain of nodes from the source file down to the innermost node containing the offset
+ */
+function getNodePath(sourceFile: ts.SourceFile, offset: number): ts.Node[] {
+	const path: ts.Node[] = [];
+
+	function visit(node: ts.Node): void {
+		if (offset < node.getStart(sourceFile) || offset > node.end) {
+			return;
+		}
+		path.push(node);
+		ts.forEachChild(node, visit);
+	}
+	visit(sourceFile);
+
+	return path;
+}
+
+/**
+ * Where an API member name is being written: after "sypnexAPI." (or an alias, possibly on the
+ * next line of a chain) or "sypnexAPI.scaling.", or inside "const { ... } = sypnexAPI"
+ */
+export interface ApiMemberPosition {
+	kind: 'property' | 'destructuring';
+	/** Set when the members are those of a namespace rather than of the API object */
+	namespace?: SypnexApiNamespace;
+	/** The member access being completed, for 'property' */
+	access?: ts.PropertyAccessExpression;
+}
+
+export function findApiMemberPositionAt(sourceFile: ts.SourceFile, offset: number): ApiMemberPosition | undefined {
+	const path = getNodePath(sourceFile, offset);
+
+	for (let index = path.length - 1; index >= 0; index--) {
+		const node = path[index];
+
+		if (ts.isPropertyAccessExpression(node)) {
+			// "sypnexAPI.|" followed by a new line parses the next line's word as the name
+			const dot = node.questionDotToken ?? node.getChildren(sourceFile)[1];
+			if (offset >= dot.end && offset <= node.name.end) {
+				if (isApiReference(node.expression)) {
+					return { kind: 'property', access: node };
+				}
+				const namespace = getApiNamespace(node.expression);
+				return namespace ? { kind: 'property', namespace, access: node } : undefined;
+			}
+		}
+
+		if (ts.isObjectBindingPattern(node)) {
+			if (!isApiDestructuring(node)) {
+				return undefined;
+			}
+			// Between elements, or on the property name rather than the local name or default value
+			const element = path[index + 1];
+			if (!element || !ts.isBindingElement(element)) {
+				return { kind: 'destructuring' };
+			}
+			const key = element.propertyName ?? element.name;
+			return offset <= key.end ? { kind: 'destructuring' } : undefined;
+		}
+	}
+	return undefined;
+}
+
+/**
+ * The API method named at the offset: sypnexAPI.get|Setting, api.getSetting, a destructured getSetting,
+ * or a namespace method such as sypnexAPI.scaling.detectAppScale
+ */
+export function findApiMethodReferenceAt(sourceFile: ts.SourceFile, offset: number): SypnexApiMethod | undefined {
+	const node = getNodePath(sourceFile, offset).pop();
+	if (!node || !ts.isIdentifier(node)) {
+		return undefined;
+	}
+
+	const parent = node.parent;
+	let name: string | undefined;
+	if (ts.isPropertyAccessExpression(parent) && parent.name === node) {
+		const namespace = getApiNamespace(parent.expression);
+		if (namespace) {
+			return namespace.methods.find(method => method.name === node.text);
+		}
+		name = getApiMethodName(parent);
+	} else if (ts.isBindingElement(parent) && parent.propertyName === node && ts.isObjectBindingPattern(parent.parent)) {
+		// { getSetting: get } = sypnexAPI: the key names the method
+		name = isApiDestructuring(parent.parent) ? node.text : undefined;
+	} else {
+		name = getApiMethodName(node);
+	}
+	return name ? findApiMethod(name) : undefined;
+}
+
+/**
+ * The namespace named at the offset: sypnexAPI.scal|ing, window.sypnexKeyboardManager, sypnexKeyboardManager
+ */
+export function findApiNamespaceReferenceAt(sourceFile: ts.SourceFile, offset: number): SypnexApiNamespace | undefined {
+	const node = getNodePath(sourceFile, offset).pop();
+	if (!node || !ts.isIdentifier(node)) {
+		return undefined;
+	}
+	const parent = node.parent;
+	if (!ts.isPropertyAccessExpression(parent)) {
+		return undefined;
+	}
+	// The member name (sypnexAPI.scaling), or a bare global used as a receiver (sypnexKeyboardManager.getStats)
+	return getApiNamespace(parent.name === node ? parent : node);
+}
+
+/**
+ * Whether "await " should be added in front of a member access being completed: inside an async
+ * function and not already awaited, e.g. "sypnexAPI.read|" but not "await sypnexAPI.read|"
+ */
+export function needsAwait(access: ts.PropertyAccessExpression): boolean {
+	const enclosing = findEnclosingFunction(access);
+	if (!enclosing || !isAsyncFunction(enclosing)) {
+		return false;
+	}
+	// The access may already be called: "sypnexAPI.read|(path)"
+	let expression: ts.Node = access;
+	if (ts.isCallExpression(expression.parent) && expression.parent.expression === expression) {
+		expression = expression.parent;
+	}
+	while (ts.isParenthesizedExpression(expression.parent)) {
+		expression = expression.parent;
+	}
+	return !ts.isAwaitExpression(expression.parent);
+}
+
+export type LiteralKind = 'string' | 'number' | 'boolean' | 'object' | 'array' | 'function';
+
+export interface Literal {
+	kind: LiteralKind;
+	/** Text of string literals, to check against unions like 'small' | 'medium' | 'large' */
+	value?: string;
+}
+
+/**
+ * Type of a literal expression; only literals have an obvious type without a type checker
+ */
+export function getLiteral(node: ts.Expression): Literal | undefined {
+	if (ts.isStringLiteralLike(node) || ts.isTemplateExpression(node)) {
+		return { kind: 'string', value: ts.isStringLiteralLike(node) ? node.text : undefined };
+	}
+	if (ts.isNumericLiteral(node) ||
+		(ts.isPrefixUnaryExpression(node) && node.operator === ts.SyntaxKind.MinusToken && ts.isNumericLiteral(node.operand))) {
+		return { kind: 'number' };
+	}
+	if (node.kind === ts.SyntaxKind.TrueKeyword || node.kind === ts.SyntaxKind.FalseKeyword) {
+		return { kind: 'boolean' };
+	}
+	if (ts.isObjectLiteralExpression(node)) {
+		return { kind: 'object' };
+	}
+	if (ts.isArrayLiteralExpression(node)) {
+		return { kind: 'array' };
+	}
+	if (ts.isArrowFunction(node) || ts.isFunctionExpression(node)) {
+		return { kind: 'function' };
+	}
+	return undefined;
+}
+
+/**
+ * A reference to an API method: the method, the name node, and the namespace for namespace methods
+ */
+export interface ApiReference {
+	method: SypnexApiMethod;
+	name: ts.Node;
+	namespace?: SypnexApiNamespace;
+}
+
+/**
+ * Every reference to an API method in a file: sypnexAPI.x and alias accesses, destructured keys,
+ * calls of destructured methods, and namespace methods such as sypnexAPI.scaling.detectAppScale
+ */
+export function collectApiReferences(sourceFile: ts.SourceFile): ApiReference[] {
+	const references: ApiReference[] = [];
+
+	function add(name: string | undefined, node: ts.Node): void {
+		const method = name ? findApiMethod(name) : undefined;
+		if (method) {
+			references.push({ method, name: node });
+		}
+	}
+
+	function visit(node: ts.Node): void {
+		if (ts.isPropertyAccessExpression(node)) {
+			const namespace = getApiNamespace(node.expression);
+			const namespaceMethod = namespace?.methods.find(method => method.name === node.name.text);
+			if (namespaceMethod) {
+				references.push({ method: namespaceMethod, name: node.name, namespace });
+			} else {
+				add(getApiMethodName(node), node.name);
+			}
+			visit(node.expression);
+			return;
+		}
+		if (ts.isBindingElement(node) && ts.isObjectBindingPattern(node.parent)) {
+			if (isApiDestructuring(node.parent)) {
+				const key = node.propertyName ?? node.name;
+				add(key.getText(sourceFile), key);
+			}
+			if (node.initializer) {
+				visit(node.initializer);
+			}
+			return;
+		}
+		if (ts.isIdentifier(node)) {
+			add(getBoundMethod(node), node);
+		}
+		ts.forEachChild(node, visit);
+	}
+	visit(sourceFile);
+
+	return references;
+}
+
+// Token whose full text (including the comments and whitespace before it) contains the offset
+function findTokenAt(sourceFile: ts.SourceFile, offset: number): ts.Node {
+	let node: ts.Node = sourceFile;
+	for (;;) {
+		const child = node.getChildren(sourceFile).find(candidate => candidate.pos <= offset && offset < candidate.end);
+		if (!child) {
+			return node;
+		}
+		node = child;
+	}
+}
+
+/**
+ * Whether the offset is inside a comment or a string, where code completions do not belong
+ */
+export function isInCommentOrString(sourceFile: ts.SourceFile, offset: number): boolean {
+	const token = findTokenAt(sourceFile, offset);
+	if (offset > token.getStart(sourceFile)) {
+		return ts.isStringLiteralLike(token) || ts.isTemplateLiteralToken(token);
+	}
+	// Comments after the previous token on its line count as trailing, the rest as leading
+	const comments = [
+		...ts.getTrailingCommentRanges(sourceFile.text, token.pos) ?? [],
+		...ts.getLeadingCommentRanges(sourceFile.text, token.pos) ?? []
+	];
+	return comments.some(comment => offset > comment.pos && (offset < comment.end ||
+		comment.kind === ts.SyntaxKind.SingleLineCommentTrivia && offset === comment.end));
+}
+
+/**
+ * Innermost call whose argument list contains the offset, if it is a sypnexAPI or namespace method call
+ */
+export function findApiCallAt(sourceFile: ts.SourceFile, offset: number): ApiCall | undefined {
+	offset = skipWhitespaceBackward(sourceFile, offset);
+	const innermost = getNodePath(sourceFile, offset)
+		.filter((node): node is ts.CallExpression => ts.isCallExpression(node) && isInsideArguments(node, offset))
+		.pop();
+
+	if (!innermost) {
+		return undefined;
+	}
+	const method = getCalledApiMethod(innermost);
+	return method ? { call: innermost, method } : undefined;
+}
+
+/**
+ * Index of the argument the offset is in, counting the commas before it
+ */
+export function getArgumentIndex(call: ts.CallExpression, offset: number): number {
+	const sourceFile = call.getSourceFile();
+	const children = call.getChildren(sourceFile);
+	const openParen = children.findIndex(child => child.kind === ts.SyntaxKind.OpenParenToken);
+	const argumentList = children[openParen + 1];
+	if (openParen === -1 || !argumentList || argumentList.kind !== ts.SyntaxKind.SyntaxList) {
+		return 0;
+	}
+	return argumentList.getChildren(sourceFile)
+		.filter(child => child.kind === ts.SyntaxKind.CommaToken && child.end <= offset)
+		.length;
+}
+
+/**
+ * Cursor inside an object literal passed to a sypnexAPI call, e.g. sypnexAPI.showModal({ size: '| })
+ */
+export interface OptionsObjectContext {
+	method: string;
+	argumentIndex: number;
+	/** Keys already written in the object literal */
+	existingKeys: string[];
+	/** The key being typed, when the cursor is on a key */
+	keyNode?: ts.Identifier | ts.StringLiteralLike;
+	/** Set when the cursor is on the value of this key rather than on a key */
+	valueKey?: string;
+	/** The string literal the cursor is in, when typing a value */
+	stringLiteral?: ts.StringLiteralLike;
+}
+
+export function findOptionsObjectAt(sourceFile: ts.SourceFile, offset: number): OptionsObjectContext | undefined {
+	const path = getNodePath(sourceFile, skipWhitespaceBackward(sourceFile, offset));
+
+	// Innermost object literal around the cursor
+	let index = path.length - 1;
+	while (index >= 0 && !ts.isObjectLiteralExpression(path[index])) {
+		index--;
+	}
+	if (index < 0) {
+		return undefined;
+	}
+
+	const literal = path[index] as ts.ObjectLiteralExpression;
+	const call = literal.parent;
+	if (!ts.isCallExpression(call) || !call.arguments.includes(literal)) {
+		return undefined;
+	}
+	const method = getApiMethodName(call.expression);
+	if (!method) {
+		return undefined;
+	}
+
+	const property = path[index + 1];
+	const context: OptionsObjectContext = {
+		method,
+		argumentIndex: call.arguments.indexOf(literal),
+		existingKeys: literal.properties
+			.filter(other => other !== property && other.name !== undefined)
+			.map(other => other.name!.getText(sourceFile))
+	};
+
+	// Typing a key: "{ ti|" parses as a shorthand property
+	if (!property || ts.isShorthandPropertyAssignment(property)) {
+		context.keyNode = property?.name;
+		return context;
+	}
+	if (!ts.isPropertyAssignment(property)) {
+		return undefined;
+	}
+	if (offset <= property.name.end) {
+		if (ts.isIdentifier(property.name) || ts.isStringLiteralLike(property.name)) {
+			context.keyNode = property.name;
+		}
+		return context;
+	}
+	context.existingKeys.push(property.name.getText(sourceFile));
+
+	// Only direct values: a nested object or call under the key is not this key's value
+	const value = property.initializer;
+	const inValue = path[index + 2] === value && path.length <= index + 3;
+	if (!inValue && path.length > index + 2) {
+		return undefined;
+	}
+	context.valueKey = property.name.getText(sourceFile);
+	if (ts.isStringLiteralLike(value) && offset > value.getStart(sourceFile)) {
+		context.stringLiteral = value;
+	}
+	return context;
+}
+
+/**
+ * A string passed directly as an argument of a sypnexAPI call, e.g. sypnexAPI.readVirtualFileText('/notes.txt')
+ */
+export interface StringArgument {
+	method: string;
+	argumentIndex: number;
+	/** Plain and template strings; a template with substitutions only when collected, never at the cursor */
+	literal: ts.StringLiteralLike | ts.TemplateExpression;
+}
+
+function getStringArgument(node: ts.Node): StringArgument | undefined {
+	if (!ts.isStringLiteralLike(node) && !ts.isTemplateExpression(node)) {
+		return undefined;
+	}
+	const call = node.parent;
+	if (!ts.isCallExpression(call) || !call.arguments.includes(node)) {
+		return undefined;
+	}
+	const method = getApiMethodName(call.expression);
+	return method ? { method, argumentIndex: call.arguments.indexOf(node), literal: node } : undefined;
+}
+
+/**
+ * String argument the cursor is inside, between its quotes (the closing one may not be typed yet)
+ */
+export function findStringArgumentAt(
+	sourceFile: ts.SourceFile,
+	offset: number
+): (StringArgument & { literal: ts.StringLiteralLike }) | undefined {
+	// The end-of-file token also touches an unterminated string at the end of the file
+	const literal = getNodePath(sourceFile, offset).filter(ts.isStringLiteralLike).pop();
+	if (!literal || offset <= literal.getStart(sourceFile)) {
+		return undefined;
+	}
+	if (offset === literal.end && !literal.isUnterminated) {
+		return undefined;
+	}
+	const argument = getStringArgument(literal);
+	return argument && { ...argument, literal };
+}
+
+/**
+ * Every string argument of a sypnexAPI call in a file
+ */
+export function collectStringArguments(sourceFile: ts.SourceFile): StringArgument[] {
+	const strings: StringArgument[] = [];
+
+	function visit(node: ts.Node): void {
+		const argument = getStringArgument(node);
+		if (argument) {
+			strings.push(argument);
+		}
+		ts.forEachChild(node, visit);
+	}
+	visit(sourceFile);
+
+	return strings;
+}
@@ -0,0 +1,200 @@
+import { sypnexApiEndpoints, sypnexApiMethods, sypnexApiNamespaces, sypnexApiProperties } from './sypnexApiMethods';
+
+/**
+ * A method parameter, or a documented key of an options object parameter
+ */
+export interface SypnexApiParameter {
+	name: string;
+	/** TypeScript type, as declared in sypnex-api.d.ts */
+	type: string;
+	description: string;
+	optional: boolean;
+	defaultValue?: string;
+	/** Allowed string values, when the description lists them ("'small', 'medium', 'large'") */
+	values?: string[];
+	/** Documented keys when the parameter is an options object ("@param options.x") */
+	properties?: SypnexApiParameter[];
+}
+
+/**
+ * Metadata for one SypnexAPI method, generated from sypnex-api.js by update-api.js
+ */
+export interface SypnexApiMethod {
+	name: string;
+	signature: string;
+	/** First sentence of the JSDoc summary */
+	description: string;
+	/** Full JSDoc summary */
+	documentation: string;
+	isAsync: boolean;
+	/** Meant for the OS rather than apps, e.g. cleanup() or sypnexKeyboardManager.registerApp() */
+	internal: boolean;
+	/** Bundled module section the method comes from, e.g. "vfs" for sypnex-api-vfs.js */
+	module: string;
+	/** 1-based line of the method in the bundled sypnex-api.js */
+	line: number;
+	params: SypnexApiParameter[];
+	returns: { type: string; description: string };
+	throws: { type: string; description: string }[];
+	/**
+	 * How the method reports failure: it throws (or rejects), returns null or false instead,
+	 * returns a fallback value such as the default, or cannot fail
+	 */
+	failure: 'throws' | 'null' | 'false' | 'fallback' | 'none';
+	/** @example blocks, as code */
+	examples: string[];
+}
+
+/**
+ * An object-valued member with methods of its own: sypnexAPI.scaling, window.sypnexKeyboardManager, ...
+ */
+export interface SypnexApiNamespace {
+	name: string;
+	/** Where the object lives: on the API object, or a global on window */
+	parent: 'sypnexAPI' | 'window';
+	description: string;
+	module: string;
+	/** 1-based line in the bundled sypnex-api.js where the object is created */
+	line: number;
+	methods: SypnexApiMethod[];
+}
+
+/**
+ * A method parameter passed in an endpoint URL: encoded with encodeURIComponent ('uri'),
+ * or a path encoded without its leading slash ('uri-path'). { appId: true } is the app's own id.
+ */
+export type SypnexApiUrlSlot = { param: string; encoding?: 'uri' | 'uri-path' } | { appId: true };
+
+/**
+ * A Sypnex OS REST endpoint that a method wraps, generated from the method's fetch() call
+ */
+export interface SypnexApiEndpoint {
+	method: string;
+	httpMethod: string;
+	/** URL as literal text and parameter slots: ['/api/app-settings/', { appId: true }, '/', { param: 'key' }] */
+	url: (string | SypnexApiUrlSlot)[];
+	/** JSON body: a whole parameter, or body keys mapped to parameter names */
+	body?: string | Record<string, string>;
+	/** What the method resolves to: the response JSON as is, one field of it, or something else such as a success flag */
+	returns: 'json' | 'field' | 'other';
+	/** The field, for methods that return one: getAppSetting resolves to data.value */
+	field?: string;
+}
+
+/**
+ * A multi-line template for a common app pattern, generated by update-api.js
+ */
+export interface SypnexApiSnippet {
+	prefix: string;
+	name: string;
+	description: string;
+	/** API methods the snippet calls */
+	methods: string[];
+	/** VS Code snippet syntax */
+	body: string;
+}
+
+export { sypnexApiEndpoints, sypnexApiMethods, sypnexApiNamespaces, sypnexApiProperties };
+
+// Display names of the bundled module sections
+const MODULE_NAMES: Record<string, string> = {
+	'core': 'Core',
+	'ui': 'UI',
+	'keyboard': 'Keyboard',
+	'window': 'Window',
+	'scaling': 'Scaling',
+	'settings': 'Settings',
+	'crypto': 'Crypto',
+	'socket': 'Socket',
+	'vfs': 'VFS',
+	'libraries': 'Libraries',
+	'file-explorer': 'File Explorer',
+	'logs': 'Logs',
+	'app-management': 'App Management',
+	'network': 'Network',
+	'llm': 'LLM'
+};
+
+/**
+ * Methods most apps reach for, most used first; they rank above the rest in completions
+ */
+export const commonApiMethods = [
+	'getSetting',
+	'setSetting',
+	'showNotification',
+	'readVirtualFileText',
+	'writeVirtualFile',
+	'readVirtualFileJSON',
+	'writeVirtualFileJSON',
+	'listVirtualFiles',
+	'virtualItemExists',
+	'showConfirmation',
+	'showInputModal',
+	'getPreference',
+	'setPreference',
+	'onBeforeClose',
+	'registerKeyboardShortcuts',
+	'proxyJSON',
+	'llmComplete',
+	'logInfo',
+	'logError'
+];
+
+/**
+ * Display name of a module section: "vfs" -> "VFS", "app-management" -> "App Management"
+ */
+export function getApiModuleName(module: string): string {
+	return MODULE_NAMES[module] ?? module;
+}
+
+export function findApiMethod(name: string): SypnexApiMethod | undefined {
+	return sypnexApiMethods.find(method => method.name === name);
+}
+
+export function findApiNamespace(parent: SypnexApiNamespace['parent'], name: string): SypnexApiNamespace | undefined {
+	return sypnexApiNamespaces.find(namespace => namespace.parent === parent && namespace.name === name);
+}
+
+/**
+ * Whether sypnexAPI.<name> exists at all, as a method or any other member
+ */
+export function isKnownApiMember(name: string): boolean {
+	return !!findApiMethod(name) || sypnexApiProperties.includes(name);
+}
+
+function editDistance(a: string, b: string): number {
+	// Case changes count as half an edit: readVirtualFileJson is closer to readVirtualFileJSON than to anything else
+	const substitutionCost = (x: string, y: string) => x === y ? 0 : (x.toLowerCase() === y.toLowerCase() ? 0.5 : 1);
+	let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+	for (let i = 1; i <= a.length; i++) {
+		const current = [i];
+		for (let j = 1; j <= b.length; j++) {
+			current[j] = Math.min(
+				previous[j] + 1,
+				current[j - 1] + 1,
+				previous[j - 1] + substitutionCost(a[i - 1], b[j - 1])
+			);
+		}
+		previous = current;
+	}
+	return previous[b.length];
+}
+
+/**
+ * Closest real method name for a misspelled one, e.g. readVirtualFileTxt -> readVirtualFileText
+ */
+export function suggestApiMethod(name: string): string {
+	let best = sypnexApiMethods[0].name;
+	let bestDistance = Infinity;
+
+	for (const method of sypnexApiMethods) {
+		const distance = editDistance(name, method.name);
+		if (distance < bestDistance) {
+			best = method.name;
+			bestDistance = distance;
+		}
+	}
+
+	return best;
+}
@@ -0,0 +1,2268 @@
+// Sypnex API method definitions (auto-generated by update-api.js)
+// Do not edit by hand - run "npm run update-api" after updating sypnex-api.js
+import { SypnexApiEndpoint, SypnexApiMethod, SypnexApiNamespace } from './sypnexApi';
+
+export const sypnexApiMethods: SypnexApiMethod[] = [
+	{
+		name: 'getAppSetting',
+		signature: 'getAppSetting(key: string, defaultValue?: any): Promise<any>',
+		description: 'Get an application setting through the OS-provided helper',
+		documentation: 'Get an application setting through the OS-provided helper',
+		isAsync: true,
+		internal: false,
+		module: 'core',
+		line: 65,
+		params: [
+			{ name: 'key', type: 'string', description: 'Setting key to retrieve', optional: false },
+			{ name: 'defaultValue', type: 'any', description: 'Default value if setting not found', optional: true, defaultValue: 'null' }
+		],
+		returns: { type: 'Promise<any>', description: 'The setting value or default value' },
+		throws: [],
+		failure: 'fallback',
+		examples: []
+	},
+	{
+		name: 'getAllAppSettings',
+		signature: 'getAllAppSettings(): Promise<Record<string, any>>',
+		description: 'Get all application settings through the OS-provided helper',
+		documentation: 'Get all application settings through the OS-provided helper',
+		isAsync: true,
+		internal: false,
+		module: 'core',
+		line: 85,
+		params: [],
+		returns: { type: 'Promise<Record<string, any>>', description: 'Object containing all app settings' },
+		throws: [],
+		failure: 'fallback',
+		examples: []
+	},
+	{
+		name: 'showNotification',
+		signature: 'showNotification(message: string, type?: string): void',
+		description: 'Show a notification to the user',
+		documentation: 'Show a notification to the user',
+		isAsync: false,
+		internal: false,
+		module: 'core',
+		line: 105,
+		params: [
+			{ name: 'message', type: 'string', description: 'Notification message', optional: false },
+			{ name: 'type', type: 'string', description: 'Notification type (info, error, warn, etc.)', optional: true, defaultValue: '\'info\'' }
+		],
+		returns: { type: 'void', description: '' },
+		throws: [],
+		failure: 'none',
+		examples: []
+	},
+	{
+		name: 'init',
+		signature: 'init(): Promise<void>',
+		description: 'Initialize the SypnexAPI instance',
+		documentation: 'Initialize the SypnexAPI instance\nChecks for required helper functions and sets up the API',
+		isAsync: true,
+		internal: false,
+		module: 'core',
+		line: 43,
+		params: [],
+		returns: { type: 'Promise<void>', description: '' },
+		throws: [],
+		failure: 'none',
+		examples: []
+	},
+	{
+		name: 'getSypnexOS',
+		signature: 'getSypnexOS(): Record<string, any>',
+		description: 'Get access to the global SypnexOS apps registry',
+		documentation: 'Get access to the global SypnexOS apps registry',
+		isAsync: false,
+		internal: false,
+		module: 'core',
+		line: 115,
+		params: [],
+		returns: { type: 'Record<string, any>', description: 'The window.sypnexOS object containing apps Map and other OS functions' },
+		throws: [],
+		failure: 'null',
+		examples: []
+	},
+	{
+		name: 'getSypnexApps',
+		signature: 'getSypnexApps(): Record<string, any>',
+		description: 'Get access to the global SypnexApps tracker',
+		documentation: 'Get access to the global SypnexApps tracker',
+		isAsync: false,
+		internal: false,
+		module: 'core',
+		line: 126,
+		params: [],
+		returns: { type: 'Record<string, any>', description: 'The window.sypnexApps object containing app tracking info' },
+		throws: [],
+		failure: 'null',
+		examples: []
+	},
+	{
+		name: 'getAppMetadata',
+		signature: 'getAppMetadata(): Promise<Record<string, any>|null>',
+		description: 'Get metadata for this application',
+		documentation: 'Get metadata for this application',
+		isAsync: true,
+		internal: false,
+		module: 'core',
+		line: 138,
+		params: [],
+		returns: { type: 'Promise<Record<string, any>|null>', description: 'Application metadata or null if error' },
+		throws: [],
+		failure: 'null',
+		examples: []
+	},
+	{
+		name: 'isInitialized',
+		signature: 'isInitialized(): boolean',
+		description: 'Check if the SypnexAPI has been initialized',
+		documentation: 'Check if the SypnexAPI has been initialized',
+		isAsync: false,
+		internal: false,
+		module: 'core',
+		line: 156,
+		params: [],
+		returns: { type: 'boolean', description: 'True if initialized, false otherwise' },
+		throws: [],
+		failure: 'none',
+		examples: []
+	},
+	{
+		name: 'getAppId',
+		signature: 'getAppId(): string',
+		description: 'Get the application ID',
+		documentation: 'Get the application ID',
+		isAsync: false,
+		internal: false,
+		module: 'core',
+		line: 164,
+		params: [],
+		returns: { type: 'string', description: 'The application identifier' },
+		throws: [],
+		failure: 'none',
+		examples: []
+	},
+	{
+		name: 'getWindowState',
+		signature: 'getWindowState(): Promise<Record<string, any>|null>',
+		description: 'Get the saved window state for this application',
+		documentation: 'Get the saved window state for this application',
+		isAsync: true,
+		internal: false,
+		module: 'core',
+		line: 173,
+		params: [],
+		returns: { type: 'Promise<Record<string, any>|null>', description: 'Window state object or null if not found' },
+		throws: [],
+		failure: 'null',
+		examples: []
+	},
+	{
+		name: 'saveWindowState',
+		signature: 'saveWindowState(state: Record<string, any>): Promise<boolean>',
+		description: 'Save the window state for this application',
+		documentation: 'Save the window state for this application',
+		isAsync: true,
+		internal: false,
+		module: 'core',
+		line: 193,
+		params: [
+			{ name: 'state', type: 'Record<string, any>', description: 'Window state object to save', optional: false }
+		],
+		returns: { type: 'Promise<boolean>', description: 'True if saved successfully, false otherwise' },
+		throws: [],
+		failure: 'false',
+		examples: []
+	},
+	{
+		name: 'refreshAppVersionsCache',
+		signature: 'refreshAppVersionsCache(): Promise<boolean>',
+		description: 'Request the OS to refresh the latest app versions cache',
+		documentation: 'Request the OS to refresh the latest app versions cache\nUseful when an app knows it has been updated or wants to force a cache refresh',
+		isAsync: true,
+		internal: false,
+		module: 'core',
+		line: 221,
+		params: [],
+		returns: { type: 'Promise<boolean>', description: 'True if refresh was successful, false otherwise' },
+		throws: [],
+		failure: 'false',
+		examples: []
+	},
+	{
+		name: 'getServices',
+		signature: 'getServices(): Promise<any[]>',
+		description: 'Get a list of all available services',
+		documentation: 'Get a list of all available services',
+		isAsync: true,
+		internal: false,
+		module: 'core',
+		line: 256,
+		params: [],
+		returns: { type: 'Promise<any[]>', description: 'Array of service objects' },
+		throws: [{ type: 'Error', description: 'If the request fails' }],
+		failure: 'throws',
+		examples: ['const services = await sypnexAPI.getServices();\nconsole.log(services); // [{ id: "service1", name: "Service 1", running: true }, ...]']
+	},
+	{
+		name: 'startService',
+		signature: 'startService(serviceId: string): Promise<void>',
+		description: 'Start a specific service by ID',
+		documentation: 'Start a specific service by ID',
+		isAsync: true,
+		internal: false,
+		module: 'core',
+		line: 286,
+		params: [
+			{ name: 'serviceId', type: 'string', description: 'The ID of the service to start', optional: false }
+		],
+		returns: { type: 'Promise<void>', description: '' },
+		throws: [{ type: 'Error', description: 'If the request fails' }],
+		failure: 'throws',
+		examples: ['await sypnexAPI.startService("my-service-id");']
+	},
+	{
+		name: 'stopService',
+		signature: 'stopService(serviceId: string): Promise<void>',
+		description: 'Stop a specific service by ID',
+		documentation: 'Stop a specific service by ID',
+		isAsync: true,
+		internal: false,
+		module: 'core',
+		line: 313,
+		params: [
+			{ name: 'serviceId', type: 'string', description: 'The ID of the service to stop', optional: false }
+		],
+		returns: { type: 'Promise<void>', description: '' },
+		throws: [{ type: 'Error', description: 'If the request fails' }],
+		failure: 'throws',
+		examples: ['await sypnexAPI.stopService("my-service-id");']
+	},
+	{
+		name: 'onBeforeClose',
+		signature: 'onBeforeClose(cleanupFunction: ((...args: any[]) => any), description?: string): void',
+		description: 'Register a cleanup function to be called when the app is closed',
+		documentation: 'Register a cleanup function to be called when the app is closed\nUse this for custom cleanup like stopping game loops, disposing WebGL contexts, etc.',
+		isAsync: false,
+		internal: false,
+		module: 'core',
+		line: 357,
+		params: [
+			{ name: 'cleanupFunction', type: '((...args: any[]) => any)', description: 'Function to call during app cleanup', optional: false },
+			{ name: 'description', type: 'string', description: 'Optional description for debugging', optional: true, defaultValue: '\'User cleanup\'' }
+		],
+		returns: { type: 'void', description: '' },
+		throws: [],
+		failure: 'none',
+		examples: ['// For Three.js apps\nsypnexAPI.onBeforeClose(() => {\n    if (renderer) {\n        renderer.dispose();\n        renderer.domElement = null;\n    }\n    if (animationId) {\n        cancelAnimationFrame(animationId);\n    }\n}, \'Three.js cleanup\');\n\n// For game loops\nsypnexAPI.onBeforeClose(() => {\n    gameRunning = false;\n    if (gameLoopInterval) {\n        clearInterval(gameLoopInterval);\n    }\n}, \'Game loop cleanup\');']
+	},
+	{
+		name: 'removeCleanupHook',
+		signature: 'removeCleanupHook(cleanupFunction: ((...args: any[]) => any)): void',
+		description: 'Remove a previously registered cleanup function',
+		documentation: 'Remove a previously registered cleanup function',
+		isAsync: false,
+		internal: false,
+		module: 'core',
+		line: 373,
+		params: [
+			{ name: 'cleanupFunction', type: '((...args: any[]) => any)', description: 'The function to remove', optional: false }
+		],
+		returns: { type: 'void', description: '' },
+		throws: [],
+		failure: 'none',
+		examples: []
+	},
+	{
+		name: 'cleanup',
+		signature: 'cleanup(): void',
+		description: 'Internal method called by the OS during app cleanup',
+		documentation: 'Internal method called by the OS during app cleanup\nExecutes all registered cleanup hooks',
+		isAsync: false,
+		internal: true,
+		module: 'core',
+		line: 384,
+		params: [],
+		returns: { type: 'void', description: '' },
+		throws: [],
+		failure: 'none',
+		examples: []
+	},
+	{
+		name: 'showConfirmation',
+		signature: 'showConfirmation(title: string, message: string, options?: ShowConfirmationOptions): Promise<boolean>',
+		description: 'Show a confirmation dialog with standard OS styling',
+		documentation: 'Show a confirmation dialog with standard OS styling',
+		isAsync: true,
+		internal: false,
+		module: 'ui',
+		line: 458,
+		params: [
+			{ name: 'title', type: 'string', description: 'Dialog title', optional: false },
+			{ name: 'message', type: 'string', description: 'Dialog message', optional: false },
+			{ name: 'options', type: 'ShowConfirmationOptions', description: 'Configuration options', optional: true, defaultValue: '{}', properties: [
+				{ name: 'confirmText', type: 'string', description: 'Text for confirm button', optional: true, defaultValue: '\'Yes\'' },
+				{ name: 'cancelText', type: 'string', description: 'Text for cancel button', optional: true, defaultValue: '\'No\'' },
+				{ name: 'type', type: '\'warning\' | \'danger\' | \'info\'', description: 'Dialog type: \'warning\', \'danger\', \'info\'', optional: true, defaultValue: '\'warning\'', values: ['warning', 'danger', 'info'] },
+				{ name: 'icon', type: 'string', description: 'FontAwesome icon class', optional: true, defaultValue: '\'fas fa-exclamation-triangle\'' }
+			] }
+		],
+		returns: { type: 'Promise<boolean>', description: 'True if confirmed, false if cancelled' },
+		throws: [],
+		failure: 'none',
+		examples: []
+	},
+	{
+		name: 'showInputModal',
+		signature: 'showInputModal(title: string, message: string, options?: ShowInputModalOptions): Promise<string|null>',
+		description: 'Show an input modal for getting text input from user',
+		documentation: 'Show an input modal for getting text input from user',
+		isAsync: true,
+		internal: false,
+		module: 'ui',
+		line: 624,
+		params: [
+			{ name: 'title', type: 'string', description: 'Modal title', optional: false },
+			{ name: 'message', type: 'string', description: 'Modal message/label', optional: false },
+			{ name: 'options', type: 'ShowInputModalOptions', description: 'Configuration options', optional: true, defaultValue: '{}', properties: [
+				{ name: 'placeholder', type: 'string', description: 'Input placeholder text', optional: true, defaultValue: '\'\'' },
+				{ name: 'defaultValue', type: 'string', description: 'Default input value', optional: true, defaultValue: '\'\'' },
+				{ name: 'confirmText', type: 'string', description: 'Text for confirm button', optional: true, defaultValue: '\'Create\'' },
+				{ name: 'cancelText', type: 'string', description: 'Text for cancel button', optional: true, defaultValue: '\'Cancel\'' },
+				{ name: 'icon', type: 'string', description: 'FontAwesome icon class', optional: true, defaultValue: '\'fas fa-edit\'' },
+				{ name: 'inputType', type: '\'text\' | \'textarea\'', description: 'Input type: \'text\', \'textarea\'', optional: true, defaultValue: '\'text\'', values: ['text', 'textarea'] }
+			] }
+		],
+		returns: { type: 'Promise<string|null>', description: 'Input value if confirmed, null if cancelled' },
+		throws: [],
+		failure: 'none',
+		examples: []
+	},
+	{
+		name: 'showFileUploadModal',
+		signature: 'showFileUploadModal(title: string, message: string, options?: ShowFileUploadModalOptions): Promise<File|null>',
+		description: 'Show a file upload modal',
+		documentation: 'Show a file upload modal',
+		isAsync: true,
+		internal: false,
+		module: 'ui',
+		line: 873,
+		params: [
+			{ name: 'title', type: 'string', description: 'Modal title', optional: false },
+			{ name: 'message', type: 'string', description: 'Modal message/label', optional: false },
+			{ name: 'options', type: 'ShowFileUploadModalOptions', description: 'Configuration options', optional: true, defaultValue: '{}', properties: [
+				{ name: 'confirmText', type: 'string', description: 'Text for confirm button', optional: true, defaultValue: '\'Upload\'' },
+				{ name: 'cancelText', type: 'string', description: 'Text for cancel button', optional: true, defaultValue: '\'Cancel\'' },
+				{ name: 'icon', type: 'string', description: 'FontAwesome icon class', optional: true, defaultValue: '\'fas fa-upload\'' },
+				{ name: 'accept', type: 'string', description: 'File accept types', optional: true, defaultValue: '\'*\'' }
+			] }
+		],
+		returns: { type: 'Promise<File|null>', description: 'Selected file if confirmed, null if cancelled' },
+		throws: [],
+		failure: 'none',
+		examples: []
+	},
+	{
+		name: 'createHamburgerMenu',
+		signature: 'createHamburgerMenu(container: HTMLElement, menuItems: any[], options?: CreateHamburgerMenuOptions): Record<string, any>',
+		description: 'Create a hamburger menu with customizable items',
+		documentation: 'Create a hamburger menu with customizable items',
+		isAsync: false,
+		internal: false,
+		module: 'ui',
+		line: 1290,
+		params: [
+			{ name: 'container', type: 'HTMLElement', description: 'The container element to append the menu to', optional: false },
+			{ name: 'menuItems', type: 'any[]', description: 'Array of menu item objects', optional: false },
+			{ name: 'options', type: 'CreateHamburgerMenuOptions', description: 'Configuration options', optional: true, defaultValue: '{}', properties: [
+				{ name: 'position', type: '\'left\' | \'right\'', description: 'Position of menu (\'left\' or \'right\')', optional: true, defaultValue: '\'right\'', values: ['left', 'right'] },
+				{ name: 'buttonClass', type: 'string', description: 'Additional CSS classes for the button', optional: true, defaultValue: '\'\'' },
+				{ name: 'menuId', type: 'string', description: 'Custom ID for the menu (auto-generated if not provided)', optional: true, defaultValue: '\'\'' }
+			] }
+		],
+		returns: { type: 'Record<string, any>', description: 'Object with methods to control the menu' },
+		throws: [],
+		failure: 'none',
+		examples: ['const menuItems = [\n  { icon: \'fas fa-sync-alt\', text: \'Refresh\', action: () => console.log(\'Refresh\') },\n  { icon: \'fas fa-folder-plus\', text: \'New Folder\', action: () => console.log(\'New Folder\') },\n  { type: \'separator\' },\n  { icon: \'fas fa-upload\', text: \'Upload File\', action: () => console.log(\'Upload\') }\n];\n\nconst menu = sypnexAPI.createHamburgerMenu(container, menuItems, { position: \'right\' });']
+	},
+	{
+		name: 'showModal',
+		signature: 'showModal(options?: ShowModalOptions): Promise<string|null>',
+		description: 'Show a generic modal with custom HTML content',
+		documentation: 'Show a generic modal with custom HTML content',
+		isAsync: true,
+		internal: false,
+		module: 'ui',
+		line: 1467,
+		params: [
+			{ name: 'options', type: 'ShowModalOptions', description: 'Configuration options', optional: true, defaultValue: '{}', properties: [
+				{ name: 'title', type: 'string', description: 'Modal title', optional: true, defaultValue: '\'Modal\'' },
+				{ name: 'html', type: 'string', description: 'HTML content for modal body', optional: true, defaultValue: '\'\'' },
+				{ name: 'icon', type: 'string', description: 'FontAwesome icon class', optional: true, defaultValue: '\'fas fa-window-maximize\'' },
+				{ name: 'size', type: '\'small\' | \'medium\' | \'large\'', description: 'Modal size: \'small\', \'medium\', \'large\'', optional: true, defaultValue: '\'medium\'', values: ['small', 'medium', 'large'] },
+				{ name: 'buttons', type: 'any[]', description: 'Array of button objects with text, style, and onClick', optional: true, defaultValue: '[]' },
+				{ name: 'closeOnOverlay', type: 'boolean', description: 'Close modal when clicking overlay', optional: true, defaultValue: 'true' },
+				{ name: 'onClose', type: '((...args: any[]) => any)', description: 'Callback when modal is closed', optional: true, defaultValue: 'null' }
+			] }
+		],
+		returns: { type: 'Promise<string|null>', description: 'Button text that was clicked, or null if closed' },
+		throws: [],
+		failure: 'none',
+		examples: []
+	},
+	{
+		name: 'registerKeyboardShortcuts',
+		signature: 'registerKeyboardShortcuts(shortcuts: Record<string, any>, config?: RegisterKeyboardShortcutsConfig): void',
+		description: 'Register keyboard shortcuts for this application',
+		documentation: 'Register keyboard shortcuts for this application',
+		isAsync: false,
+		internal: false,
+		module: 'keyboard',
+		line: 1862,
+		params: [
+			{ name: 'shortcuts', type: 'Record<string, any>', description: 'Object mapping key strings to handler functions', optional: false },
+			{ name: 'config', type: 'RegisterKeyboardShortcutsConfig', description: 'Configuration options', optional: true, defaultValue: '{}', properties: [
+				{ name: 'preventDefault', type: 'boolean', description: 'Whether to prevent default behavior (default: true)', optional: true, defaultValue: 'true' },
+				{ name: 'stopPropagation', type: 'boolean', description: 'Whether to stop event propagation (default: false)', optional: true, defaultValue: 'false' }
+			] }
+		],
+		returns: { type: 'void', description: '' },
+		throws: [],
+		failure: 'none',
+		examples: ['this.registerKeyboardShortcuts({\n    \'f\': () => this.toggleFullscreen(),\n    \'escape\': () => this.exitFullscreen(),\n    \'space\': () => this.pausePlay(),\n    \'ctrl+s\': () => this.save()\n});']
+	},
+	{
+		name: 'getKeyboardStats',
+		signature: 'getKeyboardStats(): Record<string, any>',
+		description: 'Get keyboard shortcut statistics',
+		documentation: 'Get keyboard shortcut statistics',
+		isAsync: false,
+		internal: false,
+		module: 'keyboard',
+		line: 1892,
+		params: [],
+		returns: { type: 'Record<string, any>', description: 'Statistics about registered shortcuts' },
+		throws: [],
+		failure: 'none',
+		examples: []
+	},
+	{
+		name: 'getAppWindow',
+		signature: 'getAppWindow(): Record<string, any>',
+		description: 'Get the isolated window object for this app with automatic property tracking',
+		documentation: 'Get the isolated window object for this app with automatic property tracking\nReturns the same window proxy instance for subsequent calls (singleton pattern).\nAll properties assigned to this window proxy will be automatically cleaned up\nwhen the app is closed, preventing memory leaks and conflicts.',
+		isAsync: false,
+		internal: false,
+		module: 'window',
+		line: 2109,
+		params: [],
+		returns: { type: 'Record<string, any>', description: 'Window proxy object that tracks property assignments' },
+		throws: [],
+		failure: 'none',
+		examples: ['// Instead of: window.myData = { ... }\n// Use:\nconst appWindow = sypnexAPI.getAppWindow();\nappWindow.myData = { ... }; // This will be automatically cleaned up\n\n// Multiple calls return the same proxy:\nconst w1 = sypnexAPI.getAppWindow();\nconst w2 = sypnexAPI.getAppWindow();\nconsole.log(w1 === w2); // true\n\n// The proxy behaves exactly like window for reading:\nappWindow.document.getElementById(\'myId\'); // Works normally\nappWindow.localStorage.getItem(\'key\');    // Works normally']
+	},
+	{
+		name: 'cleanupAppWindow',
+		signature: 'cleanupAppWindow(): void',
+		description: 'Manually clean up window properties for this app',
+		documentation: 'Manually clean up window properties for this app',
+		isAsync: false,
+		internal: false,
+		module: 'window',
+		line: 2123,
+		params: [],
+		returns: { type: 'void', description: '' },
+		throws: [],
+		failure: 'none',
+		examples: []
+	},
+	{
+		name: 'detectAppScale',
+		signature: 'detectAppScale(): number',
+		description: 'Convenience method: Detect current app scale',
+		documentation: 'Convenience method: Detect current app scale',
+		isAsync: false,
+		internal: false,
+		module: 'scaling',
+		line: 2365,
+		params: [],
+		returns: { type: 'number', description: 'Scale factor' },
+		throws: [],
+		failure: 'none',
+		examples: []
+	},
+	{
+		name: 'getScaledMouseCoords',
+		signature: 'getScaledMouseCoords(e: Event): Record<string, any>',
+		description: 'Convenience method: Get scaled mouse coordinates',
+		documentation: 'Convenience method: Get scaled mouse coordinates',
+		isAsync: false,
+		internal: false,
+		module: 'scaling',
+		line: 2375,
+		params: [
+			{ name: 'e', type: 'Event', description: 'Mouse event', optional: false }
+		],
+		returns: { type: 'Record<string, any>', description: 'Scaled coordinates' },
+		throws: [],
+		failure: 'none',
+		examples: []
+	},
+	{
+		name: 'getScaledBoundingClientRect',
+		signature: 'getScaledBoundingClientRect(element: Element): Record<string, any>',
+		description: 'Convenience method: Get scaled element bounds',
+		documentation: 'Convenience method: Get scaled element bounds',
+		isAsync: false,
+		internal: false,
+		module: 'scaling',
+		line: 2385,
+		params: [
+			{ name: 'element', type: 'Element', description: 'DOM element', optional: false }
+		],
+		returns: { type: 'Record<string, any>', description: 'Scaled bounding rectangle' },
+		throws: [],
+		failure: 'none',
+		examples: []
+	},
+	{
+		name: 'screenToAppCoords',
+		signature: 'screenToAppCoords(screenX: number, screenY: number, zoomScale?: number): Record<string, any>',
+		description: 'Convenience method: Convert screen to app coordinates',
+		documentation: 'Convenience method: Convert screen to app coordinates',
+		isAsync: false,
+		internal: false,
+		module: 'scaling',
+		line: 2397,
+		params: [
+			{ name: 'screenX', type: 'number', description: 'Screen X coordinate', optional: false },
+			{ name: 'screenY', type: 'number', description: 'Screen Y coordinate', optional: false },
+			{ name: 'zoomScale', type: 'number', description: 'Optional zoom scale', optional: true, defaultValue: '1.0' }
+		],
+		returns: { type: 'Record<string, any>', description: 'App coordinates' },
+		throws: [],
+		failure: 'none',
+		examples: []
+	},
+	{
+		name: 'appToScreenCoords',
+		signature: 'appToScreenCoords(appX: number, appY: number, zoomScale?: number): Record<string, any>',
+		description: 'Convenience method: Convert app to screen coordinates',
+		documentation: 'Convenience method: Convert app to screen coordinates',
+		isAsync: false,
+		internal: false,
+		module: 'scaling',
+		line: 2409,
+		params: [
+			{ name: 'appX', type: 'number', description: 'App X coordinate', optional: false },
+			{ name: 'appY', type: 'number', description: 'App Y coordinate', optional: false },
+			{ name: 'zoomScale', type: 'number', description: 'Optional zoom scale', optional: true, defaultValue: '1.0' }
+		],
+		returns: { type: 'Record<string, any>', description: 'Screen coordinates' },
+		throws: [],
+		failure: 'none',
+		examples: []
+	},
+	{
+		name: 'initScaleDetection',
+		signature: 'initScaleDetection(onScaleChange?: ((...args: any[]) => any)): MutationObserver',
+		description: 'Convenience method: Initialize scale detection',
+		documentation: 'Convenience method: Initialize scale detection',
+		isAsync: false,
+		internal: false,
+		module: 'scaling',
+		line: 2419,
+		params: [
+			{ name: 'onScaleChange', type: '((...args: any[]) => any)', description: 'Callback for scale changes', optional: true, defaultValue: 'null' }
+		],
+		returns: { type: 'MutationObserver', description: 'Observer instance' },
+		throws: [],
+		failure: 'none',
+		examples: []
+	},
+	{
+		name: 'getSetting',
+		signature: 'getSetting(key: string, defaultValue?: any): Promise<any>',
+		description: 'Get an application setting',
+		documentation: 'Get an application setting',
+		isAsync: true,
+		internal: false,
+		module: 'settings',
+		line: 2440,
+		params: [
+			{ name: 'key', type: 'string', description: 'Setting key to retrieve', optional: false },
+			{ name: 'defaultValue', type: 'any', description: 'Default value if setting not found', optional: true, defaultValue: 'null' }
+		],
+		returns: { type: 'Promise<any>', description: 'The setting value or default value' },
+		throws: [],
+		failure: 'fallback',
+		examples: []
+	},
+	{
+		name: 'setSetting',
+		signature: 'setSetting(key: string, value: any): Promise<boolean>',
+		description: 'Set an application setting',
+		documentation: 'Set an application setting',
+		isAsync: true,
+		internal: false,
+		module: 'settings',
+		line: 2457,
+		params: [
+			{ name: 'key', type: 'string', description: 'Setting key to set', optional: false },
+			{ name: 'value', type: 'any', description: 'Value to store', optional: false }
+		],
+		returns: { type: 'Promise<boolean>', description: 'True if saved successfully, false otherwise' },
+		throws: [],
+		failure: 'false',
+		examples: []
+	},
+	{
+		name: 'getAllSettings',
+		signature: 'getAllSettings(): Promise<Record<string, any>>',
+		description: 'Get all application settings',
+		documentation: 'Get all application settings',
+		isAsync: true,
+		internal: false,
+		module: 'settings',
+		line: 2485,
+		params: [],
+		returns: { type: 'Promise<Record<string, any>>', description: 'Object containing all app settings' },
+		throws: [],
+		failure: 'fallback',
+		examples: []
+	},
+	{
+		name: 'deleteSetting',
+		signature: 'deleteSetting(key: string): Promise<boolean>',
+		description: 'Delete an application setting',
+		documentation: 'Delete an application setting',
+		isAsync: true,
+		internal: false,
+		module: 'settings',
+		line: 2501,
+		params: [
+			{ name: 'key', type: 'string', description: 'Setting key to delete', optional: false }
+		],
+		returns: { type: 'Promise<boolean>', description: 'True if deleted successfully, false otherwise' },
+		throws: [],
+		failure: 'false',
+		examples: []
+	},
+	{
+		name: 'getPreference',
+		signature: 'getPreference(category: string, key: string, defaultValue?: any): Promise<any>',
+		description: 'Get a user preference value',
+		documentation: 'Get a user preference value',
+		isAsync: true,
+		internal: false,
+		module: 'settings',
+		line: 2528,
+		params: [
+			{ name: 'category', type: 'string', description: 'Preference category', optional: false },
+			{ name: 'key', type: 'string', description: 'Preference key', optional: false },
+			{ name: 'defaultValue', type: 'any', description: 'Default value if preference not found', optional: true, defaultValue: 'null' }
+		],
+		returns: { type: 'Promise<any>', description: 'The preference value or default value' },
+		throws: [],
+		failure: 'fallback',
+		examples: []
+	},
+	{
+		name: 'setPreference',
+		signature: 'setPreference(category: string, key: string, value: any): Promise<boolean>',
+		description: 'Set a user preference value',
+		documentation: 'Set a user preference value',
+		isAsync: true,
+		internal: false,
+		module: 'settings',
+		line: 2551,
+		params: [
+			{ name: 'category', type: 'string', description: 'Preference category', optional: false },
+			{ name: 'key', type: 'string', description: 'Preference key', optional: false },
+			{ name: 'value', type: 'any', description: 'Value to store', optional: false }
+		],
+		returns: { type: 'Promise<boolean>', description: 'True if saved successfully, false otherwise' },
+		throws: [],
+		failure: 'false',
+		examples: []
+	},
+	{
+		name: 'encrypt',
+		signature: 'encrypt(value: string|Record<string, any>): Promise<string|null>',
+		description: 'Encrypt a value using the system\'s encryption service',
+		documentation: 'Encrypt a value using the system\'s encryption service',
+		isAsync: true,
+		internal: false,
+		module: 'crypto',
+		line: 2592,
+		params: [
+			{ name: 'value', type: 'string|Record<string, any>', description: 'The value to encrypt (will be JSON.stringify\'d if object)', optional: false }
+		],
+		returns: { type: 'Promise<string|null>', description: 'The encrypted value as a string, or null if encryption failed' },
+		throws: [],
+		failure: 'null',
+		examples: ['// Encrypt a simple string\nconst encrypted = await sypnexAPI.encrypt("my secret data");\n\n// Encrypt an object\nconst encryptedObj = await sypnexAPI.encrypt({username: "john", password: "secret"});']
+	},
+	{
+		name: 'decrypt',
+		signature: 'decrypt(encryptedValue: string): Promise<string|null>',
+		description: 'Decrypt a value that was previously encrypted with the encrypt() method',
+		documentation: 'Decrypt a value that was previously encrypted with the encrypt() method',
+		isAsync: true,
+		internal: false,
+		module: 'crypto',
+		line: 2634,
+		params: [
+			{ name: 'encryptedValue', type: 'string', description: 'The encrypted value to decrypt', optional: false }
+		],
+		returns: { type: 'Promise<string|null>', description: 'The decrypted value, or null if decryption failed' },
+		throws: [],
+		failure: 'null',
+		examples: ['// Decrypt a previously encrypted value\nconst decrypted = await sypnexAPI.decrypt(encryptedValue);\n\n// Handle decryption failure\nif (decrypted === null) {\n    console.error("Failed to decrypt value");\n}']
+	},
+	{
+		name: 'connectSocket',
+		signature: 'connectSocket(url?: string, options?: Record<string, any>): Promise<boolean>',
+		description: 'Connect to Socket.IO server for this app instance',
+		documentation: 'Connect to Socket.IO server for this app instance',
+		isAsync: true,
+		internal: false,
+		module: 'socket',
+		line: 2699,
+		params: [
+			{ name: 'url', type: 'string', description: 'Socket.IO server URL (defaults to current origin)', optional: true, defaultValue: 'null' },
+			{ name: 'options', type: 'Record<string, any>', description: 'Socket.IO connection options', optional: true, defaultValue: '{}' }
+		],
+		returns: { type: 'Promise<boolean>', description: 'Connection success status' },
+		throws: [],
+		failure: 'false',
+		examples: []
+	},
+	{
+		name: 'disconnectSocket',
+		signature: 'disconnectSocket(): void',
+		description: 'Disconnect from Socket.IO server',
+		documentation: 'Disconnect from Socket.IO server',
+		isAsync: false,
+		internal: false,
+		module: 'socket',
+		line: 2820,
+		params: [],
+		returns: { type: 'void', description: '' },
+		throws: [],
+		failure: 'none',
+		examples: []
+	},
+	{
+		name: 'isSocketConnected',
+		signature: 'isSocketConnected(): boolean',
+		description: 'Check if Socket.IO is connected',
+		documentation: 'Check if Socket.IO is connected',
+		isAsync: false,
+		internal: false,
+		module: 'socket',
+		line: 2836,
+		params: [],
+		returns: { type: 'boolean', description: 'Connection status' },
+		throws: [],
+		failure: 'none',
+		examples: []
+	},
+	{
+		name: 'sendMessage',
+		signature: 'sendMessage(event: string, data: any, room?: string): boolean',
+		description: 'Send a message via Socket.IO',
+		documentation: 'Send a message via Socket.IO',
+		isAsync: false,
+		internal: false,
+		module: 'socket',
+		line: 2848,
+		params: [
+			{ name: 'event', type: 'string', description: 'Event name', optional: false },
+			{ name: 'data', type: 'any', description: 'Data to send', optional: false },
+			{ name: 'room', type: 'string', description: 'Room to send to (optional)', optional: true, defaultValue: 'null' }
+		],
+		returns: { type: 'boolean', description: 'Success status' },
+		throws: [],
+		failure: 'false',
+		examples: []
+	},
+	{
+		name: 'joinRoom',
+		signature: 'joinRoom(roomName: string): boolean',
+		description: 'Join a Socket.IO room',
+		documentation: 'Join a Socket.IO room',
+		isAsync: false,
+		internal: false,
+		module: 'socket',
+		line: 2892,
+		params: [
+			{ name: 'roomName', type: 'string', description: 'Room to join', optional: false }
+		],
+		returns: { type: 'boolean', description: 'Success status' },
+		throws: [],
+		failure: 'false',
+		examples: []
+	},
+	{
+		name: 'leaveRoom',
+		signature: 'leaveRoom(roomName: string): boolean',
+		description: 'Leave a Socket.IO room',
+		documentation: 'Leave a Socket.IO room',
+		isAsync: false,
+		internal: false,
+		module: 'socket',
+		line: 2914,
+		params: [
+			{ name: 'roomName', type: 'string', description: 'Room to leave', optional: false }
+		],
+		returns: { type: 'boolean', description: 'Success status' },
+		throws: [],
+		failure: 'false',
+		examples: []
+	},
+	{
+		name: 'ping',
+		signature: 'ping(): Promise<number>',
+		description: 'Send a ping to test connection',
+		documentation: 'Send a ping to test connection',
+		isAsync: true,
+		internal: false,
+		module: 'socket',
+		line: 2935,
+		params: [],
+		returns: { type: 'Promise<number>', description: 'Ping time in milliseconds' },
+		throws: [],
+		failure: 'throws',
+		examples: []
+	},
+	{
+		name: 'on',
+		signature: 'on(eventName: string, callback: ((...args: any[]) => any)): void',
+		description: 'Listen for Socket.IO events',
+		documentation: 'Listen for Socket.IO events',
+		isAsync: false,
+		internal: false,
+		module: 'socket',
+		line: 2955,
+		params: [
+			{ name: 'eventName', type: 'string', description: 'Event name to listen for', optional: false },
+			{ name: 'callback', type: '((...args: any[]) => any)', description: 'Callback function', optional: false }
+		],
+		returns: { type: 'void', description: '' },
+		throws: [],
+		failure: 'none',
+		examples: []
+	},
+	{
+		name: 'off',
+		signature: 'off(eventName: string, callback: ((...args: any[]) => any)): void',
+		description: 'Remove Socket.IO event listener',
+		documentation: 'Remove Socket.IO event listener',
+		isAsync: false,
+		internal: false,
+		module: 'socket',
+		line: 2979,
+		params: [
+			{ name: 'eventName', type: 'string', description: 'Event name', optional: false },
+			{ name: 'callback', type: '((...args: any[]) => any)', description: 'Callback function to remove', optional: false }
+		],
+		returns: { type: 'void', description: '' },
+		throws: [],
+		failure: 'none',
+		examples: []
+	},
+	{
+		name: 'getSocket',
+		signature: 'getSocket(): Record<string, any>|null',
+		description: 'Get the Socket.IO instance',
+		documentation: 'Get the Socket.IO instance',
+		isAsync: false,
+		internal: false,
+		module: 'socket',
+		line: 3021,
+		params: [],
+		returns: { type: 'Record<string, any>|null', description: 'Socket.IO instance or null' },
+		throws: [],
+		failure: 'none',
+		examples: []
+	},
+	{
+		name: 'getSocketState',
+		signature: 'getSocketState(): Record<string, any>',
+		description: 'Get Socket.IO connection state',
+		documentation: 'Get Socket.IO connection state',
+		isAsync: false,
+		internal: false,
+		module: 'socket',
+		line: 3030,
+		params: [],
+		returns: { type: 'Record<string, any>', description: 'Connection state object' },
+		throws: [],
+		failure: 'none',
+		examples: []
+	},
+	{
+		name: 'startHealthChecks',
+		signature: 'startHealthChecks(): void',
+		description: 'Start periodic health checks',
+		documentation: 'Start periodic health checks',
+		isAsync: false,
+		internal: false,
+		module: 'socket',
+		line: 3053,
+		params: [],
+		returns: { type: 'void', description: '' },
+		throws: [],
+		failure: 'none',
+		examples: []
+	},
+	{
+		name: 'stopHealthChecks',
+		signature: 'stopHealthChecks(): void',
+		description: 'Stop periodic health checks',
+		documentation: 'Stop periodic health checks',
+		isAsync: false,
+		internal: false,
+		module: 'socket',
+		line: 3068,
+		params: [],
+		returns: { type: 'void', description: '' },
+		throws: [],
+		failure: 'none',
+		examples: []
+	},
+	{
+		name: 'performHealthCheck',
+		signature: 'performHealthCheck(): Promise<void>',
+		description: 'Perform a health check ping',
+		documentation: 'Perform a health check ping',
+		isAsync: true,
+		internal: false,
+		module: 'socket',
+		line: 3079,
+		params: [],
+		returns: { type: 'Promise<void>', description: '' },
+		throws: [],
+		failure: 'none',
+		examples: []
+	},
+	{
+		name: 'setHealthChecks',
+		signature: 'setHealthChecks(enabled: boolean): void',
+		description: 'Enable or disable health checks',
+		documentation: 'Enable or disable health checks',
+		isAsync: false,
+		internal: false,
+		module: 'socket',
+		line: 3098,
+		params: [
+			{ name: 'enabled', type: 'boolean', description: 'Whether to enable health checks', optional: false }
+		],
+		returns: { type: 'void', description: '' },
+		throws: [],
+		failure: 'none',
+		examples: []
+	},
+	{
+		name: 'setHealthCheckInterval',
+		signature: 'setHealthCheckInterval(intervalMs: number): void',
+		description: 'Set health check interval',
+		documentation: 'Set health check interval',
+		isAsync: false,
+		internal: false,
+		module: 'socket',
+		line: 3112,
+		params: [
+			{ name: 'intervalMs', type: 'number', description: 'Interval in milliseconds', optional: false }
+		],
+		returns: { type: 'void', description: '' },
+		throws: [],
+		failure: 'none',
+		examples: []
+	},
+	{
+		name: 'setAutoReconnect',
+		signature: 'setAutoReconnect(enabled: boolean): void',
+		description: 'Enable or disable auto-reconnect',
+		documentation: 'Enable or disable auto-reconnect',
+		isAsync: false,
+		internal: false,
+		module: 'socket',
+		line: 3127,
+		params: [
+			{ name: 'enabled', type: 'boolean', description: 'Whether to enable auto-reconnect', optional: false }
+		],
+		returns: { type: 'void', description: '' },
+		throws: [],
+		failure: 'none',
+		examples: []
+	},
+	{
+		name: 'setReconnectConfig',
+		signature: 'setReconnectConfig(config: Record<string, any>): void',
+		description: 'Set auto-reconnect configuration',
+		documentation: 'Set auto-reconnect configuration',
+		isAsync: false,
+		internal: false,
+		module: 'socket',
+		line: 3139,
+		params: [
+			{ name: 'config', type: 'Record<string, any>', description: 'Reconnect configuration', optional: false }
+		],
+		returns: { type: 'void', description: '' },
+		throws: [],
+		failure: 'none',
+		examples: []
+	},
+	{
+		name: 'reconnect',
+		signature: 'reconnect(): void',
+		description: 'Manually trigger reconnection',
+		documentation: 'Manually trigger reconnection',
+		isAsync: false,
+		internal: false,
+		module: 'socket',
+		line: 3162,
+		params: [],
+		returns: { type: 'void', description: '' },
+		throws: [],
+		failure: 'none',
+		examples: []
+	},
+	{
+		name: 'getVirtualFileStats',
+		signature: 'getVirtualFileStats(): Promise<Record<string, any>>',
+		description: 'Get virtual file system statistics',
+		documentation: 'Get virtual file system statistics',
+		isAsync: true,
+		internal: false,
+		module: 'vfs',
+		line: 3225,
+		params: [],
+		returns: { type: 'Promise<Record<string, any>>', description: 'System statistics' },
+		throws: [],
+		failure: 'throws',
+		examples: []
+	},
+	{
+		name: 'listVirtualFiles',
+		signature: 'listVirtualFiles(path?: string): Promise<Record<string, any>>',
+		description: 'List files and directories in a path',
+		documentation: 'List files and directories in a path',
+		isAsync: true,
+		internal: false,
+		module: 'vfs',
+		line: 3245,
+		params: [
+			{ name: 'path', type: 'string', description: 'Directory path (defaults to \'/\')', optional: true, defaultValue: '\'/\'' }
+		],
+		returns: { type: 'Promise<Record<string, any>>', description: 'Directory contents' },
+		throws: [],
+		failure: 'throws',
+		examples: []
+	},
+	{
+		name: 'createVirtualFolder',
+		signature: 'createVirtualFolder(name: string, parentPath?: string): Promise<Record<string, any>>',
+		description: 'Create a new folder',
+		documentation: 'Create a new folder',
+		isAsync: true,
+		internal: false,
+		module: 'vfs',
+		line: 3266,
+		params: [
+			{ name: 'name', type: 'string', description: 'Folder name', optional: false },
+			{ name: 'parentPath', type: 'string', description: 'Parent directory path (defaults to \'/\')', optional: true, defaultValue: '\'/\'' }
+		],
+		returns: { type: 'Promise<Record<string, any>>', description: 'Creation result' },
+		throws: [],
+		failure: 'throws',
+		examples: []
+	},
+	{
+		name: 'createVirtualFile',
+		signature: 'createVirtualFile(name: string, content?: string, parentPath?: string): Promise<Record<string, any>>',
+		description: 'Create a new file',
+		documentation: 'Create a new file',
+		isAsync: true,
+		internal: false,
+		module: 'vfs',
+		line: 3296,
+		params: [
+			{ name: 'name', type: 'string', description: 'File name', optional: false },
+			{ name: 'content', type: 'string', description: 'File content', optional: true, defaultValue: '\'\'' },
+			{ name: 'parentPath', type: 'string', description: 'Parent directory path (defaults to \'/\')', optional: true, defaultValue: '\'/\'' }
+		],
+		returns: { type: 'Promise<Record<string, any>>', description: 'Creation result' },
+		throws: [],
+		failure: 'throws',
+		examples: []
+	},
+	{
+		name: 'uploadVirtualFile',
+		signature: 'uploadVirtualFile(file: File, parentPath?: string): Promise<Record<string, any>>',
+		description: 'Upload a file from the host system',
+		documentation: 'Upload a file from the host system',
+		isAsync: true,
+		internal: false,
+		module: 'vfs',
+		line: 3325,
+		params: [
+			{ name: 'file', type: 'File', description: 'File object from input element', optional: false },
+			{ name: 'parentPath', type: 'string', description: 'Parent directory path (defaults to \'/\')', optional: true, defaultValue: '\'/\'' }
+		],
+		returns: { type: 'Promise<Record<string, any>>', description: 'Upload result' },
+		throws: [],
+		failure: 'throws',
+		examples: []
+	},
+	{
+		name: 'uploadVirtualFileChunked',
+		signature: 'uploadVirtualFileChunked(file: File, parentPath?: string, progressCallback?: ((...args: any[]) => any)): Record<string, any>',
+		description: 'Upload a file with real progress tracking based on actual upload progress',
+		documentation: 'Upload a file with real progress tracking based on actual upload progress',
+		isAsync: false,
+		internal: false,
+		module: 'vfs',
+		line: 3356,
+		params: [
+			{ name: 'file', type: 'File', description: 'File object from input element', optional: false },
+			{ name: 'parentPath', type: 'string', description: 'Parent directory path (defaults to \'/\')', optional: true, defaultValue: '\'/\'' },
+			{ name: 'progressCallback', type: '((...args: any[]) => any)', description: 'Callback for progress updates (percent)', optional: true, defaultValue: 'null' }
+		],
+		returns: { type: 'Record<string, any>', description: 'Object with promise and abort method { promise: Promise<object>, abort: Function }' },
+		throws: [],
+		failure: 'throws',
+		examples: []
+	},
+	{
+		name: 'readVirtualFile',
+		signature: 'readVirtualFile(filePath: string): Promise<Record<string, any>>',
+		description: 'Read a file\'s content',
+		documentation: 'Read a file\'s content',
+		isAsync: true,
+		internal: false,
+		module: 'vfs',
+		line: 3436,
+		params: [
+			{ name: 'filePath', type: 'string', description: 'Path to the file', optional: false }
+		],
+		returns: { type: 'Promise<Record<string, any>>', description: 'File data' },
+		throws: [],
+		failure: 'throws',
+		examples: []
+	},
+	{
+		name: 'readVirtualFileText',
+		signature: 'readVirtualFileText(filePath: string): Promise<string>',
+		description: 'Get a file\'s content as text',
+		documentation: 'Get a file\'s content as text',
+		isAsync: true,
+		internal: false,
+		module: 'vfs',
+		line: 3457,
+		params: [
+			{ name: 'filePath', type: 'string', description: 'Path to the file', optional: false }
+		],
+		returns: { type: 'Promise<string>', description: 'File content as text' },
+		throws: [],
+		failure: 'throws',
+		examples: []
+	},
+	{
+		name: 'readVirtualFileJSON',
+		signature: 'readVirtualFileJSON(filePath: string): Promise<Record<string, any>>',
+		description: 'Get a file\'s content as JSON',
+		documentation: 'Get a file\'s content as JSON',
+		isAsync: true,
+		internal: false,
+		module: 'vfs',
+		line: 3473,
+		params: [
+			{ name: 'filePath', type: 'string', description: 'Path to the file', optional: false }
+		],
+		returns: { type: 'Promise<Record<string, any>>', description: 'Parsed JSON content' },
+		throws: [],
+		failure: 'throws',
+		examples: []
+	},
+	{
+		name: 'readVirtualFileBlob',
+		signature: 'readVirtualFileBlob(filePath: string): Promise<Blob>',
+		description: 'Get a file\'s content as Blob (for binary files, images, etc.)',
+		documentation: 'Get a file\'s content as Blob (for binary files, images, etc.)',
+		isAsync: true,
+		internal: false,
+		module: 'vfs',
+		line: 3489,
+		params: [
+			{ name: 'filePath', type: 'string', description: 'Path to the file', optional: false }
+		],
+		returns: { type: 'Promise<Blob>', description: 'File content as Blob' },
+		throws: [],
+		failure: 'throws',
+		examples: []
+	},
+	{
+		name: 'getVirtualFileUrl',
+		signature: 'getVirtualFileUrl(filePath: string): string',
+		description: 'Serve a file directly (for binary files, images, etc.)',
+		documentation: 'Serve a file directly (for binary files, images, etc.)',
+		isAsync: false,
+		internal: false,
+		module: 'vfs',
+		line: 3509,
+		params: [
+			{ name: 'filePath', type: 'string', description: 'Path to the file', optional: false }
+		],
+		returns: { type: 'string', description: 'Direct URL to serve the file' },
+		throws: [],
+		failure: 'none',
+		examples: []
+	},
+	{
+		name: 'deleteVirtualItem',
+		signature: 'deleteVirtualItem(itemPath: any): Promise<any>',
+		description: 'Delete a file or folder from virtual file system',
+		documentation: 'Delete a file or folder from virtual file system',
+		isAsync: true,
+		internal: false,
+		module: 'vfs',
+		line: 3517,
+		params: [
+			{ name: 'itemPath', type: 'any', description: '', optional: false }
+		],
+		returns: { type: 'Promise<any>', description: '' },
+		throws: [],
+		failure: 'throws',
+		examples: []
+	},
+	{
+		name: 'getVirtualItemInfo',
+		signature: 'getVirtualItemInfo(itemPath: string): Promise<Record<string, any>>',
+		description: 'Get information about a file or directory',
+		documentation: 'Get information about a file or directory',
+		isAsync: true,
+		internal: false,
+		module: 'vfs',
+		line: 3541,
+		params: [
+			{ name: 'itemPath', type: 'string', description: 'Path to the item', optional: false }
+		],
+		returns: { type: 'Promise<Record<string, any>>', description: 'Item information' },
+		throws: [],
+		failure: 'throws',
+		examples: []
+	},
+	{
+		name: 'virtualItemExists',
+		signature: 'virtualItemExists(itemPath: string): Promise<boolean>',
+		description: 'Check if a file or directory exists',
+		documentation: 'Check if a file or directory exists',
+		isAsync: true,
+		internal: false,
+		module: 'vfs',
+		line: 3575,
+		params: [
+			{ name: 'itemPath', type: 'string', description: 'Path to the item', optional: false }
+		],
+		returns: { type: 'Promise<boolean>', description: 'Whether the item exists' },
+		throws: [],
+		failure: 'throws',
+		examples: []
+	},
+	{
+		name: 'writeVirtualFile',
+		signature: 'writeVirtualFile(filePath: string, content: string): Promise<Record<string, any>>',
+		description: 'Write content to a file (creates or overwrites)',
+		documentation: 'Write content to a file (creates or overwrites)',
+		isAsync: true,
+		internal: false,
+		module: 'vfs',
+		line: 3595,
+		params: [
+			{ name: 'filePath', type: 'string', description: 'Path to the file', optional: false },
+			{ name: 'content', type: 'string', description: 'File content', optional: false }
+		],
+		returns: { type: 'Promise<Record<string, any>>', description: 'Write result' },
+		throws: [],
+		failure: 'throws',
+		examples: []
+	},
+	{
+		name: 'writeVirtualFileJSON',
+		signature: 'writeVirtualFileJSON(filePath: string, data: Record<string, any>): Promise<Record<string, any>>',
+		description: 'Write JSON content to a file',
+		documentation: 'Write JSON content to a file',
+		isAsync: true,
+		internal: false,
+		module: 'vfs',
+		line: 3624,
+		params: [
+			{ name: 'filePath', type: 'string', description: 'Path to the file', optional: false },
+			{ name: 'data', type: 'Record<string, any>', description: 'JSON data to write', optional: false }
+		],
+		returns: { type: 'Promise<Record<string, any>>', description: 'Write result' },
+		throws: [],
+		failure: 'throws',
+		examples: []
+	},
+	{
+		name: 'writeVirtualFileBinary',
+		signature: 'writeVirtualFileBinary(filePath: string, binaryData: Uint8Array|Blob): Promise<Record<string, any>>',
+		description: 'Write binary content to a file using the upload endpoint',
+		documentation: 'Write binary content to a file using the upload endpoint',
+		isAsync: true,
+		internal: false,
+		module: 'vfs',
+		line: 3641,
+		params: [
+			{ name: 'filePath', type: 'string', description: 'Path to the file', optional: false },
+			{ name: 'binaryData', type: 'Uint8Array|Blob', description: 'Binary data to write', optional: false }
+		],
+		returns: { type: 'Promise<Record<string, any>>', description: 'Write result' },
+		throws: [],
+		failure: 'throws',
+		examples: []
+	},
+	{
+		name: 'createVirtualDirectoryStructure',
+		signature: 'createVirtualDirectoryStructure(dirPath: string): Promise<Record<string, any>>',
+		description: 'Create a directory structure (creates parent directories if needed)',
+		documentation: 'Create a directory structure (creates parent directories if needed)',
+		isAsync: true,
+		internal: false,
+		module: 'vfs',
+		line: 3693,
+		params: [
+			{ name: 'dirPath', type: 'string', description: 'Directory path to create', optional: false }
+		],
+		returns: { type: 'Promise<Record<string, any>>', description: 'Creation result' },
+		throws: [],
+		failure: 'throws',
+		examples: []
+	},
+	{
+		name: 'loadLibrary',
+		signature: 'loadLibrary(url: string, options?: Record<string, any>): Promise<any>',
+		description: 'Load a library from CDN',
+		documentation: 'Load a library from CDN',
+		isAsync: true,
+		internal: false,
+		module: 'libraries',
+		line: 3736,
+		params: [
+			{ name: 'url', type: 'string', description: 'CDN URL of the library', optional: false },
+			{ name: 'options', type: 'Record<string, any>', description: 'Loading options', optional: true, defaultValue: '{}' }
+		],
+		returns: { type: 'Promise<any>', description: 'Loaded library or true if successful' },
+		throws: [],
+		failure: 'none',
+		examples: []
+	},
+	{
+		name: 'showFileExplorer',
+		signature: 'showFileExplorer(options?: ShowFileExplorerOptions): Promise<string>',
+		description: 'Show a file explorer modal for selecting files or directories',
+		documentation: 'Show a file explorer modal for selecting files or directories',
+		isAsync: true,
+		internal: false,
+		module: 'file-explorer',
+		line: 3792,
+		params: [
+			{ name: 'options', type: 'ShowFileExplorerOptions', description: 'Configuration options', optional: true, defaultValue: '{}', properties: [
+				{ name: 'mode', type: '\'open\' | \'save\'', description: '\'open\' for loading files, \'save\' for saving files', optional: true, defaultValue: '\'open\'', values: ['open', 'save'] },
+				{ name: 'title', type: 'string', description: 'Modal title', optional: true, defaultValue: 'mode === \'open\' ? \'Open File\' : \'Save File\'' },
+				{ name: 'initialPath', type: 'string', description: 'Starting directory path', optional: true, defaultValue: '\'/\'' },
+				{ name: 'fileName', type: 'string', description: 'Default filename for save mode', optional: true, defaultValue: '\'\'' },
+				{ name: 'fileExtension', type: 'string', description: 'Required file extension (e.g., \'.txt\')', optional: true, defaultValue: '\'\'' },
+				{ name: 'onSelect', type: '((...args: any[]) => any)', description: 'Callback when file is selected', optional: true, defaultValue: 'null' },
+				{ name: 'onCancel', type: '((...args: any[]) => any)', description: 'Callback when modal is cancelled', optional: true, defaultValue: 'null' }
+			] }
+		],
+		returns: { type: 'Promise<string>', description: 'Selected file path or null if cancelled' },
+		throws: [],
+		failure: 'none',
+		examples: []
+	},
+	{
+		name: 'writeLog',
+		signature: 'writeLog(logData: WriteLogLogData): Promise<Record<string, any>>',
+		description: 'Write a log entry',
+		documentation: 'Write a log entry',
+		isAsync: true,
+		internal: false,
+		module: 'logs',
+		line: 4576,
+		params: [
+			{ name: 'logData', type: 'WriteLogLogData', description: 'Log entry data', optional: false, properties: [
+				{ name: 'level', type: 'string', description: 'Log level (debug, info, warn, error, critical)', optional: false },
+				{ name: 'message', type: 'string', description: 'Log message', optional: false },
+				{ name: 'component', type: 'string', description: 'Component type (core-os, user-apps, plugins, services)', optional: false },
+				{ name: 'source', type: 'string', description: 'Source identifier (app name, plugin name, etc.)', optional: true },
+				{ name: 'details', type: 'Record<string, any>', description: 'Additional details object', optional: true }
+			] }
+		],
+		returns: { type: 'Promise<Record<string, any>>', description: 'Write result' },
+		throws: [],
+		failure: 'throws',
+		examples: []
+	},
+	{
+		name: 'logDebug',
+		signature: 'logDebug(message: string, details?: Record<string, any>): Promise<Record<string, any>>',
+		description: 'Convenience method to write debug log',
+		documentation: 'Convenience method to write debug log',
+		isAsync: true,
+		internal: false,
+		module: 'logs',
+		line: 4615,
+		params: [
+			{ name: 'message', type: 'string', description: 'Log message', optional: false },
+			{ name: 'details', type: 'Record<string, any>', description: 'Additional details', optional: true, defaultValue: '{}' }
+		],
+		returns: { type: 'Promise<Record<string, any>>', description: 'Write result' },
+		throws: [],
+		failure: 'throws',
+		examples: []
+	},
+	{
+		name: 'logInfo',
+		signature: 'logInfo(message: string, details?: Record<string, any>): Promise<Record<string, any>>',
+		description: 'Convenience method to write info log',
+		documentation: 'Convenience method to write info log',
+		isAsync: true,
+		internal: false,
+		module: 'logs',
+		line: 4632,
+		params: [
+			{ name: 'message', type: 'string', description: 'Log message', optional: false },
+			{ name: 'details', type: 'Record<string, any>', description: 'Additional details', optional: true, defaultValue: '{}' }
+		],
+		returns: { type: 'Promise<Record<string, any>>', description: 'Write result' },
+		throws: [],
+		failure: 'throws',
+		examples: []
+	},
+	{
+		name: 'logWarn',
+		signature: 'logWarn(message: string, details?: Record<string, any>): Promise<Record<string, any>>',
+		description: 'Convenience method to write warning log',
+		documentation: 'Convenience method to write warning log',
+		isAsync: true,
+		internal: false,
+		module: 'logs',
+		line: 4649,
+		params: [
+			{ name: 'message', type: 'string', description: 'Log message', optional: false },
+			{ name: 'details', type: 'Record<string, any>', description: 'Additional details', optional: true, defaultValue: '{}' }
+		],
+		returns: { type: 'Promise<Record<string, any>>', description: 'Write result' },
+		throws: [],
+		failure: 'throws',
+		examples: []
+	},
+	{
+		name: 'logError',
+		signature: 'logError(message: string, details?: Record<string, any>): Promise<Record<string, any>>',
+		description: 'Convenience method to write error log',
+		documentation: 'Convenience method to write error log',
+		isAsync: true,
+		internal: false,
+		module: 'logs',
+		line: 4666,
+		params: [
+			{ name: 'message', type: 'string', description: 'Log message', optional: false },
+			{ name: 'details', type: 'Record<string, any>', description: 'Additional details', optional: true, defaultValue: '{}' }
+		],
+		returns: { type: 'Promise<Record<string, any>>', description: 'Write result' },
+		throws: [],
+		failure: 'throws',
+		examples: []
+	},
+	{
+		name: 'logCritical',
+		signature: 'logCritical(message: string, details?: Record<string, any>): Promise<Record<string, any>>',
+		description: 'Convenience method to write critical log',
+		documentation: 'Convenience method to write critical log',
+		isAsync: true,
+		internal: false,
+		module: 'logs',
+		line: 4683,
+		params: [
+			{ name: 'message', type: 'string', description: 'Log message', optional: false },
+			{ name: 'details', type: 'Record<string, any>', description: 'Additional details', optional: true, defaultValue: '{}' }
+		],
+		returns: { type: 'Promise<Record<string, any>>', description: 'Write result' },
+		throws: [],
+		failure: 'throws',
+		examples: []
+	},
+	{
+		name: 'readLogs',
+		signature: 'readLogs(filters?: ReadLogsFilters): Promise<Record<string, any>>',
+		description: 'Read logs with filtering options',
+		documentation: 'Read logs with filtering options',
+		isAsync: true,
+		internal: false,
+		module: 'logs',
+		line: 4704,
+		params: [
+			{ name: 'filters', type: 'ReadLogsFilters', description: 'Filter options', optional: true, defaultValue: '{}', properties: [
+				{ name: 'component', type: 'string', description: 'Component to filter by (core-os, user-apps, plugins, services, all)', optional: true },
+				{ name: 'level', type: 'string', description: 'Log level to filter by (debug, info, warn, error, critical, all)', optional: true },
+				{ name: 'date', type: 'string', description: 'Date to filter by (YYYY-MM-DD format, defaults to today)', optional: true },
+				{ name: 'limit', type: 'number', description: 'Maximum number of logs to return (default: 100)', optional: true },
+				{ name: 'source', type: 'string', description: 'Source to filter by (app name, plugin name, etc.)', optional: true }
+			] }
+		],
+		returns: { type: 'Promise<Record<string, any>>', description: 'Log entries and metadata' },
+		throws: [],
+		failure: 'throws',
+		examples: []
+	},
+	{
+		name: 'getLogDates',
+		signature: 'getLogDates(): Promise<Record<string, any>>',
+		description: 'Get available log dates for each component',
+		documentation: 'Get available log dates for each component',
+		isAsync: true,
+		internal: false,
+		module: 'logs',
+		line: 4733,
+		params: [],
+		returns: { type: 'Promise<Record<string, any>>', description: 'Available dates by component' },
+		throws: [],
+		failure: 'throws',
+		examples: []
+	},
+	{
+		name: 'clearLogs',
+		signature: 'clearLogs(filters?: ClearLogsFilters): Promise<Record<string, any>>',
+		description: 'Clear logs with optional filtering',
+		documentation: 'Clear logs with optional filtering',
+		isAsync: true,
+		internal: false,
+		module: 'logs',
+		line: 4757,
+		params: [
+			{ name: 'filters', type: 'ClearLogsFilters', description: 'Filter options', optional: true, defaultValue: '{}', properties: [
+				{ name: 'component', type: 'string', description: 'Component to clear (core-os, user-apps, plugins, services, all)', optional: true },
+				{ name: 'date', type: 'string', description: 'Specific date to clear (YYYY-MM-DD format) or \'all\' for all dates', optional: true }
+			] }
+		],
+		returns: { type: 'Promise<Record<string, any>>', description: 'Clear operation result' },
+		throws: [],
+		failure: 'throws',
+		examples: []
+	},
+	{
+		name: 'getLogStats',
+		signature: 'getLogStats(): Promise<Record<string, any>>',
+		description: 'Get logging system statistics',
+		documentation: 'Get logging system statistics',
+		isAsync: true,
+		internal: false,
+		module: 'logs',
+		line: 4785,
+		params: [],
+		returns: { type: 'Promise<Record<string, any>>', description: 'Logging statistics' },
+		throws: [],
+		failure: 'throws',
+		examples: []
+	},
+	{
+		name: 'getMyLogs',
+		signature: 'getMyLogs(filters?: Record<string, any>): Promise<Record<string, any>>',
+		description: 'Get logs for the current app (convenience method)',
+		documentation: 'Get logs for the current app (convenience method)',
+		isAsync: true,
+		internal: false,
+		module: 'logs',
+		line: 4807,
+		params: [
+			{ name: 'filters', type: 'Record<string, any>', description: 'Additional filter options', optional: true, defaultValue: '{}' }
+		],
+		returns: { type: 'Promise<Record<string, any>>', description: 'Log entries for this app' },
+		throws: [],
+		failure: 'throws',
+		examples: []
+	},
+	{
+		name: 'getAvailableApps',
+		signature: 'getAvailableApps(): Promise<Record<string, any>>',
+		description: 'Get available applications from the registry',
+		documentation: 'Get available applications from the registry',
+		isAsync: true,
+		internal: false,
+		module: 'app-management',
+		line: 4856,
+		params: [],
+		returns: { type: 'Promise<Record<string, any>>', description: 'Available applications data' },
+		throws: [],
+		failure: 'throws',
+		examples: []
+	},
+	{
+		name: 'getInstalledApps',
+		signature: 'getInstalledApps(): Promise<any[]>',
+		description: 'Get list of installed applications',
+		documentation: 'Get list of installed applications',
+		isAsync: true,
+		internal: false,
+		module: 'app-management',
+		line: 4876,
+		params: [],
+		returns: { type: 'Promise<any[]>', description: 'Array of installed applications' },
+		throws: [],
+		failure: 'throws',
+		examples: []
+	},
+	{
+		name: 'updateApp',
+		signature: 'updateApp(appId: string, downloadUrl: string): Promise<Record<string, any>>',
+		description: 'Update a specific application to the latest version',
+		documentation: 'Update a specific application to the latest version',
+		isAsync: true,
+		internal: false,
+		module: 'app-management',
+		line: 4898,
+		params: [
+			{ name: 'appId', type: 'string', description: 'Application ID to update', optional: false },
+			{ name: 'downloadUrl', type: 'string', description: 'Download URL for the app update (required)', optional: false }
+		],
+		returns: { type: 'Promise<Record<string, any>>', description: 'Update result' },
+		throws: [],
+		failure: 'throws',
+		examples: []
+	},
+	{
+		name: 'refreshAppRegistry',
+		signature: 'refreshAppRegistry(): Promise<Record<string, any>>',
+		description: 'Refresh the application registry cache',
+		documentation: 'Refresh the application registry cache',
+		isAsync: true,
+		internal: false,
+		module: 'app-management',
+		line: 4938,
+		params: [],
+		returns: { type: 'Promise<Record<string, any>>', description: 'Refresh result' },
+		throws: [],
+		failure: 'throws',
+		examples: []
+	},
+	{
+		name: 'installApp',
+		signature: 'installApp(appId: string, options?: InstallAppOptions): Promise<Record<string, any>>',
+		description: 'Install an application from the registry',
+		documentation: 'Install an application from the registry',
+		isAsync: true,
+		internal: false,
+		module: 'app-management',
+		line: 4969,
+		params: [
+			{ name: 'appId', type: 'string', description: 'Application ID to install', optional: false },
+			{ name: 'options', type: 'InstallAppOptions', description: 'Installation options', optional: true, defaultValue: '{}', properties: [
+				{ name: 'version', type: 'string', description: 'Specific version to install (defaults to latest)', optional: true }
+			] }
+		],
+		returns: { type: 'Promise<Record<string, any>>', description: 'Installation result' },
+		throws: [],
+		failure: 'throws',
+		examples: []
+	},
+	{
+		name: 'uninstallApp',
+		signature: 'uninstallApp(appId: string): Promise<Record<string, any>>',
+		description: 'Uninstall an application',
+		documentation: 'Uninstall an application',
+		isAsync: true,
+		internal: false,
+		module: 'app-management',
+		line: 5005,
+		params: [
+			{ name: 'appId', type: 'string', description: 'Application ID to uninstall', optional: false }
+		],
+		returns: { type: 'Promise<Record<string, any>>', description: 'Uninstallation result' },
+		throws: [],
+		failure: 'throws',
+		examples: []
+	},
+	{
+		name: 'proxyHTTP',
+		signature: 'proxyHTTP(options: ProxyHTTPOptions): Promise<Record<string, any>>',
+		description: 'Proxy an HTTP request through the system (tries direct CORS, falls back to proxy)',
+		documentation: 'Proxy an HTTP request through the system (tries direct CORS, falls back to proxy)',
+		isAsync: true,
+		internal: false,
+		module: 'network',
+		line: 5051,
+		params: [
+			{ name: 'options', type: 'ProxyHTTPOptions', description: 'HTTP request options', optional: false, properties: [
+				{ name: 'url', type: 'string', description: 'Target URL for the request', optional: false },
+				{ name: 'method', type: 'string', description: 'HTTP method (GET, POST, PUT, DELETE, etc.)', optional: true, defaultValue: '\'GET\'' },
+				{ name: 'headers', type: 'Record<string, any>', description: 'HTTP headers to send', optional: true, defaultValue: '{}' },
+				{ name: 'body', type: 'any', description: 'Request body (will be JSON stringified if object)', optional: true, defaultValue: 'null' },
+				{ name: 'timeout', type: 'number', description: 'Request timeout in seconds', optional: true, defaultValue: '30' },
+				{ name: 'followRedirects', type: 'boolean', description: 'Whether to follow redirects', optional: true, defaultValue: 'true' },
+				{ name: 'forceProxy', type: 'boolean', description: 'Force use of backend proxy instead of direct CORS', optional: true, defaultValue: 'false' }
+			] }
+		],
+		returns: { type: 'Promise<Record<string, any>>', description: 'Response data in proxy format for compatibility' },
+		throws: [],
+		failure: 'throws',
+		examples: []
+	},
+	{
+		name: 'proxyGET',
+		signature: 'proxyGET(url: string, options?: ProxyGETOptions): Promise<Record<string, any>>',
+		description: 'Make a GET request through the proxy',
+		documentation: 'Make a GET request through the proxy',
+		isAsync: true,
+		internal: false,
+		module: 'network',
+		line: 5259,
+		params: [
+			{ name: 'url', type: 'string', description: 'Target URL', optional: false },
+			{ name: 'options', type: 'ProxyGETOptions', description: 'Additional options', optional: true, defaultValue: '{}', properties: [
+				{ name: 'headers', type: 'Record<string, any>', description: 'HTTP headers', optional: true, defaultValue: '{}' },
+				{ name: 'timeout', type: 'number', description: 'Request timeout in seconds', optional: true, defaultValue: '30' }
+			] }
+		],
+		returns: { type: 'Promise<Record<string, any>>', description: 'Response data' },
+		throws: [],
+		failure: 'throws',
+		examples: []
+	},
+	{
+		name: 'proxyPOST',
+		signature: 'proxyPOST(url: string, body: any, options?: ProxyPOSTOptions): Promise<Record<string, any>>',
+		description: 'Make a POST request through the proxy',
+		documentation: 'Make a POST request through the proxy',
+		isAsync: true,
+		internal: false,
+		module: 'network',
+		line: 5278,
+		params: [
+			{ name: 'url', type: 'string', description: 'Target URL', optional: false },
+			{ name: 'body', type: 'any', description: 'Request body', optional: false },
+			{ name: 'options', type: 'ProxyPOSTOptions', description: 'Additional options', optional: true, defaultValue: '{}', properties: [
+				{ name: 'headers', type: 'Record<string, any>', description: 'HTTP headers', optional: true, defaultValue: '{}' },
+				{ name: 'timeout', type: 'number', description: 'Request timeout in seconds', optional: true, defaultValue: '30' }
+			] }
+		],
+		returns: { type: 'Promise<Record<string, any>>', description: 'Response data' },
+		throws: [],
+		failure: 'throws',
+		examples: []
+	},
+	{
+		name: 'proxyPUT',
+		signature: 'proxyPUT(url: string, body: any, options?: ProxyPUTOptions): Promise<Record<string, any>>',
+		description: 'Make a PUT request through the proxy',
+		documentation: 'Make a PUT request through the proxy',
+		isAsync: true,
+		internal: false,
+		module: 'network',
+		line: 5298,
+		params: [
+			{ name: 'url', type: 'string', description: 'Target URL', optional: false },
+			{ name: 'body', type: 'any', description: 'Request body', optional: false },
+			{ name: 'options', type: 'ProxyPUTOptions', description: 'Additional options', optional: true, defaultValue: '{}', properties: [
+				{ name: 'headers', type: 'Record<string, any>', description: 'HTTP headers', optional: true, defaultValue: '{}' },
+				{ name: 'timeout', type: 'number', description: 'Request timeout in seconds', optional: true, defaultValue: '30' }
+			] }
+		],
+		returns: { type: 'Promise<Record<string, any>>', description: 'Response data' },
+		throws: [],
+		failure: 'throws',
+		examples: []
+	},
+	{
+		name: 'proxyDELETE',
+		signature: 'proxyDELETE(url: string, options?: ProxyDELETEOptions): Promise<Record<string, any>>',
+		description: 'Make a DELETE request through the proxy',
+		documentation: 'Make a DELETE request through the proxy',
+		isAsync: true,
+		internal: false,
+		module: 'network',
+		line: 5317,
+		params: [
+			{ name: 'url', type: 'string', description: 'Target URL', optional: false },
+			{ name: 'options', type: 'ProxyDELETEOptions', description: 'Additional options', optional: true, defaultValue: '{}', properties: [
+				{ name: 'headers', type: 'Record<string, any>', description: 'HTTP headers', optional: true, defaultValue: '{}' },
+				{ name: 'timeout', type: 'number', description: 'Request timeout in seconds', optional: true, defaultValue: '30' }
+			] }
+		],
+		returns: { type: 'Promise<Record<string, any>>', description: 'Response data' },
+		throws: [],
+		failure: 'throws',
+		examples: []
+	},
+	{
+		name: 'proxyJSON',
+		signature: 'proxyJSON(url: string, options?: ProxyJSONOptions): Promise<Record<string, any>>',
+		description: 'Make a JSON API request through the proxy',
+		documentation: 'Make a JSON API request through the proxy',
+		isAsync: true,
+		internal: false,
+		module: 'network',
+		line: 5337,
+		params: [
+			{ name: 'url', type: 'string', description: 'Target URL', optional: false },
+			{ name: 'options', type: 'ProxyJSONOptions', description: 'Request options', optional: true, defaultValue: '{}', properties: [
+				{ name: 'method', type: 'string', description: 'HTTP method', optional: true, defaultValue: '\'GET\'' },
+				{ name: 'data', type: 'Record<string, any>', description: 'JSON data to send', optional: true, defaultValue: 'null' },
+				{ name: 'headers', type: 'Record<string, any>', description: 'Additional headers', optional: true, defaultValue: '{}' },
+				{ name: 'timeout', type: 'number', description: 'Request timeout in seconds', optional: true, defaultValue: '30' }
+			] }
+		],
+		returns: { type: 'Promise<Record<string, any>>', description: 'Parsed JSON response' },
+		throws: [],
+		failure: 'throws',
+		examples: []
+	},
+	{
+		name: 'llmComplete',
+		signature: 'llmComplete(options: LLMCompleteOptions): Promise<Record<string, any>>',
+		description: 'Complete a chat conversation using any supported LLM provider',
+		documentation: 'Complete a chat conversation using any supported LLM provider\nTranslates OpenAI format to provider-specific format and normalizes response',
+		isAsync: true,
+		internal: false,
+		module: 'llm',
+		line: 5387,
+		params: [
+			{ name: 'options', type: 'LLMCompleteOptions', description: 'Configuration options', optional: false, properties: [
+				{ name: 'provider', type: '\'openai\' | \'anthropic\' | \'google\' | \'ollama\'', description: 'Provider: \'openai\', \'anthropic\', \'google\', \'ollama\'', optional: false, values: ['openai', 'anthropic', 'google', 'ollama'] },
+				{ name: 'endpoint', type: 'string', description: 'API endpoint URL', optional: false },
+				{ name: 'apiKey', type: 'string', description: 'API key (not needed for Ollama)', optional: true },
+				{ name: 'model', type: 'string', description: 'Model name', optional: false },
+				{ name: 'messages', type: 'any[]', description: 'Messages array in OpenAI format', optional: false },
+				{ name: 'temperature', type: 'number', description: 'Temperature (0-1)', optional: true, defaultValue: '0.7' },
+				{ name: 'maxTokens', type: 'number', description: 'Maximum tokens to generate', optional: true, defaultValue: '1000' },
+				{ name: 'stream', type: 'boolean', description: 'Whether to stream response', optional: true, defaultValue: 'false' }
+			] }
+		],
+		returns: { type: 'Promise<Record<string, any>>', description: 'Normalized response: {content, usage, model, provider}' },
+		throws: [],
+		failure: 'throws',
+		examples: []
+	}
+];
+
+// Object-valued members with methods of their own: sypnexAPI.scaling, window.sypnexKeyboardManager, ...
+export const sypnexApiNamespaces: SypnexApiNamespace[] = [
+	{
+		name: 'scaling',
+		parent: 'sypnexAPI',
+		description: 'Access to scaling utilities',
+		module: 'scaling',
+		line: 2163,
+		methods: [
+			{
+				name: 'detectAppScale',
+				signature: 'detectAppScale(): number',
+				description: 'Detect the current app scale from CSS transform',
+				documentation: 'Detect the current app scale from CSS transform',
+				isAsync: false,
+				internal: false,
+				module: 'scaling',
+				line: 2171,
+				params: [],
+				returns: { type: 'number', description: 'Scale factor (1.0 = 100%, 0.8 = 80%, etc.)' },
+				throws: [],
+				failure: 'fallback',
+				examples: []
+			},
+			{
+				name: 'getEffectiveScale',
+				signature: 'getEffectiveScale(zoomScale?: number): number',
+				description: 'Get the total effective scale (app scale × optional zoom scale)',
+				documentation: 'Get the total effective scale (app scale × optional zoom scale)',
+				isAsync: false,
+				internal: false,
+				module: 'scaling',
+				line: 2224,
+				params: [
+					{ name: 'zoomScale', type: 'number', description: 'Optional zoom scale to combine with app scale', optional: true, defaultValue: '1.0' }
+				],
+				returns: { type: 'number', description: 'Combined scale factor' },
+				throws: [],
+				failure: 'none',
+				examples: []
+			},
+			{
+				name: 'screenToAppCoords',
+				signature: 'screenToAppCoords(screenX: number, screenY: number, zoomScale?: number): Record<string, any>',
+				description: 'Convert screen coordinates to app coordinates (accounting for app scale and optional zoom)',
+				documentation: 'Convert screen coordinates to app coordinates (accounting for app scale and optional zoom)',
+				isAsync: false,
+				internal: false,
+				module: 'scaling',
+				line: 2236,
+				params: [
+					{ name: 'screenX', type: 'number', description: 'Screen X coordinate', optional: false },
+					{ name: 'screenY', type: 'number', description: 'Screen Y coordinate', optional: false },
+					{ name: 'zoomScale', type: 'number', description: 'Optional zoom scale', optional: true, defaultValue: '1.0' }
+				],
+				returns: { type: 'Record<string, any>', description: 'Object with x and y properties in app coordinates' },
+				throws: [],
+				failure: 'none',
+				examples: []
+			},
+			{
+				name: 'appToScreenCoords',
+				signature: 'appToScreenCoords(appX: number, appY: number, zoomScale?: number): Record<string, any>',
+				description: 'Convert app coordinates to screen coordinates (accounting for app scale and optional zoom)',
+				documentation: 'Convert app coordinates to screen coordinates (accounting for app scale and optional zoom)',
+				isAsync: false,
+				internal: false,
+				module: 'scaling',
+				line: 2251,
+				params: [
+					{ name: 'appX', type: 'number', description: 'App X coordinate', optional: false },
+					{ name: 'appY', type: 'number', description: 'App Y coordinate', optional: false },
+					{ name: 'zoomScale', type: 'number', description: 'Optional zoom scale', optional: true, defaultValue: '1.0' }
+				],
+				returns: { type: 'Record<string, any>', description: 'Object with x and y properties in screen coordinates' },
+				throws: [],
+				failure: 'none',
+				examples: []
+			},
+			{
+				name: 'getScaledBoundingClientRect',
+				signature: 'getScaledBoundingClientRect(element: Element): Record<string, any>',
+				description: 'Get scaled element bounding rectangle (compensates for app scaling)',
+				documentation: 'Get scaled element bounding rectangle (compensates for app scaling)',
+				isAsync: false,
+				internal: false,
+				module: 'scaling',
+				line: 2264,
+				params: [
+					{ name: 'element', type: 'Element', description: 'DOM element to get bounds for', optional: false }
+				],
+				returns: { type: 'Record<string, any>', description: 'DOMRect-like object with scaled coordinates' },
+				throws: [],
+				failure: 'none',
+				examples: []
+			},
+			{
+				name: 'getScaledMouseCoords',
+				signature: 'getScaledMouseCoords(e: Event): Record<string, any>',
+				description: 'Get scaled mouse coordinates from event (compensates for app scaling only)',
+				documentation: 'Get scaled mouse coordinates from event (compensates for app scaling only)',
+				isAsync: false,
+				internal: false,
+				module: 'scaling',
+				line: 2286,
+				params: [
+					{ name: 'e', type: 'Event', description: 'Mouse event', optional: false }
+				],
+				returns: { type: 'Record<string, any>', description: 'Object with x and y properties in scaled coordinates' },
+				throws: [],
+				failure: 'none',
+				examples: []
+			},
+			{
+				name: 'initScaleDetection',
+				signature: 'initScaleDetection(onScaleChange?: ((...args: any[]) => any)): MutationObserver',
+				description: 'Initialize scale detection with optional change callback',
+				documentation: 'Initialize scale detection with optional change callback',
+				isAsync: false,
+				internal: false,
+				module: 'scaling',
+				line: 2299,
+				params: [
+					{ name: 'onScaleChange', type: '((...args: any[]) => any)', description: 'Callback function called when scale changes', optional: true, defaultValue: 'null' }
+				],
+				returns: { type: 'MutationObserver', description: 'Observer instance for cleanup' },
+				throws: [],
+				failure: 'none',
+				examples: []
+			},
+			{
+				name: 'getCurrentScale',
+				signature: 'getCurrentScale(): number',
+				description: 'Get current cached app scale (without re-detection)',
+				documentation: 'Get current cached app scale (without re-detection)',
+				isAsync: false,
+				internal: false,
+				module: 'scaling',
+				line: 2335,
+				params: [],
+				returns: { type: 'number', description: 'Cached app scale factor' },
+				throws: [],
+				failure: 'none',
+				examples: []
+			},
+			{
+				name: 'refreshScale',
+				signature: 'refreshScale(): number',
+				description: 'Force refresh of scale detection',
+				documentation: 'Force refresh of scale detection',
+				isAsync: false,
+				internal: false,
+				module: 'scaling',
+				line: 2343,
+				params: [],
+				returns: { type: 'number', description: 'New scale factor' },
+				throws: [],
+				failure: 'none',
+				examples: []
+			}
+		]
+	},
+	{
+		name: 'sypnexKeyboardManager',
+		parent: 'window',
+		description: 'Global sypnexKeyboardManager object shared by all apps',
+		module: 'keyboard',
+		line: 1795,
+		methods: [
+			{
+				name: 'registerApp',
+				signature: 'registerApp(appId: string, shortcuts: Record<string, any>, config: Record<string, any>): void',
+				description: 'Register keyboard shortcuts for an application',
+				documentation: 'Register keyboard shortcuts for an application',
+				isAsync: false,
+				internal: true,
+				module: 'keyboard',
+				line: 1802,
+				params: [
+					{ name: 'appId', type: 'string', description: 'Application identifier', optional: false },
+					{ name: 'shortcuts', type: 'Record<string, any>', description: 'Key to function mappings', optional: false },
+					{ name: 'config', type: 'Record<string, any>', description: 'Configuration options', optional: false }
+				],
+				returns: { type: 'void', description: '' },
+				throws: [],
+				failure: 'none',
+				examples: []
+			},
+			{
+				name: 'unregisterApp',
+				signature: 'unregisterApp(appId: string): any',
+				description: 'Unregister all shortcuts for an application',
+				documentation: 'Unregister all shortcuts for an application',
+				isAsync: false,
+				internal: true,
+				module: 'keyboard',
+				line: 1811,
+				params: [
+					{ name: 'appId', type: 'string', description: 'Application identifier', optional: false }
+				],
+				returns: { type: 'any', description: '' },
+				throws: [],
+				failure: 'none',
+				examples: []
+			},
+			{
+				name: 'getStats',
+				signature: 'getStats(): Record<string, any>',
+				description: 'Get statistics about registered shortcuts',
+				documentation: 'Get statistics about registered shortcuts',
+				isAsync: false,
+				internal: false,
+				module: 'keyboard',
+				line: 1826,
+				params: [],
+				returns: { type: 'Record<string, any>', description: 'Statistics object' },
+				throws: [],
+				failure: 'none',
+				examples: []
+			}
+		]
+	},
+	{
+		name: 'sypnexWindowManager',
+		parent: 'window',
+		description: 'Global sypnexWindowManager object shared by all apps',
+		module: 'window',
+		line: 2075,
+		methods: [
+			{
+				name: 'createAppWindowProxy',
+				signature: 'createAppWindowProxy(appId: string): Record<string, any>',
+				description: 'Create an isolated window proxy for an app with automatic property tracking',
+				documentation: 'Create an isolated window proxy for an app with automatic property tracking',
+				isAsync: false,
+				internal: true,
+				module: 'window',
+				line: 1918,
+				params: [
+					{ name: 'appId', type: 'string', description: 'The application ID', optional: false }
+				],
+				returns: { type: 'Record<string, any>', description: 'Proxy object that tracks property assignments' },
+				throws: [],
+				failure: 'none',
+				examples: []
+			},
+			{
+				name: 'cleanupAppWindow',
+				signature: 'cleanupAppWindow(appId: string): void',
+				description: 'Clean up all window properties created by a specific app',
+				documentation: 'Clean up all window properties created by a specific app',
+				isAsync: false,
+				internal: true,
+				module: 'window',
+				line: 2025,
+				params: [
+					{ name: 'appId', type: 'string', description: 'The application ID to clean up', optional: false }
+				],
+				returns: { type: 'void', description: '' },
+				throws: [],
+				failure: 'none',
+				examples: []
+			}
+		]
+	},
+	{
+		name: 'SypnexLogs',
+		parent: 'window',
+		description: 'Global SypnexLogs object shared by all apps',
+		module: 'logs',
+		line: 4818,
+		methods: [
+			{
+				name: 'readLogs',
+				signature: 'readLogs(filters?: ReadLogsFilters): Promise<Record<string, any>>',
+				description: 'Read logs with filtering options',
+				documentation: 'Read logs with filtering options',
+				isAsync: true,
+				internal: false,
+				module: 'logs',
+				line: 4820,
+				params: [
+					{ name: 'filters', type: 'ReadLogsFilters', description: 'Filter options', optional: true, defaultValue: '{}', properties: [
+						{ name: 'component', type: 'string', description: 'Component to filter by (core-os, user-apps, plugins, services, all)', optional: true },
+						{ name: 'level', type: 'string', description: 'Log level to filter by (debug, info, warn, error, critical, all)', optional: true },
+						{ name: 'date', type: 'string', description: 'Date to filter by (YYYY-MM-DD format, defaults to today)', optional: true },
+						{ name: 'limit', type: 'number', description: 'Maximum number of logs to return (default: 100)', optional: true },
+						{ name: 'source', type: 'string', description: 'Source to filter by (app name, plugin name, etc.)', optional: true }
+					] }
+				],
+				returns: { type: 'Promise<Record<string, any>>', description: 'Log entries and metadata' },
+				throws: [],
+				failure: 'throws',
+				examples: []
+			},
+			{
+				name: 'getLogDates',
+				signature: 'getLogDates(): Promise<Record<string, any>>',
+				description: 'Get available log dates for each component',
+				documentation: 'Get available log dates for each component',
+				isAsync: true,
+				internal: false,
+				module: 'logs',
+				line: 4825,
+				params: [],
+				returns: { type: 'Promise<Record<string, any>>', description: 'Available dates by component' },
+				throws: [],
+				failure: 'throws',
+				examples: []
+			},
+			{
+				name: 'getLogStats',
+				signature: 'getLogStats(): Promise<Record<string, any>>',
+				description: 'Get logging system statistics',
+				documentation: 'Get logging system statistics',
+				isAsync: true,
+				internal: false,
+				module: 'logs',
+				line: 4830,
+				params: [],
+				returns: { type: 'Promise<Record<string, any>>', description: 'Logging statistics' },
+				throws: [],
+				failure: 'throws',
+				examples: []
+			},
+			{
+				name: 'clearLogs',
+				signature: 'clearLogs(filters?: ClearLogsFilters): Promise<Record<string, any>>',
+				description: 'Clear logs with optional filtering',
+				documentation: 'Clear logs with optional filtering',
+				isAsync: true,
+				internal: false,
+				module: 'logs',
+				line: 4835,
+				params: [
+					{ name: 'filters', type: 'ClearLogsFilters', description: 'Filter options', optional: true, defaultValue: '{}', properties: [
+						{ name: 'component', type: 'string', description: 'Component to clear (core-os, user-apps, plugins, services, all)', optional: true },
+						{ name: 'date', type: 'string', description: 'Specific date to clear (YYYY-MM-DD format) or \'all\' for all dates', optional: true }
+					] }
+				],
+				returns: { type: 'Promise<Record<string, any>>', description: 'Clear operation result' },
+				throws: [],
+				failure: 'throws',
+				examples: []
+			}
+		]
+	}
+];
+
+// Other members that are valid to reference (state fields, accessors and private helpers)
+export const sypnexApiProperties: string[] = [
+	'appId',
+	'baseUrl',
+	'initialized',
+	'cleanupHooks',
+	'_defaultGetAppSetting',
+	'_defaultGetAllAppSettings',
+	'_defaultShowNotification',
+	'scaling',
+	'socket',
+	'socketConnected',
+	'socketEventListeners',
+	'socketUrl',
+	'autoReconnect',
+	'reconnectAttempts',
+	'maxReconnectAttempts',
+	'reconnectDelay',
+	'maxReconnectDelay',
+	'reconnectTimer',
+	'roomsToRejoin',
+	'manualDisconnect',
+	'healthCheckInterval',
+	'healthCheckTimer',
+	'enableHealthChecks',
+	'_triggerEvent',
+	'_scheduleReconnect',
+	'_rejoinRooms',
+	'_directCORSRequest',
+	'_proxyThroughBackend',
+	'_formatLLMRequest',
+	'_getLLMHeaders',
+	'_normalizeLLMResponse'
+];
+
+// OS endpoints that methods wrap, to map hand-written fetch('/api/...') calls back to them
+export const sypnexApiEndpoints: SypnexApiEndpoint[] = [
+	{ method: 'getAppSetting', httpMethod: 'GET', url: ['/api/app-settings/', { appId: true }, '/', { param: 'key' }], returns: 'field', field: 'value' },
+	{ method: 'getAllAppSettings', httpMethod: 'GET', url: ['/api/app-settings/', { appId: true }], returns: 'field', field: 'settings' },
+	{ method: 'getAppMetadata', httpMethod: 'GET', url: ['/api/app-metadata/', { appId: true }], returns: 'field', field: 'metadata' },
+	{ method: 'getWindowState', httpMethod: 'GET', url: ['/api/window-state/', { appId: true }], returns: 'field', field: 'state' },
+	{ method: 'saveWindowState', httpMethod: 'POST', url: ['/api/window-state/', { appId: true }], returns: 'other', body: 'state' },
+	{ method: 'setSetting', httpMethod: 'POST', url: ['/api/app-settings/', { appId: true }, '/', { param: 'key' }], returns: 'other', body: { value: 'value' } },
+	{ method: 'deleteSetting', httpMethod: 'DELETE', url: ['/api/app-settings/', { appId: true }, '/', { param: 'key' }], returns: 'other' },
+	{ method: 'getPreference', httpMethod: 'GET', url: ['/api/preferences/', { param: 'category' }, '/', { param: 'key' }], returns: 'field', field: 'value' },
+	{ method: 'setPreference', httpMethod: 'POST', url: ['/api/preferences/', { param: 'category' }, '/', { param: 'key' }], returns: 'other', body: { value: 'value' } },
+	{ method: 'encrypt', httpMethod: 'POST', url: ['/api/crypto/encrypt'], returns: 'field', field: 'encrypted', body: { value: 'value' } },
+	{ method: 'decrypt', httpMethod: 'POST', url: ['/api/crypto/decrypt'], returns: 'field', field: 'value', body: { encrypted: 'encryptedValue' } },
+	{ method: 'getVirtualFileStats', httpMethod: 'GET', url: ['/api/virtual-files/stats'], returns: 'json' },
+	{ method: 'listVirtualFiles', httpMethod: 'GET', url: ['/api/virtual-files/list?path=', { param: 'path', encoding: 'uri' }], returns: 'json' },
+	{ method: 'createVirtualFolder', httpMethod: 'POST', url: ['/api/virtual-files/create-folder'], returns: 'json', body: { name: 'name', parent_path: 'parentPath' } },
+	{ method: 'createVirtualFile', httpMethod: 'POST', url: ['/api/virtual-files/create-file'], returns: 'json', body: { name: 'name', content: 'content', parent_path: 'parentPath' } },
+	{ method: 'readVirtualFile', httpMethod: 'GET', url: ['/api/virtual-files/read/', { param: 'filePath', encoding: 'uri-path' }], returns: 'json' },
+	{ method: 'deleteVirtualItem', httpMethod: 'DELETE', url: ['/api/virtual-files/delete/', { param: 'itemPath', encoding: 'uri-path' }], returns: 'json' },
+	{ method: 'getVirtualItemInfo', httpMethod: 'GET', url: ['/api/virtual-files/info/', { param: 'itemPath', encoding: 'uri-path' }], returns: 'json' },
+	{ method: 'writeVirtualFile', httpMethod: 'PUT', url: ['/api/virtual-files/write', { param: 'filePath' }], returns: 'json', body: { content: 'content' } },
+	{ method: 'writeLog', httpMethod: 'POST', url: ['/api/logs/write'], returns: 'json', body: 'logData' },
+	{ method: 'getLogDates', httpMethod: 'GET', url: ['/api/logs/dates'], returns: 'json' },
+	{ method: 'getLogStats', httpMethod: 'GET', url: ['/api/logs/stats'], returns: 'json' },
+	{ method: 'getAvailableApps', httpMethod: 'GET', url: ['/api/updates/latest'], returns: 'json' },
+	{ method: 'getInstalledApps', httpMethod: 'GET', url: ['/api/apps'], returns: 'json' },
+	{ method: 'refreshAppRegistry', httpMethod: 'POST', url: ['/api/user-apps/refresh'], returns: 'json' },
+	{ method: 'uninstallApp', httpMethod: 'DELETE', url: ['/api/user-apps/uninstall/', { param: 'appId' }], returns: 'json' }
+];
@@ -0,0 +1,62 @@
+// Sypnex API snippets (auto-generated by update-api.js)
+// Do not edit by hand - change SNIPPET_TEMPLATES in update-api.js and run "npm run update-api"
+import { SypnexApiSnippet } from './sypnexApi';
+
+export const sypnexApiSnippets: SypnexApiSnippet[] = [
+	{
+		prefix: 'sypnex-settings',
+		name: 'Load and save settings',
+		description: 'Read a setting with a default and save it back when it changes',
+		methods: ['getSetting', 'setSetting', 'showNotification'],
+		body: 'const ${1:theme} = await sypnexAPI.getSetting(\'${1:theme}\', ${2:\'dark\'});\n\nasync function save${3:Theme}(value) {\n	await sypnexAPI.setSetting(\'${1:theme}\', value);\n	sypnexAPI.showNotification(\'${4:Settings saved}\', \'success\');\n}\n$0'
+	},
+	{
+		prefix: 'sypnex-save-as',
+		name: 'Save As flow',
+		description: 'Ask for a location with the file explorer, then write the file',
+		methods: ['showFileExplorer', 'writeVirtualFile', 'showNotification'],
+		body: 'const ${1:filePath} = await sypnexAPI.showFileExplorer({\n	mode: \'save\',\n	title: \'${2:Save File}\',\n	initialPath: \'${3:/}\',\n	fileName: \'${4:untitled.txt}\',\n	fileExtension: \'${5:.txt}\'\n});\nif (${1:filePath}) {\n	await sypnexAPI.writeVirtualFile(${1:filePath}, ${6:content});\n	sypnexAPI.showNotification(\'Saved \' + ${1:filePath}, \'success\');\n}\n$0'
+	},
+	{
+		prefix: 'sypnex-socket',
+		name: 'Socket room with cleanup',
+		description: 'Connect, join a room and listen for an event, removing everything when the app closes',
+		methods: ['connectSocket', 'joinRoom', 'on', 'onBeforeClose', 'off', 'leaveRoom', 'disconnectSocket'],
+		body: 'await sypnexAPI.connectSocket();\nsypnexAPI.joinRoom(\'${1:room}\');\n\nconst handle${2:Message} = (data) => {\n	$0\n};\nsypnexAPI.on(\'${3:message}\', handle${2:Message});\n\nsypnexAPI.onBeforeClose(() => {\n	sypnexAPI.off(\'${3:message}\', handle${2:Message});\n	sypnexAPI.leaveRoom(\'${1:room}\');\n	sypnexAPI.disconnectSocket();\n}, \'${4:Socket cleanup}\');'
+	},
+	{
+		prefix: 'sypnex-llm-openai',
+		name: 'OpenAI chat completion',
+		description: 'Send a chat conversation to OpenAI through llmComplete',
+		methods: ['llmComplete'],
+		body: 'const ${1:response} = await sypnexAPI.llmComplete({\n	provider: \'openai\',\n	endpoint: \'${2:https://api.openai.com/v1/chat/completions}\',\n	apiKey: ${3:apiKey},\n	model: \'${4:gpt-4o-mini}\',\n	messages: [\n		{ role: \'system\', content: \'${5:You are a helpful assistant.}\' },\n		{ role: \'user\', content: ${6:prompt} }\n	],\n	temperature: ${7:0.7},\n	maxTokens: ${8:1000}\n});\nconst reply = ${1:response}.content;\n$0'
+	},
+	{
+		prefix: 'sypnex-llm-anthropic',
+		name: 'Anthropic chat completion',
+		description: 'Send a chat conversation to Anthropic through llmComplete',
+		methods: ['llmComplete'],
+		body: 'const ${1:response} = await sypnexAPI.llmComplete({\n	provider: \'anthropic\',\n	endpoint: \'${2:https://api.anthropic.com/v1/messages}\',\n	apiKey: ${3:apiKey},\n	model: \'${4:claude-3-5-haiku-latest}\',\n	messages: [\n		{ role: \'system\', content: \'${5:You are a helpful assistant.}\' },\n		{ role: \'user\', content: ${6:prompt} }\n	],\n	temperature: ${7:0.7},\n	maxTokens: ${8:1000}\n});\nconst reply = ${1:response}.content;\n$0'
+	},
+	{
+		prefix: 'sypnex-llm-google',
+		name: 'Google chat completion',
+		description: 'Send a chat conversation to Google through llmComplete',
+		methods: ['llmComplete'],
+		body: 'const ${1:response} = await sypnexAPI.llmComplete({\n	provider: \'google\',\n	endpoint: \'${2:https://generativelanguage.googleapis.com/v1beta/models/gemini-1.5-flash:generateContent}\',\n	apiKey: ${3:apiKey},\n	model: \'${4:gemini-1.5-flash}\',\n	messages: [\n		{ role: \'system\', content: \'${5:You are a helpful assistant.}\' },\n		{ role: \'user\', content: ${6:prompt} }\n	],\n	temperature: ${7:0.7},\n	maxTokens: ${8:1000}\n});\nconst reply = ${1:response}.content;\n$0'
+	},
+	{
+		prefix: 'sypnex-llm-ollama',
+		name: 'Ollama chat completion',
+		description: 'Send a chat conversation to Ollama through llmComplete',
+		methods: ['llmComplete'],
+		body: 'const ${1:response} = await sypnexAPI.llmComplete({\n	provider: \'ollama\',\n	endpoint: \'${2:http://localhost:11434/api/chat}\',\n	model: \'${3:llama3.2}\',\n	messages: [\n		{ role: \'system\', content: \'${4:You are a helpful assistant.}\' },\n		{ role: \'user\', content: ${5:prompt} }\n	],\n	temperature: ${6:0.7},\n	maxTokens: ${7:1000}\n});\nconst reply = ${1:response}.content;\n$0'
+	},
+	{
+		prefix: 'sypnex-shortcuts',
+		name: 'Keyboard shortcuts',
+		description: 'Register keyboard shortcuts for this app',
+		methods: ['registerKeyboardShortcuts'],
+		body: 'sypnexAPI.registerKeyboardShortcuts({\n	\'${1:ctrl+s}\': () => ${2:save()},\n	\'${3:escape}\': () => ${4:close()}$0\n});'
+	}
+];
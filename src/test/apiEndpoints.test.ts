@@ -0,0 +1,98 @@
+import * as assert from 'assert';
+import * as ts from 'typescript';
+import { findFetchMigrations } from '../apiEndpoints';
+
+function parse(text: string): ts.SourceFile {
+	return ts.createSourceFile('test.js', text, ts.ScriptTarget.Latest, true, ts.ScriptKind.JS);
+}
+
+function migrate(text: string, appId = 'my-app'): string[] {
+	const sourceFile = parse(text);
+	return findFetchMigrations(sourceFile, appId).map(migration =>
+		`${migration.replaced.getText(sourceFile)} -> ${migration.method.name}(${migration.args.join(', ')})`);
+}
+
+suite('API Endpoints Test Suite', () => {
+	test('Maps endpoint URLs back to method arguments', () => {
+		assert.deepStrictEqual(migrate([
+			"fetch('/api/app-settings/my-app/theme');",
+			'fetch(`/api/preferences/${category}/fontSize`);',
+			"fetch('/api/virtual-files/read/' + encodeURIComponent(path.substring(1)));",
+			'fetch(`/api/virtual-files/read/docs/${name}`);',
+			"fetch('/api/virtual-files/list?path=' + encodeURIComponent('/docs'));"
+		].join('\n')), [
+			"fetch('/api/app-settings/my-app/theme') -> getAppSetting('theme')",
+			'fetch(`/api/preferences/${category}/fontSize`) -> getPreference(category, \'fontSize\')',
+			"fetch('/api/virtual-files/read/' + encodeURIComponent(path.substring(1))) -> readVirtualFile(path)",
+			'fetch(`/api/virtual-files/read/docs/${name}`) -> readVirtualFile(`/docs/${name}`)',
+			"fetch('/api/virtual-files/list?path=' + encodeURIComponent('/docs')) -> listVirtualFiles('/docs')"
+		]);
+	});
+
+	test('Matches the HTTP method and maps the JSON body', () => {
+		assert.deepStrictEqual(migrate([
+			"fetch('/api/logs/write', { method: 'POST', headers, body: JSON.stringify(entry) });",
+			"fetch(`/api/app-settings/my-app/${key}`, { method: 'post', body: JSON.stringify({ value: 42 }) });",
+			"fetch(`/api/app-settings/my-app/${key}`, { method: 'DELETE' });",
+			"fetch('/api/crypto/decrypt', { method: 'POST', body: JSON.stringify({ encrypted: secret }) });",
+			"fetch('/api/logs/write', { body: JSON.stringify(entry) });",
+			"fetch('/api/crypto/decrypt', { method: 'POST', body: JSON.stringify({ secret }) });"
+		].join('\n')), [
+			"fetch('/api/logs/write', { method: 'POST', headers, body: JSON.stringify(entry) }) -> writeLog(entry)",
+			'fetch(`/api/app-settings/my-app/${key}`, { method: \'post\', body: JSON.stringify({ value: 42 }) }) -> setSetting(key, 42)',
+			'fetch(`/api/app-settings/my-app/${key}`, { method: \'DELETE\' }) -> deleteSetting(key)',
+			"fetch('/api/crypto/decrypt', { method: 'POST', body: JSON.stringify({ encrypted: secret }) }) -> decrypt(secret)"
+		]);
+	});
+
+	test('Folds in the .json() that reads the response', () => {
+		assert.deepStrictEqual(migrate([
+			'async function load() {',
+			"  const apps = await (await fetch('/api/apps')).json();",
+			"  fetch('/api/logs/stats').then(response => response.json());",
+			"  const response = await fetch('/api/logs/dates');",
+			'}'
+		].join('\n')), [
+			"(await fetch('/api/apps')).json() -> getInstalledApps()",
+			"fetch('/api/logs/stats').then(response => response.json()) -> getLogStats()",
+			"fetch('/api/logs/dates') -> getLogDates()"
+		]);
+	});
+
+	test('Only maps app ids that are the app\'s own', () => {
+		assert.deepStrictEqual(migrate([
+			"fetch('/api/app-settings/some-other-app/theme');",
+			'fetch(`/api/app-metadata/${otherAppId}`);',
+			'fetch(`/api/app-settings/${sypnexAPI.appId}/theme`);',
+			"fetch('/api/app-metadata/' + otherApp.appId);"
+		].join('\n')), [
+			'fetch(`/api/app-settings/${sypnexAPI.appId}/theme`) -> getAppSetting(\'theme\')'
+		]);
+		// Without a manifest, only sypnexAPI.appId names the app
+		assert.deepStrictEqual(findFetchMigrations(parse("fetch('/api/app-settings/my-app/theme');")), []);
+	});
+
+	test('Leaves .json() alone for methods that return one field', () => {
+		const sourceFile = parse([
+			'async function load() {',
+			"  const result = await (await fetch('/api/crypto/decrypt', { method: 'POST', body: JSON.stringify({ encrypted }) })).json();",
+			"  const metadata = await fetch('/api/app-metadata/my-app').then(response => response.json());",
+			'}'
+		].join('\n'));
+		const migrations = findFetchMigrations(sourceFile, 'my-app');
+		assert.deepStrictEqual(migrations.map(migration => [migration.method.name, migration.readsJson, migration.endpoint.field]), [
+			['decrypt', false, 'value'],
+			['getAppMetadata', false, 'metadata']
+		]);
+		assert.ok(migrations.every(migration => migration.replaced === migration.fetchCall));
+	});
+
+	test('Ignores other URLs', () => {
+		assert.deepStrictEqual(migrate([
+			"fetch('https://example.com/api/apps');",
+			"fetch('/api/unknown');",
+			'fetch(url);',
+			"fetch('/api/app-settings/my-app/a/b');"
+		].join('\n')), []);
+	});
+});
@@ -0,0 +1,55 @@
+import * as assert from 'assert';
+import * as ts from 'typescript';
+import { findArgumentProblems } from '../callArguments';
+
+function parse(text: string): ts.SourceFile {
+	return ts.createSourceFile('test.js', text, ts.ScriptTarget.Latest, true, ts.ScriptKind.JS);
+}
+
+function problems(text: string): string[] {
+	const sourceFile = parse(text);
+	return findArgumentProblems(sourceFile).map(problem => `${problem.kind} ${problem.node.getText(sourceFile)}: ${problem.message}`);
+}
+
+suite('Call Arguments Test Suite', () => {
+	test('Counts arguments against the parameters', () => {
+		assert.deepStrictEqual(problems([
+			"sypnexAPI.setSetting('theme');",
+			"sypnexAPI.setSetting('theme', 'dark');",
+			"sypnexAPI.readVirtualFile('/a.txt', 'utf8');",
+			'sypnexAPI.showModal();',
+			'sypnexAPI.setSetting(...args);'
+		].join('\n')), [
+			"count sypnexAPI.setSetting('theme'): 'setSetting' expects 2 arguments (key, value), but got 1.",
+			"count 'utf8': 'readVirtualFile' expects at most 1 (filePath), but got 2."
+		]);
+	});
+
+	test('Flags literals of the wrong type', () => {
+		assert.deepStrictEqual(problems([
+			'sypnexAPI.readVirtualFile(42);',
+			'sypnexAPI.readVirtualFile(path);',
+			"sypnexAPI.showModal({ size: 'huge', closeOnOverlay: 'no', title: 'Hi' });",
+			"sypnexAPI.showModal({ size: 'large' });"
+		].join('\n')), [
+			"type 42: Argument 'filePath' of 'readVirtualFile' expects string, but a number was passed.",
+			"type 'huge': Option 'size' expects 'small' | 'medium' | 'large', but 'huge' was passed.",
+			"type 'no': Option 'closeOnOverlay' expects boolean, but 'no' was passed."
+		]);
+	});
+
+	test('Checks namespace methods', () => {
+		assert.deepStrictEqual(problems([
+			'sypnexAPI.scaling.detectAppScale(1);',
+			"sypnexAPI.scaling.screenToAppCoords('10', 20);",
+			'window.sypnexWindowManager.cleanupAppWindow();',
+			'sypnexWindowManager.createAppWindowProxy(sypnexAPI.appId);',
+			'sypnexKeyboardManager.getStats();',
+			'other.scaling.detectAppScale(1);'
+		].join('\n')), [
+			"count 1: 'detectAppScale' expects no arguments, but got 1.",
+			"type '10': Argument 'screenX' of 'screenToAppCoords' expects number, but '10' was passed.",
+			"count window.sypnexWindowManager.cleanupAppWindow(): 'cleanupAppWindow' expects 1 argument (appId), but got 0."
+		]);
+	});
+});
@@ -0,0 +1,28 @@
+import * as assert from 'assert';
+import { findScriptRegions, getEmbeddedScriptText } from '../embeddedScripts';
+
+suite('Embedded Scripts Test Suite', () => {
+	const html = [
+		'<div id="app"></div>',
+		'<!-- <script>sypnexAPI.old();</script> -->',
+		'<script type="text/template"><b>x</b></script>',
+		'<script src="lib.js"></script>',
+		'<script>',
+		'sypnexAPI.showNotification("hi");',
+		'</script>'
+	].join('\n');
+
+	test('Finds only inline JavaScript blocks', () => {
+		const regions = findScriptRegions(html);
+		assert.strictEqual(regions.length, 1);
+		assert.strictEqual(html.slice(regions[0].start, regions[0].end).trim(), 'sypnexAPI.showNotification("hi");');
+	});
+
+	test('Keeps script offsets and blanks the markup', () => {
+		const text = getEmbeddedScriptText(html);
+		assert.strictEqual(text.length, html.length);
+		assert.strictEqual(text.indexOf('sypnexAPI'), html.lastIndexOf('sypnexAPI'));
+		assert.strictEqual(text.split('\n').length, html.split('\n').length);
+		assert.ok(!text.includes('<'));
+	});
+});
@@ -0,0 +1,86 @@
+import * as assert from 'assert';
+import * as ts from 'typescript';
+import { findFailureProblems } from '../failureContracts';
+
+function parse(text: string): ts.SourceFile {
+	return ts.createSourceFile('test.js', text, ts.ScriptTarget.Latest, true, ts.ScriptKind.JS);
+}
+
+function problems(text: string): string[] {
+	const sourceFile = parse(text);
+	return findFailureProblems(sourceFile).map(problem => `${problem.kind} ${problem.node.getText(sourceFile)}`);
+}
+
+suite('Failure Contracts Test Suite', () => {
+	test('Flags null results used without a check', () => {
+		assert.deepStrictEqual(problems([
+			'async function load() {',
+			'  try {',
+			'    const text = await sypnexAPI.decrypt(secret);',
+			'    const meta = await sypnexAPI.getAppMetadata();',
+			'    const { name } = await sypnexAPI.getAppMetadata();',
+			'    return [text.trim(), meta.version, (await sypnexAPI.decrypt(other)).length];',
+			'  } catch {}',
+			'}'
+		].join('\n')), [
+			'unchecked-null text',
+			'unchecked-null meta',
+			'unchecked-null await sypnexAPI.getAppMetadata()',
+			'unchecked-null (await sypnexAPI.decrypt(other))'
+		]);
+	});
+
+	test('Accepts null results that are checked', () => {
+		assert.deepStrictEqual(problems([
+			'async function load() {',
+			'  const a = await sypnexAPI.decrypt(x);',
+			'  if (!a) return;',
+			'  a.trim();',
+			'  const b = await sypnexAPI.decrypt(y);',
+			'  b?.trim();',
+			'  const c = (await sypnexAPI.getAppMetadata()) ?? {};',
+			'  c.version;',
+			'  const d = await sypnexAPI.decrypt(z);',
+			'  return d === null ? "" : d.trim();',
+			'}'
+		].join('\n')), []);
+	});
+
+	test('Flags throwing calls awaited outside try/catch', () => {
+		assert.deepStrictEqual(problems([
+			'async function load() {',
+			'  const data = await sypnexAPI.readVirtualFileJSON(path);',
+			'  try { await sypnexAPI.writeVirtualFile(path, text); } catch (error) {}',
+			'  try { await sypnexAPI.deleteVirtualItem(path); } finally {}',
+			'  await sypnexAPI.readVirtualFileText(path).catch(() => "");',
+			'  return sypnexAPI.listVirtualFiles("/");',
+			'}'
+		].join('\n')), [
+			'uncaught sypnexAPI.readVirtualFileJSON(path)',
+			'uncaught sypnexAPI.deleteVirtualItem(path)'
+		]);
+	});
+
+	test('Leaves logging calls out of the uncaught hint', () => {
+		assert.deepStrictEqual(problems([
+			'async function save() {',
+			'  await sypnexAPI.logError("Save failed", { path });',
+			'  await sypnexAPI.logWarn("Slow save");',
+			'  await sypnexAPI.writeLog({ level: "info", message: "Saved", component: "user-apps" });',
+			'  await sypnexAPI.readLogs();',
+			'}'
+		].join('\n')), [
+			'uncaught sypnexAPI.readLogs()'
+		]);
+	});
+
+	test('Leaves methods that return false or a fallback alone', () => {
+		assert.deepStrictEqual(problems([
+			'async function save() {',
+			'  await sypnexAPI.sendMessage("event", data);',
+			'  const theme = await sypnexAPI.getSetting("theme", "dark");',
+			'  return theme.toUpperCase();',
+			'}'
+		].join('\n')), []);
+	});
+});
@@ -0,0 +1,45 @@
+import * as assert from 'assert';
+import { checkShortcut, suggestShortcuts } from '../keyboardShortcuts';
+
+suite('Keyboard Shortcuts Test Suite', () => {
+	test('Accepts the form eventToKeyString produces', () => {
+		for (const shortcut of ['f', 'escape', 'space', 'ctrl+s', 'ctrl+alt+shift+meta+k', 'arrowleft', 'ctrl++']) {
+			assert.strictEqual(checkShortcut(shortcut), undefined, shortcut);
+		}
+	});
+
+	test('Rewrites other forms into the canonical one', () => {
+		assert.strictEqual(checkShortcut('shift+ctrl+s')?.canonical, 'ctrl+shift+s');
+		assert.strictEqual(checkShortcut('Ctrl+S')?.canonical, 'ctrl+s');
+		assert.strictEqual(checkShortcut('ArrowLeft')?.canonical, 'arrowleft');
+		assert.strictEqual(checkShortcut(' ')?.canonical, 'space');
+		assert.strictEqual(checkShortcut('cmd+Esc')?.canonical, 'meta+escape');
+		assert.strictEqual(checkShortcut('ctrl + z')?.canonical, 'ctrl+z');
+	});
+
+	test('Rewrites Shift with a digit or punctuation into the shifted character', () => {
+		assert.strictEqual(checkShortcut('shift+1')?.canonical, 'shift+!');
+		assert.strictEqual(checkShortcut('ctrl+shift+1')?.canonical, 'ctrl+shift+!');
+		assert.strictEqual(checkShortcut('shift+ctrl+/')?.canonical, 'ctrl+shift+?');
+		assert.strictEqual(checkShortcut('ctrl+shift+!'), undefined);
+		assert.strictEqual(checkShortcut('ctrl+1'), undefined);
+		assert.ok(!suggestShortcuts('shift+').some(suggestion => suggestion.shortcut === 'shift+1'));
+		assert.ok(suggestShortcuts('ctrl+').some(suggestion => suggestion.shortcut === 'ctrl+1'));
+	});
+
+	test('Flags shortcuts that cannot be fixed', () => {
+		const problem = checkShortcut('sft+s');
+		assert.ok(problem);
+		assert.strictEqual(problem.canonical, undefined);
+		assert.strictEqual(checkShortcut('ctrl+shift')?.canonical, undefined);
+		assert.strictEqual(checkShortcut('ctrl+')?.canonical, undefined);
+	});
+
+	test('Continues typed modifiers in canonical order', () => {
+		const suggestions = suggestShortcuts('shift+');
+		assert.ok(suggestions.some(suggestion => suggestion.shortcut === 'ctrl+shift+' && suggestion.isModifier));
+		assert.ok(suggestions.some(suggestion => suggestion.shortcut === 'shift+escape' && suggestion.filterText === 'shift+escape'));
+		assert.ok(!suggestions.some(suggestion => suggestion.shortcut === 'shift+shift+'));
+		assert.deepStrictEqual(suggestShortcuts('sft+'), []);
+	});
+});
@@ -0,0 +1,255 @@
+import * as assert from 'assert';
+import * as fs from 'fs';
+import * as http from 'http';
+import * as os from 'os';
+import * as path from 'path';
+import { io, Socket } from 'socket.io-client';
+import { readAppManifest, renderAppPage } from '../mockOs/appPage';
+import { parseMultipart } from '../mockOs/multipart';
+import { MockOsServer } from '../mockOs/server';
+
+suite('Mock OS Test Suite', () => {
+	let directory: string;
+	let server: MockOsServer;
+	let baseUrl: string;
+
+	// A JSON request to the mock OS, answered with its status and JSON body
+	async function request(method: string, url: string, body?: unknown): Promise<{ status: number; data: any }> {
+		const response = await fetch(baseUrl + url, {
+			method,
+			headers: body === undefined ? {} : { 'Content-Type': 'application/json' },
+			body: body === undefined ? undefined : JSON.stringify(body)
+		});
+		return { status: response.status, data: await response.json() };
+	}
+
+	// A request with headers fetch() would not let through, answered with its status
+	function rawRequest(method: string, url: string, headers: http.OutgoingHttpHeaders, body = ''): Promise<number> {
+		return new Promise((resolve, reject) => {
+			const request = http.request(baseUrl + url, { method, headers }, response => {
+				response.resume();
+				resolve(response.statusCode ?? 0);
+			});
+			request.on('error', reject);
+			request.end(body);
+		});
+	}
+
+	setup(async () => {
+		directory = fs.mkdtempSync(path.join(os.tmpdir(), 'sypnex-mock-'));
+		const appDirectory = path.join(directory, 'apps', 'notes');
+		fs.mkdirSync(appDirectory, { recursive: true });
+		fs.writeFileSync(path.join(appDirectory, 'notes.app'), JSON.stringify({ id: 'notes', name: 'Notes', scripts: ['src/main.js'] }));
+		fs.writeFileSync(path.join(appDirectory, 'notes.html'), '<div id="notes"></div>');
+
+		server = new MockOsServer({
+			dataDirectory: path.join(directory, 'data'),
+			vfsRoot: path.join(directory, 'vfs'),
+			apiSourcePath: path.join(__dirname, '..', '..', 'sypnex-api.js'),
+			socketClientPath: path.join(__dirname, '..', '..', 'node_modules', 'socket.io-client', 'dist', 'socket.io.min.js'),
+			apps: [readAppManifest(path.join(appDirectory, 'notes.app'))!]
+		});
+		baseUrl = await server.start(0);
+	});
+
+	teardown(async () => {
+		await server.stop();
+		fs.rmSync(directory, { recursive: true, force: true });
+	});
+
+	test('Keeps settings and preferences in JSON files', async () => {
+		assert.strictEqual((await request('POST', '/api/app-settings/notes/theme', { value: { dark: true } })).status, 200);
+		assert.deepStrictEqual((await request('GET', '/api/app-settings/notes/theme')).data.value, { dark: true });
+		assert.deepStrictEqual((await request('GET', '/api/app-settings/notes')).data.settings, { theme: { dark: true } });
+		// No value for a missing key, so sypnexAPI falls back to the default
+		assert.strictEqual((await request('GET', '/api/app-settings/notes/missing')).data.value, undefined);
+
+		await request('POST', '/api/preferences/ui/zoom', { value: 2 });
+		assert.strictEqual((await request('GET', '/api/preferences/ui/zoom')).data.value, 2);
+		const stored = JSON.parse(fs.readFileSync(path.join(directory, 'data', 'app-settings.json'), 'utf8'));
+		assert.deepStrictEqual(stored, { notes: { theme: { dark: true } } });
+	});
+
+	test('Serves the virtual file system from a directory', async () => {
+		assert.strictEqual((await request('POST', '/api/virtual-files/create-folder', { name: 'docs', parent_path: '/' })).status, 200);
+		await request('POST', '/api/virtual-files/create-file', { name: 'a.txt', content: 'hello', parent_path: '/docs' });
+		assert.strictEqual((await request('POST', '/api/virtual-files/create-file', { name: 'a.txt', content: '', parent_path: '/docs' })).status, 409);
+		assert.strictEqual(fs.readFileSync(path.join(directory, 'vfs', 'docs', 'a.txt'), 'utf8'), 'hello');
+
+		await request('PUT', '/api/virtual-files/write/docs/a.txt', { content: 'changed' });
+		assert.strictEqual((await request('GET', `/api/virtual-files/read/${encodeURIComponent('docs/a.txt')}`)).data.content, 'changed');
+
+		const form = new FormData();
+		form.append('file', new Blob([new Uint8Array([1, 2, 3])]), 'b.bin');
+		form.append('parent_path', '/docs');
+		const upload = await fetch(`${baseUrl}/api/virtual-files/upload-file`, { method: 'POST', body: form });
+		assert.strictEqual(upload.status, 200);
+		assert.deepStrictEqual([...fs.readFileSync(path.join(directory, 'vfs', 'docs', 'b.bin'))], [1, 2, 3]);
+
+		const listing = (await request('GET', '/api/virtual-files/list?path=%2Fdocs')).data;
+		assert.deepStrictEqual(listing.items.map((item: { path: string }) => item.path), ['/docs/a.txt', '/docs/b.bin']);
+		assert.deepStrictEqual((await request('GET', '/api/virtual-files/stats')).data,
+			{ total_files: 2, total_directories: 1, total_size: 10 });
+
+		await request('DELETE', `/api/virtual-files/delete/${encodeURIComponent('docs')}`);
+		assert.strictEqual((await request('GET', '/api/virtual-files/info/docs')).status, 404);
+		// Paths never leave the root
+		assert.strictEqual((await request('GET', `/api/virtual-files/read/${encodeURIComponent('../data/crypto.key')}`)).status, 404);
+	});
+
+	test('Turns away other hosts and cross-site writes', async () => {
+		const port = new URL(baseUrl).port;
+		const write = (headers: http.OutgoingHttpHeaders) => rawRequest('POST', '/api/app-settings/notes/theme',
+			{ 'Content-Type': 'text/plain', ...headers }, '{"value":"hacked"}');
+
+		// DNS rebinding: the page's own host name resolves to the loopback address
+		assert.strictEqual(await rawRequest('GET', '/api/app-settings/notes', { Host: `evil.example:${port}` }), 403);
+		assert.strictEqual(await rawRequest('GET', '/api/app-settings/notes', { Host: `localhost:${port}` }), 200);
+
+		assert.strictEqual(await write({ Origin: 'https://evil.example' }), 403);
+		assert.strictEqual(await rawRequest('DELETE', '/api/virtual-files/delete/docs', { Origin: 'null' }), 403);
+		assert.deepStrictEqual(fs.existsSync(path.join(directory, 'data', 'app-settings.json')), false);
+		// Reading is fine, other sites cannot see the answer
+		assert.strictEqual(await rawRequest('GET', '/api/app-settings/notes', { Origin: 'https://evil.example' }), 200);
+
+		// The mock OS's own pages, the preview webview and trusted origins may write
+		assert.strictEqual(await write({ Origin: baseUrl }), 200);
+		assert.strictEqual(await write({ Origin: 'vscode-webview://1234abcd' }), 200);
+		server.trustOrigin('https://forwarded.example');
+		assert.strictEqual(await write({ Origin: 'https://forwarded.example', Host: 'forwarded.example' }), 200);
+
+		// Socket connections from other sites are refused
+		const socket = io(baseUrl, { transports: ['websocket'], reconnection: false, extraHeaders: { Origin: 'https://evil.example' } });
+		try {
+			await new Promise(resolve => socket.once('connect_error', resolve));
+		} finally {
+			socket.close();
+		}
+	});
+
+	test('Encrypts, logs and proxies like the OS', async () => {
+		const { encrypted } = (await request('POST', '/api/crypto/encrypt', { value: 'secret' })).data;
+		assert.notStrictEqual(encrypted, 'secret');
+		assert.deepStrictEqual((await request('POST', '/api/crypto/decrypt', { encrypted })).data, { success: true, value: 'secret' });
+
+		await request('POST', '/api/logs/write', { level: 'info', message: 'started', component: 'user-apps', source: 'notes' });
+		await request('POST', '/api/logs/write', { level: 'error', message: 'failed', component: 'user-apps', source: 'notes' });
+		const { logs } = (await request('GET', '/api/logs/read?level=error')).data;
+		assert.deepStrictEqual(logs.map((entry: { message: string }) => entry.message), ['failed']);
+
+		// Relative proxy URLs reach the mock OS's own endpoints
+		const proxied = (await request('POST', '/api/proxy/http', { url: '/api/services', method: 'GET' })).data;
+		assert.deepStrictEqual(proxied.content, { services: [] });
+		assert.strictEqual(proxied.status, 200);
+	});
+
+	test('Runs apps with sypnex-api.js injected', async () => {
+		const page = await (await fetch(`${baseUrl}/app/notes/`)).text();
+		assert.ok(page.includes('<script src="/sypnex-api.js"></script>'));
+		assert.ok(page.includes('window.sypnexAPI = new SypnexAPI("notes"'));
+		assert.ok(page.indexOf('<div id="notes"></div>') < page.indexOf('<script src="src/main.js"></script>'));
+		assert.ok((await (await fetch(`${baseUrl}/sypnex-api.js`)).text()).includes('class SypnexAPI'));
+		assert.deepStrictEqual((await request('GET', '/api/app-metadata/notes')).data.metadata.name, 'Notes');
+	});
+
+	test('Wraps apps in the OS app window shell', async () => {
+		const page = await (await fetch(`${baseUrl}/app/notes/?scale=125`)).text();
+		// The shell comes before sypnex-api.js, which reads it as it loads
+		assert.ok(page.indexOf('window.sypnexOS = {') < page.indexOf('<script src="/sypnex-api.js"></script>'));
+		assert.ok(page.includes('window.sypnexAppSandbox = {'));
+		assert.ok(page.includes('<div class="app-window scale-125" data-app-id="notes">'));
+		assert.ok(page.includes('.app-window.scale-125 { transform: scale(1.25); width: 80%; height: 80%; }'));
+		// Unknown scales fall back to 100%
+		assert.ok((await (await fetch(`${baseUrl}/app/notes/?scale=7`)).text()).includes('class="app-window scale-100"'));
+	});
+
+	test('Wraps the body of full-document apps in the app window shell', () => {
+		const app = readAppManifest(path.join(directory, 'apps', 'notes', 'notes.app'))!;
+		const page = renderAppPage(app, '<!DOCTYPE html>\n<html>\n<head><title>Notes</title></head>\n<body class="dark">\n<div id="notes"></div>\n</body>\n</html>\n', 125);
+		const head = page.slice(page.indexOf('<head>'), page.indexOf('</head>'));
+		assert.ok(head.includes('--accent-color'));
+		assert.ok(head.indexOf('window.sypnexOS = {') < head.indexOf('<script src="/sypnex-api.js"></script>'));
+		assert.ok(head.indexOf('<script src="/sypnex-api.js"></script>') < head.indexOf('<title>Notes</title>'));
+
+		const body = page.slice(page.indexOf('<body class="dark">'), page.indexOf('</body>'));
+		const windowOpen = body.indexOf('<div class="app-window scale-125" data-app-id="notes">');
+		assert.ok(windowOpen !== -1 && windowOpen < body.indexOf('<div id="notes"></div>'));
+		assert.ok(body.indexOf('<div id="notes"></div>') < body.indexOf('</div>\n<script src="src/main.js"></script>'));
+	});
+
+	test('Speaks the sypnexAPI socket protocol', async () => {
+		const connect = async (appId: string) => {
+			const socket = io(baseUrl, { transports: ['websocket'], reconnection: false });
+			await new Promise(resolve => socket.once('connect', () => resolve(undefined)));
+			socket.emit('app_connect', { appId, timestamp: Date.now() });
+			return socket;
+		};
+		const next = (socket: Socket, event: string) => new Promise<any>(resolve => socket.once(event, resolve));
+		const alice = await connect('chat');
+		const bob = await connect('chat');
+		const carol = await connect('other');
+		try {
+			alice.emit('join_room', { room: 'lobby', appId: 'chat' });
+			bob.emit('join_room', { room: 'lobby', appId: 'chat' });
+			await Promise.all([next(alice, 'room_joined'), next(bob, 'room_joined')]);
+
+			// Room messages reach the room only, as 'message' and under their event type
+			let carolGotIt = false;
+			carol.on('chat', () => carolGotIt = true);
+			const received = next(bob, 'chat');
+			alice.emit('message', { message: { text: 'hi' }, room: 'lobby', event_type: 'chat', appId: 'chat' });
+			assert.deepStrictEqual((await received).message, { text: 'hi' });
+			const global = next(carol, 'message');
+			alice.emit('message', { message: 'all', room: 'global', event_type: 'notice', appId: 'chat' });
+			assert.strictEqual((await global).message, 'all');
+			assert.strictEqual(carolGotIt, false);
+
+			// ping() resolves when its acknowledgement arrives, after the configured latency
+			await request('POST', '/mock-os/api/sockets/config', { latency: 100 });
+			const start = Date.now();
+			await new Promise(resolve => alice.emit('ping', resolve));
+			assert.ok(Date.now() - start >= 100);
+
+			const state = (await request('GET', '/mock-os/api/sockets')).data;
+			assert.deepStrictEqual(state.clients.find((client: { id: string }) => client.id === bob.id).rooms, ['lobby']);
+
+			const dropped = next(bob, 'disconnect');
+			await request('POST', '/mock-os/api/sockets/disconnect', { mode: 'transport', id: bob.id });
+			assert.strictEqual(await dropped, 'transport close');
+			const disconnected = next(carol, 'disconnect');
+			await request('POST', '/mock-os/api/sockets/disconnect', { mode: 'server', id: carol.id });
+			assert.strictEqual(await disconnected, 'io server disconnect');
+
+			// While refusing, reconnection attempts fail
+			await request('POST', '/mock-os/api/sockets/config', { refusingConnections: true });
+			const refused = io(baseUrl, { transports: ['websocket'], reconnection: false });
+			await next(refused, 'connect_error');
+			refused.close();
+		} finally {
+			for (const socket of [alice, bob, carol]) {
+				socket.close();
+			}
+		}
+	});
+
+	test('Parses multipart bodies', () => {
+		const body = Buffer.from([
+			'--xyz',
+			'Content-Disposition: form-data; name="parent_path"',
+			'',
+			'/docs',
+			'--xyz',
+			'Content-Disposition: form-data; name="file"; filename="a.txt"',
+			'Content-Type: text/plain',
+			'',
+			'line 1\r\nline 2',
+			'--xyz--',
+			''
+		].join('\r\n'));
+		const parts = parseMultipart(body, 'multipart/form-data; boundary=xyz');
+		assert.deepStrictEqual(parts.map(part => [part.name, part.filename, part.contentType, part.data.toString()]), [
+			['parent_path', undefined, undefined, '/docs'],
+			['file', 'a.txt', 'text/plain', 'line 1\r\nline 2']
+		]);
+	});
+});
@@ -0,0 +1,118 @@
+import * as assert from 'assert';
+import * as ts from 'typescript';
+import { findSandboxLeaks, planCleanup } from '../sandboxLeaks';
+
+function parse(text: string): ts.SourceFile {
+	return ts.createSourceFile('test.js', text, ts.ScriptTarget.Latest, true, ts.ScriptKind.JS);
+}
+
+function leaks(text: string): string[] {
+	const sourceFile = parse(text);
+	return findSandboxLeaks(sourceFile).map(leak => `${leak.kind} ${leak.teardown ?? '-'}`);
+}
+
+// The file with the cleanup for its first leak applied
+function fixFirst(text: string): string {
+	const [leak] = findSandboxLeaks(parse(text));
+	const cleanup = planCleanup(leak)!;
+	return text.slice(0, cleanup.offset) + cleanup.text + text.slice(cleanup.offset);
+}
+
+suite('Sandbox Leaks Test Suite', () => {
+	test('Finds what outlives the app', () => {
+		assert.deepStrictEqual(leaks([
+			'window.appState = {};',
+			'window.onresize = layout;',
+			'sypnexAPI.getAppWindow().tracked = 1;',
+			'const timer = setInterval(tick, 1000);',
+			'setInterval(poll, 5000);',
+			'setTimeout(done, 10);',
+			"document.addEventListener('keydown', onKey);",
+			"window.addEventListener('resize', () => layout(), true);",
+			"panel.addEventListener('click', onClick);",
+			'function loop() { frame = requestAnimationFrame(loop); }',
+			'requestAnimationFrame(() => panel.focus());',
+			'await sypnexAPI.connectSocket();',
+			"const ws = new WebSocket('ws://localhost');"
+		].join('\n')), [
+			'global delete window.appState;',
+			'global window.onresize = null;',
+			'interval clearInterval(timer);',
+			'interval -',
+			"listener document.removeEventListener('keydown', onKey);",
+			'listener -',
+			'animation-frame cancelAnimationFrame(frame);',
+			'socket sypnexAPI.disconnectSocket();',
+			'socket ws.close();'
+		]);
+	});
+
+	test('Accepts what onBeforeClose hooks undo', () => {
+		assert.deepStrictEqual(leaks([
+			'window.appState = {};',
+			'const timer = setInterval(tick, 1000);',
+			"document.addEventListener('keydown', onKey);",
+			'function loop() { if (!running) return; requestAnimationFrame(loop); }',
+			'sypnexAPI.connectSocket();',
+			'sypnexAPI.onBeforeClose(() => {',
+			'  clearInterval(timer);',
+			'  delete window.appState;',
+			'  stop();',
+			'});',
+			'function stop() {',
+			'  running = false;',
+			"  document.removeEventListener('keydown', onKey);",
+			'  sypnexAPI.disconnectSocket();',
+			'}'
+		].join('\n')), []);
+	});
+
+	test('Adds the teardown to a hook that can see it', () => {
+		assert.strictEqual(fixFirst([
+			'const timer = setInterval(tick, 1000);',
+			'sypnexAPI.onBeforeClose(() => {',
+			'    sypnexAPI.disconnectSocket();',
+			'});'
+		].join('\n')), [
+			'const timer = setInterval(tick, 1000);',
+			'sypnexAPI.onBeforeClose(() => {',
+			'    sypnexAPI.disconnectSocket();',
+			'    clearInterval(timer);',
+			'});'
+		].join('\n'));
+	});
+
+	test('Creates a hook in the scope of the handle', () => {
+		assert.strictEqual(fixFirst([
+			'function start() {',
+			'\tconst timer = setInterval(tick, 1000);',
+			'\tdraw();',
+			'}'
+		].join('\n')), [
+			'function start() {',
+			'\tconst timer = setInterval(tick, 1000);',
+			'',
+			'\tsypnexAPI.onBeforeClose(() => {',
+			'\t\tclearInterval(timer);',
+			'\t});',
+			'\tdraw();',
+			'}'
+		].join('\n'));
+
+		assert.strictEqual(fixFirst([
+			'let timer;',
+			'function start() {',
+			'  timer = setInterval(tick, 1000);',
+			'}'
+		].join('\n')), [
+			'let timer;',
+			'function start() {',
+			'  timer = setInterval(tick, 1000);',
+			'}',
+			'',
+			'sypnexAPI.onBeforeClose(() => {',
+			'  clearInterval(timer);',
+			'});'
+		].join('\n'));
+	});
+});
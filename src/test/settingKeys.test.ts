@@ -0,0 +1,44 @@
+import * as assert from 'assert';
+import * as ts from 'typescript';
+import { collectSettingKeyUses, describeSetting, getSettingArgument, isSameSetting } from '../settingKeys';
+
+function parse(text: string): ts.SourceFile {
+	return ts.createSourceFile('test.js', text, ts.ScriptTarget.Latest, true, ts.ScriptKind.JS);
+}
+
+suite('Setting Keys Test Suite', () => {
+	test('Collects reads, writes and deletes with their default types', () => {
+		const uses = collectSettingKeyUses(parse([
+			"const api = sypnexAPI;",
+			"await api.getSetting('theme', 'dark');",
+			"await sypnexAPI.setSetting('theme', value);",
+			"await sypnexAPI.deleteSetting(key);",
+			"await sypnexAPI.getPreference('ui', 'fontSize', 14);",
+			"await sypnexAPI.getAllSettings();"
+		].join('\n')));
+
+		assert.deepStrictEqual(uses.map(use => [use.store, use.category, use.key, use.access, use.defaultType]), [
+			['setting', undefined, 'theme', 'read', 'string'],
+			['setting', undefined, 'theme', 'write', undefined],
+			['setting', undefined, undefined, 'delete', undefined],
+			['preference', 'ui', 'fontSize', 'read', 'number'],
+			['setting', undefined, undefined, 'read', undefined]
+		]);
+	});
+
+	test('Matches computed keys and categories with any key in their store', () => {
+		assert.ok(isSameSetting({ store: 'setting', key: 'theme' }, { store: 'setting', key: undefined }));
+		assert.ok(!isSameSetting({ store: 'setting', key: 'theme' }, { store: 'preference', category: 'ui', key: 'theme' }));
+		assert.ok(!isSameSetting({ store: 'preference', category: 'ui', key: 'a' }, { store: 'preference', category: 'app', key: 'a' }));
+		assert.ok(isSameSetting({ store: 'preference', category: 'ui', key: 'a' }, { store: 'preference', key: 'a' }));
+		assert.strictEqual(describeSetting({ store: 'preference', category: 'ui', key: 'a' }), "Preference 'ui.a'");
+	});
+
+	test('Knows which arguments are keys and categories', () => {
+		assert.deepStrictEqual(getSettingArgument('setPreference', 0), { store: 'preference', part: 'category' });
+		assert.deepStrictEqual(getSettingArgument('setPreference', 1), { store: 'preference', part: 'key' });
+		assert.deepStrictEqual(getSettingArgument('getSetting', 0), { store: 'setting', part: 'key' });
+		assert.strictEqual(getSettingArgument('getSetting', 1), undefined);
+		assert.strictEqual(getSettingArgument('readVirtualFileText', 0), undefined);
+	});
+});
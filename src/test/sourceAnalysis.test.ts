@@ -0,0 +1,155 @@
+import * as assert from 'assert';
+import * as ts from 'typescript';
+import {
+	collectApiReferences,
+	findApiCallAt,
+	findApiMemberPositionAt,
+	findApiMethodReferenceAt,
+	findApiNamespaceReferenceAt,
+	findOptionsObjectAt,
+	getArgumentIndex,
+	isInCommentOrString
+} from '../sourceAnalysis';
+
+function parse(text: string): ts.SourceFile {
+	return ts.createSourceFile('test.js', text, ts.ScriptTarget.Latest, true, ts.ScriptKind.JS);
+}
+
+suite('Source Analysis Test Suite', () => {
+	test('Finds the API call and active argument while typing', () => {
+		const text = "sypnexAPI.setPreference('ui', ";
+		const apiCall = findApiCallAt(parse(text), text.length);
+
+		assert.ok(apiCall);
+		assert.strictEqual(apiCall.method.name, 'setPreference');
+		assert.strictEqual(getArgumentIndex(apiCall.call, text.length), 1);
+	});
+
+	test('Finds namespace method calls while typing', () => {
+		const text = 'sypnexAPI.scaling.screenToAppCoords(event.clientX, ';
+		const apiCall = findApiCallAt(parse(text), text.length);
+
+		assert.ok(apiCall);
+		assert.strictEqual(apiCall.method.name, 'screenToAppCoords');
+		// The namespace's method, not the top-level convenience method of the same name
+		assert.ok(apiCall.method.description.startsWith('Convert screen coordinates to app coordinates'));
+		assert.strictEqual(getArgumentIndex(apiCall.call, text.length), 1);
+		assert.strictEqual(findApiCallAt(parse('other.scaling.screenToAppCoords('), 32), undefined);
+	});
+
+	test('Ignores calls that are not on sypnexAPI', () => {
+		const text = "sypnexAPI.setPreference('ui', format(";
+		assert.strictEqual(findApiCallAt(parse(text), text.length), undefined);
+	});
+
+	test('Does not count commas inside nested literals', () => {
+		const text = "sypnexAPI.showConfirmation('Title', 'Message', { confirmText: 'Yes', cancelText: 'No' })";
+		const offset = text.indexOf('cancelText');
+		const apiCall = findApiCallAt(parse(text), offset);
+
+		assert.ok(apiCall);
+		assert.strictEqual(getArgumentIndex(apiCall.call, offset), 2);
+	});
+
+	test('Finds the options object key being typed', () => {
+		const text = "sypnexAPI.showConfirmation('Title', 'Message', { confirmText: 'Ok', ca";
+		const context = findOptionsObjectAt(parse(text), text.length);
+
+		assert.ok(context);
+		assert.strictEqual(context.method, 'showConfirmation');
+		assert.strictEqual(context.argumentIndex, 2);
+		assert.deepStrictEqual(context.existingKeys, ['confirmText']);
+		assert.strictEqual(context.valueKey, undefined);
+	});
+
+	test('Finds the options value being typed inside a string', () => {
+		const text = "sypnexAPI.showModal({ title: 'Hi', size: 'la' })";
+		const context = findOptionsObjectAt(parse(text), text.indexOf("la'") + 2);
+
+		assert.ok(context);
+		assert.strictEqual(context.valueKey, 'size');
+		assert.ok(context.stringLiteral);
+	});
+
+	test('Ignores object literals nested under an option', () => {
+		const text = "sypnexAPI.proxyHTTP({ headers: { Accept: 'x' } })";
+		assert.strictEqual(findOptionsObjectAt(parse(text), text.indexOf('Accept')), undefined);
+	});
+
+	test('Follows aliases of the API object', () => {
+		const text = [
+			'const api = window.sypnexAPI;',
+			'const other = api;',
+			'class App { constructor() { this.api = other; } load() { this.api.getSetting(\'k\', ',
+			'const local = new SypnexAPI(appId);'
+		].join('\n');
+		const source = parse(text);
+
+		assert.strictEqual(findApiCallAt(source, text.indexOf("'k', ") + 5)?.method.name, 'getSetting');
+		assert.strictEqual(findApiMemberPositionAt(source, text.indexOf('api;') + 4), undefined);
+	});
+
+	test('Finds member positions on multi-line chains and in destructuring', () => {
+		const chain = 'await sypnexAPI\n\t.\nconsole.log(1);';
+		assert.strictEqual(findApiMemberPositionAt(parse(chain), chain.indexOf('.') + 1)?.kind, 'property');
+
+		const destructuring = 'const { readVirtualFileText, getSetting: get } = sypnexAPI;';
+		const source = parse(destructuring);
+		assert.strictEqual(findApiMemberPositionAt(source, destructuring.indexOf('{') + 2)?.kind, 'destructuring');
+		assert.strictEqual(findApiMemberPositionAt(source, destructuring.indexOf('get }') + 2), undefined);
+	});
+
+	test('Resolves destructured methods to their API names', () => {
+		const text = "const { getSetting: get } = sypnexAPI;\nget('theme');";
+		const source = parse(text);
+
+		assert.strictEqual(findApiMethodReferenceAt(source, text.lastIndexOf('get('))?.name, 'getSetting');
+		assert.strictEqual(findApiCallAt(source, text.indexOf("'theme'"))?.method.name, 'getSetting');
+	});
+
+	test('Resolves namespace members', () => {
+		const text = 'sypnexAPI.scaling.getEffectiveScale(2);\nwindow.sypnexKeyboardManager.';
+		const source = parse(text);
+
+		assert.strictEqual(findApiMemberPositionAt(source, text.indexOf('getEffectiveScale'))?.namespace?.name, 'scaling');
+		assert.strictEqual(findApiMemberPositionAt(source, text.length)?.namespace?.name, 'sypnexKeyboardManager');
+		assert.strictEqual(findApiMethodReferenceAt(source, text.indexOf('getEffectiveScale'))?.module, 'scaling');
+		assert.strictEqual(findApiNamespaceReferenceAt(source, text.indexOf('sypnexKeyboardManager'))?.module, 'keyboard');
+		assert.strictEqual(findApiNamespaceReferenceAt(source, text.indexOf('window')), undefined);
+	});
+
+	test('Collects method references through aliases and destructuring', () => {
+		const text = [
+			'const api = sypnexAPI;',
+			"const { getSetting, appId } = sypnexAPI;",
+			"api.readVirtualFileText('/a');",
+			"getSetting('theme');",
+			'sypnexAPI.scaling.detectAppScale();',
+			"window.sypnexWindowManager.cleanupAppWindow('notes');",
+			'sypnexKeyboardManager.getStats();'
+		].join('\n');
+		const names = collectApiReferences(parse(text))
+			.map(reference => reference.namespace ? `${reference.namespace.name}.${reference.method.name}` : reference.method.name);
+
+		assert.deepStrictEqual(names, [
+			'getSetting',
+			'readVirtualFileText',
+			'getSetting',
+			'scaling.detectAppScale',
+			'sypnexWindowManager.cleanupAppWindow',
+			'sypnexKeyboardManager.getStats'
+		]);
+	});
+
+	test('Detects comments and strings', () => {
+		const text = "const a = 'text'; // note\n/* block */ sypn";
+		const source = parse(text);
+
+		assert.ok(isInCommentOrString(source, text.indexOf('text')));
+		assert.ok(isInCommentOrString(source, text.indexOf('note')));
+		assert.ok(isInCommentOrString(source, text.indexOf('\n')));
+		assert.ok(isInCommentOrString(source, text.indexOf('block')));
+		assert.ok(!isInCommentOrString(source, text.length));
+		assert.ok(!isInCommentOrString(source, text.indexOf(' a')));
+	});
+});
@@ -0,0 +1,38 @@
+import * as assert from 'assert';
+import {
+	commonApiMethods,
+	findApiMethod,
+	getApiModuleName,
+	isKnownApiMember,
+	sypnexApiMethods,
+	sypnexApiNamespaces,
+	suggestApiMethod
+} from '../sypnexApi';
+
+suite('Sypnex API Metadata Test Suite', () => {
+	test('Knows methods and state fields', () => {
+		assert.ok(isKnownApiMember('readVirtualFileText'));
+		assert.ok(isKnownApiMember('appId'));
+		assert.ok(!isKnownApiMember('executeTerminalCommand'));
+	});
+
+	test('Suggests the closest method for a misspelling', () => {
+		assert.strictEqual(suggestApiMethod('readVirtualFileTxt'), 'readVirtualFileText');
+		assert.strictEqual(suggestApiMethod('readVirtualFileJson'), 'readVirtualFileJSON');
+		assert.strictEqual(suggestApiMethod('setPrefrence'), 'setPreference');
+	});
+
+	test('Ranks only real methods and names every module', () => {
+		assert.deepStrictEqual(commonApiMethods.filter(name => !findApiMethod(name)), []);
+		const modules = [...sypnexApiMethods, ...sypnexApiNamespaces].map(member => member.module);
+		assert.deepStrictEqual(modules.filter(module => getApiModuleName(module) === module), []);
+		assert.strictEqual(getApiModuleName('file-explorer'), 'File Explorer');
+	});
+
+	test('Marks OS-only methods as internal', () => {
+		assert.ok(findApiMethod('cleanup')?.internal);
+		assert.ok(!findApiMethod('getSetting')?.internal);
+		const keyboardManager = sypnexApiNamespaces.find(namespace => namespace.name === 'sypnexKeyboardManager');
+		assert.ok(keyboardManager?.methods.find(method => method.name === 'registerApp')?.internal);
+	});
+});
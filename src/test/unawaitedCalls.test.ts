@@ -0,0 +1,88 @@
+import * as assert from 'assert';
+import * as ts from 'typescript';
+import { findUnawaitedCalls, Insertion, isDiscarded, planAwait, planCatch } from '../unawaitedCalls';
+
+function parse(text: string): ts.SourceFile {
+	return ts.createSourceFile('test.js', text, ts.ScriptTarget.Latest, true, ts.ScriptKind.JS);
+}
+
+function unawaited(text: string): string[] {
+	const sourceFile = parse(text);
+	return findUnawaitedCalls(sourceFile).map(({ call }) => call.getText(sourceFile));
+}
+
+function apply(text: string, insertions: Insertion[]): string {
+	// From the end, so earlier offsets stay valid
+	return [...insertions].sort((a, b) => b.offset - a.offset)
+		.reduce((result, insertion) => result.slice(0, insertion.offset) + insertion.text + result.slice(insertion.offset), text);
+}
+
+// The file with "await" added to its first unawaited call, or undefined when it cannot be
+function fixWithAwait(text: string): string | undefined {
+	const [first] = findUnawaitedCalls(parse(text));
+	const plan = planAwait(first.call);
+	return plan && apply(text, plan.insertions);
+}
+
+suite('Unawaited Calls Test Suite', () => {
+	test('Tells dropped promises from handled ones', () => {
+		const sourceFile = parse([
+			'a();',
+			'(b());',
+			'await c();',
+			'd().then(done);',
+			'const e = f();',
+			'function g() { return h(); }'
+		].join('\n'));
+		const calls: Record<string, boolean> = {};
+		sourceFile.forEachChild(function visit(node) {
+			if (ts.isCallExpression(node) && ts.isIdentifier(node.expression)) {
+				calls[node.expression.text] = isDiscarded(node);
+			}
+			node.forEachChild(visit);
+		});
+		assert.deepStrictEqual(calls, { a: true, b: true, c: false, d: false, f: false, h: false });
+	});
+
+	test('Flags async API calls whose promise is dropped', () => {
+		assert.deepStrictEqual(unawaited([
+			"sypnexAPI.writeVirtualFile('/a.txt', 'text');",
+			"await sypnexAPI.setSetting('theme', 'dark');",
+			"sypnexAPI.showNotification('Saved');",
+			"const api = sypnexAPI; api.setSetting('x', 1);",
+			"sypnexAPI.setSetting('y', 2).catch(console.error);",
+			"other.setSetting('z', 3);"
+		].join('\n')), [
+			"sypnexAPI.writeVirtualFile('/a.txt', 'text')",
+			"api.setSetting('x', 1)"
+		]);
+	});
+
+	test('Awaits, making the enclosing function async when needed', () => {
+		assert.strictEqual(fixWithAwait("async function save() { sypnexAPI.setSetting('a', 1); }"),
+			"async function save() { await sypnexAPI.setSetting('a', 1); }");
+		assert.strictEqual(fixWithAwait("function save() { sypnexAPI.setSetting('a', 1); }"),
+			"async function save() { await sypnexAPI.setSetting('a', 1); }");
+		assert.strictEqual(fixWithAwait("button.onclick = () => { sypnexAPI.setSetting('a', 1); };"),
+			"button.onclick = async () => { await sypnexAPI.setSetting('a', 1); };");
+		assert.strictEqual(fixWithAwait("class Editor { save() { sypnexAPI.setSetting('a', 1); } }"),
+			"class Editor { async save() { await sypnexAPI.setSetting('a', 1); } }");
+		const plan = planAwait(findUnawaitedCalls(parse("function f() { sypnexAPI.setSetting('a', 1); }"))[0].call);
+		assert.strictEqual(plan?.makesAsync, true);
+	});
+
+	test('Does not offer await where it cannot go', () => {
+		// Constructors and accessors cannot be async, classic scripts have no top-level await
+		assert.strictEqual(fixWithAwait("class Editor { constructor() { sypnexAPI.setSetting('a', 1); } }"), undefined);
+		assert.strictEqual(fixWithAwait("class Editor { get theme() { sypnexAPI.setSetting('a', 1); return 1; } }"), undefined);
+		assert.strictEqual(fixWithAwait("sypnexAPI.setSetting('a', 1);"), undefined);
+		assert.strictEqual(fixWithAwait("sypnexAPI.setSetting('a', 1);\nexport {};"), "await sypnexAPI.setSetting('a', 1);\nexport {};");
+	});
+
+	test('Attaches a .catch() to the call', () => {
+		const text = "function f() { (sypnexAPI.setSetting('a', 1)); }";
+		const [{ call }] = findUnawaitedCalls(parse(text));
+		assert.strictEqual(apply(text, [planCatch(call)]),
+			"function f() { (sypnexAPI.setSetting('a', 1).catch(error => console.error(error))); }");
+	});
+});
@@ -0,0 +1,76 @@
+import * as assert from 'assert';
+import * as http from 'http';
+import { AddressInfo } from 'net';
+import * as ts from 'typescript';
+import { findStringArgumentAt } from '../sourceAnalysis';
+import { collectVfsPaths, fetchVfsListing, getVfsPathParameter, listKnownEntries, parseVfsListing, splitVfsPath } from '../vfsPaths';
+
+function parse(text: string): ts.SourceFile {
+	return ts.createSourceFile('test.js', text, ts.ScriptTarget.Latest, true, ts.ScriptKind.JS);
+}
+
+suite('Virtual File Paths Test Suite', () => {
+	test('Finds the path argument being typed', () => {
+		const text = "sypnexAPI.writeVirtualFile('/documents/no";
+		const argument = findStringArgumentAt(parse(text), text.length);
+
+		assert.ok(argument);
+		assert.strictEqual(argument.method, 'writeVirtualFile');
+		assert.ok(getVfsPathParameter(argument.method, argument.argumentIndex));
+		assert.strictEqual(getVfsPathParameter(argument.method, 1), undefined);
+		assert.strictEqual(getVfsPathParameter('getSetting', 0), undefined);
+		assert.deepStrictEqual(splitVfsPath('/documents/no'), { directory: '/documents/', partial: 'no' });
+	});
+
+	test('Builds directories from paths used in code', () => {
+		const paths = collectVfsPaths(parse([
+			"sypnexAPI.readVirtualFileText('/documents/notes.txt');",
+			"sypnexAPI.listVirtualFiles('/music');",
+			'sypnexAPI.writeVirtualFileJSON(`/config/${name}.json`, data);',
+			"sypnexAPI.writeVirtualFile('relative.txt', '/not/a/path');"
+		].join('\n')));
+
+		assert.deepStrictEqual(listKnownEntries(paths, '/'), [
+			{ name: 'documents', isDirectory: true },
+			{ name: 'music', isDirectory: true },
+			{ name: 'config', isDirectory: true }
+		]);
+		assert.deepStrictEqual(listKnownEntries(paths, '/documents/'), [{ name: 'notes.txt', isDirectory: false }]);
+	});
+
+	test('Reads both listing formats', () => {
+		const items = [{ name: 'a', type: 'directory' }, { name: 'b.txt', type: 'file' }, { name: 'c', is_directory: true }];
+		const expected = [
+			{ name: 'a', isDirectory: true },
+			{ name: 'b.txt', isDirectory: false },
+			{ name: 'c', isDirectory: true }
+		];
+
+		assert.deepStrictEqual(parseVfsListing(items), expected);
+		assert.deepStrictEqual(parseVfsListing({ items }), expected);
+		assert.deepStrictEqual(parseVfsListing({ error: 'Not found' }), []);
+	});
+
+	test('Lists directories under the path prefix of the server URL', async () => {
+		const requested: string[] = [];
+		const server = http.createServer((request, response) => {
+			requested.push(request.url ?? '');
+			response.setHeader('Content-Type', 'application/json');
+			response.end(JSON.stringify({ items: [{ name: 'notes.txt', type: 'file' }] }));
+		});
+		await new Promise<void>(resolve => server.listen(0, '127.0.0.1', resolve));
+		const base = `http://127.0.0.1:${(server.address() as AddressInfo).port}`;
+		try {
+			assert.deepStrictEqual(await fetchVfsListing(`${base}/sypnex`, '/documents/'), [{ name: 'notes.txt', isDirectory: false }]);
+			await fetchVfsListing(`${base}/sypnex/`, '/');
+			await fetchVfsListing(base, '/');
+		} finally {
+			server.close();
+		}
+		assert.deepStrictEqual(requested, [
+			'/sypnex/api/virtual-files/list?path=%2Fdocuments',
+			'/sypnex/api/virtual-files/list?path=%2F',
+			'/api/virtual-files/list?path=%2F'
+		]);
+	});
+});
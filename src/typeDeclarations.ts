@@ -0,0 +1,47 @@
+import * as vscode from 'vscode';
+
+// Must match the "name" of the TypeScript server plugin contributed in package.json
+const TSSERVER_PLUGIN_ID = 'sypnex-api-tsserver-plugin';
+const TYPESCRIPT_EXTENSION_ID = 'vscode.typescript-language-features';
+const TYPES_FILE = 'sypnex-api.d.ts';
+
+interface TypeScriptLanguageFeaturesApi {
+	configurePlugin(pluginId: string, configuration: unknown): void;
+}
+
+/**
+ * Tell the TypeScript server plugin where the generated sypnex-api.d.ts lives,
+ * so the built-in JS/TS language service types the global sypnexAPI object
+ */
+async function configureTsServerPlugin(context: vscode.ExtensionContext): Promise<void> {
+	const extension = vscode.extensions.getExtension(TYPESCRIPT_EXTENSION_ID);
+	if (!extension) {
+		return;
+	}
+
+	const exports = extension.isActive ? extension.exports : await extension.activate();
+	const api: TypeScriptLanguageFeaturesApi | undefined = exports?.getAPI?.(0);
+	if (!api) {
+		return;
+	}
+
+	const enabled = vscode.workspace.getConfiguration('sypnex').get<boolean>('typeDeclarations.enabled', true);
+	api.configurePlugin(TSSERVER_PLUGIN_ID, {
+		enabled,
+		typesPath: context.asAbsolutePath(TYPES_FILE)
+	});
+}
+
+function reportConfigureError(error: unknown): void {
+	console.error('Sypnex OS API Support: failed to configure TypeScript plugin:', error);
+}
+
+export function registerTypeDeclarations(context: vscode.ExtensionContext): void {
+	configureTsServerPlugin(context).catch(reportConfigureError);
+
+	context.subscriptions.push(vscode.workspace.onDidChangeConfiguration(event => {
+		if (event.affectsConfiguration('sypnex.typeDeclarations')) {
+			configureTsServerPlugin(context).catch(reportConfigureError);
+		}
+	}));
+}
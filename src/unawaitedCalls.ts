@@ -0,0 +1,113 @@
+import * as ts from 'typescript';
+import { findEnclosingFunction, getApiMethodName, isAsyncFunction } from './sourceAnalysis';
+import { findApiMethod, SypnexApiMethod } from './sypnexApi';
+
+/**
+ * An async sypnexAPI call whose promise nothing awaits or handles
+ */
+export interface UnawaitedCall {
+	call: ts.CallExpression;
+	method: SypnexApiMethod;
+}
+
+/**
+ * Text to insert at an offset of the file
+ */
+export interface Insertion {
+	offset: number;
+	text: string;
+}
+
+// The rejection handler the .catch() quick fix attaches
+const CATCH_HANDLER = '.catch(error => console.error(error))';
+
+/**
+ * Whether the promise of a call is dropped: used as a bare statement, with no await, .then, return or assignment
+ */
+export function isDiscarded(call: ts.CallExpression): boolean {
+	let node: ts.Node = call;
+	while (ts.isParenthesizedExpression(node.parent)) {
+		node = node.parent;
+	}
+	return ts.isExpressionStatement(node.parent);
+}
+
+/**
+ * Async sypnexAPI calls whose promise is dropped, e.g. a bare sypnexAPI.writeVirtualFile(...)
+ */
+export function findUnawaitedCalls(sourceFile: ts.SourceFile): UnawaitedCall[] {
+	const calls: UnawaitedCall[] = [];
+
+	function visit(node: ts.Node): void {
+		if (ts.isCallExpression(node) && isDiscarded(node)) {
+			const name = getApiMethodName(node.expression);
+			const method = name ? findApiMethod(name) : undefined;
+			if (method && method.isAsync) {
+				calls.push({ call: node, method });
+			}
+		}
+		ts.forEachChild(node, visit);
+	}
+	visit(sourceFile);
+
+	return calls;
+}
+
+type FunctionNode = ts.FunctionDeclaration | ts.FunctionExpression | ts.ArrowFunction | ts.MethodDeclaration;
+
+// Where "async " goes: before "function", before the method name, or at the start of an arrow function
+function asyncInsertPosition(node: FunctionNode, sourceFile: ts.SourceFile): number {
+	if (ts.isMethodDeclaration(node)) {
+		return (node.asteriskToken || node.name).getStart(sourceFile);
+	}
+	if (ts.isArrowFunction(node)) {
+		return node.getStart(sourceFile);
+	}
+	const functionKeyword = node.getChildren(sourceFile).find(child => child.kind === ts.SyntaxKind.FunctionKeyword);
+	return functionKeyword ? functionKeyword.getStart(sourceFile) : node.getStart(sourceFile);
+}
+
+function canBecomeAsync(node: ts.SignatureDeclaration): node is FunctionNode {
+	return ts.isFunctionDeclaration(node) || ts.isFunctionExpression(node) ||
+		ts.isArrowFunction(node) || ts.isMethodDeclaration(node);
+}
+
+function isModule(sourceFile: ts.SourceFile): boolean {
+	return sourceFile.statements.some(statement =>
+		ts.isImportDeclaration(statement) || ts.isExportDeclaration(statement) || ts.isExportAssignment(statement) ||
+		(ts.canHaveModifiers(statement) && !!ts.getModifiers(statement)?.some(m => m.kind === ts.SyntaxKind.ExportKeyword)));
+}
+
+/**
+ * What awaiting a call takes: "await " before it, and "async " on the enclosing function when it is not
+ * async yet. Undefined when the call cannot be awaited: in an accessor or constructor, or at the top
+ * level of a classic script.
+ */
+export function planAwait(call: ts.CallExpression): { insertions: Insertion[]; makesAsync: boolean } | undefined {
+	const sourceFile = call.getSourceFile();
+	const insertions: Insertion[] = [];
+	const enclosing = findEnclosingFunction(call);
+
+	if (enclosing) {
+		if (!isAsyncFunction(enclosing)) {
+			// Accessors and constructors cannot be async
+			if (!canBecomeAsync(enclosing)) {
+				return undefined;
+			}
+			insertions.push({ offset: asyncInsertPosition(enclosing, sourceFile), text: 'async ' });
+		}
+	} else if (!isModule(sourceFile)) {
+		// Top-level await only works in modules
+		return undefined;
+	}
+
+	insertions.push({ offset: call.getStart(sourceFile), text: 'await ' });
+	return { insertions, makesAsync: insertions.length > 1 };
+}
+
+/**
+ * A .catch() that logs the rejection, attached to the end of the call
+ */
+export function planCatch(call: ts.CallExpression): Insertion {
+	return { offset: call.getEnd(), text: CATCH_HANDLER };
+}
@@ -0,0 +1,182 @@
+import * as path from 'path';
+import * as vscode from 'vscode';
+import { findWorkspaceScripts, readScript, SCRIPT_FILES } from './apiUsage';
+import { isScriptPosition } from './languages';
+import { findStringArgumentAt, getSourceFile, parseScript } from './sourceAnalysis';
+import {
+	collectVfsPaths,
+	fetchVfsListing,
+	getVfsPathParameter,
+	listKnownEntries,
+	splitVfsPath,
+	VfsEntry,
+	VfsPath
+} from './vfsPaths';
+
+// How long a directory listing from a Sypnex OS instance is reused
+const LISTING_TTL = 30 * 1000;
+
+interface PathCandidate {
+	isDirectory: boolean;
+	/** Where the entry was found, for the item detail */
+	sources: string[];
+}
+
+/**
+ * Path completion in the path arguments of vfs methods, e.g. sypnexAPI.readVirtualFileText('/documents/|'),
+ * from a local mirror of the virtual file system, a running Sypnex OS instance and paths used in the workspace
+ */
+export class SypnexVfsPathCompletionProvider implements vscode.CompletionItemProvider, vscode.Disposable {
+	private scripts: Thenable<vscode.Uri[]> | undefined;
+	/** Paths written in each workspace file, as saved on disk */
+	private readonly pathsByFile = new Map<string, VfsPath[]>();
+	/** The read of the files not in pathsByFile yet, shared by the requests made while it runs */
+	private scan: Promise<void> | undefined;
+	private readonly listings = new Map<string, { time: number; entries: Promise<VfsEntry[]> }>();
+	private readonly watcher = vscode.workspace.createFileSystemWatcher(SCRIPT_FILES);
+
+	constructor() {
+		this.watcher.onDidChange(uri => this.pathsByFile.delete(uri.toString()));
+		this.watcher.onDidCreate(uri => {
+			this.pathsByFile.delete(uri.toString());
+			this.scripts = undefined;
+		});
+		this.watcher.onDidDelete(uri => {
+			this.pathsByFile.delete(uri.toString());
+			this.scripts = undefined;
+		});
+	}
+
+	async provideCompletionItems(
+		document: vscode.TextDocument,
+		position: vscode.Position,
+		token: vscode.CancellationToken
+	): Promise<vscode.CompletionItem[] | undefined> {
+		if (!isScriptPosition(document, position)) {
+			return undefined;
+		}
+
+		const sourceFile = getSourceFile(document);
+		const offset = document.offsetAt(position);
+		const argument = findStringArgumentAt(sourceFile, offset);
+		if (!argument || !getVfsPathParameter(argument.method, argument.argumentIndex)) {
+			return undefined;
+		}
+
+		// Virtual file system paths are absolute
+		const typed = sourceFile.text.slice(argument.literal.getStart(sourceFile) + 1, offset);
+		if (typed && !typed.startsWith('/')) {
+			return undefined;
+		}
+		const { directory, partial } = splitVfsPath(typed || '/');
+
+		// The string being typed is not a known path yet
+		const documentPaths = collectVfsPaths(sourceFile).filter(known => known.path !== typed);
+		const workspacePaths = await this.workspacePaths(document.uri, token);
+
+		const candidates = new Map<string, PathCandidate>();
+		const add = (entries: VfsEntry[], source: string) => {
+			for (const entry of entries) {
+				const candidate = candidates.get(entry.name) ?? { isDirectory: false, sources: [] };
+				candidate.isDirectory ||= entry.isDirectory;
+				if (!candidate.sources.includes(source)) {
+					candidate.sources.push(source);
+				}
+				candidates.set(entry.name, candidate);
+			}
+		};
+		add(await this.mirrorEntries(document, directory), 'Local mirror');
+		add(await this.serverEntries(document, directory), 'Sypnex OS');
+		add(listKnownEntries([...documentPaths, ...workspacePaths], directory), 'Used in workspace');
+
+		const range = new vscode.Range(position.translate(0, -partial.length), position);
+		return [...candidates].map(([name, candidate]) => {
+			const item = new vscode.CompletionItem(
+				name,
+				candidate.isDirectory ? vscode.CompletionItemKind.Folder : vscode.CompletionItemKind.File
+			);
+			item.detail = candidate.sources.join(' · ');
+			item.range = range;
+			// Folders first; picking one continues with its contents
+			item.sortText = `${candidate.isDirectory ? 0 : 1}${name}`;
+			if (candidate.isDirectory) {
+				item.insertText = `${name}/`;
+				item.command = { title: 'Suggest', command: 'editor.action.triggerSuggest' };
+			}
+			return item;
+		});
+	}
+
+	dispose(): void {
+		this.watcher.dispose();
+	}
+
+	// Paths from every other workspace file, read once and re-read when the file changes on disk
+	private async workspacePaths(current: vscode.Uri, token: vscode.CancellationToken): Promise<VfsPath[]> {
+		this.scan ??= this.readWorkspaceFiles().finally(() => this.scan = undefined);
+		try {
+			await this.scan;
+		} catch {
+			// The file search failed; try again on the next request
+			this.scripts = undefined;
+			return [];
+		}
+		if (token.isCancellationRequested) {
+			return [];
+		}
+		return [...this.pathsByFile]
+			.filter(([key]) => key !== current.toString())
+			.flatMap(([, paths]) => paths);
+	}
+
+	private async readWorkspaceFiles(): Promise<void> {
+		this.scripts ??= findWorkspaceScripts();
+		for (const uri of await this.scripts) {
+			const key = uri.toString();
+			if (this.pathsByFile.has(key)) {
+				continue;
+			}
+			try {
+				const { text, languageId } = await readScript(uri, true);
+				this.pathsByFile.set(key, collectVfsPaths(parseScript(uri.fsPath, text, languageId)));
+			} catch {
+				// Deleted or unreadable since the search; the watcher reports it if it comes back
+				this.pathsByFile.set(key, []);
+			}
+		}
+	}
+
+	// sypnex.vfs.mirrorDirectory: a local folder laid out like the virtual file system root
+	private async mirrorEntries(document: vscode.TextDocument, directory: string): Promise<VfsEntry[]> {
+		const mirror = vscode.workspace.getConfiguration('sypnex', document.uri).get<string>('vfs.mirrorDirectory', '');
+		if (!mirror) {
+			return [];
+		}
+
+		const folder = vscode.workspace.getWorkspaceFolder(document.uri) ?? vscode.workspace.workspaceFolders?.[0];
+		const root = path.isAbsolute(mirror) || !folder ? vscode.Uri.file(mirror) : vscode.Uri.joinPath(folder.uri, mirror);
+		try {
+			const children = await vscode.workspace.fs.readDirectory(vscode.Uri.joinPath(root, directory));
+			return children.map(([name, type]) => ({ name, isDirectory: (type & vscode.FileType.Directory) !== 0 }));
+		} catch {
+			return [];
+		}
+	}
+
+	// sypnex.serverUrl: listings of a running Sypnex OS instance, cached for a while per directory
+	private serverEntries(document: vscode.TextDocument, directory: string): Promise<VfsEntry[]> {
+		const serverUrl = vscode.workspace.getConfiguration('sypnex', document.uri).get<string>('serverUrl', '');
+		if (!serverUrl) {
+			return Promise.resolve([]);
+		}
+
+		const key = `${serverUrl} ${directory}`;
+		const cached = this.listings.get(key);
+		if (cached && Date.now() - cached.time < LISTING_TTL) {
+			return cached.entries;
+		}
+		const entries = fetchVfsListing(serverUrl, directory);
+		this.listings.set(key, { time: Date.now(), entries });
+		return entries;
+	}
+}
@@ -0,0 +1,117 @@
+import * as ts from 'typescript';
+import { findApiMethod, SypnexApiParameter } from './sypnexApi';
+import { collectStringArguments } from './sourceAnalysis';
+
+/**
+ * An item in a virtual file system directory
+ */
+export interface VfsEntry {
+	name: string;
+	isDirectory: boolean;
+}
+
+/**
+ * A path string written in code, e.g. the '/documents/notes.txt' of readVirtualFileText('/documents/notes.txt')
+ */
+export interface VfsPath {
+	path: string;
+	isDirectory: boolean;
+}
+
+// Path parameters that name a directory rather than a file: listVirtualFiles(path), createVirtualFolder(name, parentPath)
+const DIRECTORY_PARAMETERS = ['path', 'parentPath', 'dirPath'];
+
+// Listing requests to a Sypnex OS instance give up quickly, so completions never hang on it
+const LISTING_TIMEOUT = 2000;
+
+/**
+ * The path parameter of a vfs method at an argument position: filePath, itemPath, parentPath, ...
+ */
+export function getVfsPathParameter(method: string, argumentIndex: number): SypnexApiParameter | undefined {
+	const apiMethod = findApiMethod(method);
+	const param = apiMethod?.module === 'vfs' ? apiMethod.params[argumentIndex] : undefined;
+	return param && /^path$|Path$/.test(param.name) ? param : undefined;
+}
+
+/**
+ * Absolute paths passed to vfs methods in a file. A template string contributes the directory
+ * before its first substitution: `/documents/${name}.txt` -> /documents/
+ */
+export function collectVfsPaths(sourceFile: ts.SourceFile): VfsPath[] {
+	const paths: VfsPath[] = [];
+
+	for (const argument of collectStringArguments(sourceFile)) {
+		const param = getVfsPathParameter(argument.method, argument.argumentIndex);
+		if (!param) {
+			continue;
+		}
+		if (ts.isTemplateExpression(argument.literal)) {
+			const head = argument.literal.head.text;
+			paths.push({ path: head.slice(0, head.lastIndexOf('/') + 1), isDirectory: true });
+		} else {
+			const path = argument.literal.text;
+			paths.push({ path, isDirectory: DIRECTORY_PARAMETERS.includes(param.name) || path.endsWith('/') });
+		}
+	}
+
+	return paths.filter(entry => entry.path.startsWith('/'));
+}
+
+/**
+ * Directory being completed and the name typed so far: "/documents/no" -> "/documents/" and "no"
+ */
+export function splitVfsPath(typed: string): { directory: string; partial: string } {
+	const slash = typed.lastIndexOf('/');
+	return { directory: typed.slice(0, slash + 1), partial: typed.slice(slash + 1) };
+}
+
+/**
+ * Items of a directory implied by known paths: /documents/notes.txt puts "documents" in / and "notes.txt" in /documents/
+ */
+export function listKnownEntries(paths: VfsPath[], directory: string): VfsEntry[] {
+	const entries = new Map<string, boolean>();
+
+	for (const known of paths) {
+		if (!known.path.startsWith(directory)) {
+			continue;
+		}
+		const rest = known.path.slice(directory.length);
+		const name = rest.split('/')[0];
+		if (name) {
+			const isDirectory = rest.length > name.length || known.isDirectory;
+			entries.set(name, entries.get(name) || isDirectory);
+		}
+	}
+
+	return [...entries].map(([name, isDirectory]) => ({ name, isDirectory }));
+}
+
+/**
+ * Items of a /api/virtual-files/list response, which is either an array or { items: [...] }.
+ * Directories are marked by type: 'directory' or is_directory, as the file explorer reads them.
+ */
+export function parseVfsListing(response: unknown): VfsEntry[] {
+	const items = Array.isArray(response) ? response : (response as { items?: unknown })?.items;
+	if (!Array.isArray(items)) {
+		return [];
+	}
+	return items
+		.filter(item => item && typeof item.name === 'string')
+		.map(item => ({ name: item.name, isDirectory: item.type === 'directory' || !!item.is_directory }));
+}
+
+/**
+ * Items of a directory on a running Sypnex OS instance, through the endpoint listVirtualFiles uses.
+ * Invalid URLs, unreachable servers and failed requests list nothing.
+ */
+export async function fetchVfsListing(serverUrl: string, directory: string): Promise<VfsEntry[]> {
+	try {
+		// Relative to the server URL, so a path prefix such as https://host/sypnex/ is kept
+		const url = new URL('api/virtual-files/list', serverUrl.endsWith('/') ? serverUrl : `${serverUrl}/`);
+		url.searchParams.set('path', directory.length > 1 ? directory.replace(/\/$/, '') : directory);
+		const response = await fetch(url, { signal: AbortSignal.timeout(LISTING_TIMEOUT) });
+		return response.ok ? parseVfsListing(await response.json()) : [];
+	} catch {
+		return [];
+	}
+}
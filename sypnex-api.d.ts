@@ -0,0 +1,1442 @@
+// Sypnex API type declarations (auto-generated by update-api.js)
+// Do not edit by hand - run "npm run update-api" after updating sypnex-api.js
+
+/// <reference lib="dom" />
+
+/**
+ * Options for {@link SypnexAPI.showConfirmation}
+ */
+interface ShowConfirmationOptions {
+    /**
+     * Text for confirm button
+     * @default 'Yes'
+     */
+    confirmText?: string;
+    /**
+     * Text for cancel button
+     * @default 'No'
+     */
+    cancelText?: string;
+    /**
+     * Dialog type: 'warning', 'danger', 'info'
+     * @default 'warning'
+     */
+    type?: 'warning' | 'danger' | 'info';
+    /**
+     * FontAwesome icon class
+     * @default 'fas fa-exclamation-triangle'
+     */
+    icon?: string;
+}
+
+/**
+ * Options for {@link SypnexAPI.showInputModal}
+ */
+interface ShowInputModalOptions {
+    /**
+     * Input placeholder text
+     * @default ''
+     */
+    placeholder?: string;
+    /**
+     * Default input value
+     * @default ''
+     */
+    defaultValue?: string;
+    /**
+     * Text for confirm button
+     * @default 'Create'
+     */
+    confirmText?: string;
+    /**
+     * Text for cancel button
+     * @default 'Cancel'
+     */
+    cancelText?: string;
+    /**
+     * FontAwesome icon class
+     * @default 'fas fa-edit'
+     */
+    icon?: string;
+    /**
+     * Input type: 'text', 'textarea'
+     * @default 'text'
+     */
+    inputType?: 'text' | 'textarea';
+}
+
+/**
+ * Options for {@link SypnexAPI.showFileUploadModal}
+ */
+interface ShowFileUploadModalOptions {
+    /**
+     * Text for confirm button
+     * @default 'Upload'
+     */
+    confirmText?: string;
+    /**
+     * Text for cancel button
+     * @default 'Cancel'
+     */
+    cancelText?: string;
+    /**
+     * FontAwesome icon class
+     * @default 'fas fa-upload'
+     */
+    icon?: string;
+    /**
+     * File accept types
+     * @default '*'
+     */
+    accept?: string;
+}
+
+/**
+ * Options for {@link SypnexAPI.createHamburgerMenu}
+ */
+interface CreateHamburgerMenuOptions {
+    /**
+     * Position of menu ('left' or 'right')
+     * @default 'right'
+     */
+    position?: 'left' | 'right';
+    /**
+     * Additional CSS classes for the button
+     * @default ''
+     */
+    buttonClass?: string;
+    /**
+     * Custom ID for the menu (auto-generated if not provided)
+     * @default ''
+     */
+    menuId?: string;
+}
+
+/**
+ * Options for {@link SypnexAPI.showModal}
+ */
+interface ShowModalOptions {
+    /**
+     * Modal title
+     * @default 'Modal'
+     */
+    title?: string;
+    /**
+     * HTML content for modal body
+     * @default ''
+     */
+    html?: string;
+    /**
+     * FontAwesome icon class
+     * @default 'fas fa-window-maximize'
+     */
+    icon?: string;
+    /**
+     * Modal size: 'small', 'medium', 'large'
+     * @default 'medium'
+     */
+    size?: 'small' | 'medium' | 'large';
+    /**
+     * Array of button objects with text, style, and onClick
+     * @default []
+     */
+    buttons?: any[];
+    /**
+     * Close modal when clicking overlay
+     * @default true
+     */
+    closeOnOverlay?: boolean;
+    /**
+     * Callback when modal is closed
+     * @default null
+     */
+    onClose?: ((...args: any[]) => any);
+}
+
+/**
+ * Options for {@link SypnexAPI.registerKeyboardShortcuts}
+ */
+interface RegisterKeyboardShortcutsConfig {
+    /**
+     * Whether to prevent default behavior (default: true)
+     * @default true
+     */
+    preventDefault?: boolean;
+    /**
+     * Whether to stop event propagation (default: false)
+     * @default false
+     */
+    stopPropagation?: boolean;
+}
+
+/**
+ * Options for {@link SypnexAPI.showFileExplorer}
+ */
+interface ShowFileExplorerOptions {
+    /**
+     * 'open' for loading files, 'save' for saving files
+     * @default 'open'
+     */
+    mode?: 'open' | 'save';
+    /**
+     * Modal title
+     * @default mode === 'open' ? 'Open File' : 'Save File'
+     */
+    title?: string;
+    /**
+     * Starting directory path
+     * @default '/'
+     */
+    initialPath?: string;
+    /**
+     * Default filename for save mode
+     * @default ''
+     */
+    fileName?: string;
+    /**
+     * Required file extension (e.g., '.txt')
+     * @default ''
+     */
+    fileExtension?: string;
+    /**
+     * Callback when file is selected
+     * @default null
+     */
+    onSelect?: ((...args: any[]) => any);
+    /**
+     * Callback when modal is cancelled
+     * @default null
+     */
+    onCancel?: ((...args: any[]) => any);
+}
+
+/**
+ * Options for {@link SypnexAPI.writeLog}
+ */
+interface WriteLogLogData {
+    /**
+     * Log level (debug, info, warn, error, critical)
+     */
+    level: string;
+    /**
+     * Log message
+     */
+    message: string;
+    /**
+     * Component type (core-os, user-apps, plugins, services)
+     */
+    component: string;
+    /**
+     * Source identifier (app name, plugin name, etc.)
+     */
+    source?: string;
+    /**
+     * Additional details object
+     */
+    details?: Record<string, any>;
+}
+
+/**
+ * Options for {@link SypnexAPI.readLogs}
+ */
+interface ReadLogsFilters {
+    /**
+     * Component to filter by (core-os, user-apps, plugins, services, all)
+     */
+    component?: string;
+    /**
+     * Log level to filter by (debug, info, warn, error, critical, all)
+     */
+    level?: string;
+    /**
+     * Date to filter by (YYYY-MM-DD format, defaults to today)
+     */
+    date?: string;
+    /**
+     * Maximum number of logs to return (default: 100)
+     */
+    limit?: number;
+    /**
+     * Source to filter by (app name, plugin name, etc.)
+     */
+    source?: string;
+}
+
+/**
+ * Options for {@link SypnexAPI.clearLogs}
+ */
+interface ClearLogsFilters {
+    /**
+     * Component to clear (core-os, user-apps, plugins, services, all)
+     */
+    component?: string;
+    /**
+     * Specific date to clear (YYYY-MM-DD format) or 'all' for all dates
+     */
+    date?: string;
+}
+
+/**
+ * Options for {@link SypnexAPI.installApp}
+ */
+interface InstallAppOptions {
+    /**
+     * Specific version to install (defaults to latest)
+     */
+    version?: string;
+}
+
+/**
+ * Options for {@link SypnexAPI.proxyHTTP}
+ */
+interface ProxyHTTPOptions {
+    /**
+     * Target URL for the request
+     */
+    url: string;
+    /**
+     * HTTP method (GET, POST, PUT, DELETE, etc.)
+     * @default 'GET'
+     */
+    method?: string;
+    /**
+     * HTTP headers to send
+     * @default {}
+     */
+    headers?: Record<string, any>;
+    /**
+     * Request body (will be JSON stringified if object)
+     * @default null
+     */
+    body?: any;
+    /**
+     * Request timeout in seconds
+     * @default 30
+     */
+    timeout?: number;
+    /**
+     * Whether to follow redirects
+     * @default true
+     */
+    followRedirects?: boolean;
+    /**
+     * Force use of backend proxy instead of direct CORS
+     * @default false
+     */
+    forceProxy?: boolean;
+}
+
+/**
+ * Options for {@link SypnexAPI.proxyGET}
+ */
+interface ProxyGETOptions {
+    /**
+     * HTTP headers
+     * @default {}
+     */
+    headers?: Record<string, any>;
+    /**
+     * Request timeout in seconds
+     * @default 30
+     */
+    timeout?: number;
+}
+
+/**
+ * Options for {@link SypnexAPI.proxyPOST}
+ */
+interface ProxyPOSTOptions {
+    /**
+     * HTTP headers
+     * @default {}
+     */
+    headers?: Record<string, any>;
+    /**
+     * Request timeout in seconds
+     * @default 30
+     */
+    timeout?: number;
+}
+
+/**
+ * Options for {@link SypnexAPI.proxyPUT}
+ */
+interface ProxyPUTOptions {
+    /**
+     * HTTP headers
+     * @default {}
+     */
+    headers?: Record<string, any>;
+    /**
+     * Request timeout in seconds
+     * @default 30
+     */
+    timeout?: number;
+}
+
+/**
+ * Options for {@link SypnexAPI.proxyDELETE}
+ */
+interface ProxyDELETEOptions {
+    /**
+     * HTTP headers
+     * @default {}
+     */
+    headers?: Record<string, any>;
+    /**
+     * Request timeout in seconds
+     * @default 30
+     */
+    timeout?: number;
+}
+
+/**
+ * Options for {@link SypnexAPI.proxyJSON}
+ */
+interface ProxyJSONOptions {
+    /**
+     * HTTP method
+     * @default 'GET'
+     */
+    method?: string;
+    /**
+     * JSON data to send
+     * @default null
+     */
+    data?: Record<string, any>;
+    /**
+     * Additional headers
+     * @default {}
+     */
+    headers?: Record<string, any>;
+    /**
+     * Request timeout in seconds
+     * @default 30
+     */
+    timeout?: number;
+}
+
+/**
+ * Options for {@link SypnexAPI.llmComplete}
+ */
+interface LLMCompleteOptions {
+    /**
+     * Provider: 'openai', 'anthropic', 'google', 'ollama'
+     */
+    provider: 'openai' | 'anthropic' | 'google' | 'ollama';
+    /**
+     * API endpoint URL
+     */
+    endpoint: string;
+    /**
+     * API key (not needed for Ollama)
+     */
+    apiKey?: string;
+    /**
+     * Model name
+     */
+    model: string;
+    /**
+     * Messages array in OpenAI format
+     */
+    messages: any[];
+    /**
+     * Temperature (0-1)
+     * @default 0.7
+     */
+    temperature?: number;
+    /**
+     * Maximum tokens to generate
+     * @default 1000
+     */
+    maxTokens?: number;
+    /**
+     * Whether to stream response
+     * @default false
+     */
+    stream?: boolean;
+}
+
+/**
+ * Access to scaling utilities
+ */
+interface SypnexAPIScaling {
+    /**
+     * Detect the current app scale from CSS transform
+     * @returns Scale factor (1.0 = 100%, 0.8 = 80%, etc.)
+     */
+    detectAppScale(): number;
+
+    /**
+     * Get the total effective scale (app scale × optional zoom scale)
+     * @param zoomScale Optional zoom scale to combine with app scale
+     * @returns Combined scale factor
+     */
+    getEffectiveScale(zoomScale?: number): number;
+
+    /**
+     * Convert screen coordinates to app coordinates (accounting for app scale and optional zoom)
+     * @param screenX Screen X coordinate
+     * @param screenY Screen Y coordinate
+     * @param zoomScale Optional zoom scale
+     * @returns Object with x and y properties in app coordinates
+     */
+    screenToAppCoords(screenX: number, screenY: number, zoomScale?: number): Record<string, any>;
+
+    /**
+     * Convert app coordinates to screen coordinates (accounting for app scale and optional zoom)
+     * @param appX App X coordinate
+     * @param appY App Y coordinate
+     * @param zoomScale Optional zoom scale
+     * @returns Object with x and y properties in screen coordinates
+     */
+    appToScreenCoords(appX: number, appY: number, zoomScale?: number): Record<string, any>;
+
+    /**
+     * Get scaled element bounding rectangle (compensates for app scaling)
+     * @param element DOM element to get bounds for
+     * @returns DOMRect-like object with scaled coordinates
+     */
+    getScaledBoundingClientRect(element: Element): Record<string, any>;
+
+    /**
+     * Get scaled mouse coordinates from event (compensates for app scaling only)
+     * @param e Mouse event
+     * @returns Object with x and y properties in scaled coordinates
+     */
+    getScaledMouseCoords(e: Event): Record<string, any>;
+
+    /**
+     * Initialize scale detection with optional change callback
+     * @param onScaleChange Callback function called when scale changes
+     * @returns Observer instance for cleanup
+     */
+    initScaleDetection(onScaleChange?: ((...args: any[]) => any)): MutationObserver;
+
+    /**
+     * Get current cached app scale (without re-detection)
+     * @returns Cached app scale factor
+     */
+    getCurrentScale(): number;
+
+    /**
+     * Force refresh of scale detection
+     * @returns New scale factor
+     */
+    refreshScale(): number;
+}
+
+/**
+ * Global sypnexKeyboardManager object shared by all apps
+ */
+interface SypnexKeyboardManager {
+    /**
+     * Register keyboard shortcuts for an application
+     * @param appId Application identifier
+     * @param shortcuts Key to function mappings
+     * @param config Configuration options
+     */
+    registerApp(appId: string, shortcuts: Record<string, any>, config: Record<string, any>): void;
+
+    /**
+     * Unregister all shortcuts for an application
+     * @param appId Application identifier
+     */
+    unregisterApp(appId: string): any;
+
+    /**
+     * Get statistics about registered shortcuts
+     * @returns Statistics object
+     */
+    getStats(): Record<string, any>;
+}
+
+/**
+ * Global sypnexWindowManager object shared by all apps
+ */
+interface SypnexWindowManager {
+    /**
+     * Create an isolated window proxy for an app with automatic property tracking
+     * @param appId The application ID
+     * @returns Proxy object that tracks property assignments
+     */
+    createAppWindowProxy(appId: string): Record<string, any>;
+
+    /**
+     * Clean up all window properties created by a specific app
+     * @param appId The application ID to clean up
+     */
+    cleanupAppWindow(appId: string): void;
+}
+
+/**
+ * Global SypnexLogs object shared by all apps
+ */
+interface SypnexLogs {
+    /**
+     * Read logs with filtering options
+     * @param filters Filter options
+     * @returns Log entries and metadata
+     */
+    readLogs(filters?: ReadLogsFilters): Promise<Record<string, any>>;
+
+    /**
+     * Get available log dates for each component
+     * @returns Available dates by component
+     */
+    getLogDates(): Promise<Record<string, any>>;
+
+    /**
+     * Get logging system statistics
+     * @returns Logging statistics
+     */
+    getLogStats(): Promise<Record<string, any>>;
+
+    /**
+     * Clear logs with optional filtering
+     * @param filters Filter options
+     * @returns Clear operation result
+     */
+    clearLogs(filters?: ClearLogsFilters): Promise<Record<string, any>>;
+}
+
+/**
+ * SypnexAPI - Main API class for user applications
+ * Provides access to OS features and services in a sandboxed environment
+ */
+interface SypnexAPI {
+    /**
+     * Get an application setting through the OS-provided helper
+     * @param key Setting key to retrieve
+     * @param defaultValue Default value if setting not found
+     * @returns The setting value or default value
+     */
+    getAppSetting(key: string, defaultValue?: any): Promise<any>;
+
+    /**
+     * Get all application settings through the OS-provided helper
+     * @returns Object containing all app settings
+     */
+    getAllAppSettings(): Promise<Record<string, any>>;
+
+    /**
+     * Show a notification to the user
+     * @param message Notification message
+     * @param type Notification type (info, error, warn, etc.)
+     */
+    showNotification(message: string, type?: string): void;
+
+    /**
+     * Initialize the SypnexAPI instance
+     * Checks for required helper functions and sets up the API
+     */
+    init(): Promise<void>;
+
+    /**
+     * Get access to the global SypnexOS apps registry
+     * @returns The window.sypnexOS object containing apps Map and other OS functions
+     */
+    getSypnexOS(): Record<string, any>;
+
+    /**
+     * Get access to the global SypnexApps tracker
+     * @returns The window.sypnexApps object containing app tracking info
+     */
+    getSypnexApps(): Record<string, any>;
+
+    /**
+     * Get metadata for this application
+     * @returns Application metadata or null if error
+     */
+    getAppMetadata(): Promise<Record<string, any>|null>;
+
+    /**
+     * Check if the SypnexAPI has been initialized
+     * @returns True if initialized, false otherwise
+     */
+    isInitialized(): boolean;
+
+    /**
+     * Get the application ID
+     * @returns The application identifier
+     */
+    getAppId(): string;
+
+    /**
+     * Get the saved window state for this application
+     * @returns Window state object or null if not found
+     */
+    getWindowState(): Promise<Record<string, any>|null>;
+
+    /**
+     * Save the window state for this application
+     * @param state Window state object to save
+     * @returns True if saved successfully, false otherwise
+     */
+    saveWindowState(state: Record<string, any>): Promise<boolean>;
+
+    /**
+     * Request the OS to refresh the latest app versions cache
+     * Useful when an app knows it has been updated or wants to force a cache refresh
+     * @returns True if refresh was successful, false otherwise
+     */
+    refreshAppVersionsCache(): Promise<boolean>;
+
+    /**
+     * Get a list of all available services
+     * @returns Array of service objects
+     * @example
+     * const services = await sypnexAPI.getServices();
+     * console.log(services); // [{ id: "service1", name: "Service 1", running: true }, ...]
+     */
+    getServices(): Promise<any[]>;
+
+    /**
+     * Start a specific service by ID
+     * @param serviceId The ID of the service to start
+     * @example
+     * await sypnexAPI.startService("my-service-id");
+     */
+    startService(serviceId: string): Promise<void>;
+
+    /**
+     * Stop a specific service by ID
+     * @param serviceId The ID of the service to stop
+     * @example
+     * await sypnexAPI.stopService("my-service-id");
+     */
+    stopService(serviceId: string): Promise<void>;
+
+    /**
+     * Register a cleanup function to be called when the app is closed
+     * Use this for custom cleanup like stopping game loops, disposing WebGL contexts, etc.
+     * @param cleanupFunction Function to call during app cleanup
+     * @param description Optional description for debugging
+     * @example
+     * // For Three.js apps
+     * sypnexAPI.onBeforeClose(() => {
+     *     if (renderer) {
+     *         renderer.dispose();
+     *         renderer.domElement = null;
+     *     }
+     *     if (animationId) {
+     *         cancelAnimationFrame(animationId);
+     *     }
+     * }, 'Three.js cleanup');
+     *
+     * // For game loops
+     * sypnexAPI.onBeforeClose(() => {
+     *     gameRunning = false;
+     *     if (gameLoopInterval) {
+     *         clearInterval(gameLoopInterval);
+     *     }
+     * }, 'Game loop cleanup');
+     */
+    onBeforeClose(cleanupFunction: ((...args: any[]) => any), description?: string): void;
+
+    /**
+     * Remove a previously registered cleanup function
+     * @param cleanupFunction The function to remove
+     */
+    removeCleanupHook(cleanupFunction: ((...args: any[]) => any)): void;
+
+    /**
+     * Internal method called by the OS during app cleanup
+     * Executes all registered cleanup hooks
+     */
+    cleanup(): void;
+
+    /**
+     * Show a confirmation dialog with standard OS styling
+     * @param title Dialog title
+     * @param message Dialog message
+     * @param options Configuration options
+     * @returns True if confirmed, false if cancelled
+     */
+    showConfirmation(title: string, message: string, options?: ShowConfirmationOptions): Promise<boolean>;
+
+    /**
+     * Show an input modal for getting text input from user
+     * @param title Modal title
+     * @param message Modal message/label
+     * @param options Configuration options
+     * @returns Input value if confirmed, null if cancelled
+     */
+    showInputModal(title: string, message: string, options?: ShowInputModalOptions): Promise<string|null>;
+
+    /**
+     * Show a file upload modal
+     * @param title Modal title
+     * @param message Modal message/label
+     * @param options Configuration options
+     * @returns Selected file if confirmed, null if cancelled
+     */
+    showFileUploadModal(title: string, message: string, options?: ShowFileUploadModalOptions): Promise<File|null>;
+
+    /**
+     * Create a hamburger menu with customizable items
+     * @param container The container element to append the menu to
+     * @param menuItems Array of menu item objects
+     * @param options Configuration options
+     * @returns Object with methods to control the menu
+     * @example
+     * const menuItems = [
+     *   { icon: 'fas fa-sync-alt', text: 'Refresh', action: () => console.log('Refresh') },
+     *   { icon: 'fas fa-folder-plus', text: 'New Folder', action: () => console.log('New Folder') },
+     *   { type: 'separator' },
+     *   { icon: 'fas fa-upload', text: 'Upload File', action: () => console.log('Upload') }
+     * ];
+     *
+     * const menu = sypnexAPI.createHamburgerMenu(container, menuItems, { position: 'right' });
+     */
+    createHamburgerMenu(container: HTMLElement, menuItems: any[], options?: CreateHamburgerMenuOptions): Record<string, any>;
+
+    /**
+     * Show a generic modal with custom HTML content
+     * @param options Configuration options
+     * @returns Button text that was clicked, or null if closed
+     */
+    showModal(options?: ShowModalOptions): Promise<string|null>;
+
+    /**
+     * Register keyboard shortcuts for this application
+     * @param shortcuts Object mapping key strings to handler functions
+     * @param config Configuration options
+     * @example
+     * this.registerKeyboardShortcuts({
+     *     'f': () => this.toggleFullscreen(),
+     *     'escape': () => this.exitFullscreen(),
+     *     'space': () => this.pausePlay(),
+     *     'ctrl+s': () => this.save()
+     * });
+     */
+    registerKeyboardShortcuts(shortcuts: Record<string, any>, config?: RegisterKeyboardShortcutsConfig): void;
+
+    /**
+     * Get keyboard shortcut statistics
+     * @returns Statistics about registered shortcuts
+     */
+    getKeyboardStats(): Record<string, any>;
+
+    /**
+     * Get the isolated window object for this app with automatic property tracking
+     * Returns the same window proxy instance for subsequent calls (singleton pattern).
+     * All properties assigned to this window proxy will be automatically cleaned up
+     * when the app is closed, preventing memory leaks and conflicts.
+     * @returns Window proxy object that tracks property assignments
+     * @example
+     * // Instead of: window.myData = { ... }
+     * // Use:
+     * const appWindow = sypnexAPI.getAppWindow();
+     * appWindow.myData = { ... }; // This will be automatically cleaned up
+     *
+     * // Multiple calls return the same proxy:
+     * const w1 = sypnexAPI.getAppWindow();
+     * const w2 = sypnexAPI.getAppWindow();
+     * console.log(w1 === w2); // true
+     *
+     * // The proxy behaves exactly like window for reading:
+     * appWindow.document.getElementById('myId'); // Works normally
+     * appWindow.localStorage.getItem('key');    // Works normally
+     */
+    getAppWindow(): Record<string, any>;
+
+    /**
+     * Manually clean up window properties for this app
+     */
+    cleanupAppWindow(): void;
+
+    /**
+     * Convenience method: Detect current app scale
+     * @returns Scale factor
+     */
+    detectAppScale(): number;
+
+    /**
+     * Convenience method: Get scaled mouse coordinates
+     * @param e Mouse event
+     * @returns Scaled coordinates
+     */
+    getScaledMouseCoords(e: Event): Record<string, any>;
+
+    /**
+     * Convenience method: Get scaled element bounds
+     * @param element DOM element
+     * @returns Scaled bounding rectangle
+     */
+    getScaledBoundingClientRect(element: Element): Record<string, any>;
+
+    /**
+     * Convenience method: Convert screen to app coordinates
+     * @param screenX Screen X coordinate
+     * @param screenY Screen Y coordinate
+     * @param zoomScale Optional zoom scale
+     * @returns App coordinates
+     */
+    screenToAppCoords(screenX: number, screenY: number, zoomScale?: number): Record<string, any>;
+
+    /**
+     * Convenience method: Convert app to screen coordinates
+     * @param appX App X coordinate
+     * @param appY App Y coordinate
+     * @param zoomScale Optional zoom scale
+     * @returns Screen coordinates
+     */
+    appToScreenCoords(appX: number, appY: number, zoomScale?: number): Record<string, any>;
+
+    /**
+     * Convenience method: Initialize scale detection
+     * @param onScaleChange Callback for scale changes
+     * @returns Observer instance
+     */
+    initScaleDetection(onScaleChange?: ((...args: any[]) => any)): MutationObserver;
+
+    /**
+     * Get an application setting
+     * @param key Setting key to retrieve
+     * @param defaultValue Default value if setting not found
+     * @returns The setting value or default value
+     */
+    getSetting(key: string, defaultValue?: any): Promise<any>;
+
+    /**
+     * Set an application setting
+     * @param key Setting key to set
+     * @param value Value to store
+     * @returns True if saved successfully, false otherwise
+     */
+    setSetting(key: string, value: any): Promise<boolean>;
+
+    /**
+     * Get all application settings
+     * @returns Object containing all app settings
+     */
+    getAllSettings(): Promise<Record<string, any>>;
+
+    /**
+     * Delete an application setting
+     * @param key Setting key to delete
+     * @returns True if deleted successfully, false otherwise
+     */
+    deleteSetting(key: string): Promise<boolean>;
+
+    /**
+     * Get a user preference value
+     * @param category Preference category
+     * @param key Preference key
+     * @param defaultValue Default value if preference not found
+     * @returns The preference value or default value
+     */
+    getPreference(category: string, key: string, defaultValue?: any): Promise<any>;
+
+    /**
+     * Set a user preference value
+     * @param category Preference category
+     * @param key Preference key
+     * @param value Value to store
+     * @returns True if saved successfully, false otherwise
+     */
+    setPreference(category: string, key: string, value: any): Promise<boolean>;
+
+    /**
+     * Encrypt a value using the system's encryption service
+     * @param value The value to encrypt (will be JSON.stringify'd if object)
+     * @returns The encrypted value as a string, or null if encryption failed
+     * @example
+     * // Encrypt a simple string
+     * const encrypted = await sypnexAPI.encrypt("my secret data");
+     *
+     * // Encrypt an object
+     * const encryptedObj = await sypnexAPI.encrypt({username: "john", password: "secret"});
+     */
+    encrypt(value: string|Record<string, any>): Promise<string|null>;
+
+    /**
+     * Decrypt a value that was previously encrypted with the encrypt() method
+     * @param encryptedValue The encrypted value to decrypt
+     * @returns The decrypted value, or null if decryption failed
+     * @example
+     * // Decrypt a previously encrypted value
+     * const decrypted = await sypnexAPI.decrypt(encryptedValue);
+     *
+     * // Handle decryption failure
+     * if (decrypted === null) {
+     *     console.error("Failed to decrypt value");
+     * }
+     */
+    decrypt(encryptedValue: string): Promise<string|null>;
+
+    /**
+     * Connect to Socket.IO server for this app instance
+     * @param url Socket.IO server URL (defaults to current origin)
+     * @param options Socket.IO connection options
+     * @returns Connection success status
+     */
+    connectSocket(url?: string, options?: Record<string, any>): Promise<boolean>;
+
+    /**
+     * Disconnect from Socket.IO server
+     */
+    disconnectSocket(): void;
+
+    /**
+     * Check if Socket.IO is connected
+     * @returns Connection status
+     */
+    isSocketConnected(): boolean;
+
+    /**
+     * Send a message via Socket.IO
+     * @param event Event name
+     * @param data Data to send
+     * @param room Room to send to (optional)
+     * @returns Success status
+     */
+    sendMessage(event: string, data: any, room?: string): boolean;
+
+    /**
+     * Join a Socket.IO room
+     * @param roomName Room to join
+     * @returns Success status
+     */
+    joinRoom(roomName: string): boolean;
+
+    /**
+     * Leave a Socket.IO room
+     * @param roomName Room to leave
+     * @returns Success status
+     */
+    leaveRoom(roomName: string): boolean;
+
+    /**
+     * Send a ping to test connection
+     * @returns Ping time in milliseconds
+     */
+    ping(): Promise<number>;
+
+    /**
+     * Listen for Socket.IO events
+     * @param eventName Event name to listen for
+     * @param callback Callback function
+     */
+    on(eventName: string, callback: ((...args: any[]) => any)): void;
+
+    /**
+     * Remove Socket.IO event listener
+     * @param eventName Event name
+     * @param callback Callback function to remove
+     */
+    off(eventName: string, callback: ((...args: any[]) => any)): void;
+
+    /**
+     * Get the Socket.IO instance
+     * @returns Socket.IO instance or null
+     */
+    getSocket(): Record<string, any>|null;
+
+    /**
+     * Get Socket.IO connection state
+     * @returns Connection state object
+     */
+    getSocketState(): Record<string, any>;
+
+    /**
+     * Start periodic health checks
+     */
+    startHealthChecks(): void;
+
+    /**
+     * Stop periodic health checks
+     */
+    stopHealthChecks(): void;
+
+    /**
+     * Perform a health check ping
+     */
+    performHealthCheck(): Promise<void>;
+
+    /**
+     * Enable or disable health checks
+     * @param enabled Whether to enable health checks
+     */
+    setHealthChecks(enabled: boolean): void;
+
+    /**
+     * Set health check interval
+     * @param intervalMs Interval in milliseconds
+     */
+    setHealthCheckInterval(intervalMs: number): void;
+
+    /**
+     * Enable or disable auto-reconnect
+     * @param enabled Whether to enable auto-reconnect
+     */
+    setAutoReconnect(enabled: boolean): void;
+
+    /**
+     * Set auto-reconnect configuration
+     * @param config Reconnect configuration
+     */
+    setReconnectConfig(config: Record<string, any>): void;
+
+    /**
+     * Manually trigger reconnection
+     */
+    reconnect(): void;
+
+    /**
+     * Get virtual file system statistics
+     * @returns System statistics
+     */
+    getVirtualFileStats(): Promise<Record<string, any>>;
+
+    /**
+     * List files and directories in a path
+     * @param path Directory path (defaults to '/')
+     * @returns Directory contents
+     */
+    listVirtualFiles(path?: string): Promise<Record<string, any>>;
+
+    /**
+     * Create a new folder
+     * @param name Folder name
+     * @param parentPath Parent directory path (defaults to '/')
+     * @returns Creation result
+     */
+    createVirtualFolder(name: string, parentPath?: string): Promise<Record<string, any>>;
+
+    /**
+     * Create a new file
+     * @param name File name
+     * @param content File content
+     * @param parentPath Parent directory path (defaults to '/')
+     * @returns Creation result
+     */
+    createVirtualFile(name: string, content?: string, parentPath?: string): Promise<Record<string, any>>;
+
+    /**
+     * Upload a file from the host system
+     * @param file File object from input element
+     * @param parentPath Parent directory path (defaults to '/')
+     * @returns Upload result
+     */
+    uploadVirtualFile(file: File, parentPath?: string): Promise<Record<string, any>>;
+
+    /**
+     * Upload a file with real progress tracking based on actual upload progress
+     * @param file File object from input element
+     * @param parentPath Parent directory path (defaults to '/')
+     * @param progressCallback Callback for progress updates (percent)
+     * @returns Object with promise and abort method { promise: Promise<object>, abort: Function }
+     */
+    uploadVirtualFileChunked(file: File, parentPath?: string, progressCallback?: ((...args: any[]) => any)): Record<string, any>;
+
+    /**
+     * Read a file's content
+     * @param filePath Path to the file
+     * @returns File data
+     */
+    readVirtualFile(filePath: string): Promise<Record<string, any>>;
+
+    /**
+     * Get a file's content as text
+     * @param filePath Path to the file
+     * @returns File content as text
+     */
+    readVirtualFileText(filePath: string): Promise<string>;
+
+    /**
+     * Get a file's content as JSON
+     * @param filePath Path to the file
+     * @returns Parsed JSON content
+     */
+    readVirtualFileJSON(filePath: string): Promise<Record<string, any>>;
+
+    /**
+     * Get a file's content as Blob (for binary files, images, etc.)
+     * @param filePath Path to the file
+     * @returns File content as Blob
+     */
+    readVirtualFileBlob(filePath: string): Promise<Blob>;
+
+    /**
+     * Serve a file directly (for binary files, images, etc.)
+     * @param filePath Path to the file
+     * @returns Direct URL to serve the file
+     */
+    getVirtualFileUrl(filePath: string): string;
+
+    /**
+     * Delete a file or folder from virtual file system
+     * @param itemPath
+     */
+    deleteVirtualItem(itemPath: any): Promise<any>;
+
+    /**
+     * Get information about a file or directory
+     * @param itemPath Path to the item
+     * @returns Item information
+     */
+    getVirtualItemInfo(itemPath: string): Promise<Record<string, any>>;
+
+    /**
+     * Check if a file or directory exists
+     * @param itemPath Path to the item
+     * @returns Whether the item exists
+     */
+    virtualItemExists(itemPath: string): Promise<boolean>;
+
+    /**
+     * Write content to a file (creates or overwrites)
+     * @param filePath Path to the file
+     * @param content File content
+     * @returns Write result
+     */
+    writeVirtualFile(filePath: string, content: string): Promise<Record<string, any>>;
+
+    /**
+     * Write JSON content to a file
+     * @param filePath Path to the file
+     * @param data JSON data to write
+     * @returns Write result
+     */
+    writeVirtualFileJSON(filePath: string, data: Record<string, any>): Promise<Record<string, any>>;
+
+    /**
+     * Write binary content to a file using the upload endpoint
+     * @param filePath Path to the file
+     * @param binaryData Binary data to write
+     * @returns Write result
+     */
+    writeVirtualFileBinary(filePath: string, binaryData: Uint8Array|Blob): Promise<Record<string, any>>;
+
+    /**
+     * Create a directory structure (creates parent directories if needed)
+     * @param dirPath Directory path to create
+     * @returns Creation result
+     */
+    createVirtualDirectoryStructure(dirPath: string): Promise<Record<string, any>>;
+
+    /**
+     * Load a library from CDN
+     * @param url CDN URL of the library
+     * @param options Loading options
+     * @returns Loaded library or true if successful
+     */
+    loadLibrary(url: string, options?: Record<string, any>): Promise<any>;
+
+    /**
+     * Show a file explorer modal for selecting files or directories
+     * @param options Configuration options
+     * @returns Selected file path or null if cancelled
+     */
+    showFileExplorer(options?: ShowFileExplorerOptions): Promise<string>;
+
+    /**
+     * Write a log entry
+     * @param logData Log entry data
+     * @returns Write result
+     */
+    writeLog(logData: WriteLogLogData): Promise<Record<string, any>>;
+
+    /**
+     * Convenience method to write debug log
+     * @param message Log message
+     * @param details Additional details
+     * @returns Write result
+     */
+    logDebug(message: string, details?: Record<string, any>): Promise<Record<string, any>>;
+
+    /**
+     * Convenience method to write info log
+     * @param message Log message
+     * @param details Additional details
+     * @returns Write result
+     */
+    logInfo(message: string, details?: Record<string, any>): Promise<Record<string, any>>;
+
+    /**
+     * Convenience method to write warning log
+     * @param message Log message
+     * @param details Additional details
+     * @returns Write result
+     */
+    logWarn(message: string, details?: Record<string, any>): Promise<Record<string, any>>;
+
+    /**
+     * Convenience method to write error log
+     * @param message Log message
+     * @param details Additional details
+     * @returns Write result
+     */
+    logError(message: string, details?: Record<string, any>): Promise<Record<string, any>>;
+
+    /**
+     * Convenience method to write critical log
+     * @param message Log message
+     * @param details Additional details
+     * @returns Write result
+     */
+    logCritical(message: string, details?: Record<string, any>): Promise<Record<string, any>>;
+
+    /**
+     * Read logs with filtering options
+     * @param filters Filter options
+     * @returns Log entries and metadata
+     */
+    readLogs(filters?: ReadLogsFilters): Promise<Record<string, any>>;
+
+    /**
+     * Get available log dates for each component
+     * @returns Available dates by component
+     */
+    getLogDates(): Promise<Record<string, any>>;
+
+    /**
+     * Clear logs with optional filtering
+     * @param filters Filter options
+     * @returns Clear operation result
+     */
+    clearLogs(filters?: ClearLogsFilters): Promise<Record<string, any>>;
+
+    /**
+     * Get logging system statistics
+     * @returns Logging statistics
+     */
+    getLogStats(): Promise<Record<string, any>>;
+
+    /**
+     * Get logs for the current app (convenience method)
+     * @param filters Additional filter options
+     * @returns Log entries for this app
+     */
+    getMyLogs(filters?: Record<string, any>): Promise<Record<string, any>>;
+
+    /**
+     * Get available applications from the registry
+     * @returns Available applications data
+     */
+    getAvailableApps(): Promise<Record<string, any>>;
+
+    /**
+     * Get list of installed applications
+     * @returns Array of installed applications
+     */
+    getInstalledApps(): Promise<any[]>;
+
+    /**
+     * Update a specific application to the latest version
+     * @param appId Application ID to update
+     * @param downloadUrl Download URL for the app update (required)
+     * @returns Update result
+     */
+    updateApp(appId: string, downloadUrl: string): Promise<Record<string, any>>;
+
+    /**
+     * Refresh the application registry cache
+     * @returns Refresh result
+     */
+    refreshAppRegistry(): Promise<Record<string, any>>;
+
+    /**
+     * Install an application from the registry
+     * @param appId Application ID to install
+     * @param options Installation options
+     * @returns Installation result
+     */
+    installApp(appId: string, options?: InstallAppOptions): Promise<Record<string, any>>;
+
+    /**
+     * Uninstall an application
+     * @param appId Application ID to uninstall
+     * @returns Uninstallation result
+     */
+    uninstallApp(appId: string): Promise<Record<string, any>>;
+
+    /**
+     * Proxy an HTTP request through the system (tries direct CORS, falls back to proxy)
+     * @param options HTTP request options
+     * @returns Response data in proxy format for compatibility
+     */
+    proxyHTTP(options: ProxyHTTPOptions): Promise<Record<string, any>>;
+
+    /**
+     * Make a GET request through the proxy
+     * @param url Target URL
+     * @param options Additional options
+     * @returns Response data
+     */
+    proxyGET(url: string, options?: ProxyGETOptions): Promise<Record<string, any>>;
+
+    /**
+     * Make a POST request through the proxy
+     * @param url Target URL
+     * @param body Request body
+     * @param options Additional options
+     * @returns Response data
+     */
+    proxyPOST(url: string, body: any, options?: ProxyPOSTOptions): Promise<Record<string, any>>;
+
+    /**
+     * Make a PUT request through the proxy
+     * @param url Target URL
+     * @param body Request body
+     * @param options Additional options
+     * @returns Response data
+     */
+    proxyPUT(url: string, body: any, options?: ProxyPUTOptions): Promise<Record<string, any>>;
+
+    /**
+     * Make a DELETE request through the proxy
+     * @param url Target URL
+     * @param options Additional options
+     * @returns Response data
+     */
+    proxyDELETE(url: string, options?: ProxyDELETEOptions): Promise<Record<string, any>>;
+
+    /**
+     * Make a JSON API request through the proxy
+     * @param url Target URL
+     * @param options Request options
+     * @returns Parsed JSON response
+     */
+    proxyJSON(url: string, options?: ProxyJSONOptions): Promise<Record<string, any>>;
+
+    /**
+     * Complete a chat conversation using any supported LLM provider
+     * Translates OpenAI format to provider-specific format and normalizes response
+     * @param options Configuration options
+     * @returns Normalized response: {content, usage, model, provider}
+     */
+    llmComplete(options: LLMCompleteOptions): Promise<Record<string, any>>;
+
+    /**
+     * Access to scaling utilities
+     */
+    readonly scaling: SypnexAPIScaling;
+}
+
+declare var SypnexAPI: {
+    prototype: SypnexAPI;
+    new (appId: string, helpers?: Record<string, any>): SypnexAPI;
+};
+
+/**
+ * The SypnexAPI instance injected into every Sypnex OS application
+ */
+declare const sypnexAPI: SypnexAPI;
+
+/**
+ * Global sypnexKeyboardManager object shared by all apps
+ */
+declare var sypnexKeyboardManager: SypnexKeyboardManager;
+
+/**
+ * Global sypnexWindowManager object shared by all apps
+ */
+declare var sypnexWindowManager: SypnexWindowManager;
+
+/**
+ * Global SypnexLogs object shared by all apps
+ */
+declare var SypnexLogs: SypnexLogs;
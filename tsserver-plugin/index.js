@@ -0,0 +1,63 @@
+/**
+ * TypeScript server plugin for Sypnex OS API Support
+ * Adds sypnex-api.d.ts to every project so the built-in JS/TS language service
+ * knows about the global sypnexAPI object (checkJs, go-to-definition, return types)
+ *
+ * The extension tells the plugin where the declaration file lives through
+ * configurePlugin(), see src/typeDeclarations.ts
+ */
+
+function init() {
+    let config = { typesPath: null, enabled: false };
+    const projects = new Set();
+
+    function declarationFiles() {
+        return config.enabled && config.typesPath ? [config.typesPath] : [];
+    }
+
+    return {
+        create(info) {
+            projects.add(info.project);
+
+            // Inferred projects (loose .js files) have no tsconfig/jsconfig to add the file to,
+            // so append it to the root file names the language service compiles
+            const host = info.languageServiceHost;
+            const getScriptFileNames = host.getScriptFileNames.bind(host);
+            host.getScriptFileNames = () => {
+                const fileNames = getScriptFileNames();
+                const extra = declarationFiles().filter(file => !fileNames.includes(file));
+                return fileNames.concat(extra);
+            };
+
+            // A project's language service is disposed when the project closes
+            const languageService = info.languageService;
+            const dispose = languageService.dispose.bind(languageService);
+            languageService.dispose = () => {
+                projects.delete(info.project);
+                dispose();
+            };
+
+            return languageService;
+        },
+
+        getExternalFiles() {
+            return declarationFiles();
+        },
+
+        onConfigurationChanged(newConfig) {
+            config = Object.assign({}, config, newConfig);
+
+            // Make every known project pick up (or drop) the declaration file
+            for (const project of projects) {
+                if (project.isClosed()) {
+                    projects.delete(project);
+                    continue;
+                }
+                project.markAsDirty();
+                project.refreshDiagnostics();
+            }
+        }
+    };
+}
+
+module.exports = init;
@@ -6,141 +6,717 @@
 
 const fs = require('fs');
 const path = require('path');
+const ts = require('typescript');
 
 // Path to your sypnex-api.js file (update this path as needed)
 const API_FILE_PATH = './sypnex-api.js';
-const EXTENSION_FILE_PATH = './src/extension.ts';
+const METHODS_FILE_PATH = './src/sypnexApiMethods.ts';
+const TYPES_FILE_PATH = './sypnex-api.d.ts';
+const SNIPPETS_FILE_PATH = './src/sypnexApiSnippets.ts';
+
+// Banner comment that starts each bundled module section, e.g. "// === sypnex-api-vfs.js ==="
+const MODULE_SECTION_PATTERN = /^\/\/ === sypnex-api-([a-z0-9-]+)\.js ===$/gm;
+
+function findModuleSections(apiContent) {
+    const sections = [];
+    let match;
+    while ((match = MODULE_SECTION_PATTERN.exec(apiContent)) !== null) {
+        sections.push({ name: match[1], start: match.index });
+    }
+    MODULE_SECTION_PATTERN.lastIndex = 0;
+    return sections;
+}
+
+function moduleAt(sections, position) {
+    let current = 'core';
+    for (const section of sections) {
+        if (section.start > position) {
+            break;
+        }
+        current = section.name;
+    }
+    return current;
+}
+
+function getJSDoc(node) {
+    const docs = ts.getJSDocCommentsAndTags(node).filter(ts.isJSDoc);
+    return docs.length > 0 ? docs[docs.length - 1] : null;
+}
+
+function isPrivateMember(name, node) {
+    if (name.startsWith('_')) {
+        return true;
+    }
+    return ts.getJSDocTags(node).some(tag => tag.tagName.text === 'private');
+}
+
+function isAsyncMethod(node) {
+    return !!node.modifiers && node.modifiers.some(m => m.kind === ts.SyntaxKind.AsyncKeyword);
+}
+
+// "@param {object} options" followed by "@param {string} options.x" is parsed into a type literal
+function getNestedParamTags(paramTag) {
+    const literal = paramTag && paramTag.typeExpression && paramTag.typeExpression.type;
+    if (literal && ts.isJSDocTypeLiteral(literal) && literal.jsDocPropertyTags) {
+        return literal.jsDocPropertyTags;
+    }
+    return [];
+}
+
+function getTagComment(tag) {
+    return (ts.getTextOfJSDocComment(tag.comment) || '')
+        .replace(/^-\s*/, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+// The TypeScript parser drops "=default" from "[name=default]", so read it back from the tag text
+function getJSDocDefault(tag, sourceFile) {
+    // Only the tag's own line: nested "options.x" tags are part of the parent tag's text
+    const text = tag.getText(sourceFile).split('\n')[0];
+    const start = text.indexOf('[');
+    if (start === -1) {
+        const documented = getTagComment(tag).match(/\(default: ([^)]+)\)/);
+        return documented ? documented[1].trim() : undefined;
+    }
+    let depth = 0;
+    for (let i = start; i < text.length; i++) {
+        if (text[i] === '[') depth++;
+        if (text[i] === ']') depth--;
+        if (depth === 0) {
+            const inner = text.slice(start + 1, i);
+            const eq = inner.indexOf('=');
+            return eq === -1 ? undefined : inner.slice(eq + 1).trim();
+        }
+    }
+    return undefined;
+}
+
+function describeParamTag(tag, sourceFile, name) {
+    const nested = getNestedParamTags(tag);
+    const type = tag.typeExpression && !ts.isJSDocTypeLiteral(tag.typeExpression.type)
+        ? tag.typeExpression.type.getText(sourceFile)
+        : (nested.length > 0 ? 'object' : 'any');
+    const defaultValue = getJSDocDefault(tag, sourceFile);
+
+    return {
+        name: name,
+        type: type,
+        optional: !!tag.isBracketed || defaultValue !== undefined,
+        defaultValue: defaultValue,
+        description: getTagComment(tag),
+        properties: nested.map(child => {
+            const childName = child.name.getText(sourceFile);
+            return describeParamTag(child, sourceFile, childName.slice(childName.lastIndexOf('.') + 1));
+        })
+    };
+}
+
+function describeParameters(node, sourceFile) {
+    const paramTags = ts.getJSDocTags(node).filter(ts.isJSDocParameterTag);
+
+    return node.parameters.map(param => {
+        const name = param.name.getText(sourceFile);
+        const tag = paramTags.find(t => t.name.getText(sourceFile) === name);
+        const described = tag
+            ? describeParamTag(tag, sourceFile, name)
+            : { name: name, type: 'any', optional: false, defaultValue: undefined, description: '', properties: [] };
+
+        // The real default in the code wins over the documented one
+        if (param.initializer) {
+            described.optional = true;
+            described.defaultValue = param.initializer.getText(sourceFile);
+        }
+        applyDestructuredDefaults(node, sourceFile, described);
+        return described;
+    });
+}
+
+// "const { mode = 'open', title } = options;" makes options.mode optional even when documented without brackets
+function applyDestructuredDefaults(node, sourceFile, param) {
+    if (param.properties.length === 0 || !node.body) {
+        return;
+    }
+    function visit(child) {
+        if (ts.isFunctionLike(child)) {
+            return;
+        }
+        if (ts.isVariableDeclaration(child) && child.initializer && ts.isObjectBindingPattern(child.name) &&
+            ts.isIdentifier(child.initializer) && child.initializer.text === param.name) {
+            child.name.elements.forEach(element => {
+                const key = (element.propertyName || element.name).getText(sourceFile);
+                const property = param.properties.find(p => p.name === key);
+                if (property && element.initializer) {
+                    property.optional = true;
+                    if (property.defaultValue === undefined) {
+                        property.defaultValue = element.initializer.getText(sourceFile);
+                    }
+                }
+            });
+        }
+        ts.forEachChild(child, visit);
+    }
+    ts.forEachChild(node.body, visit);
+}
+
+function describeReturns(node, sourceFile) {
+    const tag = ts.getJSDocTags(node).find(ts.isJSDocReturnTag);
+    if (tag && tag.typeExpression) {
+        return { type: tag.typeExpression.type.getText(sourceFile), description: getTagComment(tag) };
+    }
+
+    // Undocumented: only claim a value if the body actually returns one
+    let returnsValue = false;
+    function visit(child) {
+        if (ts.isFunctionLike(child)) {
+            return;
+        }
+        if (ts.isReturnStatement(child) && child.expression) {
+            returnsValue = true;
+        }
+        ts.forEachChild(child, visit);
+    }
+    if (node.body) {
+        ts.forEachChild(node.body, visit);
+    }
+    const type = returnsValue ? 'any' : 'void';
+    return { type: isAsyncMethod(node) ? `Promise<${type}>` : type, description: '' };
+}
+
+function describeThrows(node, sourceFile) {
+    return ts.getJSDocTags(node)
+        .filter(tag => tag.tagName.text === 'throws')
+        .map(tag => ({
+            type: tag.typeExpression ? tag.typeExpression.type.getText(sourceFile) : 'Error',
+            description: getTagComment(tag)
+        }));
+}
+
+// How a method reports failure: 'throws' (throws or rethrows), 'null' or 'false' (returns that instead),
+// 'fallback' (a catch block returns something else, such as defaultValue or {}), or 'none'.
+// Also lists the this.x() calls made outside try blocks, whose errors reach the caller.
+function describeFailure(node) {
+    let throwsError = ts.getJSDocTags(node).some(tag => tag.tagName.text === 'throws');
+    const caught = [];
+    const returned = [];
+    const calls = [];
+
+    function visit(child, inTry, inCatch) {
+        if (ts.isFunctionLike(child)) {
+            return; // Callbacks fail on their own
+        }
+        if (ts.isTryStatement(child)) {
+            visit(child.tryBlock, inTry || !!child.catchClause, inCatch);
+            if (child.catchClause) {
+                visit(child.catchClause.block, inTry, true);
+            }
+            if (child.finallyBlock) {
+                visit(child.finallyBlock, inTry, inCatch);
+            }
+            return;
+        }
+        if (ts.isThrowStatement(child) && !inTry) {
+            throwsError = true;
+        }
+        if (ts.isReturnStatement(child) && child.expression) {
+            (inCatch ? caught : returned).push(child.expression.kind);
+        }
+        if (ts.isCallExpression(child) && !inTry && ts.isPropertyAccessExpression(child.expression) &&
+            child.expression.expression.kind === ts.SyntaxKind.ThisKeyword) {
+            calls.push(child.expression.name.text);
+        }
+        ts.forEachChild(child, grandchild => visit(grandchild, inTry, inCatch));
+    }
+    if (node.body) {
+        ts.forEachChild(node.body, child => visit(child, false, false));
+    }
+
+    let kind = caught.length > 0 ? 'fallback' : 'none';
+    if (throwsError) {
+        kind = 'throws';
+    } else if (caught.includes(ts.SyntaxKind.NullKeyword) || returned.includes(ts.SyntaxKind.NullKeyword)) {
+        kind = 'null';
+    } else if (caught.includes(ts.SyntaxKind.FalseKeyword)) {
+        kind = 'false';
+    }
+    return { kind, calls };
+}
+
+// How a URL span passes a method parameter: key, encodeURIComponent(path) or encodeURIComponent(filePath.substring(1))
+function describeUrlSlot(expression, paramNames) {
+    if (expression.getText() === 'this.appId') {
+        return { appId: true };
+    }
+    if (ts.isIdentifier(expression) && paramNames.includes(expression.text)) {
+        return { param: expression.text };
+    }
+    if (ts.isCallExpression(expression) && expression.expression.getText() === 'encodeURIComponent' &&
+        expression.arguments.length === 1) {
+        const argument = expression.arguments[0];
+        if (ts.isIdentifier(argument) && paramNames.includes(argument.text)) {
+            return { param: argument.text, encoding: 'uri' };
+        }
+        // Paths are sent without their leading slash
+        if (ts.isCallExpression(argument) && ts.isPropertyAccessExpression(argument.expression) &&
+            argument.expression.name.text === 'substring' && argument.arguments.length === 1 &&
+            argument.arguments[0].getText() === '1' && ts.isIdentifier(argument.expression.expression) &&
+            paramNames.includes(argument.expression.expression.text)) {
+            return { param: argument.expression.expression.text, encoding: 'uri-path' };
+        }
+    }
+    return null;
+}
+
+// JSON body of a fetch: JSON.stringify(logData) is a whole parameter, JSON.stringify({ name, parent_path: parentPath })
+// maps body keys to parameters. Anything else (FormData, locals) cannot be mapped.
+function describeBody(expression, paramNames) {
+    if (!ts.isCallExpression(expression) || expression.expression.getText() !== 'JSON.stringify' ||
+        expression.arguments.length !== 1) {
+        return null;
+    }
+    const value = expression.arguments[0];
+    if (ts.isIdentifier(value)) {
+        return paramNames.includes(value.text) ? value.text : null;
+    }
+    if (!ts.isObjectLiteralExpression(value)) {
+        return null;
+    }
+    const fields = {};
+    for (const property of value.properties) {
+        const initializer = ts.isShorthandPropertyAssignment(property) ? property.name
+            : ts.isPropertyAssignment(property) ? property.initializer : null;
+        if (!initializer || !ts.isIdentifier(initializer) || !paramNames.includes(initializer.text)) {
+            return null;
+        }
+        fields[property.name.getText()] = initializer.text;
+    }
+    return fields;
+}
+
+// await response.json()
+function isJsonRead(expression) {
+    return ts.isAwaitExpression(expression) && ts.isCallExpression(expression.expression) &&
+        ts.isPropertyAccessExpression(expression.expression.expression) &&
+        expression.expression.expression.name.text === 'json' && expression.expression.arguments.length === 0;
+}
+
+// What a method resolves to once its request succeeds: 'json' (the response body as is, e.g.
+// return await response.json()), 'field' (one field of it, e.g. return data.value or data.settings || {})
+// or 'other' (a success flag or anything else). Failure returns (null, false, {}, defaultValue, catch blocks)
+// are left out.
+function describeResult(node, paramNames) {
+    const bodies = new Set();
+    const results = [];
+
+    function classify(expression) {
+        if (isJsonRead(expression) || (ts.isIdentifier(expression) && bodies.has(expression.text))) {
+            return { returns: 'json' };
+        }
+        // data.value, data.value !== undefined ? data.value : defaultValue, data.settings || {}
+        const value = ts.isConditionalExpression(expression) ? expression.whenTrue
+            : ts.isBinaryExpression(expression) && expression.operatorToken.kind === ts.SyntaxKind.BarBarToken ? expression.left
+            : expression;
+        if (ts.isPropertyAccessExpression(value) && ts.isIdentifier(value.expression) && bodies.has(value.expression.text)) {
+            return { returns: 'field', field: value.name.text };
+        }
+        return { returns: 'other' };
+    }
+
+    function isFailureValue(expression) {
+        return expression.kind === ts.SyntaxKind.NullKeyword || expression.kind === ts.SyntaxKind.FalseKeyword ||
+            (ts.isIdentifier(expression) && (expression.text === 'undefined' || paramNames.includes(expression.text))) ||
+            (ts.isObjectLiteralExpression(expression) && expression.properties.length === 0) ||
+            (ts.isArrayLiteralExpression(expression) && expression.elements.length === 0);
+    }
+
+    function visit(child) {
+        if (ts.isFunctionLike(child) || ts.isCatchClause(child)) {
+            return;
+        }
+        // const data = await response.json();
+        if (ts.isVariableDeclaration(child) && ts.isIdentifier(child.name) && child.initializer && isJsonRead(child.initializer)) {
+            bodies.add(child.name.text);
+        }
+        if (ts.isReturnStatement(child) && child.expression && !isFailureValue(child.expression)) {
+            results.push(classify(child.expression));
+        }
+        ts.forEachChild(child, visit);
+    }
+    if (node.body) {
+        ts.forEachChild(node.body, visit);
+    }
+
+    const [first] = results;
+    const agree = first && results.every(result => result.returns === first.returns && result.field === first.field);
+    return agree ? first : { returns: 'other' };
+}
+
+// The OS endpoint a method wraps, from its one fetch(`${this.baseUrl}/...`, { method, body }) call:
+// the URL as text and parameter slots (relative to baseUrl), the HTTP method and the JSON body.
+// Also what the method resolves to, which decides whether code reading the response can switch to it.
+// Null when the method makes no such call, several, or one whose URL or body is built from locals.
+function describeEndpoint(node) {
+    const paramNames = node.parameters.filter(param => ts.isIdentifier(param.name)).map(param => param.name.text);
+    const calls = [];
+    function visit(child) {
+        if (ts.isCallExpression(child) && ts.isIdentifier(child.expression) && child.expression.text === 'fetch') {
+            calls.push(child);
+        }
+        ts.forEachChild(child, visit);
+    }
+    if (node.body) {
+        visit(node.body);
+    }
+
+    const [call] = calls;
+    const url = call && call.arguments[0];
+    if (calls.length !== 1 || !url || !ts.isTemplateExpression(url) || url.head.text !== '' ||
+        url.templateSpans[0].expression.getText() !== 'this.baseUrl') {
+        return null;
+    }
+    const parts = [url.templateSpans[0].literal.text];
+    for (const span of url.templateSpans.slice(1)) {
+        const slot = describeUrlSlot(span.expression, paramNames);
+        if (!slot) {
+            return null;
+        }
+        parts.push(slot);
+        if (span.literal.text) {
+            parts.push(span.literal.text);
+        }
+    }
+
+    let httpMethod = 'GET';
+    let body;
+    const options = call.arguments[1];
+    if (options) {
+        if (!ts.isObjectLiteralExpression(options)) {
+            return null;
+        }
+        for (const property of options.properties) {
+            const key = property.name && property.name.getText();
+            if (key === 'method' && ts.isPropertyAssignment(property) && ts.isStringLiteral(property.initializer)) {
+                httpMethod = property.initializer.text.toUpperCase();
+            } else if (key === 'body' && ts.isPropertyAssignment(property)) {
+                body = describeBody(property.initializer, paramNames);
+                if (!body) {
+                    return null;
+                }
+            }
+        }
+    }
+    return { httpMethod, url: parts, body, ...describeResult(node, paramNames) };
+}
+
+// "Internal method called by the OS during app cleanup"
+function isInternalSummary(summary) {
+    return /^internal\b/i.test(summary) || /\bcalled by the OS\b/.test(summary);
+}
+
+function describeMethod(name, node, sourceFile, sections) {
+    const jsdoc = getJSDoc(node);
+    const failure = describeFailure(node);
+
+    // First line of the JSDoc comment is used as the short description
+    let description = generateMethodDescription(name);
+    if (jsdoc) {
+        let text = ts.getTextOfJSDocComment(jsdoc.comment) || '';
+        if (!text.trim() && jsdoc.tags) {
+            // Some blocks open with "@memberof SypnexAPI.prototype" and put the summary on the next line
+            const tag = jsdoc.tags.find(t => (ts.getTextOfJSDocComment(t.comment) || '').includes('\n'));
+            text = tag ? ts.getTextOfJSDocComment(tag.comment).split('\n').slice(1).join('\n') : '';
+        }
+        const firstLine = text.trim().split('\n')[0].trim();
+        if (firstLine) {
+            description = firstLine.replace(/\s+/g, ' ');
+        }
+    }
+
+    return {
+        name: name,
+        params: node.parameters.map(param => param.getText(sourceFile)).join(', '),
+        parameters: describeParameters(node, sourceFile),
+        returns: describeReturns(node, sourceFile),
+        throws: describeThrows(node, sourceFile),
+        failure: failure.kind,
+        failureCalls: failure.calls,
+        endpoint: describeEndpoint(node),
+        isAsync: isAsyncMethod(node),
+        description: description,
+        summary: jsdoc ? (ts.getTextOfJSDocComment(jsdoc.comment) || description).trim() : description,
+        examples: jsdoc ? ts.getJSDocTags(node)
+            .filter(tag => tag.tagName.text === 'example')
+            .map(tag => ts.getTextOfJSDocComment(tag.comment) || '') : [],
+        jsdoc: jsdoc ? jsdoc.getText(sourceFile) : null,
+        internal: !!jsdoc && isInternalSummary(ts.getTextOfJSDocComment(jsdoc.comment) || ''),
+        module: moduleAt(sections, node.getStart(sourceFile)),
+        line: sourceFile.getLineAndCharacterOfPosition((node.name || node).getStart(sourceFile)).line + 1
+    };
+}
+
+function isSypnexPrototypeAssign(node) {
+    // Matches: Object.assign(SypnexAPI.prototype, { ... })
+    if (!ts.isExpressionStatement(node) || !ts.isCallExpression(node.expression)) {
+        return false;
+    }
+    const call = node.expression;
+    return call.expression.getText() === 'Object.assign' &&
+        call.arguments.length === 2 &&
+        call.arguments[0].getText() === 'SypnexAPI.prototype' &&
+        ts.isObjectLiteralExpression(call.arguments[1]);
+}
 
 function extractMethodsFromApi(apiContent) {
     const methods = [];
-    
-    // Enhanced pattern to capture JSDoc comments and method signatures
     const fullContent = apiContent.replace(/\r\n/g, '\n'); // Normalize line endings
-    
-    // Look for JSDoc comment blocks followed by method definitions
-    const jsdocMethodPattern = /(\/\*\*[\s\S]*?\*\/)\s*(async\s+)?([a-zA-Z_$][a-zA-Z0-9_$]*)\s*\(([^)]*)\)\s*\{/g;
-    
-    let match;
-    while ((match = jsdocMethodPattern.exec(fullContent)) !== null) {
-        const jsdocComment = match[1];
-        const isAsync = !!match[2];
-        const methodName = match[3];
-        const params = match[4].trim();
-        
-        // Extract description from JSDoc
-        let description = generateMethodDescription(methodName);
-        if (jsdocComment) {
-            const descMatch = jsdocComment.match(/\/\*\*\s*\n?\s*\*?\s*([^@\n*]+)/);
-            if (descMatch && descMatch[1].trim()) {
-                description = descMatch[1].trim()
-                    .replace(/'/g, "\\'")  // Escape single quotes
-                    .replace(/"/g, '\\"')  // Escape double quotes
-                    .replace(/\n/g, ' ')   // Replace newlines with spaces
-                    .replace(/\s+/g, ' '); // Normalize whitespace
+    const sections = findModuleSections(fullContent);
+    const sourceFile = ts.createSourceFile(API_FILE_PATH, fullContent, ts.ScriptTarget.Latest, true, ts.ScriptKind.JS);
+
+    function addMethod(method) {
+        if (!methods.some(m => m.name === method.name)) {  // Avoid duplicates
+            methods.push(method);
+        }
+    }
+
+    for (const statement of sourceFile.statements) {
+        // class SypnexAPI { ... }
+        if (ts.isClassDeclaration(statement) && statement.name && statement.name.text === 'SypnexAPI') {
+            const classMethods = statement.members.filter(ts.isMethodDeclaration);
+
+            for (const member of statement.members) {
+                if (ts.isConstructorDeclaration(member)) {
+                    // Helpers injected by the OS: this.showNotification = helpers.showNotification || this._defaultShowNotification
+                    member.body.statements.forEach(stmt => {
+                        const expr = stmt.expression;
+                        if (!expr || !ts.isBinaryExpression(expr) || expr.operatorToken.kind !== ts.SyntaxKind.EqualsToken ||
+                            !ts.isPropertyAccessExpression(expr.left) || !ts.isBinaryExpression(expr.right)) {
+                            return;
+                        }
+                        const name = expr.left.name.text;
+                        const fallback = expr.right.right;
+                        if (!ts.isPropertyAccessExpression(fallback) || isPrivateMember(name, stmt)) {
+                            return;
+                        }
+                        const implementation = classMethods.find(m => m.name.getText(sourceFile) === fallback.name.text);
+                        if (implementation) {
+                            const method = describeMethod(name, implementation, sourceFile, sections);
+                            method.description = generateMethodDescription(name);
+                            method.summary = method.description;
+                            method.jsdoc = null;
+                            addMethod(method);
+                        }
+                    });
+                } else if (ts.isMethodDeclaration(member)) {
+                    const name = member.name.getText(sourceFile);
+                    if (!isPrivateMember(name, member)) {
+                        addMethod(describeMethod(name, member, sourceFile, sections));
+                    }
+                }
             }
         }
-        
-        // Filter out invalid method names and keywords
-        if (methodName && 
-            !methodName.startsWith('_') && 
-            methodName !== 'constructor' &&
-            !['if', 'for', 'while', 'catch', 'try', 'switch', 'function', 'const', 'let', 'var', 'return', 'not', 'assign', 'forEach', 'map', 'filter', 'reduce', 'find', 'some', 'every', 'media', 'set', 'get', 'has', 'delete'].includes(methodName) &&
-            /^[a-zA-Z_$][a-zA-Z0-9_$]*$/.test(methodName) &&  // Valid JavaScript identifier
-            !methods.some(m => m.name === methodName)) {  // Avoid duplicates
-            
-            methods.push({
-                name: methodName,
-                params: params,
-                isAsync: isAsync,
-                description: description,
-                jsdoc: jsdocComment || null
-            });
+
+        // Object.assign(SypnexAPI.prototype, { ... })
+        if (isSypnexPrototypeAssign(statement)) {
+            const extension = statement.expression.arguments[1];
+            for (const property of extension.properties) {
+                if (!ts.isMethodDeclaration(property)) {
+                    continue; // Data fields (socket state) and accessors are not callable methods
+                }
+                const name = property.name.getText(sourceFile);
+                if (!isPrivateMember(name, property)) {
+                    addMethod(describeMethod(name, property, sourceFile, sections));
+                }
+            }
         }
     }
-    
-    // Also look for methods without JSDoc comments
-    const simpleMethodPattern = /(?<!\/\*\*[\s\S]*?\*\/\s*)(async\s+)?([a-zA-Z_$][a-zA-Z0-9_$]*)\s*\(([^)]*)\)\s*\{/g;
-    
-    // Split content into lines to filter out obvious non-methods
-    const lines = fullContent.split('\n');
-    
-    for (let i = 0; i < lines.length; i++) {
-        const line = lines[i].trim();
-        
-        // Skip lines that are clearly not method definitions
-        if (line.startsWith('if') || line.startsWith('for') || line.startsWith('while') || 
-            line.startsWith('catch') || line.startsWith('try') || line.startsWith('switch') ||
-            line.includes('=') && !line.includes('=>') ||  // Assignment but not arrow function
-            line.startsWith('//') || line.startsWith('/*') ||
-            line.includes('Object.assign') || line.includes('console.') ||
-            line.includes(':') && !line.includes('(')) {  // CSS selectors, object properties
+
+    // Endpoint URLs are relative to this.baseUrl, set in the constructor
+    const baseUrl = (fullContent.match(/this\.baseUrl = '([^']*)'/) || [])[1] || '/api';
+    methods.forEach(method => {
+        if (method.endpoint) {
+            method.endpoint.url[0] = baseUrl + method.endpoint.url[0];
+        }
+    });
+
+    // Wrappers such as proxyGET and getMyLogs fail the way the method they call does
+    methods.forEach(method => {
+        if (method.failure === 'none' &&
+            methods.some(other => method.failureCalls.includes(other.name) && other.failure === 'throws')) {
+            method.failure = 'throws';
+        }
+    });
+
+    return methods;
+}
+
+// Methods of an object literal; shorthand entries refer to functions declared in the enclosing scope
+function describeObjectMethods(literal, sourceFile, sections) {
+    const methods = [];
+    for (const property of literal.properties) {
+        const name = property.name && property.name.getText(sourceFile);
+        if (!name || isPrivateMember(name, property)) {
             continue;
         }
-        
-        // Look for method patterns in this line and a few following lines for multiline methods
-        const context = lines.slice(i, i + 3).join('\n');
-        
-        let simpleMatch;
-        while ((simpleMatch = simpleMethodPattern.exec(context)) !== null) {
-            const isAsync = !!simpleMatch[1];
-            const methodName = simpleMatch[2];
-            const params = simpleMatch[3].trim();
-            
-            // Filter out invalid method names and keywords
-            if (methodName && 
-                !methodName.startsWith('_') && 
-                methodName !== 'constructor' &&
-                !['if', 'for', 'while', 'catch', 'try', 'switch', 'function', 'const', 'let', 'var', 'return', 'not', 'assign', 'forEach', 'map', 'filter', 'reduce', 'find', 'some', 'every', 'media', 'set', 'get', 'has', 'delete'].includes(methodName) &&
-                /^[a-zA-Z_$][a-zA-Z0-9_$]*$/.test(methodName) &&  // Valid JavaScript identifier
-                !methods.some(m => m.name === methodName)) {  // Avoid duplicates
-                
-                methods.push({
-                    name: methodName,
-                    params: params,
-                    isAsync: isAsync,
-                    description: generateMethodDescription(methodName),
-                    jsdoc: null
-                });
+        if (ts.isMethodDeclaration(property)) {
+            methods.push(describeMethod(name, property, sourceFile, sections));
+        } else if (ts.isShorthandPropertyAssignment(property)) {
+            const declaration = findFunctionDeclaration(literal, name);
+            if (declaration) {
+                methods.push(describeMethod(name, declaration, sourceFile, sections));
             }
         }
-        
-        // Reset regex for next iteration
-        simpleMethodPattern.lastIndex = 0;
     }
-    
     return methods;
 }
 
-function generateMethodSignature(method) {
-    // Convert JavaScript parameters to TypeScript-like signature
-    let signature = method.name + '(';
-    
-    if (method.params) {
-        const params = method.params.split(',').map(param => {
-            const trimmed = param.trim();
-            if (!trimmed) return '';
-            
-            // Handle default values
-            if (trimmed.includes('=')) {
-                const [name] = trimmed.split('=');
-                return `${name.trim()}?: any`;
-            } else {
-                return `${trimmed}: any`;
+function findFunctionDeclaration(node, name) {
+    for (let scope = node.parent; scope; scope = scope.parent) {
+        const statements = ts.isBlock(scope) || ts.isSourceFile(scope) ? scope.statements : [];
+        const declaration = statements.find(statement => ts.isFunctionDeclaration(statement) && statement.name && statement.name.text === name);
+        if (declaration) {
+            return declaration;
+        }
+    }
+    return null;
+}
+
+function findObjectConstant(sourceFile, name) {
+    for (const statement of sourceFile.statements) {
+        if (!ts.isVariableStatement(statement)) {
+            continue;
+        }
+        const declaration = statement.declarationList.declarations.find(d => ts.isIdentifier(d.name) && d.name.text === name);
+        if (declaration && declaration.initializer && ts.isObjectLiteralExpression(declaration.initializer)) {
+            return declaration.initializer;
+        }
+    }
+    return null;
+}
+
+function describeNamespace(name, parent, description, literal, sourceFile, sections) {
+    return {
+        name: name,
+        parent: parent,
+        description: description,
+        module: moduleAt(sections, literal.getStart(sourceFile)),
+        // Line of the statement that creates the object: "const scalingUtils = {", "window.sypnexKeyboardManager = {"
+        line: sourceFile.getLineAndCharacterOfPosition(literal.parent.getStart(sourceFile)).line + 1,
+        methods: describeObjectMethods(literal, sourceFile, sections)
+    };
+}
+
+// Object-valued members: accessors such as "get scaling() { return scalingUtils; }" on SypnexAPI.prototype,
+// and managers installed on window, e.g. window.sypnexKeyboardManager = { ... }
+function extractNamespacesFromApi(apiContent) {
+    const namespaces = [];
+    const fullContent = apiContent.replace(/\r\n/g, '\n');
+    const sections = findModuleSections(fullContent);
+    const sourceFile = ts.createSourceFile(API_FILE_PATH, fullContent, ts.ScriptTarget.Latest, true, ts.ScriptKind.JS);
+
+    for (const statement of sourceFile.statements) {
+        if (!isSypnexPrototypeAssign(statement)) {
+            continue;
+        }
+        for (const property of statement.expression.arguments[1].properties) {
+            const returned = ts.isGetAccessorDeclaration(property) && property.body &&
+                property.body.statements.find(ts.isReturnStatement);
+            if (!returned || !returned.expression || !ts.isIdentifier(returned.expression)) {
+                continue;
             }
-        }).filter(p => p).join(', ');
-        
-        signature += params;
+            const literal = findObjectConstant(sourceFile, returned.expression.text);
+            if (literal) {
+                const name = property.name.getText(sourceFile);
+                const method = describeMethod(name, property, sourceFile, sections);
+                namespaces.push(describeNamespace(name, 'sypnexAPI', method.description, literal, sourceFile, sections));
+            }
+        }
     }
-    
-    signature += ')';
-    
-    if (method.isAsync) {
-        signature += ': Promise<any>';
-    } else {
-        signature += ': any';
+
+    function visit(node) {
+        // window.sypnexWindowManager = { createAppWindowProxy, ... }
+        if (ts.isBinaryExpression(node) && node.operatorToken.kind === ts.SyntaxKind.EqualsToken &&
+            ts.isPropertyAccessExpression(node.left) && node.left.expression.getText(sourceFile) === 'window' &&
+            ts.isObjectLiteralExpression(node.right)) {
+            const name = node.left.name.text;
+            const description = `Global ${name} object shared by all apps`;
+            const namespace = describeNamespace(name, 'window', description, node.right, sourceFile, sections);
+            // Manager methods taking an appId act on behalf of any app; apps go through their own SypnexAPI instead
+            namespace.methods.forEach(method => {
+                method.internal = method.internal || (method.parameters.length > 0 && method.parameters[0].name === 'appId');
+            });
+            namespaces.push(namespace);
+        }
+        ts.forEachChild(node, visit);
     }
-    
-    return signature;
+    visit(sourceFile);
+
+    // Undocumented wrappers such as SypnexLogs.readLogs share the docs of the SypnexAPI method they forward to
+    const apiMethods = extractMethodsFromApi(apiContent);
+    namespaces.forEach(namespace => {
+        namespace.methods = namespace.methods.map(method => {
+            const documented = apiMethods.find(m => m.name === method.name);
+            return method.jsdoc || !documented
+                ? method
+                : { ...documented, isAsync: method.isAsync, internal: method.internal, module: method.module, line: method.line };
+        });
+    });
+
+    return namespaces.filter(namespace => namespace.methods.length > 0);
+}
+
+// Every name defined on a SypnexAPI instance: methods, state fields, accessors and private helpers
+function extractMemberNamesFromApi(apiContent) {
+    const names = new Set();
+    const sourceFile = ts.createSourceFile(API_FILE_PATH, apiContent, ts.ScriptTarget.Latest, true, ts.ScriptKind.JS);
+
+    function visitConstructor(node) {
+        // this.appId = appId;
+        if (ts.isBinaryExpression(node) && node.operatorToken.kind === ts.SyntaxKind.EqualsToken &&
+            ts.isPropertyAccessExpression(node.left) && node.left.expression.kind === ts.SyntaxKind.ThisKeyword) {
+            names.add(node.left.name.text);
+        }
+        ts.forEachChild(node, visitConstructor);
+    }
+
+    for (const statement of sourceFile.statements) {
+        if (ts.isClassDeclaration(statement) && statement.name && statement.name.text === 'SypnexAPI') {
+            statement.members.forEach(member => {
+                if (ts.isConstructorDeclaration(member)) {
+                    visitConstructor(member.body);
+                } else if (member.name) {
+                    names.add(member.name.getText(sourceFile));
+                }
+            });
+        }
+        if (isSypnexPrototypeAssign(statement)) {
+            statement.expression.arguments[1].properties.forEach(property => {
+                if (property.name) {
+                    names.add(property.name.getText(sourceFile));
+                }
+            });
+        }
+    }
+
+    return [...names];
+}
+
+// A required parameter after an optional one must stay required in TypeScript
+function signatureParameters(method) {
+    const lastRequired = method.parameters.map(param => !param.optional).lastIndexOf(true);
+    return method.parameters.map((param, index) => ({
+        name: param.name,
+        type: declareParamType(method, param),
+        optional: param.optional && index > lastRequired
+    }));
+}
+
+function generateMethodSignature(method) {
+    // TypeScript-like signature using the same types as sypnex-api.d.ts
+    const params = signatureParameters(method)
+        .map(param => `${param.name}${param.optional ? '?' : ''}: ${param.type}`)
+        .join(', ');
+
+    return `${method.name}(${params}): ${toTypeScriptType(method.returns.type)}`;
 }
 
 function generateMethodDescription(methodName) {
@@ -160,10 +736,11 @@ function generateMethodDescription(methodName) {
         'sendMessage': 'Send a message through WebSocket',
         'isInitialized': 'Check if the API is initialized',
         'getAppId': 'Get the current application ID',
+        'getAppSetting': 'Get an application setting through the OS-provided helper',
+        'getAllAppSettings': 'Get all application settings through the OS-provided helper',
         'showNotification': 'Show a notification to the user',
         'logInfo': 'Log an info message',
         'logError': 'Log an error message',
-        'executeTerminalCommand': 'Execute a terminal command',
         'readVirtualFileText': 'Read a text file from virtual file system',
         'readVirtualFileJSON': 'Read a JSON file from virtual file system',
         'writeVirtualFileJSON': 'Write a JSON file to virtual file system',
@@ -176,35 +753,137 @@ function generateMethodDescription(methodName) {
     return descriptions[methodName] || `${methodName} method from Sypnex API`;
 }
 
-function generateExtensionCode(methods) {
-    const methodDefinitions = methods.map(method => {
-        return `\t{
-\t\tname: '${method.name}',
-\t\tsignature: '${generateMethodSignature(method)}',
-\t\tdescription: '${method.description}',
-\t\tisAsync: ${method.isAsync}
-\t}`;
-    }).join(',\n');
+function escapeString(value) {
+    return value
+        .replace(/\\/g, '\\\\')
+        .replace(/'/g, "\\'")
+        .replace(/\r?\n/g, '\\n');
+}
+
+function generateParameterCode(method, param, optional, indent) {
+    const fields = [
+        `name: '${param.name}'`,
+        `type: '${escapeString(declareParamType(method, param))}'`,
+        `description: '${escapeString(param.description)}'`,
+        `optional: ${optional}`
+    ];
+    if (param.defaultValue !== undefined) {
+        fields.push(`defaultValue: '${escapeString(param.defaultValue)}'`);
+    }
+    const values = getEnumValues(param);
+    if (values.length > 0) {
+        fields.push(`values: [${values.map(value => `'${escapeString(value)}'`).join(', ')}]`);
+    }
+    if (param.properties.length === 0) {
+        return `${indent}{ ${fields.join(', ')} }`;
+    }
+
+    const properties = param.properties
+        .map(property => generateParameterCode(method, property, property.optional, indent + '\t'))
+        .join(',\n');
+    return `${indent}{ ${fields.join(', ')}, properties: [\n${properties}\n${indent}] }`;
+}
+
+function generateMethodCode(method, indent) {
+    const optional = signatureParameters(method).map(param => param.optional);
+    const params = method.parameters
+        .map((param, index) => generateParameterCode(method, param, optional[index], indent + '\t\t'))
+        .join(',\n');
+    const throws = method.throws
+        .map(thrown => `{ type: '${escapeString(thrown.type)}', description: '${escapeString(thrown.description)}' }`)
+        .join(', ');
+    const examples = method.examples.map(example => `'${escapeString(example)}'`).join(', ');
+
+    return `${indent}{
+${indent}\tname: '${method.name}',
+${indent}\tsignature: '${escapeString(generateMethodSignature(method))}',
+${indent}\tdescription: '${escapeString(method.description)}',
+${indent}\tdocumentation: '${escapeString(method.summary)}',
+${indent}\tisAsync: ${method.isAsync},
+${indent}\tinternal: ${method.internal},
+${indent}\tmodule: '${method.module}',
+${indent}\tline: ${method.line},
+${indent}\tparams: [${params ? `\n${params}\n${indent}\t` : ''}],
+${indent}\treturns: { type: '${escapeString(toTypeScriptType(method.returns.type))}', description: '${escapeString(method.returns.description)}' },
+${indent}\tthrows: [${throws}],
+${indent}\tfailure: '${method.failure}',
+${indent}\texamples: [${examples}]
+${indent}}`;
+}
+
+function generateEndpointCode(method) {
+    const url = method.endpoint.url.map(part => {
+        if (typeof part === 'string') {
+            return `'${escapeString(part)}'`;
+        }
+        if (part.appId) {
+            return '{ appId: true }';
+        }
+        return part.encoding ? `{ param: '${part.param}', encoding: '${part.encoding}' }` : `{ param: '${part.param}' }`;
+    });
+    const fields = [
+        `method: '${method.name}'`,
+        `httpMethod: '${method.endpoint.httpMethod}'`,
+        `url: [${url.join(', ')}]`
+    ];
+    fields.push(`returns: '${method.endpoint.returns}'`);
+    if (method.endpoint.field) {
+        fields.push(`field: '${method.endpoint.field}'`);
+    }
+    const body = method.endpoint.body;
+    if (typeof body === 'string') {
+        fields.push(`body: '${body}'`);
+    } else if (body) {
+        fields.push(`body: { ${Object.entries(body).map(([key, param]) => `${key}: '${param}'`).join(', ')} }`);
+    }
+    return `\t{ ${fields.join(', ')} }`;
+}
+
+function generateExtensionCode(methods, memberNames, namespaces) {
+    const methodDefinitions = methods.map(method => generateMethodCode(method, '\t')).join(',\n');
+    const namespaceDefinitions = namespaces.map(namespace => `\t{
+\t\tname: '${namespace.name}',
+\t\tparent: '${namespace.parent}',
+\t\tdescription: '${escapeString(namespace.description)}',
+\t\tmodule: '${namespace.module}',
+\t\tline: ${namespace.line},
+\t\tmethods: [
+${namespace.methods.map(method => generateMethodCode(method, '\t\t\t')).join(',\n')}
+\t\t]
+\t}`).join(',\n');
+    const properties = memberNames.filter(name => !methods.some(method => method.name === name));
+    const endpoints = methods.filter(method => method.endpoint).map(generateEndpointCode).join(',\n');
     
-    return `// Sypnex API method definitions (auto-generated)
-const sypnexApiMethods = [
+    return `// Sypnex API method definitions (auto-generated by update-api.js)
+// Do not edit by hand - run "npm run update-api" after updating sypnex-api.js
+import { SypnexApiEndpoint, SypnexApiMethod, SypnexApiNamespace } from './sypnexApi';
+
+export const sypnexApiMethods: SypnexApiMethod[] = [
 ${methodDefinitions}
-];`;
+];
+
+// Object-valued members with methods of their own: sypnexAPI.scaling, window.sypnexKeyboardManager, ...
+export const sypnexApiNamespaces: SypnexApiNamespace[] = [
+${namespaceDefinitions}
+];
+
+// Other members that are valid to reference (state fields, accessors and private helpers)
+export const sypnexApiProperties: string[] = [
+${properties.map(name => `\t'${name}'`).join(',\n')}
+];
+
+// OS endpoints that methods wrap, to map hand-written fetch('/api/...') calls back to them
+export const sypnexApiEndpoints: SypnexApiEndpoint[] = [
+${endpoints}
+];
+`;
 }
 
-function updateExtensionFile(newMethodsCode) {
-    const extensionContent = fs.readFileSync(EXTENSION_FILE_PATH, 'utf8');
-    
-    // Replace the sypnexApiMethods array
-    const updatedContent = extensionContent.replace(
-        /\/\/ Sypnex API method definitions[\s\S]*?^];/m,
-        newMethodsCode
-    );
-    
-    fs.writeFileSync(EXTENSION_FILE_PATH, updatedContent, 'utf8');
+function generateMethodsFile(methods, memberNames, namespaces) {
+    fs.writeFileSync(METHODS_FILE_PATH, generateExtensionCode(methods, memberNames, namespaces), 'utf8');
 }
 
-function generateAPIDocumentation(methods) {
+function generateAPIDocumentation(methods, namespaces = []) {
     let markdown = `# Sypnex API Documentation
 
 ## Overview
@@ -223,6 +902,7 @@ Simply use \`sypnexAPI.methodName()\` - no imports or instantiation needed.
         
         markdown += `### \`${method.name}(${method.params})\`
 - **Description:** ${method.description}
+- **Module:** ${method.module}
 - **Returns:** ${returnType}
 - **Usage:** \`${asyncKeyword}sypnexAPI.${method.name}(${method.params})\`
 
@@ -241,6 +921,21 @@ Simply use \`sypnexAPI.methodName()\` - no imports or instantiation needed.
         }
     });
 
+    if (namespaces.length > 0) {
+        markdown += `## Namespaces
+
+`;
+    }
+    namespaces.forEach(namespace => {
+        const owner = namespace.parent === 'window' ? 'window' : 'sypnexAPI';
+        markdown += `### \`${owner}.${namespace.name}\`
+- **Description:** ${namespace.description}
+- **Module:** ${namespace.module}
+- **Methods:** ${namespace.methods.map(method => `\`${method.name}(${method.params})\``).join(', ')}
+
+`;
+    });
+
     markdown += `
 ## Example Usage
 
@@ -262,8 +957,8 @@ sypnexAPI.showNotification('Hello from your app!', 'info');
 await sypnexAPI.logInfo('Application started');
 await sypnexAPI.logError('Something went wrong', { error: 'details' });
 
-// Terminal commands
-const result = await sypnexAPI.executeTerminalCommand('ls -la');
+// HTTP requests through the OS proxy
+const response = await sypnexAPI.proxyJSON('https://api.example.com/data');
 \`\`\`
 
 ## Notes for AI Assistants
@@ -276,11 +971,332 @@ const result = await sypnexAPI.executeTerminalCommand('ls -la');
     return markdown;
 }
 
-function generateDocumentationFile(methods) {
-    const documentation = generateAPIDocumentation(methods);
+function generateDocumentationFile(methods, namespaces) {
+    const documentation = generateAPIDocumentation(methods, namespaces);
     fs.writeFileSync('./sypnex-api-docs.md', documentation, 'utf8');
 }
 
+// Multi-line snippets for common app patterns. Bodies use VS Code snippet syntax; every
+// sypnexAPI.<method> they call is checked against the extracted methods so they stay in sync.
+const SNIPPET_TEMPLATES = [
+    {
+        prefix: 'sypnex-settings',
+        name: 'Load and save settings',
+        description: 'Read a setting with a default and save it back when it changes',
+        body: [
+            "const ${1:theme} = await sypnexAPI.getSetting('${1:theme}', ${2:'dark'});",
+            '',
+            'async function save${3:Theme}(value) {',
+            "\tawait sypnexAPI.setSetting('${1:theme}', value);",
+            "\tsypnexAPI.showNotification('${4:Settings saved}', 'success');",
+            '}',
+            '$0'
+        ]
+    },
+    {
+        prefix: 'sypnex-save-as',
+        name: 'Save As flow',
+        description: 'Ask for a location with the file explorer, then write the file',
+        body: [
+            'const ${1:filePath} = await sypnexAPI.showFileExplorer({',
+            "\tmode: 'save',",
+            "\ttitle: '${2:Save File}',",
+            "\tinitialPath: '${3:/}',",
+            "\tfileName: '${4:untitled.txt}',",
+            "\tfileExtension: '${5:.txt}'",
+            '});',
+            'if (${1:filePath}) {',
+            '\tawait sypnexAPI.writeVirtualFile(${1:filePath}, ${6:content});',
+            "\tsypnexAPI.showNotification('Saved ' + ${1:filePath}, 'success');",
+            '}',
+            '$0'
+        ]
+    },
+    {
+        prefix: 'sypnex-socket',
+        name: 'Socket room with cleanup',
+        description: 'Connect, join a room and listen for an event, removing everything when the app closes',
+        body: [
+            'await sypnexAPI.connectSocket();',
+            "sypnexAPI.joinRoom('${1:room}');",
+            '',
+            'const handle${2:Message} = (data) => {',
+            '\t$0',
+            '};',
+            "sypnexAPI.on('${3:message}', handle${2:Message});",
+            '',
+            'sypnexAPI.onBeforeClose(() => {',
+            "\tsypnexAPI.off('${3:message}', handle${2:Message});",
+            "\tsypnexAPI.leaveRoom('${1:room}');",
+            '\tsypnexAPI.disconnectSocket();',
+            "}, '${4:Socket cleanup}');"
+        ]
+    },
+    {
+        prefix: 'sypnex-llm-openai',
+        name: 'OpenAI chat completion',
+        description: 'Send a chat conversation to OpenAI through llmComplete',
+        body: [
+            'const ${1:response} = await sypnexAPI.llmComplete({',
+            "\tprovider: 'openai',",
+            "\tendpoint: '${2:https://api.openai.com/v1/chat/completions}',",
+            '\tapiKey: ${3:apiKey},',
+            "\tmodel: '${4:gpt-4o-mini}',",
+            '\tmessages: [',
+            "\t\t{ role: 'system', content: '${5:You are a helpful assistant.}' },",
+            "\t\t{ role: 'user', content: ${6:prompt} }",
+            '\t],',
+            '\ttemperature: ${7:0.7},',
+            '\tmaxTokens: ${8:1000}',
+            '});',
+            'const reply = ${1:response}.content;',
+            '$0'
+        ]
+    },
+    {
+        prefix: 'sypnex-llm-anthropic',
+        name: 'Anthropic chat completion',
+        description: 'Send a chat conversation to Anthropic through llmComplete',
+        body: [
+            'const ${1:response} = await sypnexAPI.llmComplete({',
+            "\tprovider: 'anthropic',",
+            "\tendpoint: '${2:https://api.anthropic.com/v1/messages}',",
+            '\tapiKey: ${3:apiKey},',
+            "\tmodel: '${4:claude-3-5-haiku-latest}',",
+            '\tmessages: [',
+            "\t\t{ role: 'system', content: '${5:You are a helpful assistant.}' },",
+            "\t\t{ role: 'user', content: ${6:prompt} }",
+            '\t],',
+            '\ttemperature: ${7:0.7},',
+            '\tmaxTokens: ${8:1000}',
+            '});',
+            'const reply = ${1:response}.content;',
+            '$0'
+        ]
+    },
+    {
+        prefix: 'sypnex-llm-google',
+        name: 'Google chat completion',
+        description: 'Send a chat conversation to Google through llmComplete',
+        body: [
+            'const ${1:response} = await sypnexAPI.llmComplete({',
+            "\tprovider: 'google',",
+            "\tendpoint: '${2:https://generativelanguage.googleapis.com/v1beta/models/gemini-1.5-flash:generateContent}',",
+            '\tapiKey: ${3:apiKey},',
+            "\tmodel: '${4:gemini-1.5-flash}',",
+            '\tmessages: [',
+            "\t\t{ role: 'system', content: '${5:You are a helpful assistant.}' },",
+            "\t\t{ role: 'user', content: ${6:prompt} }",
+            '\t],',
+            '\ttemperature: ${7:0.7},',
+            '\tmaxTokens: ${8:1000}',
+            '});',
+            'const reply = ${1:response}.content;',
+            '$0'
+        ]
+    },
+    {
+        prefix: 'sypnex-llm-ollama',
+        name: 'Ollama chat completion',
+        description: 'Send a chat conversation to Ollama through llmComplete',
+        body: [
+            'const ${1:response} = await sypnexAPI.llmComplete({',
+            "\tprovider: 'ollama',",
+            "\tendpoint: '${2:http://localhost:11434/api/chat}',",
+            "\tmodel: '${3:llama3.2}',",
+            '\tmessages: [',
+            "\t\t{ role: 'system', content: '${4:You are a helpful assistant.}' },",
+            "\t\t{ role: 'user', content: ${5:prompt} }",
+            '\t],',
+            '\ttemperature: ${6:0.7},',
+            '\tmaxTokens: ${7:1000}',
+            '});',
+            'const reply = ${1:response}.content;',
+            '$0'
+        ]
+    },
+    {
+        prefix: 'sypnex-shortcuts',
+        name: 'Keyboard shortcuts',
+        description: 'Register keyboard shortcuts for this app',
+        body: [
+            'sypnexAPI.registerKeyboardShortcuts({',
+            "\t'${1:ctrl+s}': () => ${2:save()},",
+            "\t'${3:escape}': () => ${4:close()}$0",
+            '});'
+        ]
+    }
+];
+
+function generateSnippetsCode(methods) {
+    const snippets = SNIPPET_TEMPLATES.map(template => {
+        const body = template.body.join('\n');
+        const used = [...new Set([...body.matchAll(/sypnexAPI\.(\w+)\(/g)].map(match => match[1]))];
+        const unknown = used.filter(name => !methods.some(method => method.name === name));
+        if (unknown.length > 0) {
+            throw new Error(`Snippet "${template.prefix}" uses methods missing from the API: ${unknown.join(', ')}`);
+        }
+
+        return `\t{
+\t\tprefix: '${template.prefix}',
+\t\tname: '${escapeString(template.name)}',
+\t\tdescription: '${escapeString(template.description)}',
+\t\tmethods: [${used.map(name => `'${name}'`).join(', ')}],
+\t\tbody: '${escapeString(body)}'
+\t}`;
+    }).join(',\n');
+
+    return `// Sypnex API snippets (auto-generated by update-api.js)
+// Do not edit by hand - change SNIPPET_TEMPLATES in update-api.js and run "npm run update-api"
+import { SypnexApiSnippet } from './sypnexApi';
+
+export const sypnexApiSnippets: SypnexApiSnippet[] = [
+${snippets}
+];
+`;
+}
+
+function generateSnippetsFile(methods) {
+    fs.writeFileSync(SNIPPETS_FILE_PATH, generateSnippetsCode(methods), 'utf8');
+}
+
+// Convert a JSDoc type expression into its TypeScript equivalent
+function toTypeScriptType(jsdocType) {
+    return jsdocType
+        .replace(/\*/g, 'any')
+        .replace(/\b[Ff]unction\b/g, '((...args: any[]) => any)')
+        .replace(/\b[Oo]bject\b/g, 'Record<string, any>')
+        .replace(/\bArray\b(?!\s*<)/g, 'any[]')
+        .replace(/\bPromise\b(?!\s*<)/g, 'Promise<any>');
+}
+
+// String options documented as "Modal size: 'small', 'medium', 'large'" are closed sets
+function getEnumValues(param) {
+    if (param.type !== 'string') {
+        return [];
+    }
+    const values = (param.description.match(/'[^']+'/g) || []).map(value => value.slice(1, -1));
+    return values.length >= 2 ? [...new Set(values)] : [];
+}
+
+function toPascalCase(name) {
+    // Keep well-known acronyms upper-case: llmComplete -> LLMComplete
+    const acronym = name.match(/^(llm|vfs|url|json|http)(?=[A-Z]|$)/);
+    if (acronym) {
+        return acronym[1].toUpperCase() + name.slice(acronym[1].length);
+    }
+    return name.charAt(0).toUpperCase() + name.slice(1);
+}
+
+function optionsInterfaceName(method, param) {
+    return toPascalCase(method.name) + toPascalCase(param.name);
+}
+
+function formatDocComment(lines, indent) {
+    const body = lines
+        .join('\n')
+        .split('\n')
+        .map(line => `${indent} *${line ? ' ' + line.replace(/\*\//g, '*\\/') : ''}`);
+    return `${indent}/**\n${body.join('\n')}\n${indent} */\n`;
+}
+
+function declareParamType(method, param) {
+    if (param.properties.length > 0) {
+        return optionsInterfaceName(method, param);
+    }
+    const values = getEnumValues(param);
+    return values.length > 0 ? values.map(value => `'${value}'`).join(' | ') : toTypeScriptType(param.type);
+}
+
+function namespaceInterfaceName(namespace) {
+    // sypnexAPI.scaling -> SypnexAPIScaling, window.sypnexKeyboardManager -> SypnexKeyboardManager
+    return namespace.parent === 'window' ? toPascalCase(namespace.name) : `SypnexAPI${toPascalCase(namespace.name)}`;
+}
+
+// Interface member for a method; options interfaces it needs are added to "interfaces" (name -> declaration)
+function declareMethod(method, interfaces) {
+    method.parameters.filter(param => param.properties.length > 0).forEach(param => {
+        const interfaceName = optionsInterfaceName(method, param);
+        if (interfaces.has(interfaceName)) {
+            return; // Namespace wrappers reuse the options of the method they forward to
+        }
+        const fields = param.properties.map(property => {
+            const doc = [property.description];
+            if (property.defaultValue !== undefined) {
+                doc.push(`@default ${property.defaultValue}`);
+            }
+            const optional = property.optional ? '?' : '';
+            return formatDocComment(doc, '    ') +
+                `    ${property.name}${optional}: ${declareParamType(method, property)};`;
+        });
+        interfaces.set(interfaceName, formatDocComment([`Options for {@link SypnexAPI.${method.name}}`], '') +
+            `interface ${interfaceName} {\n${fields.join('\n')}\n}`);
+    });
+
+    const doc = [method.summary];
+    method.parameters.forEach(param => {
+        doc.push(`@param ${param.name} ${param.description}`.trim());
+    });
+    if (method.returns.description) {
+        doc.push(`@returns ${method.returns.description}`);
+    }
+    method.examples.forEach(example => {
+        doc.push('@example', example);
+    });
+
+    return formatDocComment(doc, '    ') + `    ${generateMethodSignature(method)};`;
+}
+
+function generateTypeDeclarations(methods, namespaces = []) {
+    const interfaces = new Map();
+    const members = methods.map(method => declareMethod(method, interfaces));
+    const globals = [];
+
+    namespaces.forEach(namespace => {
+        const interfaceName = namespaceInterfaceName(namespace);
+        const namespaceMembers = namespace.methods.map(method => declareMethod(method, interfaces));
+        interfaces.set(interfaceName, formatDocComment([namespace.description], '') +
+            `interface ${interfaceName} {\n${namespaceMembers.join('\n\n')}\n}`);
+
+        const declaration = formatDocComment([namespace.description], namespace.parent === 'window' ? '' : '    ');
+        if (namespace.parent === 'window') {
+            globals.push(declaration + `declare var ${namespace.name}: ${interfaceName};`);
+        } else {
+            members.push(declaration + `    readonly ${namespace.name}: ${interfaceName};`);
+        }
+    });
+
+    return `// Sypnex API type declarations (auto-generated by update-api.js)
+// Do not edit by hand - run "npm run update-api" after updating sypnex-api.js
+
+/// <reference lib="dom" />
+
+${[...interfaces.values()].join('\n\n')}
+
+/**
+ * SypnexAPI - Main API class for user applications
+ * Provides access to OS features and services in a sandboxed environment
+ */
+interface SypnexAPI {
+${members.join('\n\n')}
+}
+
+declare var SypnexAPI: {
+    prototype: SypnexAPI;
+    new (appId: string, helpers?: Record<string, any>): SypnexAPI;
+};
+
+/**
+ * The SypnexAPI instance injected into every Sypnex OS application
+ */
+declare const sypnexAPI: SypnexAPI;
+${globals.length > 0 ? `\n${globals.join('\n\n')}\n` : ''}`;
+}
+
+function generateTypeDeclarationFile(methods, namespaces) {
+    fs.writeFileSync(TYPES_FILE_PATH, generateTypeDeclarations(methods, namespaces), 'utf8');
+}
+
 function main() {
     try {
         console.log('🔍 Reading Sypnex API file...');
@@ -297,22 +1313,37 @@ function main() {
         const methods = extractMethodsFromApi(apiContent);
         
         console.log(`✅ Found ${methods.length} methods:`);
+        let currentModule = null;
         methods.forEach(method => {
+            if (method.module !== currentModule) {
+                currentModule = method.module;
+                console.log(`   📦 sypnex-api-${currentModule}.js`);
+            }
             const asyncMarker = method.isAsync ? 'async ' : '';
-            console.log(`   - ${asyncMarker}${method.name}(${method.params})`);
+            console.log(`      - ${asyncMarker}${method.name}(${method.params})`);
+        });
+
+        const namespaces = extractNamespacesFromApi(apiContent);
+        console.log(`✅ Found ${namespaces.length} namespaces:`);
+        namespaces.forEach(namespace => {
+            console.log(`   🗂️  ${namespace.parent}.${namespace.name} (${namespace.methods.length} methods)`);
         });
         
-        console.log('🔧 Generating extension code...');
-        const newMethodsCode = generateExtensionCode(methods);
+        console.log(`🔧 Generating extension code in ${path.basename(METHODS_FILE_PATH)}...`);
+        generateMethodsFile(methods, extractMemberNamesFromApi(apiContent), namespaces);
         
-        console.log('📝 Updating extension.ts...');
-        updateExtensionFile(newMethodsCode);
+        console.log(`✂️  Generating snippets in ${path.basename(SNIPPETS_FILE_PATH)}...`);
+        generateSnippetsFile(methods);
         
         console.log('📖 Generating API documentation...');
-        generateDocumentationFile(methods);
+        generateDocumentationFile(methods, namespaces);
+        
+        console.log('🧾 Generating TypeScript declarations...');
+        generateTypeDeclarationFile(methods, namespaces);
         
         console.log('✅ Extension updated successfully!');
         console.log('✅ Documentation generated: sypnex-api-docs.md');
+        console.log(`✅ Type declarations generated: ${path.basename(TYPES_FILE_PATH)}`);
         console.log('💡 Run "npm run compile && vsce package" to rebuild the extension');
         
     } catch (error) {
@@ -324,3 +1355,10 @@ function main() {
 if (require.main === module) {
     main();
 }
+
+module.exports = {
+    extractMethodsFromApi,
+    extractMemberNamesFromApi,
+    extractNamespacesFromApi,
+    generateTypeDeclarations
+};
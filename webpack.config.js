@@ -20,14 +20,19 @@ const extensionConfig = {
     libraryTarget: 'commonjs2'
   },
   externals: {
-    vscode: 'commonjs vscode' // the vscode-module is created on-the-fly and must be excluded. Add other modules that cannot be webpack'ed, 📖 -> https://webpack.js.org/configuration/externals/
+    vscode: 'commonjs vscode', // the vscode-module is created on-the-fly and must be excluded. Add other modules that cannot be webpack'ed, 📖 -> https://webpack.js.org/configuration/externals/
     // modules added here also need to be added in the .vscodeignore file
+    // optional native speedups of ws (used by the mock OS's Socket.IO server); ws falls back to plain JS without them
+    bufferutil: 'commonjs bufferutil',
+    'utf-8-validate': 'commonjs utf-8-validate'
   },
   resolve: {
     // support reading TypeScript and JavaScript files, 📖 -> https://github.com/TypeStrong/ts-loader
     extensions: ['.ts', '.js']
   },
   module: {
+    // typescript.js is a prebuilt, self-contained bundle; only its Node built-in requires remain
+    noParse: /[\\/]node_modules[\\/]typescript[\\/]lib[\\/]typescript\.js$/,
     rules: [
       {
         test: /\.ts$/,